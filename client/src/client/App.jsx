@@ -10,7 +10,7 @@ const defaultRegisterPayload = {
 };
 
 const defaultMessagePayload = {
-  messageId: 'test-message-uuid',
+  messageId: crypto.randomUUID(),
   capability: 'test-capability',
   payload: { text: 'Hello agent!' }
 };
@@ -90,7 +90,7 @@ const MESSAGE_API_KEY = 'orchestrator-message-key';
           setBlogResult('Loading...');
           try {
             const res = await api.message({
-              messageId: 'blog-message-' + Date.now(),
+              messageId: crypto.randomUUID(),
               capability: 'blog-writing',
               payload: { text: blogNote }
             }, MESSAGE_API_KEY);
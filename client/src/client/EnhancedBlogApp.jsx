@@ -1,12 +1,40 @@
 import React, { useState, useEffect, useRef } from 'react';
 import api from './api';
+import sanitizeHtml from './sanitizeHtml';
 
 const API_KEY = 'orchestrator-message-key'; // Default API key
 
+// Languages offered for generated posts (any BCP 47 locale is accepted by the server)
+const LANGUAGES = [
+  { locale: 'en-US', label: 'English (US)' },
+  { locale: 'en-GB', label: 'English (UK)' },
+  { locale: 'de-DE', label: 'Deutsch' },
+  { locale: 'fr-FR', label: 'Français' },
+  { locale: 'es-ES', label: 'Español' }
+];
+
 export default function EnhancedBlogApp() {
   // State for blog content
   const [blogTopic, setBlogTopic] = useState('My day today was amazing!');
   const [blogResult, setBlogResult] = useState('');
+  const [blogPost, setBlogPost] = useState(null); // Structured post, for re-rendering in other formats
+  const [currentPostId, setCurrentPostId] = useState(null); // Saved post shown in the preview
+  const [postHistory, setPostHistory] = useState([]);
+  const [revisions, setRevisions] = useState([]); // Revisions of the open post, newest first
+  const [compareFrom, setCompareFrom] = useState('');
+  const [compareTo, setCompareTo] = useState('');
+  const [revisionDiff, setRevisionDiff] = useState(null);
+  const [saveAsRevision, setSaveAsRevision] = useState(false); // Regenerate the open post instead of starting a new one
+  const [publishingTargets, setPublishingTargets] = useState([]); // Targets configured on the server
+  const [publishTarget, setPublishTarget] = useState('');
+  const [publications, setPublications] = useState([]); // Where the open post has been published
+  const [isPublishing, setIsPublishing] = useState(false);
+  const [currentUser, setCurrentUser] = useState(null); // Signed-in account, whose Google Photos are used
+  const [schedules, setSchedules] = useState([]); // Daily posts generated by the server
+  const [scheduleRuns, setScheduleRuns] = useState([]); // Latest runs of those schedules
+  const [scheduleTime, setScheduleTime] = useState('21:00');
+  const [scheduleAction, setScheduleAction] = useState('draft');
+  const [runningScheduleId, setRunningScheduleId] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   
   // State for enhancement features
@@ -16,6 +44,10 @@ export default function EnhancedBlogApp() {
   const [useSmartLocation, setUseSmartLocation] = useState(true); // On by default
   const [useWeatherData, setUseWeatherData] = useState(true);
   const [useNewsData, setUseNewsData] = useState(false);
+  const [streamOutput, setStreamOutput] = useState(true); // Render the blog while it is generated
+  const [stylePresets, setStylePresets] = useState([]);
+  const [writingStyle, setWritingStyle] = useState(''); // Empty = default style
+  const [locale, setLocale] = useState(''); // Empty = server default locale
   
   // Enhanced data state
   const [specificPhotoUrl, setSpecificPhotoUrl] = useState('');
@@ -64,8 +96,13 @@ export default function EnhancedBlogApp() {
   
   // Initialize: Fetch photos and detect location on component mount
   useEffect(() => {
+    fetchCurrentUser();
     fetchTodaysPhotos();
     detectLocation();
+    fetchStylePresets();
+    fetchPostHistory();
+    fetchPublishingTargets();
+    fetchSchedules();
   }, []);
   
   // Auto-scroll thinking panel when logs change
@@ -75,6 +112,247 @@ export default function EnhancedBlogApp() {
     }
   }, [thinkingLogs]);
   
+  // Fetch the writing style presets for the style selector
+  const fetchStylePresets = async () => {
+    try {
+      setStylePresets(await api.listStylePresets(API_KEY));
+    } catch (error) {
+      console.error('Error fetching style presets:', error);
+      addThinkingLog(`Could not load writing styles: ${error.message}`);
+    }
+  };
+  
+  // Fetch the publishing targets configured on the server
+  const fetchPublishingTargets = async () => {
+    try {
+      const configured = (await api.listPublishingTargets(API_KEY)).filter(target => target.configured);
+      setPublishingTargets(configured);
+      setPublishTarget(configured[0]?.name || '');
+    } catch (error) {
+      console.error('Error fetching publishing targets:', error);
+      addThinkingLog(`Could not load publishing targets: ${error.message}`);
+    }
+  };
+  
+  // Fetch the saved posts for the history sidebar
+  const fetchPostHistory = async () => {
+    try {
+      const { posts } = await api.listPosts(API_KEY);
+      setPostHistory(posts);
+    } catch (error) {
+      console.error('Error fetching post history:', error);
+      addThinkingLog(`Could not load post history: ${error.message}`);
+    }
+  };
+  
+  // Fetch the revisions of a saved post and compare its last two by default
+  const fetchRevisions = async (postId) => {
+    setRevisionDiff(null);
+    try {
+      const list = await api.listRevisions(postId, API_KEY);
+      setRevisions(list);
+      setCompareTo(list[0] ? String(list[0].number) : '');
+      setCompareFrom(list[1] ? String(list[1].number) : '');
+    } catch (error) {
+      console.error('Error fetching revisions:', error);
+      addThinkingLog(`Could not load revisions: ${error.message}`);
+    }
+  };
+  
+  // Reopen a saved post in the preview, with the notes it was written from
+  const openSavedPost = async (postId) => {
+    try {
+      const saved = await api.getPost(postId, API_KEY);
+      setBlogResult(saved.blog_post);
+      setBlogPost(saved.post);
+      setCurrentPostId(saved.id);
+      setPublications(saved.publications || []);
+      if (saved.inputs?.notes) setBlogTopic(saved.inputs.notes);
+      addThinkingLog(`Opened "${saved.post.title}"`);
+      await fetchRevisions(saved.id);
+    } catch (error) {
+      console.error('Error opening post:', error);
+      addThinkingLog(`Error opening post: ${error.message}`);
+    }
+  };
+  
+  // Delete a saved post
+  const deleteSavedPost = async (postId) => {
+    if (!window.confirm('Delete this post?')) return;
+    try {
+      await api.deletePost(postId, API_KEY);
+      if (postId === currentPostId) {
+        setCurrentPostId(null);
+        setRevisions([]);
+        setRevisionDiff(null);
+      }
+      await fetchPostHistory();
+    } catch (error) {
+      console.error('Error deleting post:', error);
+      addThinkingLog(`Error deleting post: ${error.message}`);
+    }
+  };
+  
+  // Switch the open post between draft and published
+  const toggleCurrentPostStatus = async () => {
+    const current = postHistory.find(entry => entry.id === currentPostId);
+    if (!current) return;
+    const status = current.status === 'published' ? 'draft' : 'published';
+    try {
+      await api.updatePost(currentPostId, { status }, API_KEY);
+      addThinkingLog(`Marked post as ${status}`);
+      await fetchPostHistory();
+    } catch (error) {
+      console.error('Error updating post:', error);
+      addThinkingLog(`Error updating post: ${error.message}`);
+    }
+  };
+  
+  // Publish the open post to the selected target
+  const publishCurrentPost = async (status) => {
+    if (!currentPostId || !publishTarget) return;
+    setIsPublishing(true);
+    try {
+      addThinkingLog(`Publishing to ${publishTarget}...`);
+      const publication = await api.publishPost(currentPostId, publishTarget, status, API_KEY);
+      setPublications(prev => [...prev, publication]);
+      addThinkingLog(`Published to ${publication.target} as ${publication.status}${publication.url ? `: ${publication.url}` : ''}`);
+      await fetchPostHistory();
+    } catch (error) {
+      console.error('Error publishing post:', error);
+      addThinkingLog(`Error publishing post: ${error.message}`);
+    } finally {
+      setIsPublishing(false);
+    }
+  };
+  
+  // Find out who is signed in
+  const fetchCurrentUser = async () => {
+    try {
+      setCurrentUser(await api.getCurrentUser());
+    } catch (error) {
+      console.error('Error fetching the signed-in user:', error);
+    }
+  };
+  
+  // Sign out; the sample photos are shown again
+  const signOut = async () => {
+    try {
+      await api.logout();
+      setCurrentUser(null);
+      await Promise.all([fetchTodaysPhotos(), fetchSchedules()]);
+    } catch (error) {
+      console.error('Error signing out:', error);
+      addThinkingLog(`Error signing out: ${error.message}`);
+    }
+  };
+  
+  // Fetch the daily post schedules and their latest runs
+  const fetchSchedules = async () => {
+    try {
+      setSchedules(await api.listSchedules(API_KEY));
+      const { runs } = await api.listScheduleRuns(API_KEY, { limit: 5 });
+      setScheduleRuns(runs);
+    } catch (error) {
+      console.error('Error fetching schedules:', error);
+      addThinkingLog(`Could not load schedules: ${error.message}`);
+    }
+  };
+  
+  // Have the server write the post every day at the chosen time, with the current settings
+  const createDailySchedule = async () => {
+    const [hour, minute] = scheduleTime.split(':').map(part => parseInt(part, 10));
+    try {
+      await api.createSchedule({
+        cron: `${minute} ${hour} * * *`,
+        timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        action: scheduleAction,
+        ...(scheduleAction === 'publish' && publishTarget ? { publishTarget } : {}),
+        coordinates: { latitude: coordinates.latitude, longitude: coordinates.longitude },
+        useTodaysPhotos,
+        useSmartLocation,
+        useWeatherData,
+        useNewsData,
+        newsTopics: [newsTopic],
+        ...(writingStyle ? { style: writingStyle } : {}),
+        ...(locale ? { locale } : {})
+      }, API_KEY);
+      addThinkingLog(`Daily post scheduled at ${scheduleTime}`);
+      await fetchSchedules();
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      addThinkingLog(`Error creating schedule: ${error.message}`);
+    }
+  };
+  
+  // Pause or resume a schedule
+  const toggleSchedule = async (schedule) => {
+    try {
+      await api.updateSchedule(schedule.id, { enabled: !schedule.enabled }, API_KEY);
+      await fetchSchedules();
+    } catch (error) {
+      console.error('Error updating schedule:', error);
+      addThinkingLog(`Error updating schedule: ${error.message}`);
+    }
+  };
+  
+  // Generate a schedule's post now and open it
+  const runScheduleNow = async (scheduleId) => {
+    setRunningScheduleId(scheduleId);
+    try {
+      const run = await api.runSchedule(scheduleId, API_KEY);
+      addThinkingLog(run.status === 'succeeded' ? 'Scheduled post written' : `Scheduled post failed: ${run.error}`);
+      await Promise.all([fetchSchedules(), fetchPostHistory()]);
+      if (run.postId) {
+        await openSavedPost(run.postId);
+      }
+    } catch (error) {
+      console.error('Error running schedule:', error);
+      addThinkingLog(`Error running schedule: ${error.message}`);
+    } finally {
+      setRunningScheduleId(null);
+    }
+  };
+  
+  // Delete a schedule
+  const deleteSchedule = async (scheduleId) => {
+    if (!window.confirm('Stop writing this daily post?')) return;
+    try {
+      await api.deleteSchedule(scheduleId, API_KEY);
+      await fetchSchedules();
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      addThinkingLog(`Error deleting schedule: ${error.message}`);
+    }
+  };
+  
+  // Show what changed between the two selected revisions of the open post
+  const compareSelectedRevisions = async () => {
+    if (!compareFrom || !compareTo) return;
+    try {
+      setRevisionDiff(await api.diffRevisions(currentPostId, compareFrom, compareTo, API_KEY));
+    } catch (error) {
+      console.error('Error comparing revisions:', error);
+      addThinkingLog(`Error comparing revisions: ${error.message}`);
+    }
+  };
+  
+  // Make an earlier revision of the open post current again
+  const restoreSavedRevision = async (number) => {
+    if (!window.confirm(`Restore revision ${number}? The current version stays in the history.`)) return;
+    try {
+      const restored = await api.restoreRevision(currentPostId, number, API_KEY);
+      setBlogResult(restored.blog_post);
+      setBlogPost(restored.post);
+      addThinkingLog(`Restored revision ${number} as revision ${restored.revision}`);
+      await fetchRevisions(currentPostId);
+      await fetchPostHistory();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      addThinkingLog(`Error restoring revision: ${error.message}`);
+    }
+  };
+  
   // Fetch today's photos with analysis
   const fetchTodaysPhotos = async () => {
     setLoadingPhotos(true);
@@ -512,15 +790,42 @@ export default function EnhancedBlogApp() {
   };
 
   // Export to different formats
-  const handleExport = (format) => {
-    console.log(`Exporting blog as ${format}`);
-    alert(`Exporting blog as ${format}`);
+  const handleExport = async (format) => {
+    if (!blogPost) {
+      addThinkingLog('Nothing to export yet - generate a blog post first');
+      return;
+    }
+    
+    try {
+      addThinkingLog(`Exporting blog as ${format}...`);
+      const { blob, filename } = await api.exportPost(blogPost, format, API_KEY);
+      
+      // Download the file through a temporary link
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+      addThinkingLog(`Exported ${filename}`);
+    } catch (error) {
+      console.error('Error exporting blog:', error);
+      addThinkingLog(`Error exporting blog: ${error.message}`);
+    }
   };
   
   // Handle blog generation
   const handleGenerateBlog = async () => {
+    const revisionOf = saveAsRevision ? currentPostId : null;
     setIsLoading(true);
     setBlogResult('');
+    setBlogPost(null);
+    setCurrentPostId(null);
+    setRevisions([]);
+    setRevisionDiff(null);
+    setPublications([]);
     setThinkingLogs([]);
     
     try {
@@ -538,21 +843,41 @@ export default function EnhancedBlogApp() {
         selectedPhotos: todaysPhotos.filter(photo => photo.selected),
         newsTopics: newsTopics.filter(topic => topic.selected).map(topic => topic.id),
         locationData: locationData || {},
-        weatherData: weatherData || {}
+        weatherData: weatherData || {},
+        ...(writingStyle ? { style: writingStyle } : {}),
+        ...(locale ? { locale } : {}),
+        ...(revisionOf ? { postId: revisionOf } : {})
       };
       
       addThinkingLog('Sending blog generation request to server...');
       
-      // Call the enhanced blog generation endpoint
-      const response = await api.callCapability(
-        'enhanced-blog-writing', 
-        blogData, 
-        API_KEY
-      );
+      const onProgress = (event) => addThinkingLog(`Server: ${event.message}`);
+      
+      // Call the enhanced blog generation endpoint, streaming the preview if enabled
+      const response = streamOutput
+        ? await api.streamCapability('enhanced-blog-writing', blogData, API_KEY, {
+            onChunk: (chunk) => setBlogResult(prev => prev + chunk),
+            onProgress
+          })
+        : await api.callCapability(
+            'enhanced-blog-writing', 
+            blogData, 
+            API_KEY,
+            {
+              onJobUpdate: (job) => addThinkingLog(`Generation job ${job.status}${job.queuePosition ? ` (position ${job.queuePosition} in queue)` : ''}`),
+              onProgress
+            }
+          );
       
       if (response && response.blog_post) {
         setBlogResult(response.blog_post);
-        addThinkingLog('Blog generated successfully!');
+        setBlogPost(response.post || null);
+        setCurrentPostId(response.postId || null);
+        addThinkingLog(!response.postId ? 'Blog generated successfully!'
+          : revisionOf ? `Blog regenerated successfully and saved as revision ${response.revision}!`
+            : 'Blog generated successfully and saved as a draft!');
+        fetchPostHistory();
+        if (response.postId) fetchRevisions(response.postId);
       } else {
         throw new Error('No blog post was generated');
       }
@@ -577,141 +902,440 @@ export default function EnhancedBlogApp() {
   };
 
   // Render the component
+  const currentPost = postHistory.find(entry => entry.id === currentPostId);
+  
   return (
     <div style={styles.container}>
-      <main style={styles.mainContent}>
-        <section style={styles.section}>
-          <h2 style={styles.heading}>Your Notes</h2>
-          <textarea 
-            value={blogTopic}
-            onChange={(e) => setBlogTopic(e.target.value)}
-            placeholder="Enter some notes or thoughts to turn into a blog post..."
-            rows="6"
-            style={styles.textarea}
-          />
-        </section>
-        
-        <section style={styles.section}>
-          <h2 style={styles.heading}>Today's Photos</h2>
-          {loadingPhotos ? (
-            <div style={styles.loadingIndicator}>Loading photos...</div>
-          ) : todaysPhotos.length > 0 ? (
-            <div style={styles.photoGrid}>
-              {todaysPhotos.map((photo, index) => (
-                <div key={index} style={styles.photoCard}>
-                  <img 
-                    src={photo.url} 
-                    alt={`Photo ${index + 1}`} 
-                    style={styles.photoImage}
-                  />
-                  <div style={styles.photoActions}>
+      <div style={styles.layout}>
+        <aside style={styles.historySidebar}>
+          <p style={styles.historyMeta}>
+            {currentUser ? (
+              <>
+                Signed in as {currentUser.name}
+                {!currentUser.google.connected && ' (Google Photos disconnected)'}
+                {' · '}<button onClick={signOut} style={styles.scheduleButton}>Sign out</button>
+              </>
+            ) : (
+              <a href="/api/auth/google">Sign in with Google</a>
+            )}
+          </p>
+          <h2 style={styles.heading}>History</h2>
+          {postHistory.length === 0 ? (
+            <p style={styles.historyEmpty}>Generated posts are saved here as drafts.</p>
+          ) : (
+            <ul style={styles.historyList}>
+              {postHistory.map(entry => (
+                <li 
+                  key={entry.id}
+                  style={entry.id === currentPostId ? {...styles.historyItem, ...styles.historyItemActive} : styles.historyItem}
+                >
+                  <button onClick={() => openSavedPost(entry.id)} style={styles.historyOpenButton}>
+                    <span style={styles.historyTitle}>{entry.title || 'Untitled post'}</span>
+                    <span style={styles.historyMeta}>
+                      <span style={entry.status === 'published' ? styles.statusPublished : styles.statusDraft}>{entry.status}</span>
+                      {' '}{new Date(entry.updatedAt).toLocaleString()}
+                    </span>
+                  </button>
+                  <button 
+                    onClick={() => deleteSavedPost(entry.id)}
+                    style={styles.historyDeleteButton}
+                    title="Delete post"
+                  >
+                    ×
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          <p style={styles.historyMeta}>
+            Subscribe to published posts:{' '}
+            <a href="/feeds/rss">RSS</a> · <a href="/feeds/atom">Atom</a> · <a href="/feeds/json">JSON Feed</a>
+          </p>
+          <h2 style={styles.heading}>Daily Post</h2>
+          {schedules.length === 0 ? (
+            <p style={styles.historyEmpty}>Let the server write your post every day with the current settings.</p>
+          ) : (
+            <ul style={styles.historyList}>
+              {schedules.map(schedule => (
+                <li key={schedule.id} style={styles.scheduleItem}>
+                  <span style={styles.historyTitle}>{schedule.name}</span>
+                  <span style={styles.historyMeta}>
+                    {schedule.cron} ({schedule.timeZone}) · {schedule.action}
+                    {schedule.publishTarget ? ` to ${schedule.publishTarget}` : ''}
+                  </span>
+                  <span style={styles.historyMeta}>
+                    {schedule.enabled && schedule.nextRunAt ? `Next: ${new Date(schedule.nextRunAt).toLocaleString()}` : 'Paused'}
+                  </span>
+                  <div style={styles.scheduleButtons}>
                     <button 
-                      onClick={() => togglePhotoSelection(photo.url)}
-                      style={photo.selected ? styles.photoSelectedButton : styles.photoButton}
+                      onClick={() => runScheduleNow(schedule.id)}
+                      disabled={runningScheduleId !== null}
+                      style={styles.scheduleButton}
                     >
-                      {photo.selected ? 'Selected' : 'Select'}
+                      {runningScheduleId === schedule.id ? 'Writing...' : 'Run now'}
+                    </button>
+                    <button onClick={() => toggleSchedule(schedule)} style={styles.scheduleButton}>
+                      {schedule.enabled ? 'Pause' : 'Resume'}
+                    </button>
+                    <button onClick={() => deleteSchedule(schedule.id)} style={styles.scheduleButton}>
+                      Delete
                     </button>
                   </div>
-                </div>
+                </li>
               ))}
-            </div>
-          ) : (
-            <p>No photos found for today.</p>
+            </ul>
           )}
-        </section>
-
-        <section style={styles.section}>
-          <h2 style={styles.heading}>Blog Settings</h2>
-          <div style={styles.settingsGrid}>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={useDateTitle} 
-                onChange={(e) => setUseDateTitle(e.target.checked)}
-              />
-              Include date in title
-            </label>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={useTodaysPhotos} 
-                onChange={(e) => setUseTodaysPhotos(e.target.checked)}
-              />
-              Include today's photos
-            </label>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={usePhotoData} 
-                onChange={(e) => setUsePhotoData(e.target.checked)}
-              />
-              Include photo metadata
-            </label>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={useSmartLocation} 
-                onChange={(e) => setUseSmartLocation(e.target.checked)}
-              />
-              Use smart location
-            </label>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={useWeatherData} 
-                onChange={(e) => setUseWeatherData(e.target.checked)}
-              />
-              Include weather data
-            </label>
-            <label style={styles.settingItem}>
-              <input 
-                type="checkbox" 
-                checked={useNewsData} 
-                onChange={(e) => setUseNewsData(e.target.checked)}
-              />
-              Include news
-            </label>
+          <div style={styles.scheduleButtons}>
+            <input 
+              type="time"
+              value={scheduleTime}
+              onChange={(e) => setScheduleTime(e.target.value)}
+              aria-label="Time of the daily post"
+            />
+            <select 
+              value={scheduleAction}
+              onChange={(e) => setScheduleAction(e.target.value)}
+              aria-label="What to do with the daily post"
+            >
+              <option value="draft">Save draft</option>
+              <option value="publish">Publish</option>
+            </select>
+            <button onClick={createDailySchedule} disabled={!scheduleTime} style={styles.scheduleButton}>
+              Schedule
+            </button>
           </div>
-        </section>
-
-        <button 
-          onClick={handleGenerateBlog}
-          disabled={isLoading}
-          style={isLoading ? {...styles.button, ...styles.buttonDisabled} : styles.button}
-        >
-          {isLoading ? 'Generating...' : 'Generate Enhanced Blog'}
-        </button>
-
-        {blogResult && (
+          {scheduleRuns.length > 0 && (
+            <ul style={styles.revisionInputs}>
+              {scheduleRuns.map(run => (
+                <li key={run.id}>
+                  {new Date(run.startedAt).toLocaleString()} · {run.trigger}:{' '}
+                  <span style={run.status === 'failed' ? styles.diffRemoved : undefined}>{run.status}</span>
+                  {run.error && ` · ${run.error}`}
+                </li>
+              ))}
+            </ul>
+          )}
+        </aside>
+        <main style={styles.mainContent}>
           <section style={styles.section}>
-            <h2 style={styles.heading}>Generated Blog</h2>
-            <div 
-              style={styles.blogPreview}
-              dangerouslySetInnerHTML={{ __html: blogResult }}
+            <h2 style={styles.heading}>Your Notes</h2>
+            <textarea 
+              value={blogTopic}
+              onChange={(e) => setBlogTopic(e.target.value)}
+              placeholder="Enter some notes or thoughts to turn into a blog post..."
+              rows="6"
+              style={styles.textarea}
             />
-            <div style={styles.exportButtons}>
-              <button 
-                onClick={() => handleExport('markdown')}
-                style={styles.exportButton}
-              >
-                Export as Markdown
-              </button>
-              <button 
-                onClick={() => handleExport('html')}
-                style={styles.exportButton}
+          </section>
+          
+          <section style={styles.section}>
+            <h2 style={styles.heading}>Today's Photos</h2>
+            {loadingPhotos ? (
+              <div style={styles.loadingIndicator}>Loading photos...</div>
+            ) : todaysPhotos.length > 0 ? (
+              <div style={styles.photoGrid}>
+                {todaysPhotos.map((photo, index) => (
+                  <div key={index} style={styles.photoCard}>
+                    <img 
+                      src={photo.url} 
+                      alt={`Photo ${index + 1}`} 
+                      style={styles.photoImage}
+                    />
+                    <div style={styles.photoActions}>
+                      <button 
+                        onClick={() => togglePhotoSelection(photo.url)}
+                        style={photo.selected ? styles.photoSelectedButton : styles.photoButton}
+                      >
+                        {photo.selected ? 'Selected' : 'Select'}
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p>No photos found for today.</p>
+            )}
+          </section>
+
+          <section style={styles.section}>
+            <h2 style={styles.heading}>Blog Settings</h2>
+            <div style={styles.settingsGrid}>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={useDateTitle} 
+                  onChange={(e) => setUseDateTitle(e.target.checked)}
+                />
+                Include date in title
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={useTodaysPhotos} 
+                  onChange={(e) => setUseTodaysPhotos(e.target.checked)}
+                />
+                Include today's photos
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={usePhotoData} 
+                  onChange={(e) => setUsePhotoData(e.target.checked)}
+                />
+                Include photo metadata
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={useSmartLocation} 
+                  onChange={(e) => setUseSmartLocation(e.target.checked)}
+                />
+                Use smart location
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={useWeatherData} 
+                  onChange={(e) => setUseWeatherData(e.target.checked)}
+                />
+                Include weather data
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={useNewsData} 
+                  onChange={(e) => setUseNewsData(e.target.checked)}
+                />
+                Include news
+              </label>
+              <label style={styles.settingItem}>
+                <input 
+                  type="checkbox" 
+                  checked={streamOutput} 
+                  onChange={(e) => setStreamOutput(e.target.checked)}
+                />
+                Stream output as it's written
+              </label>
+              {currentPostId && (
+                <label style={styles.settingItem}>
+                  <input 
+                    type="checkbox" 
+                    checked={saveAsRevision} 
+                    onChange={(e) => setSaveAsRevision(e.target.checked)}
+                  />
+                  Save as a new revision of the open post
+                </label>
+              )}
+            </div>
+            <div style={styles.styleSelector}>
+              <label htmlFor="writing-style">Writing style: </label>
+              <select
+                id="writing-style"
+                value={writingStyle}
+                onChange={(e) => setWritingStyle(e.target.value)}
+                style={styles.exportSelect}
               >
-                Export as HTML
-              </button>
-              <button 
-                onClick={() => handleExport('pdf')}
-                style={styles.exportButton}
+                <option value="">Default</option>
+                {stylePresets.map(preset => (
+                  <option key={preset.name} value={preset.name}>{preset.label}</option>
+                ))}
+              </select>
+              {writingStyle && (
+                <p style={styles.styleDescription}>
+                  {stylePresets.find(preset => preset.name === writingStyle)?.description}
+                </p>
+              )}
+            </div>
+            <div style={styles.styleSelector}>
+              <label htmlFor="post-language">Language: </label>
+              <select
+                id="post-language"
+                value={locale}
+                onChange={(e) => setLocale(e.target.value)}
+                style={styles.exportSelect}
               >
-                Export as PDF
-              </button>
+                <option value="">Default</option>
+                {LANGUAGES.map(language => (
+                  <option key={language.locale} value={language.locale}>{language.label}</option>
+                ))}
+              </select>
             </div>
           </section>
-        )}
-      </main>
+
+          <button 
+            onClick={handleGenerateBlog}
+            disabled={isLoading}
+            style={isLoading ? {...styles.button, ...styles.buttonDisabled} : styles.button}
+          >
+            {isLoading ? 'Generating...' : 'Generate Enhanced Blog'}
+          </button>
+
+          {blogResult && (
+            <section style={styles.section}>
+              <h2 style={styles.heading}>Generated Blog</h2>
+              <div 
+                style={styles.blogPreview}
+                dangerouslySetInnerHTML={{ __html: sanitizeHtml(blogResult) }}
+              />
+              <div style={styles.exportButtons}>
+                <button 
+                  onClick={() => handleExport('markdown')}
+                  disabled={!blogPost}
+                  style={blogPost ? styles.exportButton : {...styles.exportButton, ...styles.buttonDisabled}}
+                >
+                  Export as Markdown
+                </button>
+                <button 
+                  onClick={() => handleExport('html')}
+                  disabled={!blogPost}
+                  style={blogPost ? styles.exportButton : {...styles.exportButton, ...styles.buttonDisabled}}
+                >
+                  Export as HTML
+                </button>
+                <button 
+                  onClick={() => handleExport('pdf')}
+                  disabled={!blogPost}
+                  style={blogPost ? styles.exportButton : {...styles.exportButton, ...styles.buttonDisabled}}
+                >
+                  Export as PDF
+                </button>
+                {currentPost && (
+                  <button 
+                    onClick={toggleCurrentPostStatus}
+                    style={styles.exportButton}
+                  >
+                    {currentPost.status === 'published' ? 'Mark as Draft' : 'Mark as Published'}
+                  </button>
+                )}
+              </div>
+              {currentPostId && publishingTargets.length > 0 && (
+                <div style={styles.exportButtons}>
+                  <label htmlFor="publish-target">Publish to </label>
+                  <select
+                    id="publish-target"
+                    value={publishTarget}
+                    onChange={(e) => setPublishTarget(e.target.value)}
+                    style={styles.exportSelect}
+                  >
+                    {publishingTargets.map(target => (
+                      <option key={target.name} value={target.name}>{target.name}</option>
+                    ))}
+                  </select>
+                  <button 
+                    onClick={() => publishCurrentPost('published')}
+                    disabled={isPublishing}
+                    style={isPublishing ? {...styles.exportButton, ...styles.buttonDisabled} : styles.exportButton}
+                  >
+                    {isPublishing ? 'Publishing...' : 'Publish'}
+                  </button>
+                  <button 
+                    onClick={() => publishCurrentPost('draft')}
+                    disabled={isPublishing}
+                    style={isPublishing ? {...styles.exportButton, ...styles.buttonDisabled} : styles.exportButton}
+                  >
+                    Send as Draft
+                  </button>
+                </div>
+              )}
+              {publications.length > 0 && (
+                <ul style={styles.revisionInputs}>
+                  {publications.map(publication => (
+                    <li key={publication.recordedAt}>
+                      {publication.target}: {publication.status}
+                      {publication.url && (
+                        <> · <a href={publication.url} target="_blank" rel="noopener noreferrer">{publication.url}</a></>
+                      )}
+                      {publication.error && ` · ${publication.error}`}
+                      {' · '}{new Date(publication.recordedAt).toLocaleString()}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </section>
+          )}
+
+          {currentPostId && revisions.length > 0 && (
+            <section style={styles.section}>
+              <h2 style={styles.heading}>Revisions</h2>
+              <ul style={styles.revisionList}>
+                {revisions.map((revision, index) => (
+                  <li key={revision.number} style={styles.revisionItem}>
+                    <span>
+                      <strong>#{revision.number}</strong>{' '}
+                      {revision.reason}{revision.restoredFrom ? ` from #${revision.restoredFrom}` : ''}
+                      {' · '}{new Date(revision.createdAt).toLocaleString()}
+                      <span style={styles.revisionTitle}>{revision.title}</span>
+                    </span>
+                    {index > 0 && (
+                      <button 
+                        onClick={() => restoreSavedRevision(revision.number)}
+                        style={styles.exportButton}
+                      >
+                        Restore
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {revisions.length > 1 && (
+                <div style={styles.revisionCompare}>
+                  <label htmlFor="compare-from">Compare </label>
+                  <select
+                    id="compare-from"
+                    value={compareFrom}
+                    onChange={(e) => setCompareFrom(e.target.value)}
+                    style={styles.exportSelect}
+                  >
+                    {revisions.map(revision => (
+                      <option key={revision.number} value={revision.number}>#{revision.number}</option>
+                    ))}
+                  </select>
+                  <label htmlFor="compare-to"> with </label>
+                  <select
+                    id="compare-to"
+                    value={compareTo}
+                    onChange={(e) => setCompareTo(e.target.value)}
+                    style={styles.exportSelect}
+                  >
+                    {revisions.map(revision => (
+                      <option key={revision.number} value={revision.number}>#{revision.number}</option>
+                    ))}
+                  </select>
+                  <button onClick={compareSelectedRevisions} style={styles.exportButton}>
+                    Show changes
+                  </button>
+                </div>
+              )}
+              {revisionDiff && (
+                <div>
+                  <p style={styles.historyMeta}>
+                    #{revisionDiff.from} → #{revisionDiff.to}: {revisionDiff.stats.added} lines added, {revisionDiff.stats.removed} removed
+                  </p>
+                  {revisionDiff.inputs.length > 0 && (
+                    <ul style={styles.revisionInputs}>
+                      {revisionDiff.inputs.map(change => (
+                        <li key={change.field}>
+                          <strong>{change.field}</strong>: {JSON.stringify(change.from)} → {JSON.stringify(change.to)}
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                  <pre style={styles.diffView}>
+                    {revisionDiff.lines.map((line, index) => (
+                      <div 
+                        key={index}
+                        style={line.type === 'added' ? styles.diffAdded : line.type === 'removed' ? styles.diffRemoved : undefined}
+                      >
+                        {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+                      </div>
+                    ))}
+                  </pre>
+                </div>
+              )}
+            </section>
+          )}
+        </main>
+      </div>
     </div>
   );
 };
@@ -720,7 +1344,7 @@ export default function EnhancedBlogApp() {
 const styles = {
   container: {
     fontFamily: '"Segoe UI", Roboto, Helvetica, Arial, sans-serif',
-    maxWidth: '1000px',
+    maxWidth: '1280px',
     margin: '0 auto',
     padding: '20px',
     backgroundColor: '#f8f9fa',
@@ -768,6 +1392,14 @@ const styles = {
     backgroundColor: '#e8f0fe',
     color: '#1a73e8',
   },
+  styleSelector: {
+    marginTop: '15px',
+  },
+  styleDescription: {
+    margin: '8px 0 0',
+    fontSize: '14px',
+    color: '#666',
+  },
   exportSelect: {
     padding: '10px 15px',
     borderRadius: '4px',
@@ -865,7 +1497,153 @@ const styles = {
   logMessage: {
     color: '#e8eaed',
   },
+  layout: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '20px',
+  },
+  historySidebar: {
+    width: '260px',
+    flexShrink: 0,
+    position: 'sticky',
+    top: '20px',
+    maxHeight: 'calc(100vh - 40px)',
+    overflowY: 'auto',
+    padding: '20px',
+    backgroundColor: '#ffffff',
+    borderRadius: '8px',
+    boxShadow: '0 2px 8px rgba(0, 0, 0, 0.1)',
+  },
+  historyEmpty: {
+    color: '#5f6368',
+    fontSize: '14px',
+  },
+  historyList: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+  },
+  historyItem: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    borderRadius: '4px',
+    marginBottom: '4px',
+  },
+  historyItemActive: {
+    backgroundColor: '#e8f0fe',
+  },
+  historyOpenButton: {
+    flex: 1,
+    minWidth: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    padding: '8px',
+    background: 'none',
+    border: 'none',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  historyTitle: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: '#202124',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  historyMeta: {
+    fontSize: '12px',
+    color: '#5f6368',
+  },
+  statusDraft: {
+    color: '#b06000',
+    fontWeight: '600',
+  },
+  statusPublished: {
+    color: '#188038',
+    fontWeight: '600',
+  },
+  scheduleItem: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '2px',
+    padding: '8px 0',
+    borderBottom: '1px solid #eee',
+  },
+  scheduleButtons: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '6px',
+  },
+  scheduleButton: {
+    padding: '4px 8px',
+    fontSize: '12px',
+    border: '1px solid #dadce0',
+    borderRadius: '4px',
+    backgroundColor: '#ffffff',
+    cursor: 'pointer',
+  },
+  historyDeleteButton: {
+    background: 'none',
+    border: 'none',
+    color: '#5f6368',
+    fontSize: '18px',
+    lineHeight: '1',
+    padding: '8px',
+    cursor: 'pointer',
+  },
+  revisionList: {
+    listStyle: 'none',
+    margin: '0 0 15px 0',
+    padding: 0,
+  },
+  revisionItem: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '10px',
+    padding: '6px 0',
+    borderBottom: '1px solid #eee',
+    fontSize: '14px',
+  },
+  revisionTitle: {
+    display: 'block',
+    color: '#5f6368',
+    fontSize: '12px',
+  },
+  revisionCompare: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '15px',
+  },
+  revisionInputs: {
+    fontSize: '13px',
+    color: '#5f6368',
+    wordBreak: 'break-word',
+  },
+  diffView: {
+    maxHeight: '400px',
+    overflow: 'auto',
+    padding: '10px',
+    backgroundColor: '#f8f9fa',
+    borderRadius: '4px',
+    fontSize: '13px',
+    whiteSpace: 'pre-wrap',
+  },
+  diffAdded: {
+    backgroundColor: '#e6f4ea',
+    color: '#137333',
+  },
+  diffRemoved: {
+    backgroundColor: '#fce8e6',
+    color: '#c5221f',
+  },
   mainContent: {
+    flex: 1,
+    minWidth: 0,
     display: 'flex',
     flexDirection: 'column',
     gap: '20px',
@@ -1,6 +1,36 @@
 /**
  * API client for the MCP Orchestrator
  */
+
+/**
+ * Read a Server-Sent Events response body until it ends
+ * @param {Response} res - Fetch response with a text/event-stream body
+ * @param {Function} onEvent - Called with (eventName, data) for each event; data is parsed JSON
+ * @returns {Promise<void>} - Resolves when the stream closes
+ */
+async function readEventStream(res, onEvent) {
+  const reader = res.body.pipeThrough(new TextDecoderStream()).getReader();
+  let buffer = '';
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += value;
+    
+    // Events are separated by a blank line
+    const chunks = buffer.split('\n\n');
+    buffer = chunks.pop();
+    chunks.forEach(chunk => {
+      let eventName = 'message';
+      const dataLines = [];
+      chunk.split('\n').forEach(line => {
+        if (line.startsWith('event:')) eventName = line.slice(6).trim();
+        if (line.startsWith('data:')) dataLines.push(line.slice(5).trim());
+      });
+      if (dataLines.length > 0) onEvent(eventName, JSON.parse(dataLines.join('\n')));
+    });
+  }
+}
+
 const api = {
   /**
    * Ping the server
@@ -47,38 +77,620 @@ const api = {
     return await res.json();
   },
   
+  /**
+   * List the writing style presets available for blog generation
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Array>} - Presets with name, label, description, tone, length and person
+   */
+  async listStylePresets(apiKey) {
+    const res = await fetch('/api/prompts/styles', {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      throw new Error(`Error fetching style presets: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Render a structured post (the `post` returned by the blog capabilities)
+   * @param {Object} post - Blog post
+   * @param {string} format - 'html', 'markdown' or 'text'
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<string>} - The rendered document
+   */
+  async renderPost(post, format, apiKey) {
+    const res = await fetch('/api/posts/render', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify({ post, format })
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error rendering post: ${res.status}`);
+    }
+    return await res.text();
+  },
+
+  /**
+   * Export a structured post as a file
+   * @param {Object} post - Post returned by a blog capability
+   * @param {string} format - 'markdown', 'html' or 'pdf'
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - { blob, filename }
+   */
+  async exportPost(post, format, apiKey) {
+    const res = await fetch('/api/posts/export', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify({ post, format })
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error exporting post: ${res.status}`);
+    }
+    const disposition = res.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="?([^";]+)"?/)?.[1] || `post.${format === 'markdown' ? 'md' : format}`;
+    return { blob: await res.blob(), filename };
+  },
+
+  /**
+   * List saved posts, most recently updated first
+   * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Filters
+   * @param {string} [options.status] - 'draft' or 'published'
+   * @param {number} [options.limit] - Page size
+   * @param {number} [options.offset] - Posts to skip
+   * @returns {Promise<Object>} - { posts, total } with post summaries
+   */
+  async listPosts(apiKey, { status, limit, offset } = {}) {
+    const query = new URLSearchParams({
+      ...(status ? { status } : {}),
+      ...(limit ? { limit: String(limit) } : {}),
+      ...(offset ? { offset: String(offset) } : {})
+    });
+    const res = await fetch(`/api/posts${query.toString() ? `?${query}` : ''}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error listing posts: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Get a saved post
+   * @param {string} postId - Post ID
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - Saved post, with the rendered HTML as blog_post
+   */
+  async getPost(postId, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error loading post: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Change a saved post's content or status
+   * @param {string} postId - Post ID
+   * @param {Object} changes - { post, status }
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The updated post
+   */
+  async updatePost(postId, changes, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify(changes)
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error updating post: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Delete a saved post
+   * @param {string} postId - Post ID
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<void>}
+   */
+  async deletePost(postId, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}`, {
+      method: 'DELETE',
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error deleting post: ${res.status}`);
+    }
+  },
+
+  /**
+   * List the publishing targets and whether each is configured on the server
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Array>} - [{ name, configured }]
+   */
+  async listPublishingTargets(apiKey) {
+    const res = await fetch('/api/posts/publishing/targets', {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error listing publishing targets: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Publish a saved post to WordPress, Ghost or a webhook
+   * @param {string} postId - Post ID
+   * @param {string} target - 'wordpress', 'ghost' or 'webhook'
+   * @param {string} status - 'draft' or 'published' on the target
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The recorded publication { target, remoteId, url, status, images, recordedAt }
+   */
+  async publishPost(postId, target, status, apiKey) {
+    const res = await fetch('/api/posts/publish', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify({ postId, target, status })
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error publishing post: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * List the revisions of a saved post, newest first
+   * @param {string} postId - Post ID
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Array>} - Revision summaries { number, reason, title, source, restoredFrom, createdAt }
+   */
+  async listRevisions(postId, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}/revisions`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error listing revisions: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Get one revision of a saved post
+   * @param {string} postId - Post ID
+   * @param {number} revision - Revision number
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - Revision with its inputs, and the rendered HTML as blog_post
+   */
+  async getRevision(postId, revision, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}/revisions/${revision}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error loading revision: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Compare two revisions of a saved post
+   * @param {string} postId - Post ID
+   * @param {number} from - Older revision number
+   * @param {number} to - Newer revision number
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - { from, to, lines, inputs, stats }
+   */
+  async diffRevisions(postId, from, to, apiKey) {
+    const query = new URLSearchParams({ from: String(from), to: String(to) });
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}/diff?${query}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error comparing revisions: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Make an earlier revision of a saved post current again
+   * @param {string} postId - Post ID
+   * @param {number} revision - Revision number to restore
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The updated post, with the rendered HTML as blog_post
+   */
+  async restoreRevision(postId, revision, apiKey) {
+    const res = await fetch(`/api/posts/${encodeURIComponent(postId)}/revisions/${revision}/restore`, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error restoring revision: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Get the signed-in user (signing in goes through /api/auth/google)
+   * @returns {Promise<Object|null>} - The account { id, email, name, picture, google: { connected } }, or null when signed out
+   */
+  async getCurrentUser() {
+    const res = await fetch('/api/auth/me');
+    if (res.status === 401) {
+      return null;
+    }
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error getting the signed-in user: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Sign out
+   */
+  async logout() {
+    const res = await fetch('/api/auth/logout', { method: 'POST' });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error signing out: ${res.status}`);
+    }
+  },
+
+  /**
+   * List the schedules that generate the daily post automatically
+   * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Filters
+   * @param {string} [options.userId] - Only this user's schedules
+   * @returns {Promise<Array>} - Schedules, oldest first
+   */
+  async listSchedules(apiKey, { userId } = {}) {
+    const query = userId ? `?userId=${encodeURIComponent(userId)}` : '';
+    const res = await fetch(`/api/schedules${query}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error listing schedules: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Create a schedule
+   * @param {Object} schedule - Schedule fields (cron, timeZone, action, notes, coordinates, ...)
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The schedule, with nextRunAt
+   */
+  async createSchedule(schedule, apiKey) {
+    const res = await fetch('/api/schedules', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify(schedule)
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error creating schedule: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Change a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields to change
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The updated schedule
+   */
+  async updateSchedule(scheduleId, changes, apiKey) {
+    const res = await fetch(`/api/schedules/${encodeURIComponent(scheduleId)}`, {
+      method: 'PATCH',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      },
+      body: JSON.stringify(changes)
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error updating schedule: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Delete a schedule
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} apiKey - API key for authentication
+   */
+  async deleteSchedule(scheduleId, apiKey) {
+    const res = await fetch(`/api/schedules/${encodeURIComponent(scheduleId)}`, {
+      method: 'DELETE',
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error deleting schedule: ${res.status}`);
+    }
+  },
+
+  /**
+   * Run a schedule now
+   * @param {string} scheduleId - Schedule ID
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The finished run (failed runs are returned too)
+   */
+  async runSchedule(scheduleId, apiKey) {
+    const res = await fetch(`/api/schedules/${encodeURIComponent(scheduleId)}/run`, {
+      method: 'POST',
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok && !body.status) {
+      throw new Error(body.error || `Error running schedule: ${res.status}`);
+    }
+    return body;
+  },
+
+  /**
+   * List the runs of the schedules, newest first
+   * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Filters
+   * @param {string} [options.userId] - Only runs of this user's schedules
+   * @param {number} [options.limit] - Page size
+   * @returns {Promise<Object>} - { runs, total }
+   */
+  async listScheduleRuns(apiKey, { userId, limit } = {}) {
+    const query = new URLSearchParams({
+      ...(userId ? { userId } : {}),
+      ...(limit ? { limit: String(limit) } : {})
+    });
+    const res = await fetch(`/api/schedules/runs${query.toString() ? `?${query}` : ''}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error listing schedule runs: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Get the status of a background job
+   * @param {string} jobId - Job ID returned by an async message
+   * @param {string} apiKey - API key for authentication
+   * @returns {Promise<Object>} - The job (status, result or error)
+   */
+  async getJob(jobId, apiKey) {
+    const res = await fetch(`/api/jobs/${jobId}`, {
+      headers: {
+        ...(apiKey ? { 'X-API-Key': apiKey } : {})
+      }
+    });
+    if (!res.ok) {
+      const errorData = await res.json().catch(() => ({}));
+      throw new Error(errorData.error || `Error fetching job ${jobId}: ${res.status}`);
+    }
+    return await res.json();
+  },
+
+  /**
+   * Poll a background job until it completes or fails
+   * @param {string} jobId - Job ID returned by an async message
+   * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Polling options
+   * @param {number} [options.interval=1000] - Milliseconds between polls
+   * @param {number} [options.timeout=300000] - Give up after this many milliseconds
+   * @param {Function} [options.onJobUpdate] - Called with the job whenever its status changes
+   * @returns {Promise<Object>} - The job result
+   */
+  async waitForJob(jobId, apiKey, options = {}) {
+    const { interval = 1000, timeout = 300000, onJobUpdate } = options;
+    const startedAt = Date.now();
+    let lastStatus = null;
+    
+    while (Date.now() - startedAt < timeout) {
+      const job = await this.getJob(jobId, apiKey);
+      if (job.status !== lastStatus) {
+        lastStatus = job.status;
+        if (onJobUpdate) onJobUpdate(job);
+      }
+      
+      if (job.status === 'completed') {
+        return job.result;
+      }
+      if (job.status === 'failed') {
+        throw new Error(job.error?.message || `Job ${jobId} failed`);
+      }
+      
+      await new Promise(resolve => setTimeout(resolve, interval));
+    }
+    
+    throw new Error(`Timed out waiting for job ${jobId}`);
+  },
+
+  /**
+   * Stream the server-side progress events of a message (Server-Sent Events).
+   * Uses fetch rather than EventSource so the API key can be sent as a header.
+   * @param {string} messageId - ID of the message to follow
+   * @param {string} apiKey - API key for authentication
+   * @param {Function} onEvent - Called with each progress event ({ type, message, data, timestamp })
+   * @returns {Function} - Call to stop streaming
+   */
+  streamProgress(messageId, apiKey, onEvent) {
+    const controller = new AbortController();
+    
+    (async () => {
+      const res = await fetch(`/api/messages/${messageId}/events`, {
+        headers: {
+          Accept: 'text/event-stream',
+          ...(apiKey ? { 'X-API-Key': apiKey } : {})
+        },
+        signal: controller.signal
+      });
+      if (!res.ok || !res.body) {
+        throw new Error(`Error streaming progress for ${messageId}: ${res.status}`);
+      }
+      await readEventStream(res, (eventName, event) => onEvent(event));
+    })().catch(error => {
+      if (error.name !== 'AbortError') {
+        console.warn('Progress stream ended:', error.message);
+      }
+    });
+    
+    return () => controller.abort();
+  },
+
+  /**
+   * Call a blog capability and receive the generated text as it is produced
+   * @param {string} capability - 'blog-writing' or 'enhanced-blog-writing'
+   * @param {Object} params - Parameters to pass to the capability
+   * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Extra options
+   * @param {Function} [options.onChunk] - Called with each chunk of generated text
+   * @returns {Promise<Object>} - { blog_post, post, postId } with the complete text, the structured post and the ID of its saved draft
+   */
+  async streamCapability(capability, params = {}, apiKey, options = {}) {
+    const { onChunk, onProgress } = options;
+    const messageId = crypto.randomUUID();
+    const stopProgress = onProgress ? this.streamProgress(messageId, apiKey, onProgress) : () => {};
+    
+    try {
+      const res = await fetch('/api/messages/stream', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'text/event-stream',
+          ...(apiKey ? { 'X-API-Key': apiKey } : {})
+        },
+        body: JSON.stringify({ capability, payload: params, messageId })
+      });
+      
+      if (!res.ok || !res.body) {
+        const errorData = await res.json().catch(() => ({}));
+        throw new Error(errorData.error || `Error streaming capability ${capability}: ${res.status}`);
+      }
+      
+      let result = null;
+      let streamError = null;
+      await readEventStream(res, (eventName, data) => {
+        if (eventName === 'chunk' && onChunk) onChunk(data.text);
+        if (eventName === 'done') result = { blog_post: data.blog_post, post: data.post, postId: data.postId };
+        if (eventName === 'error') streamError = new Error(data.error);
+      });
+      
+      if (streamError) throw streamError;
+      if (!result) throw new Error(`Stream for ${capability} ended before completion`);
+      return result;
+    } finally {
+      stopProgress();
+    }
+  },
+
   /**
    * Call a specific capability directly with provided parameters
    * @param {string} capability - Capability name to call
    * @param {Object} params - Parameters to pass to the capability
    * @param {string} apiKey - API key for authentication
+   * @param {Object} [options] - Extra options
+   * @param {Function} [options.onJobUpdate] - Called when a background job changes status
+   * @param {Function} [options.onProgress] - Called with each server-side progress event
    * @returns {Promise<Object>} - Response from the server
    */
-  async callCapability(capability, params = {}, apiKey) {
+  async callCapability(capability, params = {}, apiKey, options = {}) {
     try {
       console.log(`Calling capability: ${capability}`, params);
       
-      // Special handling for enhanced-blog-writing which uses the /api/message endpoint
+      // Special handling for enhanced-blog-writing which runs as a background job
+      // through the /api/message endpoint so long generations don't hold the request open
       if (capability === 'enhanced-blog-writing') {
-        const res = await fetch('/api/message', {
-          method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            ...(apiKey ? { 'X-API-Key': apiKey } : {})
-          },
-          body: JSON.stringify({
-            capability: 'enhanced-blog-writing',
-            payload: params,
-            messageId: `msg_${Date.now()}`
-          })
-        });
+        const messageId = crypto.randomUUID();
         
-        if (!res.ok) {
-          const errorData = await res.json().catch(() => ({}));
-          throw new Error(errorData.error || `Error calling capability ${capability}: ${res.status}`);
-        }
+        // Subscribe before sending so no progress events are missed
+        const stopProgress = options.onProgress
+          ? this.streamProgress(messageId, apiKey, options.onProgress)
+          : () => {};
         
-        return await res.json();
+        try {
+          const res = await fetch('/api/message', {
+            method: 'POST',
+            headers: {
+              'Content-Type': 'application/json',
+              ...(apiKey ? { 'X-API-Key': apiKey } : {})
+            },
+            body: JSON.stringify({
+              capability: 'enhanced-blog-writing',
+              payload: params,
+              messageId,
+              async: true
+            })
+          });
+          
+          if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || `Error calling capability ${capability}: ${res.status}`);
+          }
+          
+          const { jobId } = await res.json();
+          return await this.waitForJob(jobId, apiKey, options);
+        } finally {
+          stopProgress();
+        }
       }
       
       // Map capability names to their correct API endpoints
@@ -0,0 +1,104 @@
+/**
+ * Allow-list HTML sanitizer for the blog preview. Mirrors the server's
+ * htmlSanitizer.js so generated posts are safe to render even when they
+ * arrive chunk by chunk from a stream.
+ */
+
+// Tags kept by the sanitizer, with the attributes allowed on each
+const GLOBAL_ATTRIBUTES = ['class', 'style', 'title'];
+const ALLOWED_TAGS = {
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  p: [], br: [], hr: [], div: [], span: [],
+  strong: [], b: [], em: [], i: [], u: [], small: [], mark: [],
+  blockquote: ['cite'], code: [], pre: [],
+  ul: [], ol: ['start'], li: [],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height'],
+  figure: [], figcaption: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+// Elements dropped together with everything inside them
+const DROP_CONTENT_TAGS = ['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select'];
+
+// Attributes holding URLs, and the schemes allowed in them
+const URL_ATTRIBUTES = ['href', 'src', 'cite'];
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// Inline CSS that can run script or load resources
+const UNSAFE_STYLE = /expression\s*\(|url\s*\(|javascript:|@import|behavior\s*:|-moz-binding/i;
+
+/**
+ * Whether a URL is http(s), mailto or relative
+ * @param {string} url - Attribute value
+ * @returns {boolean} - True when the URL is safe to link to or load
+ */
+function isSafeUrl(url) {
+  const compact = url.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  return !scheme || SAFE_URL_SCHEMES.includes(`${scheme[1].toLowerCase()}:`);
+}
+
+/**
+ * Clean an element's attributes in place
+ * @param {Element} element - Allowed element
+ */
+function sanitizeAttributes(element) {
+  const tag = element.tagName.toLowerCase();
+  const allowed = [...GLOBAL_ATTRIBUTES, ...ALLOWED_TAGS[tag]];
+
+  [...element.attributes].forEach(({ name, value }) => {
+    const unsafe = !allowed.includes(name)
+      || (URL_ATTRIBUTES.includes(name) && !isSafeUrl(value))
+      || (name === 'style' && UNSAFE_STYLE.test(value))
+      || (name === 'target' && !['_blank', '_self'].includes(value));
+    if (unsafe) {
+      element.removeAttribute(name);
+    }
+  });
+
+  // Links opening a new tab must not get access to this window
+  if (tag === 'a' && element.getAttribute('target') === '_blank') {
+    element.setAttribute('rel', 'noopener noreferrer');
+  }
+}
+
+/**
+ * Sanitize the children of a node in place
+ * @param {Node} node - Parent node
+ */
+function sanitizeChildren(node) {
+  [...node.childNodes].forEach(child => {
+    if (child.nodeType === Node.TEXT_NODE) return;
+    if (child.nodeType !== Node.ELEMENT_NODE) {
+      child.remove();
+      return;
+    }
+
+    const tag = child.tagName.toLowerCase();
+    if (DROP_CONTENT_TAGS.includes(tag)) {
+      child.remove();
+      return;
+    }
+
+    sanitizeChildren(child);
+    if (ALLOWED_TAGS[tag]) {
+      sanitizeAttributes(child);
+    } else {
+      // Keep the (already sanitized) content of unknown elements
+      child.replaceWith(...child.childNodes);
+    }
+  });
+}
+
+/**
+ * Sanitize generated HTML before rendering it with dangerouslySetInnerHTML
+ * @param {string} html - Untrusted HTML
+ * @returns {string} - Safe HTML
+ */
+export default function sanitizeHtml(html) {
+  if (!html) return '';
+  const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+  sanitizeChildren(doc.body);
+  return doc.body.innerHTML;
+}
@@ -0,0 +1,55 @@
+// test/sanitizeHtml.test.js
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { JSDOM } from 'jsdom';
+import sanitizeHtml from '../src/client/sanitizeHtml.js';
+
+// The browser globals the sanitizer uses
+before(() => {
+  const { window } = new JSDOM('');
+  globalThis.DOMParser = window.DOMParser;
+  globalThis.Node = window.Node;
+});
+
+/**
+ * Assert that HTML cannot run script: no script elements, no event handler
+ * attributes and no javascript: URLs in links or images
+ * @param {string} html - Sanitized HTML
+ */
+const assertInert = (html) => {
+  const { document } = new JSDOM(`<body>${html}</body>`).window;
+  assert.equal(document.querySelectorAll('script').length, 0);
+  for (const element of document.body.querySelectorAll('*')) {
+    for (const { name, value } of element.attributes) {
+      assert.doesNotMatch(name, /^on/i, `event handler ${name} on <${element.tagName}>`);
+      assert.doesNotMatch(value, /^\s*javascript:/i, `javascript: URL in ${name} on <${element.tagName}>`);
+    }
+  }
+};
+
+test('drops script injected through notes', () => {
+  const html = sanitizeHtml('<p>My day</p><script>alert("notes")</script>');
+  assertInert(html);
+  assert.equal(html, '<p>My day</p>');
+});
+
+test('drops event handlers from photo captions', () => {
+  const html = sanitizeHtml('<figure><img src="https://example.com/a.jpg" onerror="alert(1)"><figcaption onclick="alert(2)">Sunset</figcaption></figure>');
+  assertInert(html);
+  assert.match(html, /Sunset/);
+});
+
+test('neutralises javascript: news URLs, including encoded ones', () => {
+  const html = sanitizeHtml('<ul class="news">'
+    + '<li><a href="javascript:alert(document.cookie)">Headline</a></li>'
+    + '<li><a href=" JaVaScRiPt:alert(1)">Second</a></li>'
+    + '<li><a href="jav&#x61;script:alert(1)">Third</a></li>'
+    + '<li><a href="https://example.com/news">Fourth</a></li></ul>');
+  assertInert(html);
+  assert.match(html, /href="https:\/\/example\.com\/news"/);
+});
+
+test('keeps half-streamed markup inert', () => {
+  assertInert(sanitizeHtml('<p>Streaming <img src=x onerror=alert(1)'));
+  assertInert(sanitizeHtml('<p>Streaming</p><scr'));
+});
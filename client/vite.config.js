@@ -11,6 +11,7 @@ export default defineConfig({
     port: 5174,
     proxy: {
       '/api': 'http://localhost:4000',
+      '/feeds': 'http://localhost:4000',
     },
   },
 });
\ No newline at end of file
@@ -0,0 +1,238 @@
+// src/accounts/accountStore.js
+// User accounts, created when someone signs in with Google, and the sessions
+// that identify them. Google tokens are only ever stored encrypted.
+import { createHash, randomBytes, randomUUID } from 'crypto';
+import logger from '../logger.js';
+import { createStore } from '../storage/index.js';
+import { deriveKey, encryptJson, decryptJson } from './tokenCipher.js';
+import { onCredentialChange } from '../credentialVault.js';
+import { httpError } from '../httpError.js';
+
+const DEFAULT_SESSION_TTL_DAYS = 30;
+
+// Accounts and sessions, in the ACCOUNT_STORAGE backend
+const backend = process.env.ACCOUNT_STORAGE || 'file';
+const accountStore = createStore('accounts', { backend });
+const sessionStore = createStore('sessions', { backend });
+
+// Sessions are stored by a hash of their token, so the store cannot be used to sign in
+const hashToken = token => createHash('sha256').update(token).digest('hex');
+
+/**
+ * An account as shown to clients: without its tokens
+ * @param {Object} account - Stored account
+ * @returns {Object} - { id, email, name, picture, google: { connected, scopes, expiresAt }, createdAt, updatedAt }
+ */
+export function publicAccount({ google, ...account }) {
+  return {
+    ...account,
+    google: {
+      connected: Boolean(google?.tokens),
+      scopes: google?.scopes || [],
+      expiresAt: google?.expiresAt || null
+    }
+  };
+}
+
+/**
+ * Create or update the account of a Google user and store their tokens.
+ * Google only sends a refresh token on first consent, so a stored one is
+ * kept when none comes with the new tokens.
+ * @param {Object} profile - Google user info { id, email, name, picture }
+ * @param {Object} tokens - OAuth tokens { access_token, refresh_token, expiry_date, scope }
+ * @returns {Object} - The stored account
+ * @throws {Error} - With status 503 if tokens cannot be encrypted
+ */
+export function saveGoogleAccount(profile, tokens) {
+  const now = new Date().toISOString();
+  const existing = accountStore.values().find(account => account.googleId === profile.id);
+  const previous = existing?.google?.tokens ? decryptJson(existing.google.tokens) : {};
+
+  const account = {
+    id: existing?.id || randomUUID(),
+    googleId: profile.id,
+    email: profile.email || null,
+    name: profile.name || profile.email || 'Google user',
+    picture: profile.picture || null,
+    google: {
+      tokens: encryptJson({
+        accessToken: tokens.access_token,
+        refreshToken: tokens.refresh_token || previous.refreshToken || null
+      }),
+      scopes: tokens.scope ? tokens.scope.split(' ') : existing?.google?.scopes || [],
+      expiresAt: tokens.expiry_date ? new Date(tokens.expiry_date).toISOString() : null
+    },
+    createdAt: existing?.createdAt || now,
+    updatedAt: now
+  };
+  accountStore.set(account.id, account);
+  logger.info(`${existing ? 'Updated' : 'Created'} account ${account.id} for ${account.email}`);
+  return account;
+}
+
+/**
+ * Get an account
+ * @param {string} id - Account ID
+ * @returns {Object} - Stored account
+ * @throws {Error} - With status 404 if there is no such account
+ */
+export function getAccount(id) {
+  const account = accountStore.get(id);
+  if (!account) {
+    throw httpError(`Account ${id} not found.`, 404);
+  }
+  return account;
+}
+
+/**
+ * Whether an account exists
+ * @param {string} id - Account ID
+ * @returns {boolean} - True if it exists
+ */
+export function hasAccount(id) {
+  return accountStore.has(id);
+}
+
+/**
+ * List accounts, oldest first
+ * @returns {Array<Object>} - Accounts without their tokens
+ */
+export function listAccounts() {
+  return accountStore.values()
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    .map(publicAccount);
+}
+
+/**
+ * Delete an account, its tokens and its sessions
+ * @param {string} id - Account ID
+ * @throws {Error} - With status 404 if there is no such account
+ */
+export function deleteAccount(id) {
+  if (!accountStore.delete(id)) {
+    throw httpError(`Account ${id} not found.`, 404);
+  }
+  for (const session of sessionStore.values()) {
+    if (session.accountId === id) sessionStore.delete(session.hash);
+  }
+  logger.info(`Deleted account ${id}`);
+}
+
+/**
+ * Read the decrypted Google tokens of an account
+ * @param {string} id - Account ID
+ * @returns {Object|null} - { accessToken, refreshToken, expiresAt }, or null if Google is not connected
+ */
+export function getGoogleTokens(id) {
+  const { google } = getAccount(id);
+  if (!google?.tokens) return null;
+  return { ...decryptJson(google.tokens), expiresAt: google.expiresAt };
+}
+
+/**
+ * Store new Google tokens for an account, e.g. after a refresh. A refresh
+ * token that Google rotated replaces the stored one.
+ * @param {string} id - Account ID
+ * @param {Object|null} tokens - { accessToken, refreshToken, expiresAt }, or null to disconnect Google
+ * @returns {Object} - The stored account
+ */
+export function setGoogleTokens(id, tokens) {
+  const account = getAccount(id);
+  const updated = {
+    ...account,
+    google: tokens
+      ? {
+        ...account.google,
+        tokens: encryptJson({ accessToken: tokens.accessToken, refreshToken: tokens.refreshToken }),
+        expiresAt: tokens.expiresAt || null
+      }
+      : { scopes: [], expiresAt: null, tokens: null },
+    updatedAt: new Date().toISOString()
+  };
+  accountStore.set(id, updated);
+  return updated;
+}
+
+/**
+ * Re-encrypt the stored Google tokens of all accounts under a new
+ * TOKEN_ENCRYPTION_KEY. The tokens are encrypted with the new key up front;
+ * they are only stored once the returned function is called.
+ * @param {string|null} secret - The new TOKEN_ENCRYPTION_KEY
+ * @returns {Function} - Stores the re-encrypted tokens
+ * @throws {Error} - With status 503 if there are tokens and the new key is empty; nothing is changed then
+ */
+export function reencryptGoogleTokens(secret) {
+  const accounts = accountStore.values().filter(account => account.google?.tokens);
+  const key = accounts.length ? deriveKey(secret) : null;
+  const resealed = accounts.map(account => ({
+    ...account,
+    google: { ...account.google, tokens: encryptJson(decryptJson(account.google.tokens), key) }
+  }));
+  return () => {
+    for (const account of resealed) {
+      accountStore.set(account.id, account);
+    }
+    if (resealed.length) logger.info(`Re-encrypted the Google tokens of ${resealed.length} account(s)`);
+  };
+}
+
+// Changing TOKEN_ENCRYPTION_KEY through the vault must not lock the stored tokens away
+onCredentialChange('TOKEN_ENCRYPTION_KEY', reencryptGoogleTokens);
+
+/**
+ * Start a session for an account
+ * @param {string} accountId - Account ID
+ * @returns {Object} - { token, expiresAt }; only the token's hash is stored
+ */
+export function createSession(accountId) {
+  const token = randomBytes(32).toString('base64url');
+  const days = parseInt(process.env.SESSION_TTL_DAYS, 10) || DEFAULT_SESSION_TTL_DAYS;
+  const session = {
+    hash: hashToken(token),
+    accountId,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString()
+  };
+  sessionStore.set(session.hash, session);
+  return { token, expiresAt: session.expiresAt };
+}
+
+/**
+ * Find the account a session token belongs to
+ * @param {string} token - Session token
+ * @returns {Object|null} - Stored account, or null for an unknown or expired session
+ */
+export function getSessionAccount(token) {
+  if (!token) return null;
+  const hash = hashToken(token);
+  const session = sessionStore.get(hash);
+  if (!session) return null;
+  if (session.expiresAt <= new Date().toISOString() || !accountStore.has(session.accountId)) {
+    sessionStore.delete(hash);
+    return null;
+  }
+  return accountStore.get(session.accountId);
+}
+
+/**
+ * End a session
+ * @param {string} token - Session token
+ */
+export function deleteSession(token) {
+  if (token) sessionStore.delete(hashToken(token));
+}
+
+export default {
+  publicAccount,
+  saveGoogleAccount,
+  getAccount,
+  hasAccount,
+  listAccounts,
+  deleteAccount,
+  getGoogleTokens,
+  setGoogleTokens,
+  reencryptGoogleTokens,
+  createSession,
+  getSessionAccount,
+  deleteSession
+};
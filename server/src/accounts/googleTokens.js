@@ -0,0 +1,110 @@
+// src/accounts/googleTokens.js
+// Hands out valid Google access tokens for a user, refreshing them when they
+// are about to expire and storing the refresh token Google rotates in.
+import logger from '../logger.js';
+import googleAuthService from '../services/googleAuthService.js';
+import { getCredential, isVaultEnabled, setCredential } from '../credentialVault.js';
+import { getGoogleTokens, setGoogleTokens } from './accountStore.js';
+
+// Refresh a little before Google would reject the token
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+// Refreshes in progress by user, so concurrent requests share one
+const refreshing = new Map();
+// Access token refreshed from GOOGLE_PHOTOS_REFRESH_TOKEN, for callers without an account
+let envToken = null;
+
+const isFresh = expiresAt => !expiresAt || new Date(expiresAt).getTime() - EXPIRY_MARGIN_MS > Date.now();
+
+/**
+ * Run a refresh unless one is already running for the same user
+ * @param {string} key - User ID, or 'env'
+ * @param {Function} refresh - Async refresh returning the access token
+ * @returns {Promise<string|null>} - Access token
+ */
+const refreshOnce = (key, refresh) => {
+  if (!refreshing.has(key)) {
+    refreshing.set(key, refresh().finally(() => refreshing.delete(key)));
+  }
+  return refreshing.get(key);
+};
+
+/**
+ * Whether Google refused a refresh token for good (revoked or expired)
+ * @param {Error} error - Refresh error
+ * @returns {boolean} - True for invalid_grant
+ */
+const isRevoked = error => error.response?.data?.error === 'invalid_grant' || /invalid_grant/.test(error.message);
+
+/**
+ * Access token from the credential vault or environment
+ * (GOOGLE_PHOTOS_REFRESH_TOKEN, or a fixed GOOGLE_PHOTOS_ACCESS_TOKEN), for
+ * single-user setups. A rotated refresh token is stored in the vault if
+ * there is one.
+ * @returns {Promise<string|null>} - Access token, or null if none is configured
+ */
+async function getEnvAccessToken() {
+  const refreshToken = getCredential('GOOGLE_PHOTOS_REFRESH_TOKEN');
+  if (!refreshToken) {
+    return getCredential('GOOGLE_PHOTOS_ACCESS_TOKEN');
+  }
+  if (envToken && isFresh(envToken.expiresAt)) {
+    return envToken.accessToken;
+  }
+  return refreshOnce('env', async () => {
+    const refreshed = await googleAuthService.refreshAccessToken(refreshToken);
+    envToken = { accessToken: refreshed.access_token, expiresAt: refreshed.expires_at };
+    logger.info('Refreshed the Google Photos access token from GOOGLE_PHOTOS_REFRESH_TOKEN');
+    if (refreshed.refresh_token) {
+      if (isVaultEnabled()) {
+        setCredential('GOOGLE_PHOTOS_REFRESH_TOKEN', refreshed.refresh_token);
+      } else {
+        logger.warn('Google rotated GOOGLE_PHOTOS_REFRESH_TOKEN; set VAULT_MASTER_KEY so the new one can be kept');
+      }
+    }
+    return envToken.accessToken;
+  });
+}
+
+/**
+ * Get a valid Google access token for a user. An expired token is refreshed
+ * and stored; a refresh token that Google rotates replaces the stored one.
+ * Without a user, the tokens in the environment are used.
+ * @param {string} [userId] - Account ID of the calling user
+ * @returns {Promise<string|null>} - Access token, or null if the user has not connected Google (or revoked access)
+ * @throws {Error} - With status 404 for an unknown account, or the refresh error
+ */
+export async function getGoogleAccessToken(userId) {
+  if (!userId) {
+    return getEnvAccessToken();
+  }
+  const tokens = getGoogleTokens(userId);
+  if (!tokens) return null;
+  if (tokens.accessToken && isFresh(tokens.expiresAt)) {
+    return tokens.accessToken;
+  }
+  if (!tokens.refreshToken) return null;
+
+  return refreshOnce(userId, async () => {
+    try {
+      const refreshed = await googleAuthService.refreshAccessToken(tokens.refreshToken);
+      setGoogleTokens(userId, {
+        accessToken: refreshed.access_token,
+        refreshToken: refreshed.refresh_token || tokens.refreshToken,
+        expiresAt: refreshed.expires_at ? new Date(refreshed.expires_at).toISOString() : null
+      });
+      if (refreshed.refresh_token && refreshed.refresh_token !== tokens.refreshToken) {
+        logger.info(`Stored the rotated Google refresh token of account ${userId}`);
+      }
+      return refreshed.access_token;
+    } catch (error) {
+      if (!isRevoked(error)) throw error;
+      // The user has to sign in again; until then their photos are not available
+      setGoogleTokens(userId, null);
+      logger.warn(`Google access of account ${userId} was revoked; disconnected it`);
+      return null;
+    }
+  });
+}
+
+export default { getGoogleAccessToken };
@@ -0,0 +1,77 @@
+// src/accounts/tokenCipher.js
+// Encrypts secrets (OAuth tokens) before they are stored, with AES-256-GCM
+// under a key derived from TOKEN_ENCRYPTION_KEY (or a key of the caller's).
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { getCredential } from '../credentialVault.js';
+import { httpError } from '../httpError.js';
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+/**
+ * Derive an encryption key from a TOKEN_ENCRYPTION_KEY value
+ * @param {string|null} secret - TOKEN_ENCRYPTION_KEY value
+ * @returns {Buffer} - 32-byte key
+ * @throws {Error} - With status 503 if the secret is empty
+ */
+export function deriveKey(secret) {
+  if (!secret) {
+    throw httpError('TOKEN_ENCRYPTION_KEY must be set to store Google tokens.', 503);
+  }
+  return createHash('sha256').update(secret).digest();
+}
+
+/**
+ * The encryption key, derived from TOKEN_ENCRYPTION_KEY
+ * @returns {Buffer} - 32-byte key
+ * @throws {Error} - With status 503 if TOKEN_ENCRYPTION_KEY is not set
+ */
+const encryptionKey = () => deriveKey(getCredential('TOKEN_ENCRYPTION_KEY'));
+
+/**
+ * Whether secrets can be encrypted
+ * @returns {boolean} - True when TOKEN_ENCRYPTION_KEY is set
+ */
+export function canEncrypt() {
+  return Boolean(getCredential('TOKEN_ENCRYPTION_KEY'));
+}
+
+/**
+ * Encrypt a JSON value
+ * @param {*} value - Value to encrypt
+ * @param {Buffer} [key] - 32-byte key (default: derived from TOKEN_ENCRYPTION_KEY)
+ * @returns {string} - "v1:<iv>:<auth tag>:<ciphertext>", base64url encoded
+ * @throws {Error} - With status 503 if no key is configured
+ */
+export function encryptJson(value, key = encryptionKey()) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+}
+
+/**
+ * Decrypt a value encrypted by encryptJson
+ * @param {string} sealed - Encrypted value
+ * @param {Buffer} [key] - 32-byte key it was encrypted with (default: derived from TOKEN_ENCRYPTION_KEY)
+ * @returns {*} - The value
+ * @throws {Error} - With status 503 if no key is configured, 500 if the value was not encrypted with this key
+ */
+export function decryptJson(sealed, key) {
+  const [version, iv, tag, ciphertext] = String(sealed).split(':');
+  if (version !== VERSION || !ciphertext) {
+    throw httpError('Unreadable encrypted value.', 500);
+  }
+  const decipher = createDecipheriv(ALGORITHM, key || encryptionKey(), Buffer.from(iv, 'base64url'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  try {
+    const plaintext = Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]);
+    return JSON.parse(plaintext.toString('utf8'));
+  } catch {
+    throw httpError('Encrypted value could not be decrypted; was TOKEN_ENCRYPTION_KEY changed?', 500);
+  }
+}
+
+export default { canEncrypt, deriveKey, encryptJson, decryptJson };
@@ -0,0 +1,123 @@
+// src/adminRouter.js
+import express from 'express';
+import logger from './logger.js';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import registry from './registry.js';
+import { getCapabilityStrategy } from './loadBalancer.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
+import {
+  listCredentials, setCredential, rotateCredential, deleteCredential, isVaultEnabled
+} from './credentialVault.js';
+
+const router = express.Router();
+
+// Admin routes use their own key, separate from registration and messaging keys
+router.use(apiKeyAuth('ADMIN_API_KEYS'));
+
+/**
+ * Attach runtime request statistics to an agent record
+ * @param {Object} agent - Agent with computed status
+ * @returns {Object} - Agent including its stats
+ */
+const withStats = (agent) => ({
+  ...agent,
+  stats: { ...registry.getAgentStats(agent.agentId) }
+});
+
+/**
+ * List all registered agents with their health and request statistics
+ */
+router.get('/agents', (req, res) => {
+  const agents = registry.listAgents().map(withStats);
+  res.json({ count: agents.length, agents });
+});
+
+/**
+ * Get a single agent by id
+ */
+router.get('/agents/:agentId', (req, res) => {
+  const agent = registry.listAgents().find(a => a.agentId === req.params.agentId);
+  if (!agent) {
+    return res.status(404).json({ error: `Agent ${req.params.agentId} is not registered.` });
+  }
+  res.json(withStats(agent));
+});
+
+/**
+ * Deregister a single agent
+ */
+router.delete('/agents/:agentId', (req, res) => {
+  const { agentId } = req.params;
+  if (!registry.deregisterAgent(agentId)) {
+    return res.status(404).json({ error: `Agent ${agentId} is not registered.` });
+  }
+  logger.info(`Agent ${agentId} removed by admin request`);
+  res.json({ message: 'Agent deregistered successfully', agentId });
+});
+
+/**
+ * Remove every agent from the registry
+ */
+router.delete('/agents', (req, res) => {
+  const removed = registry.listAgents().length;
+  registry.clearRegistry();
+  logger.warn(`Registry cleared by admin request (${removed} agent(s) removed)`);
+  res.json({ message: 'Registry cleared', removed });
+});
+
+/**
+ * List every capability with the agents providing it and its load-balancing strategy
+ */
+router.get('/capabilities', (req, res) => {
+  const capabilities = registry.listCapabilities().map(capability => ({
+    ...capability,
+    strategy: getCapabilityStrategy(capability.name)
+  }));
+  res.json({ count: capabilities.length, capabilities });
+});
+
+/**
+ * List the credentials the server reads and whether each comes from the vault
+ * or the environment. Values are never returned.
+ */
+router.get('/credentials', (req, res) => {
+  res.json({ vault: isVaultEnabled(), credentials: listCredentials() });
+});
+
+/**
+ * Store a credential in the vault
+ */
+router.put('/credentials/:name', validateSchema(getSchema('credential')), (req, res) => {
+  try {
+    res.json(setCredential(req.params.name, req.body.value));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rotate a credential: store a new value (or a generated key, returned once)
+ * and keep the old one valid for graceMs
+ */
+router.post('/credentials/:name/rotate', validateSchema(getSchema('credential-rotate')), (req, res) => {
+  try {
+    res.json(rotateCredential(req.params.name, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Remove a credential from the vault, so the environment variable applies again
+ */
+router.delete('/credentials/:name', (req, res) => {
+  try {
+    deleteCredential(req.params.name);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
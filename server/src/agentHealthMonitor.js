@@ -0,0 +1,87 @@
+// src/agentHealthMonitor.js
+import axios from 'axios';
+import logger from './logger.js';
+import { listAgents, recordProbeResult, evictExpiredAgents } from './registry.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 30000;
+const DEFAULT_PROBE_TIMEOUT_MS = 5000;
+
+let monitorTimer = null;
+
+/**
+ * Probe an agent's `healthEndpoint` to check that it is healthy. Only a 2xx
+ * response counts: a 401 or 404 means the URL does not serve the agent.
+ * Agents without a `healthEndpoint` are not probed, since their message
+ * endpoint only takes POSTs; their heartbeats alone keep them routable.
+ * @param {Object} agent - Registered agent
+ * @returns {Promise<boolean|null>} - Whether the agent answered with a 2xx status, or null if it has no health endpoint
+ */
+export async function probeAgent(agent) {
+  if (!agent.healthEndpoint) {
+    return null;
+  }
+  const timeout = parseInt(process.env.AGENT_PROBE_TIMEOUT_MS, 10) || DEFAULT_PROBE_TIMEOUT_MS;
+  try {
+    await axios.get(agent.healthEndpoint, { timeout });
+    recordProbeResult(agent.agentId, true);
+    return true;
+  } catch (error) {
+    const reason = error.response ? `status ${error.response.status}` : error.message;
+    recordProbeResult(agent.agentId, false, reason);
+    return false;
+  }
+}
+
+/**
+ * Probe every registered agent that has a health endpoint, then evict the
+ * ones that have expired
+ * @returns {Promise<Object>} - Counts of healthy and failing probed agents plus evicted IDs
+ */
+export async function runHealthChecks() {
+  const agents = listAgents().filter(agent => agent.healthEndpoint);
+  const results = await Promise.all(agents.map(agent => probeAgent(agent)));
+  const evicted = evictExpiredAgents();
+  const healthy = results.filter(Boolean).length;
+  logger.debug(`Health check complete: ${healthy}/${agents.length} probed agents reachable`);
+  return { healthy, failing: agents.length - healthy, evicted };
+}
+
+/**
+ * Start probing agents on an interval (AGENT_HEALTH_CHECK_INTERVAL_MS, 0 disables)
+ * @returns {Object|null} - The interval handle or null when disabled
+ */
+export function startHealthMonitor() {
+  const configured = parseInt(process.env.AGENT_HEALTH_CHECK_INTERVAL_MS, 10);
+  const interval = Number.isFinite(configured) ? configured : DEFAULT_CHECK_INTERVAL_MS;
+  if (interval <= 0) {
+    logger.info('Agent health monitor disabled');
+    return null;
+  }
+  if (monitorTimer) {
+    return monitorTimer;
+  }
+
+  monitorTimer = setInterval(() => {
+    runHealthChecks().catch(error => logger.error('Agent health check failed:', error.message));
+  }, interval);
+  monitorTimer.unref();
+  logger.info(`Agent health monitor running every ${interval}ms`);
+  return monitorTimer;
+}
+
+/**
+ * Stop the periodic health checks
+ */
+export function stopHealthMonitor() {
+  if (monitorTimer) {
+    clearInterval(monitorTimer);
+    monitorTimer = null;
+  }
+}
+
+export default {
+  probeAgent,
+  runHealthChecks,
+  startHealthMonitor,
+  stopHealthMonitor
+};
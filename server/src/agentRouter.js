@@ -1,9 +1,19 @@
 import express from 'express';
 import axios from 'axios';
+import { randomUUID } from 'crypto';
 import logger from './logger.js';
 import { apiKeyAuth } from './middleware/apiKeyAuth.js';
-import { validateSchema } from './middleware/validation.js';
-import { getAgentByCapability, getAgentEndpoint } from './registry.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
+import { dispatchWithFailover } from './services/agentDispatchService.js';
+import { getPromptTemplate, renderPromptTemplate } from './promptTemplates.js';
+import { resolveStyle, styleToPromptVariables } from './stylePresets.js';
+import {
+  resolveLocale, getLanguageName, translate, formatDate, formatTemperature, usesImperialUnits
+} from './i18n.js';
+import { sanitizeHtml } from './htmlSanitizer.js';
+import { createPost, sectionsFromText, renderPost } from './post/index.js';
+import { saveDraft, generationInputs, hasSavedPost } from './post/postStore.js';
 
 // Import service modules
 import * as photoService from './services/photoService.js';
@@ -13,18 +23,18 @@ import { getWeatherData } from './services/weatherService.js';
 const router = express.Router();
 
 // Apply authentication middleware to all agent routes
-router.use(apiKeyAuth);
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
 
 /**
  * Forwards a blog-writing request to the Flask Gemini agent and returns the response.
  * @param {string} text - The blog note to send.
- * @returns {Promise<string>} - The generated blog post.
+ * @returns {Promise<string>} - The generated blog post, sanitized.
  */
 async function routeBlogWriting(text) {
   try {
     const response = await axios.post('http://localhost:5000/callback', { payload: { text } });
     if (response.data && response.data.blog_post) {
-      return response.data.blog_post;
+      return sanitizeHtml(response.data.blog_post);
     }
     throw new Error('No blog_post in response from agent.');
   } catch (err) {
@@ -33,6 +43,39 @@ async function routeBlogWriting(text) {
   }
 }
 
+/**
+ * Describe photos for the blog prompt
+ * @param {Array} photos - Photo objects with description, people and location
+ * @returns {string} - Text for the prompt's photos variable (empty when there are no photos)
+ */
+function describePhotos(photos = []) {
+  if (!photos || photos.length === 0) return '';
+  return [
+    `I took ${photos.length} photos today.`,
+    ...photos.map(photo => [
+      photo.description,
+      photo.people && photo.people.length > 0 ? `People in this photo: ${photo.people.join(', ')}` : '',
+      photo.location ? `Location: ${photo.location}` : ''
+    ].filter(Boolean).join(' '))
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Describe current weather and forecast for the blog prompt
+ * @param {Object} weather - Formatted weather with current conditions and optional forecast
+ * @returns {string} - Text for the prompt's weather variable (empty when there is no weather)
+ */
+function describeWeather(weather) {
+  if (!weather) return '';
+  const { current, forecast } = weather;
+  return [
+    `Currently ${current.temperature}, ${current.conditions}.`,
+    current.feelsLike ? `Feels like ${current.feelsLike}.` : '',
+    current.humidity ? `Humidity: ${current.humidity}.` : '',
+    forecast ? `Weather forecast:\n${forecast.map(day => `${day.day}: High ${day.high}, Low ${day.low}, ${day.conditions}`).join('\n')}` : ''
+  ].filter(Boolean).join('\n');
+}
+
 /**
  * Generates an enhanced blog with rich context including photos, location, weather, and more.
  * @param {Object} enhancedContext - Rich context for blog generation
@@ -42,7 +85,10 @@ async function routeBlogWriting(text) {
  * @param {string} enhancedContext.location - Location name
  * @param {Object} enhancedContext.weather - Weather data including current conditions and forecast
  * @param {Array} enhancedContext.news - News topics to include
- * @returns {Promise<Object>} - The generated blog with HTML content
+ * @param {string} [enhancedContext.promptTemplate] - Prompt template id (defaults to daily-journal)
+ * @param {Object} enhancedContext.style - Resolved writing style (see stylePresets.js)
+ * @param {string} enhancedContext.locale - Resolved locale for the headings and prose
+ * @returns {Promise<Object>} - The generated post (see post/postModel.js), its HTML and the raw text
  */
 async function generateBlog(enhancedContext) {
   try {
@@ -80,29 +126,16 @@ async function generateBlog(enhancedContext) {
     }
     
     // Prepare prompt for the blog generation
-    const promptText = `Write a detailed blog post about my day based on the following information:\n
-      Topic or Notes: ${formattedContext.topic || 'My day today'}\n
-      Date: ${formattedContext.date}\n
-      ${formattedContext.location ? `Location: ${formattedContext.location}\n` : ''}\n
-      ${formattedContext.photos && formattedContext.photos.length > 0 ?
-        `Photos: I took ${formattedContext.photos.length} photos today. 
-        ${formattedContext.photos.map(photo => 
-          `${photo.description ? photo.description : ''}
-          ${photo.people && photo.people.length > 0 ? `People in this photo: ${photo.people.join(', ')}` : ''}
-          ${photo.location ? `Location: ${photo.location}` : ''}`
-        ).join('\n')}` : ''}\n
-      ${formattedContext.weather ? 
-        `Weather: Currently ${formattedContext.weather.current.temperature}, ${formattedContext.weather.current.conditions}.
-        ${formattedContext.weather.current.feelsLike ? `Feels like ${formattedContext.weather.current.feelsLike}.` : ''}
-        ${formattedContext.weather.current.humidity ? `Humidity: ${formattedContext.weather.current.humidity}.` : ''}
-        ${formattedContext.weather.forecast ? 
-          `Weather forecast: 
-          ${formattedContext.weather.forecast.map(day => 
-            `${day.day}: High ${day.high}, Low ${day.low}, ${day.conditions}`
-          ).join('\n')}` : ''}` : ''}\n
-      ${formattedContext.newsTopics && formattedContext.newsTopics.length > 0 ?
-        `News topics of interest: ${formattedContext.newsTopics.join(', ')}` : ''}
-    `;
+    const promptText = renderPromptTemplate(enhancedContext.promptTemplate || 'daily-journal', {
+      ...styleToPromptVariables(enhancedContext.style),
+      language: getLanguageName(enhancedContext.locale),
+      topic: formattedContext.topic || 'My day today',
+      date: formattedContext.date,
+      location: formattedContext.location,
+      photos: describePhotos(formattedContext.photos),
+      weather: describeWeather(formattedContext.weather),
+      news: formattedContext.newsTopics?.join(', ')
+    });
     
     // Call the blog generation API
     const response = await axios.post('http://localhost:5000/callback', { 
@@ -110,13 +143,33 @@ async function generateBlog(enhancedContext) {
     });
     
     if (response.data && response.data.blog_post) {
-      // Format blog post as HTML
-      const blogHtml = formatBlogAsHtml(response.data.blog_post, enhancedContext);
+      const post = createPost({
+        title: translate('myDay', enhancedContext.locale),
+        date: enhancedContext.date,
+        location: enhancedContext.location,
+        locale: enhancedContext.locale,
+        sections: sectionsFromText(response.data.blog_post),
+        weather: formattedContext.weather,
+        photos: {
+          items: (formattedContext.photos || []).map(photo => ({
+            caption: photo.description || null,
+            url: photo.url || null,
+            location: photo.location,
+            people: photo.people
+          }))
+        },
+        metadata: {
+          generator: 'daily-journal',
+          promptTemplate: enhancedContext.promptTemplate || 'daily-journal',
+          style: enhancedContext.style.name
+        }
+      });
       
       return {
         success: true,
-        blog_content: blogHtml,
-        raw_content: response.data.blog_post
+        blog_content: renderPost(post, 'html'),
+        raw_content: response.data.blog_post,
+        post
       };
     }
     
@@ -127,71 +180,21 @@ async function generateBlog(enhancedContext) {
   }
 }
 
-/**
- * Formats a plain text blog post as HTML with enhanced styling
- * @param {string} blogText - The raw blog text
- * @param {Object} context - The context used to generate the blog
- * @returns {string} - Formatted HTML
- */
-function formatBlogAsHtml(blogText, context) {
-  // Split into paragraphs
-  const paragraphs = blogText.split('\n\n').filter(p => p.trim());
-  
-  // Format with basic HTML
-  let html = '';
-  
-  // Add header with date and location
-  html += `<h1>My Day - ${context.date}</h1>`;
-  if (context.location) {
-    html += `<h2>Location: ${context.location}</h2>`;
-  }
-  
-  // Add weather section if available
-  if (context.weather) {
-    html += `<div class="weather-section">`;
-    html += `<h3>Weather</h3>`;
-    html += `<p>Currently ${context.weather.current.temperature}, ${context.weather.current.conditions}</p>`;
-    
-    // Add forecast if available
-    if (context.weather.forecast && context.weather.forecast.length > 0) {
-      html += `<div class="forecast">`;
-      html += `<h4>Forecast</h4>`;
-      html += `<ul>`;
-      context.weather.forecast.forEach(day => {
-        html += `<li>${day.day}: High ${day.high}, Low ${day.low}, ${day.conditions}</li>`;
-      });
-      html += `</ul>`;
-      html += `</div>`;
-    }
-    
-    html += `</div>`;
-  }
-  
-  // Add blog content
-  html += `<div class="blog-content">`;
-  paragraphs.forEach(paragraph => {
-    // Check if paragraph is a header (starts with # or ##)
-    if (paragraph.startsWith('# ')) {
-      html += `<h2>${paragraph.substring(2)}</h2>`;
-    } else if (paragraph.startsWith('## ')) {
-      html += `<h3>${paragraph.substring(3)}</h3>`;
-    } else {
-      html += `<p>${paragraph}</p>`;
-    }
-  });
-  html += `</div>`;
-  
-  return html;
-}
-
 /**
  * Route for generating enhanced blog posts
  */
-router.post('/generate-blog', validateSchema('message'), async (req, res) => {
+router.post('/generate-blog', validateSchema(getSchema('blog-generation')), async (req, res) => {
   try {
     const { text, enhanceOptions = {} } = req.body;
     logger.info('Received blog generation request', { enhanceOptions });
     
+    let locale;
+    try {
+      locale = resolveLocale(req.body.locale);
+    } catch (localeError) {
+      return res.status(400).json({ success: false, error: localeError.message });
+    }
+    
     // Generate blog post using the Gemini agent
     const blogPost = await routeBlogWriting(text);
     
@@ -200,17 +203,17 @@ router.post('/generate-blog', validateSchema('message'), async (req, res) => {
     let metadata = {};
     
     if (enhanceOptions.includePhotos) {
-      const photos = await photoService.getTodaysPhotos();
+      const photos = await photoService.getTodaysPhotos({ locale, userId: req.user?.id });
       metadata.photos = photos;
     }
     
     if (enhanceOptions.smartTitle) {
-      const title = await titleService.generateSmartTitle(blogPost);
+      const title = await titleService.generateSmartTitle(blogPost, {}, { locale });
       metadata.title = title;
     }
     
     if (enhanceOptions.includeWeather && req.body.location) {
-      const weatherData = await getWeatherData(req.body.location);
+      const weatherData = await getWeatherData(req.body.location, { locale });
       metadata.weather = weatherData;
     }
     
@@ -228,10 +231,25 @@ router.post('/generate-blog', validateSchema('message'), async (req, res) => {
   }
 });
 
+/**
+ * Wrap the raw capability payload in a message envelope so it is validated
+ * against the same message schema as /api/message
+ * @param {Object} req - Express request
+ * @returns {Object} - The message envelope (also stored on req.message)
+ */
+const toCapabilityMessage = (req) => {
+  req.message = {
+    messageId: randomUUID(),
+    capability: req.params.name,
+    payload: req.body
+  };
+  return req.message;
+};
+
 /**
  * Route for dynamically calling agent capabilities based on capability name
  */
-router.post('/capability/:name', validateSchema('message'), async (req, res) => {
+router.post('/capability/:name', validateSchema(getSchema('message'), toCapabilityMessage), async (req, res) => {
   try {
     const { name } = req.params;
     const payload = req.body;
@@ -241,7 +259,7 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
     // Handle direct capabilities without agent forwarding
     if (name === 'todays-photos') {
       logger.info('Handling todays-photos capability directly');
-      const photos = await photoService.getTodaysPhotos();
+      const photos = await photoService.getTodaysPhotos({ locale: resolveLocale(payload.locale), userId: req.user?.id });
       return res.json(photos);
     }
     
@@ -258,7 +276,7 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
         }
         
         // Call weather service
-        const weatherData = await getWeatherData({ latitude, longitude });
+        const weatherData = await getWeatherData({ latitude, longitude }, { locale: resolveLocale(payload.locale) });
         
         logger.info(`Weather data obtained for ${latitude}, ${longitude}. Forecast days: ${weatherData.forecast?.length || 0}`);
         
@@ -277,7 +295,7 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
         
       } catch (error) {
         logger.error('Error in get-weather capability:', error);
-        return res.status(500).json({
+        return res.status(error.status || 500).json({
           success: false,
           error: error.message
         });
@@ -294,18 +312,35 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
           selectedPhotos = [],
           locationData = {},
           weatherData = {},
-          newsTopics = []
+          newsTopics = [],
+          promptTemplate,
+          style,
+          locale: requestedLocale,
+          postId
         } = req.body;
         
+        if (promptTemplate && !getPromptTemplate(promptTemplate)) {
+          return res.status(400).json({ error: `Unknown prompt template "${promptTemplate}".` });
+        }
+        if (postId && !hasSavedPost(postId)) {
+          return res.status(404).json({ error: `Post ${postId} not found.` });
+        }
+        let resolvedStyle;
+        let locale;
+        try {
+          resolvedStyle = resolveStyle(style);
+          locale = resolveLocale(requestedLocale);
+        } catch (optionError) {
+          return res.status(400).json({ error: optionError.message });
+        }
+        const unit = weatherData?.unit || '°C';
+        const temperature = value => formatTemperature(value, unit, locale);
+        const windSpeed = kmh => (usesImperialUnits(locale) ? `${Math.round(kmh / 1.609)} mph` : `${kmh} km/h`);
+        
         // Construct a rich context for the blog
         const enhancedContext = {
           topic,
-          date: new Date().toLocaleDateString('en-US', { 
-            weekday: 'long', 
-            year: 'numeric', 
-            month: 'long', 
-            day: 'numeric' 
-          }),
+          date: formatDate(new Date(), locale),
           photos: selectedPhotos.map(photo => ({
             url: photo.url,
             location: photo.analysis?.location?.locationName || locationData?.name || null,
@@ -313,22 +348,25 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
             description: photo.analysis?.description || ''
           })),
           location: locationData.name || null,
-          weather: weatherData ? {
+          weather: weatherData && (weatherData.temperature !== undefined || weatherData.conditions) ? {
             current: {
-              temperature: `${weatherData.temperature}${weatherData.unit || '°C'}`,
+              temperature: temperature(weatherData.temperature),
               conditions: weatherData.conditions || 'Unknown',
-              feelsLike: weatherData.feelsLike ? `${weatherData.feelsLike}${weatherData.unit || '°C'}` : null,
+              feelsLike: weatherData.feelsLike ? temperature(weatherData.feelsLike) : null,
               humidity: weatherData.humidity ? `${weatherData.humidity}%` : null,
-              windSpeed: weatherData.windSpeed ? `${weatherData.windSpeed} km/h` : null,
+              windSpeed: weatherData.windSpeed ? windSpeed(weatherData.windSpeed) : null,
             },
             forecast: weatherData.forecast ? weatherData.forecast.map(day => ({
               day: day.day,
-              high: `${day.high}${weatherData.unit || '°C'}`,
-              low: `${day.low}${weatherData.unit || '°C'}`,
+              high: temperature(day.high),
+              low: temperature(day.low),
               conditions: day.conditions
             })) : null
           } : null,
-          news: newsTopics
+          news: newsTopics,
+          promptTemplate,
+          style: resolvedStyle,
+          locale
         };
         
         logger.info(`Enhanced blog context: ${JSON.stringify({ 
@@ -341,8 +379,23 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
         // Call the blog generation service
         const blogResult = await generateBlog(enhancedContext);
         
+        // Keep the post in the history, as a draft or a new revision of the post being regenerated
+        const inputs = generationInputs({
+          notes: topic,
+          photos: selectedPhotos,
+          weather: weatherData,
+          location: locationData,
+          news: newsTopics,
+          promptTemplate: blogResult.post?.metadata?.promptTemplate,
+          style,
+          locale
+        });
+        const saved = blogResult.post
+          ? saveDraft(blogResult.post, { capability: name, messageId: req.message.messageId }, { inputs, postId })
+          : null;
+        
         // Return the generated blog
-        return res.json(blogResult);
+        return res.json({ ...blogResult, ...(saved ? { postId: saved.id, revision: saved.revision } : {}) });
       } catch (error) {
         logger.error(`Error in enhanced-blog-writing capability: ${error.message}`);
         return res.status(500).json({ 
@@ -352,33 +405,27 @@ router.post('/capability/:name', validateSchema('message'), async (req, res) =>
       }
     }
     
-    // For other capabilities, use the agent registry
-    const agent = getAgentByCapability(name);
-    
-    if (!agent) {
-      return res.status(404).json({
+    // For other capabilities, route through the agent registry (with failover)
+    try {
+      const { agentId, result } = await dispatchWithFailover(req.message);
+      
+      res.json({
+        success: true,
+        agentId,
+        result
+      });
+    } catch (dispatchError) {
+      res.status(dispatchError.status || 502).json({
         success: false,
-        error: `No agent registered for capability: ${name}`
+        agentId: dispatchError.agentId,
+        error: dispatchError.message,
+        ...(dispatchError.details ? { details: dispatchError.details } : {})
       });
     }
     
-    // Get the endpoint for the agent
-    const endpoint = getAgentEndpoint(agent.id);
-    
-    // Forward the request to the agent
-    const response = await axios.post(endpoint, {
-      capability: name,
-      payload
-    });
-    
-    res.json({
-      success: true,
-      result: response.data
-    });
-    
   } catch (error) {
     logger.error(`Error invoking capability:`, error);
-    res.status(500).json({
+    res.status(error.status || 500).json({
       success: false,
       error: error.message
     });
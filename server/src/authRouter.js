@@ -1,17 +1,50 @@
 // src/authRouter.js
 import express from 'express';
+import { randomBytes } from 'crypto';
 import logger from './logger.js';
 import * as googleAuthService from './services/googleAuthService.js';
+import { escapeHtml } from './htmlSanitizer.js';
+import {
+  publicAccount, saveGoogleAccount, deleteAccount, createSession, deleteSession
+} from './accounts/accountStore.js';
+import { SESSION_COOKIE, sessionToken, requireUser } from './middleware/userSession.js';
 
 const router = express.Router();
 
+// How long a sign-in started with /google can be completed
+const STATE_TTL_MS = 10 * 60 * 1000;
+// OAuth state values handed out, against forged callbacks
+const pendingStates = new Map();
+
+/**
+ * Use up an OAuth state value
+ * @param {string} state - State from the callback
+ * @returns {boolean} - Whether it was handed out by /google and has not expired
+ */
+const takeState = (state) => {
+  const expiresAt = pendingStates.get(state);
+  pendingStates.delete(state);
+  for (const [pending, expiry] of pendingStates) {
+    if (expiry < Date.now()) pendingStates.delete(pending);
+  }
+  return Boolean(expiresAt && expiresAt >= Date.now());
+};
+
+/**
+ * Cookie options of the session cookie
+ * @param {Object} req - Express request
+ * @returns {Object} - Options for res.cookie / res.clearCookie
+ */
+const cookieOptions = (req) => ({ httpOnly: true, sameSite: 'lax', secure: req.secure, path: '/' });
+
 /**
  * Route to begin Google OAuth flow
  */
 router.get('/google', (req, res) => {
   try {
-    const authUrl = googleAuthService.getAuthUrl();
-    res.redirect(authUrl);
+    const state = randomBytes(16).toString('base64url');
+    pendingStates.set(state, Date.now() + STATE_TTL_MS);
+    res.redirect(googleAuthService.getAuthUrl({ state }));
   } catch (error) {
     logger.error('Error starting Google auth flow:', error);
     res.status(500).json({ error: 'Authentication failed to start' });
@@ -19,40 +52,66 @@ router.get('/google', (req, res) => {
 });
 
 /**
- * OAuth callback route
+ * OAuth callback route: creates or updates the user's account, stores their
+ * tokens encrypted and signs them in with a session cookie
  */
 router.get('/google/callback', async (req, res) => {
   try {
-    const { code } = req.query;
-    
+    const { code, state } = req.query;
+
     if (!code) {
       return res.status(400).json({ error: 'Authorization code missing' });
     }
-    
+    if (!takeState(state)) {
+      return res.status(400).json({ error: 'Sign-in expired or was not started here. Start again at /api/auth/google.' });
+    }
+
     // Exchange code for tokens
     const { tokens, user } = await googleAuthService.getTokensFromCode(code);
-    
-    // In a real application, you would store these tokens securely
-    // For this demo, we'll show them to be copied to .env file
-    const tokensDisplay = {
-      access_token: tokens.access_token,
-      refresh_token: tokens.refresh_token,
-      expires_at: new Date(tokens.expiry_date).toISOString()
-    };
-    
-    // Render a page showing the tokens (for demo purposes only)
+    const account = saveGoogleAccount(user, tokens);
+    const session = createSession(account.id);
+    res.cookie(SESSION_COOKIE, session.token, { ...cookieOptions(req), expires: new Date(session.expiresAt) });
+
+    if (process.env.CLIENT_URL) {
+      return res.redirect(process.env.CLIENT_URL);
+    }
     res.send(`
-      <h1>Authentication Successful!</h1>
-      <p>Welcome, ${user.name} (${user.email})</p>
-      <h2>Your tokens (copy these to your .env file):</h2>
-      <pre>GOOGLE_PHOTOS_ACCESS_TOKEN=${tokens.access_token}</pre>
-      <pre>GOOGLE_PHOTOS_REFRESH_TOKEN=${tokens.refresh_token}</pre>
-      <p>Access token expires at: ${new Date(tokens.expiry_date).toLocaleString()}</p>
-      <p><strong>Note:</strong> In a production application, tokens should be stored securely.</p>
+      <h1>Signed in</h1>
+      <p>Welcome, ${escapeHtml(account.name)}${account.email ? ` (${escapeHtml(account.email)})` : ''}. Your Google Photos are connected.</p>
+      <p><a href="/">Back to the app</a></p>
     `);
   } catch (error) {
-    logger.error('Error in OAuth callback:', error);
-    res.status(500).json({ error: 'Authentication failed' });
+    logger.error('Error in OAuth callback:', error.message);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Authentication failed' });
+  }
+});
+
+/**
+ * The signed-in user's account (without tokens)
+ */
+router.get('/me', requireUser, (req, res) => {
+  res.json(publicAccount(req.user));
+});
+
+/**
+ * Sign out
+ */
+router.post('/logout', (req, res) => {
+  deleteSession(sessionToken(req));
+  res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+  res.status(204).end();
+});
+
+/**
+ * Delete the signed-in user's account and the Google tokens stored for it
+ */
+router.delete('/me', requireUser, (req, res) => {
+  try {
+    deleteAccount(req.user.id);
+    res.clearCookie(SESSION_COOKIE, cookieOptions(req));
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
 });
 
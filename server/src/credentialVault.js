@@ -0,0 +1,291 @@
+// src/credentialVault.js
+// Third-party credentials and API keys, kept in a file encrypted with
+// AES-256-GCM under a key derived from VAULT_MASTER_KEY. A credential that is
+// not in the vault is read from the environment, so the vault is optional.
+import fs from 'fs';
+import path from 'path';
+import { randomBytes, scryptSync } from 'crypto';
+import logger, { addRedactedValues } from './logger.js';
+import { encryptJson, decryptJson } from './accounts/tokenCipher.js';
+import { httpError } from './httpError.js';
+
+/**
+ * Credentials the server reads through the vault
+ */
+export const VAULT_CREDENTIALS = [
+  'AGENT_REGISTRATION_API_KEYS',
+  'ORCHESTRATOR_OUTBOUND_API_KEYS',
+  'ADMIN_API_KEYS',
+  'GOOGLE_CLIENT_SECRET',
+  'GOOGLE_PHOTOS_ACCESS_TOKEN',
+  'GOOGLE_PHOTOS_REFRESH_TOKEN',
+  'GOOGLE_VISION_API_KEY',
+  'OPENWEATHER_API_KEY',
+  'WEATHERAPI_KEY',
+  'TOKEN_ENCRYPTION_KEY'
+];
+
+// Secrets that stay in the environment but must not show up in logs either
+const OTHER_SECRETS = [
+  'VAULT_MASTER_KEY',
+  'AGENT_OUTBOUND_API_KEY',
+  'GOOGLE_API_KEY',
+  'LLM_API_KEY',
+  'WORDPRESS_APP_PASSWORD',
+  'GHOST_ADMIN_API_KEY',
+  'PUBLISH_WEBHOOK_SECRET'
+];
+
+// How long the previous value of a rotated credential stays valid
+const DEFAULT_ROTATION_GRACE_MS = 60 * 60 * 1000;
+
+// Hooks run before a credential changes, by credential name
+const changeHooks = new Map();
+
+let loaded = false;
+let salt = null;
+// Credentials by name: { value, updatedAt, previous: { value, expiresAt } | null }
+let entries = {};
+
+/**
+ * The vault file: VAULT_FILE, or vault.enc in DATA_DIR
+ * @returns {string} - Absolute path
+ */
+const vaultFile = () => path.resolve(process.env.VAULT_FILE || path.join(process.env.DATA_DIR || './data', 'vault.enc'));
+
+// API key lists are comma-separated; each key is a secret of its own
+const secretParts = value => String(value).split(',').map(part => part.trim()).filter(Boolean);
+
+/**
+ * Whether credentials can be stored in the vault
+ * @returns {boolean} - True when VAULT_MASTER_KEY is set
+ */
+export function isVaultEnabled() {
+  return Boolean(process.env.VAULT_MASTER_KEY);
+}
+
+/**
+ * Key the vault file is encrypted with
+ * @returns {Buffer} - 32-byte key
+ */
+const masterKey = () => scryptSync(process.env.VAULT_MASTER_KEY, salt, 32);
+
+/**
+ * Read the vault file. Done on first use; call it at startup to find out
+ * early about a wrong master key.
+ * @throws {Error} - If the vault file cannot be decrypted with VAULT_MASTER_KEY
+ */
+export function loadVault() {
+  if (loaded) return;
+  loaded = true;
+  for (const name of [...VAULT_CREDENTIALS, ...OTHER_SECRETS]) {
+    if (process.env[name]) addRedactedValues(secretParts(process.env[name]));
+  }
+  if (!isVaultEnabled()) {
+    logger.info('No VAULT_MASTER_KEY set: credentials are read from the environment');
+    return;
+  }
+
+  const file = vaultFile();
+  if (!fs.existsSync(file)) {
+    salt = randomBytes(16);
+    logger.info(`Credential vault ${file} will be created when a credential is stored`);
+    return;
+  }
+  const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+  salt = Buffer.from(stored.salt, 'base64url');
+  try {
+    entries = decryptJson(stored.data, masterKey());
+  } catch {
+    throw httpError(`The credential vault ${file} cannot be opened with VAULT_MASTER_KEY.`, 500);
+  }
+  for (const entry of Object.values(entries)) {
+    addRedactedValues([...secretParts(entry.value), ...(entry.previous ? secretParts(entry.previous.value) : [])]);
+  }
+  logger.info(`Loaded ${Object.keys(entries).length} credential(s) from ${file}`);
+}
+
+/**
+ * Write the vault file, readable only by the server's user
+ */
+const saveVault = () => {
+  const file = vaultFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const temporary = `${file}.tmp`;
+  fs.writeFileSync(temporary, JSON.stringify({
+    version: 1,
+    salt: salt.toString('base64url'),
+    data: encryptJson(entries, masterKey())
+  }), { mode: 0o600 });
+  fs.renameSync(temporary, file);
+};
+
+/**
+ * Let a module prepare for a new value of a credential, e.g. re-encrypt what
+ * was encrypted with it. The hook gets the value the credential will have
+ * (null if none) before anything is saved, and may throw to stop the change.
+ * It returns a function that is called once the vault has been saved.
+ * @param {string} name - Credential name
+ * @param {Function} hook - (newValue) => commit function
+ */
+export function onCredentialChange(name, hook) {
+  changeHooks.set(name, hook);
+}
+
+/**
+ * Replace or remove a credential's vault entry and save the vault. Nothing
+ * changes if the credential's change hook or the write fails.
+ * @param {string} name - Credential name
+ * @param {Object|null} entry - New entry, or null to remove it
+ */
+const changeEntry = (name, entry) => {
+  const commit = changeHooks.get(name)?.(entry ? entry.value : process.env[name] ?? null);
+  const before = entries[name];
+  if (entry) {
+    entries[name] = entry;
+  } else {
+    delete entries[name];
+  }
+  try {
+    saveVault();
+  } catch (error) {
+    if (before) {
+      entries[name] = before;
+    } else {
+      delete entries[name];
+    }
+    throw error;
+  }
+  commit?.();
+};
+
+/**
+ * Check that a credential can be changed in the vault
+ * @param {string} name - Credential name
+ * @throws {Error} - With status 400 for a credential the server does not read, 503 without a vault
+ */
+const checkWritable = (name) => {
+  if (!VAULT_CREDENTIALS.includes(name)) {
+    throw httpError(`Unknown credential "${name}". Use one of: ${VAULT_CREDENTIALS.join(', ')}.`, 400);
+  }
+  if (!isVaultEnabled()) {
+    throw httpError('Set VAULT_MASTER_KEY to store credentials in the vault.', 503);
+  }
+  loadVault();
+};
+
+/**
+ * Describe a credential without its value
+ * @param {string} name - Credential name
+ * @returns {Object} - { name, source: 'vault' | 'environment' | null, updatedAt, previousExpiresAt }
+ */
+const describe = (name) => {
+  const entry = entries[name];
+  return {
+    name,
+    source: entry ? 'vault' : process.env[name] ? 'environment' : null,
+    updatedAt: entry?.updatedAt || null,
+    previousExpiresAt: entry?.previous?.expiresAt || null
+  };
+};
+
+/**
+ * Get a credential: from the vault, or else from the environment variable of the same name
+ * @param {string} name - Credential name, e.g. 'OPENWEATHER_API_KEY'
+ * @returns {string|null} - The value, or null if it is not set
+ */
+export function getCredential(name) {
+  loadVault();
+  return entries[name]?.value ?? process.env[name] ?? null;
+}
+
+/**
+ * Get the values of a credential that are currently valid: the current one
+ * and, shortly after a rotation, the previous one
+ * @param {string} name - Credential name
+ * @returns {Array<string>} - Values, current first
+ */
+export function getCredentialValues(name) {
+  const current = getCredential(name);
+  const previous = entries[name]?.previous;
+  return [
+    ...(current ? [current] : []),
+    ...(previous && previous.expiresAt > new Date().toISOString() ? [previous.value] : [])
+  ];
+}
+
+/**
+ * Store a credential in the vault. It replaces the environment variable.
+ * @param {string} name - Credential name
+ * @param {string} value - New value
+ * @returns {Object} - The credential without its value
+ * @throws {Error} - With status 400 for an unknown credential, 503 without a vault
+ */
+export function setCredential(name, value) {
+  checkWritable(name);
+  changeEntry(name, { value, updatedAt: new Date().toISOString(), previous: null });
+  addRedactedValues(secretParts(value));
+  logger.info(`Stored credential ${name} in the vault`);
+  return describe(name);
+}
+
+/**
+ * Replace a credential, keeping the old value valid for a grace period so
+ * clients using it can switch over
+ * @param {string} name - Credential name
+ * @param {Object} [options] - Rotation options
+ * @param {string} [options.value] - New value (default: a new random key)
+ * @param {number} [options.graceMs=3600000] - How long the old value stays valid
+ * @returns {Object} - The credential with its new `value`
+ * @throws {Error} - With status 400 for an unknown credential, 503 without a vault
+ */
+export function rotateCredential(name, { value = randomBytes(24).toString('base64url'), graceMs = DEFAULT_ROTATION_GRACE_MS } = {}) {
+  checkWritable(name);
+  const current = getCredential(name);
+  changeEntry(name, {
+    value,
+    updatedAt: new Date().toISOString(),
+    previous: current && graceMs > 0
+      ? { value: current, expiresAt: new Date(Date.now() + graceMs).toISOString() }
+      : null
+  });
+  addRedactedValues(secretParts(value));
+  logger.info(`Rotated credential ${name}${entries[name].previous ? `; the old value is valid until ${entries[name].previous.expiresAt}` : ''}`);
+  return { ...describe(name), value };
+}
+
+/**
+ * Remove a credential from the vault; the environment variable applies again
+ * @param {string} name - Credential name
+ * @throws {Error} - With status 404 if it is not in the vault
+ */
+export function deleteCredential(name) {
+  checkWritable(name);
+  if (!entries[name]) {
+    throw httpError(`Credential ${name} is not in the vault.`, 404);
+  }
+  changeEntry(name, null);
+  logger.info(`Removed credential ${name} from the vault`);
+}
+
+/**
+ * List the credentials the server reads and where each comes from
+ * @returns {Array<Object>} - Credentials without their values
+ */
+export function listCredentials() {
+  loadVault();
+  return VAULT_CREDENTIALS.map(describe);
+}
+
+export default {
+  loadVault,
+  isVaultEnabled,
+  onCredentialChange,
+  getCredential,
+  getCredentialValues,
+  setCredential,
+  rotateCredential,
+  deleteCredential,
+  listCredentials,
+  VAULT_CREDENTIALS
+};
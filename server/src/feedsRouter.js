@@ -0,0 +1,79 @@
+// src/feedsRouter.js
+// Public feeds of the published posts, for subscribers. Unlike /api/posts
+// these routes need no API key, and only published posts are visible.
+import express from 'express';
+import logger from './logger.js';
+import { buildFeed, listFeedTags, getFeedFormats, feedUrl } from './post/feeds.js';
+import { exportHtml } from './post/exporter.js';
+import { getSavedPost } from './post/postStore.js';
+
+const router = express.Router();
+
+/**
+ * Public URL of the server, for links in feeds
+ * @param {Object} req - Express request
+ * @returns {string} - URL without a trailing slash
+ */
+const baseUrlOf = (req) => (process.env.FEED_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/$/, '');
+
+/**
+ * Send a page of a feed
+ * @param {Object} req - Express request (query: page)
+ * @param {Object} res - Express response
+ * @param {string} format - Feed format
+ * @param {string} [tag] - Tag the feed is limited to
+ */
+const sendFeed = async (req, res, format, tag) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  try {
+    const feed = await buildFeed(format, { baseUrl: baseUrlOf(req), page: Math.max(1, page), tag });
+    res.type(feed.contentType).send(feed.body);
+  } catch (error) {
+    if (!error.status) logger.error(`Could not build ${format} feed: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List the feeds: one per format, and one per format for each tag
+ */
+router.get('/', (req, res) => {
+  const baseUrl = baseUrlOf(req);
+  const formats = getFeedFormats();
+  res.json({
+    feeds: Object.fromEntries(formats.map(format => [format, feedUrl(baseUrl, format)])),
+    tags: listFeedTags().map(({ tag, slug, count }) => ({
+      tag,
+      slug,
+      count,
+      feeds: Object.fromEntries(formats.map(format => [format, feedUrl(baseUrl, format, slug)]))
+    }))
+  });
+});
+
+/**
+ * A published post as a standalone HTML page, linked from feed entries
+ */
+router.get('/posts/:postId', (req, res) => {
+  try {
+    const record = getSavedPost(req.params.postId);
+    if (record.status !== 'published') {
+      return res.status(404).json({ error: `Post ${req.params.postId} not found.` });
+    }
+    res.type('text/html; charset=utf-8').send(exportHtml(record.post));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Feed of the published posts with one tag (query: page)
+ */
+router.get('/tags/:tag/:format', (req, res) => sendFeed(req, res, req.params.format, req.params.tag));
+
+/**
+ * Feed of all published posts, newest first (query: page)
+ */
+router.get('/:format', (req, res) => sendFeed(req, res, req.params.format));
+
+export default router;
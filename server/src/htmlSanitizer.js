@@ -0,0 +1,236 @@
+// src/htmlSanitizer.js
+// HTML-safe rendering for generated posts. Values interpolated into HTML go
+// through escapeHtml/safeUrl, and complete posts (including LLM output) go
+// through sanitizeHtml, which keeps only allow-listed tags and attributes.
+
+// Tags kept by the sanitizer, with the attributes allowed on each
+const GLOBAL_ATTRIBUTES = ['class', 'style', 'title'];
+const ALLOWED_TAGS = {
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  p: [], br: [], hr: [], div: [], span: [],
+  strong: [], b: [], em: [], i: [], u: [], small: [], mark: [],
+  blockquote: ['cite'], code: [], pre: [],
+  ul: [], ol: ['start'], li: [],
+  a: ['href', 'target', 'rel'],
+  img: ['src', 'alt', 'width', 'height'],
+  figure: [], figcaption: [],
+  table: [], thead: [], tbody: [], tr: [], th: ['colspan', 'rowspan'], td: ['colspan', 'rowspan']
+};
+
+// Elements without a closing tag
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+
+// Elements dropped together with everything inside them
+const DROP_CONTENT_TAGS = new Set(['script', 'style', 'iframe', 'object', 'embed', 'noscript', 'template', 'textarea', 'select']);
+
+// Attributes holding URLs, checked with safeUrl
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite']);
+
+// URL schemes allowed in links and images
+const SAFE_URL_SCHEMES = ['http:', 'https:', 'mailto:'];
+
+// Inline CSS that can run script or load resources
+const UNSAFE_STYLE = /expression\s*\(|url\s*\(|javascript:|@import|behavior\s*:|-moz-binding/i;
+
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>?|<\/?([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>|[^<]+|</g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n', nbsp: '\u00a0' };
+
+/**
+ * Escape a value for use in HTML text or a quoted attribute
+ * @param {*} value - Value to escape (null and undefined become '')
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+  if (value === null || value === undefined) return '';
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Decode the character references in text or an attribute value
+ * @param {string} value - Raw text or attribute value
+ * @returns {string} - Decoded value
+ */
+function decodeEntities(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * Check that a URL is safe to link to or load: http(s), mailto or relative
+ * @param {string} url - URL (entities already decoded)
+ * @returns {string|null} - The URL, or null when it uses another scheme (e.g. javascript:)
+ */
+function checkUrl(url) {
+  const trimmed = String(url ?? '').trim();
+  // Browsers ignore control characters and whitespace inside the scheme
+  const compact = trimmed.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = compact.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !SAFE_URL_SCHEMES.includes(`${scheme[1].toLowerCase()}:`)) {
+    return null;
+  }
+  return trimmed;
+}
+
+/**
+ * Whether a URL is http(s), mailto or relative, for output formats other than HTML
+ * @param {string} url - URL to check
+ * @returns {boolean} - True when the URL is safe to link to
+ */
+export function isSafeUrl(url) {
+  const checked = checkUrl(url);
+  return checked !== null && checked !== '';
+}
+
+/**
+ * Make a URL safe for an href or src attribute
+ * @param {string} url - URL to check
+ * @param {string} [fallback='#'] - Returned when the URL uses an unsafe scheme
+ * @returns {string} - Escaped URL, or the fallback
+ */
+export function safeUrl(url, fallback = '#') {
+  const checked = checkUrl(url);
+  return checked === null || checked === '' ? fallback : escapeHtml(checked);
+}
+
+/**
+ * Escape text that may already contain character references, without
+ * escaping those references twice
+ * @param {string} text - Text between tags
+ * @returns {string} - Escaped text
+ */
+function escapeText(text) {
+  return text
+    .replace(/&(?!(?:#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+/**
+ * Keep the allowed attributes of a tag, with safe values
+ * @param {string} tag - Lower-case tag name
+ * @param {string} source - Attribute part of the tag
+ * @returns {string} - Attributes to output, each preceded by a space
+ */
+function sanitizeAttributes(tag, source) {
+  const allowed = [...GLOBAL_ATTRIBUTES, ...ALLOWED_TAGS[tag]];
+  const attributes = new Map();
+
+  for (const [, rawName, doubleQuoted, singleQuoted, unquoted] of source.matchAll(ATTRIBUTE_PATTERN)) {
+    const name = rawName.toLowerCase();
+    if (!allowed.includes(name) || attributes.has(name)) continue;
+
+    let value = decodeEntities(doubleQuoted ?? singleQuoted ?? unquoted ?? '');
+    if (URL_ATTRIBUTES.has(name)) {
+      value = checkUrl(value);
+      if (value === null) continue;
+    }
+    if (name === 'style' && UNSAFE_STYLE.test(value)) continue;
+    if (name === 'target' && !['_blank', '_self'].includes(value)) continue;
+    attributes.set(name, value);
+  }
+
+  // Links opening a new tab must not get access to this window
+  if (tag === 'a' && attributes.get('target') === '_blank') {
+    attributes.set('rel', 'noopener noreferrer');
+  }
+
+  return [...attributes].map(([name, value]) => ` ${name}="${escapeHtml(value)}"`).join('');
+}
+
+/**
+ * Sanitize an HTML fragment: keep allow-listed tags and attributes, drop
+ * scripts, event handlers, comments and unsafe URLs, escape stray markup
+ * and close any tags left open
+ * @param {string} html - Untrusted HTML (e.g. LLM output)
+ * @returns {string} - Safe HTML
+ */
+export function sanitizeHtml(html) {
+  if (html === null || html === undefined) return '';
+  const source = String(html);
+  const open = [];
+  let output = '';
+  let match;
+
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(source)) !== null) {
+    const [token, rawTag, attributeSource = ''] = match;
+
+    if (!token.startsWith('<')) {
+      output += escapeText(token);
+      continue;
+    }
+    if (!rawTag) {
+      // Comments, doctypes and CDATA are dropped; a lone '<' is escaped
+      if (token === '<') output += '&lt;';
+      continue;
+    }
+
+    const tag = rawTag.toLowerCase();
+    const isClosing = token[1] === '/';
+
+    if (DROP_CONTENT_TAGS.has(tag)) {
+      if (!isClosing) {
+        // Skip ahead past the matching closing tag (or to the end)
+        const end = source.toLowerCase().indexOf(`</${tag}`, TOKEN_PATTERN.lastIndex);
+        const close = end === -1 ? -1 : source.indexOf('>', end);
+        TOKEN_PATTERN.lastIndex = close === -1 ? source.length : close + 1;
+      }
+      continue;
+    }
+    if (!ALLOWED_TAGS[tag]) {
+      continue;
+    }
+
+    if (isClosing) {
+      const index = open.lastIndexOf(tag);
+      if (index !== -1) {
+        output += open.splice(index).reverse().map(name => `</${name}>`).join('');
+      }
+      continue;
+    }
+
+    output += `<${tag}${sanitizeAttributes(tag, attributeSource)}>`;
+    if (!VOID_TAGS.has(tag)) {
+      open.push(tag);
+    }
+  }
+
+  return output + open.reverse().map(name => `</${name}>`).join('');
+}
+
+/**
+ * Extract the text of an HTML fragment: tags are removed, line breaks are
+ * kept and character references are decoded
+ * @param {string} html - HTML fragment
+ * @returns {string} - Plain text
+ */
+export function htmlToText(html) {
+  if (html === null || html === undefined) return '';
+  return decodeEntities(String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<[^>]*>/g, ''))
+    .replace(/[ \t\r\f\v]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .trim();
+}
+
+export default {
+  escapeHtml,
+  safeUrl,
+  isSafeUrl,
+  sanitizeHtml,
+  htmlToText
+};
@@ -0,0 +1,16 @@
+// src/httpError.js
+// Errors that routers answer with their own status (res.status(error.status || 500)).
+
+/**
+ * Create an error carrying an HTTP status
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status
+ * @returns {Error} - Error with status
+ */
+export function httpError(message, status) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+}
+
+export default httpError;
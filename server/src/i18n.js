@@ -0,0 +1,282 @@
+// src/i18n.js
+// Locale handling for generated posts: dates, units and the fixed text the
+// orchestrator adds around the LLM output. Prose is localized by the LLM itself.
+
+const FALLBACK_LOCALE = 'en-US';
+
+// Regions that use Fahrenheit
+const IMPERIAL_REGIONS = ['US', 'LR', 'MM', 'BS', 'BZ', 'KY', 'PW'];
+
+// Fixed text by language; languages without an entry fall back to English
+const MESSAGES = {
+  en: {
+    blogPost: 'Blog Post',
+    myDay: 'My Day',
+    latestDevelopments: 'Latest Developments',
+    archive: 'Archive',
+    latestHeadlines: 'Latest Headlines',
+    readMore: 'Read more',
+    location: 'Location',
+    weather: 'Weather',
+    forecast: 'Forecast',
+    currently: 'Currently',
+    high: 'High',
+    low: 'Low',
+    today: 'Today',
+    tomorrow: 'Tomorrow',
+    photoFromToday: "Here's a photo from today: {photos}.",
+    photosFromToday: 'Here are some photos from today: {photos}.',
+    photoFrom: 'Photo from {time} on {date}',
+    titleWith: 'with {people}',
+    titleIn: 'in {location}',
+    activityMeal: 'Wonderful meal',
+    activityHike: 'Amazing hike',
+    activityBeach: 'Beautiful beach day',
+    activityWork: 'Productive work day',
+    activityFamily: 'Special family time',
+    activityTravel: 'Exciting travels',
+    activityCoding: 'Coding adventures',
+    activityAi: 'AI explorations',
+    activityDefault: 'Wonderful day'
+  },
+  de: {
+    blogPost: 'Blogbeitrag',
+    myDay: 'Mein Tag',
+    latestDevelopments: 'Neueste Entwicklungen',
+    archive: 'Archiv',
+    latestHeadlines: 'Aktuelle Schlagzeilen',
+    readMore: 'Weiterlesen',
+    location: 'Ort',
+    weather: 'Wetter',
+    forecast: 'Vorhersage',
+    currently: 'Aktuell',
+    high: 'Höchstwert',
+    low: 'Tiefstwert',
+    today: 'Heute',
+    tomorrow: 'Morgen',
+    photoFromToday: 'Hier ist ein Foto von heute: {photos}.',
+    photosFromToday: 'Hier sind einige Fotos von heute: {photos}.',
+    photoFrom: 'Foto von {time} am {date}',
+    titleWith: 'mit {people}',
+    titleIn: 'in {location}',
+    activityMeal: 'Ein wunderbares Essen',
+    activityHike: 'Eine tolle Wanderung',
+    activityBeach: 'Ein herrlicher Strandtag',
+    activityWork: 'Ein produktiver Arbeitstag',
+    activityFamily: 'Besondere Familienzeit',
+    activityTravel: 'Aufregende Reisen',
+    activityCoding: 'Programmierabenteuer',
+    activityAi: 'KI-Entdeckungen',
+    activityDefault: 'Ein wunderbarer Tag'
+  },
+  fr: {
+    blogPost: 'Article de blog',
+    myDay: 'Ma journée',
+    latestDevelopments: 'Dernières nouvelles',
+    archive: 'Archives',
+    latestHeadlines: 'Derniers titres',
+    readMore: 'Lire la suite',
+    location: 'Lieu',
+    weather: 'Météo',
+    forecast: 'Prévisions',
+    currently: 'Actuellement',
+    high: 'Max',
+    low: 'Min',
+    today: "Aujourd'hui",
+    tomorrow: 'Demain',
+    photoFromToday: "Voici une photo d'aujourd'hui : {photos}.",
+    photosFromToday: "Voici quelques photos d'aujourd'hui : {photos}.",
+    photoFrom: 'Photo de {time} le {date}',
+    titleWith: 'avec {people}',
+    titleIn: 'à {location}',
+    activityMeal: 'Un repas merveilleux',
+    activityHike: 'Une randonnée incroyable',
+    activityBeach: 'Une belle journée à la plage',
+    activityWork: 'Une journée de travail productive',
+    activityFamily: 'Un moment en famille',
+    activityTravel: 'Des voyages passionnants',
+    activityCoding: 'Aventures de code',
+    activityAi: "Explorations en IA",
+    activityDefault: 'Une journée merveilleuse'
+  },
+  es: {
+    blogPost: 'Entrada de blog',
+    myDay: 'Mi día',
+    latestDevelopments: 'Últimas novedades',
+    archive: 'Archivo',
+    latestHeadlines: 'Últimos titulares',
+    readMore: 'Leer más',
+    location: 'Ubicación',
+    weather: 'Tiempo',
+    forecast: 'Pronóstico',
+    currently: 'Ahora',
+    high: 'Máx',
+    low: 'Mín',
+    today: 'Hoy',
+    tomorrow: 'Mañana',
+    photoFromToday: 'Aquí tienes una foto de hoy: {photos}.',
+    photosFromToday: 'Aquí tienes algunas fotos de hoy: {photos}.',
+    photoFrom: 'Foto de las {time} del {date}',
+    titleWith: 'con {people}',
+    titleIn: 'en {location}',
+    activityMeal: 'Una comida maravillosa',
+    activityHike: 'Una excursión increíble',
+    activityBeach: 'Un precioso día de playa',
+    activityWork: 'Un día de trabajo productivo',
+    activityFamily: 'Tiempo especial en familia',
+    activityTravel: 'Viajes emocionantes',
+    activityCoding: 'Aventuras programando',
+    activityAi: 'Exploraciones de IA',
+    activityDefault: 'Un día maravilloso'
+  }
+};
+
+// Intl options for the date formats used in posts
+const DATE_FORMATS = {
+  long: { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' },
+  day: { weekday: 'long', day: 'numeric', month: 'long' },
+  weekday: { weekday: 'long' },
+  month: { month: 'long' },
+  monthYear: { month: 'long', year: 'numeric' },
+  time: { hour: 'numeric', minute: '2-digit' },
+  hour: { hour: 'numeric' }
+};
+
+/**
+ * Get the locale used when a request does not specify one
+ * @returns {string} - DEFAULT_LOCALE or en-US
+ */
+export function getDefaultLocale() {
+  return process.env.DEFAULT_LOCALE || FALLBACK_LOCALE;
+}
+
+/**
+ * Validate and canonicalize a locale such as "de", "pt-BR" or "en-gb"
+ * @param {string} [locale] - BCP 47 language tag (defaults to getDefaultLocale())
+ * @returns {string} - Canonical locale, e.g. "en-GB"
+ * @throws {Error} - With status 400 when the locale is invalid or unsupported
+ */
+export function resolveLocale(locale) {
+  if (!locale) {
+    return getDefaultLocale();
+  }
+  let canonical;
+  try {
+    [canonical] = Intl.getCanonicalLocales(locale);
+  } catch {
+    canonical = null;
+  }
+  if (!canonical || Intl.DateTimeFormat.supportedLocalesOf(canonical).length === 0) {
+    const error = new Error(`Unsupported locale "${locale}".`);
+    error.status = 400;
+    throw error;
+  }
+  return canonical;
+}
+
+/**
+ * Get the English name of a locale's language, for prompts ("de-AT" -> "German")
+ * @param {string} locale - Locale
+ * @returns {string} - Language name
+ */
+export function getLanguageName(locale) {
+  const { language } = new Intl.Locale(resolveLocale(locale));
+  return new Intl.DisplayNames(['en'], { type: 'language' }).of(language);
+}
+
+/**
+ * Look up fixed text in the locale's language
+ * @param {string} key - Message key (see MESSAGES)
+ * @param {string} [locale] - Locale
+ * @param {Object} [values] - Values for {placeholders} in the message
+ * @returns {string} - Localized text
+ */
+export function translate(key, locale, values = {}) {
+  const { language } = new Intl.Locale(resolveLocale(locale));
+  const message = MESSAGES[language]?.[key] ?? MESSAGES.en[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => values[name] ?? placeholder);
+}
+
+/**
+ * Format a date for the locale
+ * @param {Date|string|number} date - Date to format
+ * @param {string} [locale] - Locale
+ * @param {string} [format='long'] - 'long', 'day' (no year), 'weekday', 'month', 'monthYear', 'time' or 'hour'
+ * @returns {string} - Formatted date
+ */
+export function formatDate(date, locale, format = 'long') {
+  return new Date(date).toLocaleString(resolveLocale(locale), DATE_FORMATS[format]);
+}
+
+/**
+ * Label for a forecast day: "Today", "Tomorrow" or the weekday name
+ * @param {Date|string|number} date - Day being labelled
+ * @param {number} index - Days from today (0 = today)
+ * @param {string} [locale] - Locale
+ * @returns {string} - Localized label
+ */
+export function formatDayLabel(date, index, locale) {
+  if (index === 0) return translate('today', locale);
+  if (index === 1) return translate('tomorrow', locale);
+  return formatDate(date, locale, 'weekday');
+}
+
+/**
+ * Join items into a list for the locale ("a, b and c")
+ * @param {Array<string>} items - Items to join
+ * @param {string} [locale] - Locale
+ * @returns {string} - Joined list
+ */
+export function formatList(items, locale) {
+  return new Intl.ListFormat(resolveLocale(locale), { style: 'long', type: 'conjunction' }).format(items);
+}
+
+/**
+ * Whether temperatures should be shown in Fahrenheit for the locale
+ * @param {string} [locale] - Locale
+ * @returns {boolean} - True for imperial regions such as en-US
+ */
+export function usesImperialUnits(locale) {
+  const { region } = new Intl.Locale(resolveLocale(locale)).maximize();
+  return IMPERIAL_REGIONS.includes(region);
+}
+
+/**
+ * Format a temperature in the locale's preferred unit
+ * @param {number|string} value - Temperature (non-numeric values are returned as is)
+ * @param {string} [unit='°C'] - Unit of the value ('°C' or '°F')
+ * @param {string} [locale] - Locale
+ * @returns {string} - E.g. "21°C" or "70°F"
+ */
+export function formatTemperature(value, unit = '°C', locale) {
+  if (value === null || value === undefined || value === '' || Number.isNaN(Number(value))) {
+    return `${value ?? ''}${unit}`;
+  }
+  const isFahrenheit = /F/i.test(unit);
+  const celsius = isFahrenheit ? (value - 32) * 5 / 9 : value;
+  const imperial = usesImperialUnits(locale);
+  const converted = imperial ? celsius * 9 / 5 + 32 : celsius;
+  const number = new Intl.NumberFormat(resolveLocale(locale), { maximumFractionDigits: 0 }).format(converted);
+  return `${number}${imperial ? '°F' : '°C'}`;
+}
+
+/**
+ * Languages that have translations of the fixed text
+ * @returns {Array<string>} - Language codes
+ */
+export function getTranslatedLanguages() {
+  return Object.keys(MESSAGES);
+}
+
+export default {
+  getDefaultLocale,
+  resolveLocale,
+  getLanguageName,
+  translate,
+  formatDate,
+  formatDayLabel,
+  formatList,
+  usesImperialUnits,
+  formatTemperature,
+  getTranslatedLanguages
+};
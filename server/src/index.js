@@ -3,20 +3,39 @@ import dotenv from 'dotenv';
 import cors from 'cors';
 import logger from './logger.js';
 import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { userSession } from './middleware/userSession.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
 import registry from './registry.js';
+import { startHealthMonitor, stopHealthMonitor } from './agentHealthMonitor.js';
+import { startScheduler, stopScheduler } from './scheduler/index.js';
 import services from './services/index.js';
 import agentRouter from './agentRouter.js';
 import authRouter from './authRouter.js';
+import adminRouter from './adminRouter.js';
+import jobsRouter from './jobsRouter.js';
+import messagesRouter from './messagesRouter.js';
+import promptsRouter from './promptsRouter.js';
+import postsRouter from './postsRouter.js';
+import feedsRouter from './feedsRouter.js';
+import schedulesRouter from './schedulesRouter.js';
+import { handleMessage } from './messageHandler.js';
+import { enqueueJob } from './jobQueue.js';
+import { resolveLocale } from './i18n.js';
+import { loadVault } from './credentialVault.js';
+import { getLlmProvider } from './llm/index.js';
 
 dotenv.config();
-console.log('Loaded AGENT_REGISTRATION_API_KEYS:', process.env.AGENT_REGISTRATION_API_KEYS);
-console.log('Loaded ORCHESTRATOR_OUTBOUND_API_KEYS:', process.env.ORCHESTRATOR_OUTBOUND_API_KEYS);
+// Open the credential vault now, so a wrong VAULT_MASTER_KEY stops the server at startup
+loadVault();
 
 const app = express();
 const PORT = process.env.PORT || 4000;
 
 app.use(cors());
 app.use(express.json());
+// Signed-in users (see /api/auth) use their own Google tokens
+app.use(userSession);
 
 app.get('/', (req, res) => {
   res.send('MCP Orchestrator is running!');
@@ -28,13 +47,35 @@ app.use('/api/agents', agentRouter);
 // Mount the authentication router
 app.use('/api/auth', authRouter);
 
+// Mount the registry admin router
+app.use('/api/admin', adminRouter);
+
+// Mount the background job router
+app.use('/api/jobs', jobsRouter);
+
+// Mount the message streaming and progress (Server-Sent Events) router
+app.use('/api/messages', messagesRouter);
+
+// Mount the prompt template router
+app.use('/api/prompts', promptsRouter);
+
+// Mount the post rendering router
+app.use('/api/posts', postsRouter);
+
+// Mount the public feeds router (RSS, Atom and JSON Feed)
+app.use('/feeds', feedsRouter);
+
+// Mount the post schedules router
+app.use('/api/schedules', schedulesRouter);
+
 app.get('/api/ping', (req, res) => {
   res.json({ message: 'pong', status: 'ok', time: new Date().toISOString() });
 });
 
 // Register an agent with capabilities
 app.post('/api/register',
-  apiKeyAuth(process.env.AGENT_REGISTRATION_API_KEYS),
+  apiKeyAuth('AGENT_REGISTRATION_API_KEYS'),
+  validateSchema(getSchema('agent-registration')),
   (req, res) => {
     try {
       logger.info('Agent registration attempt:', req.body);
@@ -50,49 +91,74 @@ app.post('/api/register',
   }
 );
 
+// Agents call this to remove themselves from the registry
+app.delete('/api/register/:agentId',
+  apiKeyAuth('AGENT_REGISTRATION_API_KEYS'),
+  (req, res) => {
+    const { agentId } = req.params;
+    if (!registry.deregisterAgent(agentId)) {
+      return res.status(404).json({ error: `Agent ${agentId} is not registered.` });
+    }
+    res.status(200).json({ message: 'Agent deregistered successfully', agentId });
+  }
+);
+
+// Agents call this periodically to stay in the registry
+app.post('/api/heartbeat',
+  apiKeyAuth('AGENT_REGISTRATION_API_KEYS'),
+  (req, res) => {
+    const { agentId } = req.body || {};
+    if (!agentId) {
+      return res.status(400).json({ error: 'Missing agentId for heartbeat.' });
+    }
+    const agent = registry.recordHeartbeat(agentId);
+    if (!agent) {
+      return res.status(404).json({ error: `Agent ${agentId} is not registered.` });
+    }
+    res.status(200).json({
+      agentId,
+      lastSeen: agent.lastSeen,
+      ttlMs: registry.getHeartbeatTtl()
+    });
+  }
+);
+
 // Process messages and route to appropriate capability handlers
 app.post('/api/message',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
+  validateSchema(getSchema('message')),
   async (req, res) => {
     logger.info('Message received:', req.body);
     try {
-      const { capability, payload, messageId } = req.body;
+      const { async: runAsync, ...message } = req.body;
       
-      // Handle blog-writing capability directly with Gemini
-      if (capability === 'blog-writing') {
-        if (!payload || !payload.text) {
-          return res.status(400).json({ error: 'Missing text for blog writing.' });
-        }
-        const blog_post = await services.geminiService.generateBlogPost(payload.text);
-        return res.status(200).json({ blog_post });
-      }
-      
-      // Handle enhanced-blog-writing capability
-      if (capability === 'enhanced-blog-writing') {
-        if (!payload || !payload.text) {
-          return res.status(400).json({ error: 'Missing text for enhanced blog writing.' });
-        }
-        const blog_post = await services.geminiService.generateEnhancedBlogPost(payload);
-        return res.status(200).json({ blog_post });
-      }
-      
-      // For other capabilities, find registered agents and route to them
-      const agents = registry.findAgentsByCapability(capability);
-      if (agents.length === 0) {
-        return res.status(404).json({ 
-          error: `No agents found with capability: ${capability}` 
+      // Long-running capabilities can be queued and polled via /api/jobs/:jobId
+      if (runAsync) {
+        const job = enqueueJob({
+          type: 'message',
+          messageId: message.messageId,
+          capability: message.capability
+        }, async () => {
+          const { status, body } = await handleMessage(message);
+          if (status >= 400) {
+            const error = new Error(body.error);
+            error.status = status;
+            error.details = body;
+            throw error;
+          }
+          return body;
+        });
+        return res.status(202).json({
+          jobId: job.id,
+          messageId: message.messageId,
+          status: job.status,
+          statusUrl: `/api/jobs/${job.id}`,
+          resultUrl: `/api/jobs/${job.id}/result`
         });
       }
       
-      // In a real implementation, you would route to the agent
-      // For now, return a placeholder response
-      res.status(200).json({ 
-        message: 'Message received and will be routed', 
-        messageId,
-        capability,
-        agentCount: agents.length,
-        agents: agents.map(a => a.agentId)
-      });
+      const { status, body } = await handleMessage(message);
+      res.status(status).json(body);
     } catch (err) {
       logger.error('Error in /api/message:', err.message);
       res.status(500).json({ error: err.message });
@@ -102,45 +168,45 @@ app.post('/api/message',
 
 // Photo metadata capability
 app.post('/api/capabilities/photo-metadata',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
-      const { photoUrl } = req.body;
+      const { photoUrl, locale } = req.body;
       if (!photoUrl) {
         return res.status(400).json({ error: 'Missing photoUrl parameter' });
       }
       
-      const metadata = await services.photoService.getPhotoMetadata(photoUrl);
+      const metadata = await services.photoService.getPhotoMetadata(photoUrl, { locale: resolveLocale(locale), userId: req.user?.id });
       res.status(200).json({ metadata });
     } catch (err) {
       logger.error('Error processing photo metadata:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
 
 // Weather & environmental data capability
 app.post('/api/capabilities/environmental-data',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
-      const { latitude, longitude } = req.body;
+      const { latitude, longitude, locale } = req.body;
       if (!latitude || !longitude) {
         return res.status(400).json({ error: 'Missing coordinates' });
       }
       
-      const data = await services.weatherService.getWeatherData(latitude, longitude);
+      const data = await services.weatherService.getWeatherData({ latitude, longitude }, { locale: resolveLocale(locale) });
       res.status(200).json(data);
     } catch (err) {
       logger.error('Error fetching environmental data:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
 
 // News capability
 app.post('/api/capabilities/latest-news',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
       const { topic } = req.body;
@@ -155,7 +221,7 @@ app.post('/api/capabilities/latest-news',
 
 // Location detection capability
 app.post('/api/capabilities/detect-location',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
       // Get client IP address
@@ -180,33 +246,33 @@ app.post('/api/capabilities/detect-location',
 
 // Title generation capability
 app.post('/api/capabilities/generate-title',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
-      const { content, metadata } = req.body;
+      const { content, metadata, locale } = req.body;
       if (!content) {
         return res.status(400).json({ error: 'Missing content for title generation' });
       }
       
-      const titleInfo = await services.titleService.generateTitleWithDate(content, metadata);
+      const titleInfo = await services.titleService.generateTitleWithDate(content, metadata, { locale: resolveLocale(locale) });
       res.status(200).json(titleInfo);
     } catch (err) {
       logger.error('Error generating title:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
 
 // Today's photos capability
 app.post('/api/capabilities/todays-photos',
-  apiKeyAuth(process.env.ORCHESTRATOR_OUTBOUND_API_KEYS),
+  apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'),
   async (req, res) => {
     try {
-      const photos = await services.photoService.getTodaysPhotos();
+      const photos = await services.photoService.getTodaysPhotos({ locale: resolveLocale(req.body?.locale), userId: req.user?.id });
       res.status(200).json({ photos });
     } catch (err) {
       logger.error('Error fetching today\'s photos:', err);
-      res.status(500).json({ error: err.message });
+      res.status(err.status || 500).json({ error: err.message });
     }
   }
 );
@@ -246,9 +312,24 @@ function startServer(port, attempt = 1) {
 // Start the server with automatic port retry
 const server = startServer(currentPort);
 
+// Probe registered agents and evict the ones that stop responding
+startHealthMonitor();
+
+// Generate the daily posts of the users' schedules
+startScheduler();
+
+// Report a missing LLM configuration now rather than on the first post
+try {
+  getLlmProvider();
+} catch (error) {
+  logger.error(`Blog posts cannot be generated: ${error.message}`);
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM signal received, shutting down gracefully');
+  stopHealthMonitor();
+  stopScheduler();
   server.close(() => {
     logger.info('Server closed');
     process.exit(0);
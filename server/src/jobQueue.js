@@ -0,0 +1,144 @@
+// src/jobQueue.js
+import { randomUUID } from 'crypto';
+import logger from './logger.js';
+import { createStore } from './storage/index.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000; // Keep finished jobs for an hour
+
+// Job records (status, result, error); the work functions themselves live in memory only
+const jobStore = createStore('jobs', { backend: process.env.JOB_STORAGE });
+const jobHandlers = new Map();
+const pendingJobIds = [];
+let runningCount = 0;
+
+// Jobs left queued or running by a previous process can never finish
+for (const job of jobStore.values()) {
+  if (job.status === 'queued' || job.status === 'running') {
+    jobStore.set(job.id, {
+      ...job,
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: { message: 'Job interrupted by a server restart', status: 503 }
+    });
+  }
+}
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Update a stored job with new fields
+ * @param {string} jobId - ID of the job
+ * @param {Object} changes - Fields to merge into the job
+ * @returns {Object} - The updated job
+ */
+function updateJob(jobId, changes) {
+  return jobStore.set(jobId, { ...jobStore.get(jobId), ...changes });
+}
+
+/**
+ * Drop finished jobs older than JOB_RETENTION_MS
+ */
+function pruneFinishedJobs() {
+  const cutoff = Date.now() - readNumber(process.env.JOB_RETENTION_MS, DEFAULT_RETENTION_MS);
+  for (const job of jobStore.values()) {
+    if (job.completedAt && new Date(job.completedAt).getTime() < cutoff) {
+      jobStore.delete(job.id);
+    }
+  }
+}
+
+/**
+ * Run a single job and record its outcome
+ * @param {string} jobId - ID of the job
+ */
+async function runJob(jobId) {
+  const handler = jobHandlers.get(jobId);
+  runningCount += 1;
+  updateJob(jobId, { status: 'running', startedAt: new Date().toISOString() });
+  logger.info(`Job ${jobId} started`);
+
+  try {
+    const result = await handler();
+    updateJob(jobId, { status: 'completed', completedAt: new Date().toISOString(), result });
+    logger.info(`Job ${jobId} completed`);
+  } catch (error) {
+    updateJob(jobId, {
+      status: 'failed',
+      completedAt: new Date().toISOString(),
+      error: {
+        message: error.message,
+        status: error.status || 500,
+        ...(error.details ? { details: error.details } : {})
+      }
+    });
+    logger.error(`Job ${jobId} failed:`, error.message);
+  } finally {
+    runningCount -= 1;
+    jobHandlers.delete(jobId);
+    processQueue();
+  }
+}
+
+/**
+ * Start queued jobs while there is spare capacity (JOB_CONCURRENCY)
+ */
+function processQueue() {
+  const concurrency = readNumber(process.env.JOB_CONCURRENCY, DEFAULT_CONCURRENCY);
+  while (runningCount < concurrency && pendingJobIds.length > 0) {
+    runJob(pendingJobIds.shift());
+  }
+}
+
+/**
+ * Queue work to run in the background
+ * @param {Object} details - Descriptive fields stored on the job (e.g. type, messageId, capability)
+ * @param {Function} handler - Async function doing the work; its return value becomes the job result.
+ *   Throw an error (optionally with `status` and `details`) to fail the job.
+ * @returns {Object} - The queued job
+ */
+export function enqueueJob(details, handler) {
+  pruneFinishedJobs();
+
+  const job = {
+    ...details,
+    id: randomUUID(),
+    status: 'queued',
+    createdAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    result: null,
+    error: null
+  };
+  jobStore.set(job.id, job);
+  jobHandlers.set(job.id, handler);
+  pendingJobIds.push(job.id);
+  logger.info(`Job ${job.id} queued${details.type ? ` (${details.type})` : ''}`);
+
+  setImmediate(processQueue);
+  return job;
+}
+
+/**
+ * Get a job by id
+ * @param {string} jobId - ID of the job
+ * @returns {Object|undefined} - The job, if it exists
+ */
+export function getJob(jobId) {
+  return jobStore.get(jobId);
+}
+
+/**
+ * Get the position of a queued job in the queue (0 = next to run)
+ * @param {string} jobId - ID of the job
+ * @returns {number|null} - Queue position or null if the job is not queued
+ */
+export function getQueuePosition(jobId) {
+  const position = pendingJobIds.indexOf(jobId);
+  return position === -1 ? null : position;
+}
+
+export default { enqueueJob, getJob, getQueuePosition };
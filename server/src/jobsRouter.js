@@ -0,0 +1,43 @@
+// src/jobsRouter.js
+import express from 'express';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { getJob, getQueuePosition } from './jobQueue.js';
+
+const router = express.Router();
+
+// Jobs are created through /api/message, so they share its API keys
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
+
+/**
+ * Get the status of a background job (including its result once finished)
+ */
+router.get('/:jobId', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found.` });
+  }
+  res.json({
+    ...job,
+    ...(job.status === 'queued' ? { queuePosition: getQueuePosition(job.id) } : {})
+  });
+});
+
+/**
+ * Get the result of a background job exactly as the synchronous request would
+ * have returned it. Answers 202 with the job status while it is still pending.
+ */
+router.get('/:jobId/result', (req, res) => {
+  const job = getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: `Job ${req.params.jobId} not found.` });
+  }
+  if (job.status === 'queued' || job.status === 'running') {
+    return res.status(202).json({ jobId: job.id, status: job.status });
+  }
+  if (job.status === 'failed') {
+    return res.status(job.error?.status || 500).json(job.error?.details || { error: job.error?.message });
+  }
+  res.status(200).json(job.result);
+});
+
+export default router;
@@ -0,0 +1,46 @@
+// src/llm/fakeProvider.js
+import { escapeHtml } from '../htmlSanitizer.js';
+import { tokenize, streamText } from './mockStreamingProvider.js';
+
+/**
+ * Default fake response: the prompt echoed back as HTML paragraphs
+ * @param {string} prompt - Prompt text
+ * @returns {string} - HTML response
+ */
+export const echoPromptAsHtml = (prompt) => prompt
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br/>')}</p>`)
+  .join('\n');
+
+/**
+ * Create a deterministic LLM provider for offline development and tests.
+ * The same prompt always produces the same response.
+ * @param {Object} [options] - Provider options
+ * @param {Function} [options.respond] - Maps a prompt to the response text (defaults to echoPromptAsHtml)
+ * @param {number} [options.delayMs] - Pause between streamed tokens (defaults to MOCK_STREAM_DELAY_MS)
+ * @returns {Object} - LLM provider
+ */
+export function createFakeProvider(options = {}) {
+  const { respond = echoPromptAsHtml, delayMs } = options;
+
+  return {
+    name: 'fake',
+    model: 'fake',
+
+    async generate(prompt) {
+      return respond(prompt);
+    },
+
+    async* stream(prompt) {
+      yield* streamText(respond(prompt), { delayMs });
+    },
+
+    async countTokens(prompt) {
+      return tokenize(prompt).length;
+    }
+  };
+}
+
+export default createFakeProvider;
@@ -0,0 +1,49 @@
+// src/llm/geminiProvider.js
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+const DEFAULT_MODEL = 'gemini-1.5-flash';
+
+/**
+ * Create an LLM provider backed by the Gemini API
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.apiKey] - Gemini API key (defaults to GOOGLE_API_KEY)
+ * @param {string} [options.model] - Model name (defaults to GEMINI_MODEL or gemini-1.5-flash)
+ * @returns {Object} - LLM provider
+ */
+export function createGeminiProvider(options = {}) {
+  const {
+    apiKey = process.env.GOOGLE_API_KEY,
+    model = process.env.GEMINI_MODEL || DEFAULT_MODEL
+  } = options;
+
+  if (!apiKey) {
+    throw new Error('GOOGLE_API_KEY is required for the gemini LLM provider.');
+  }
+
+  const generativeModel = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+
+  return {
+    name: 'gemini',
+    model,
+
+    async generate(prompt) {
+      const result = await generativeModel.generateContent(prompt);
+      return result.response.text();
+    },
+
+    async* stream(prompt) {
+      const result = await generativeModel.generateContentStream(prompt);
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+
+    async countTokens(prompt) {
+      const { totalTokens } = await generativeModel.countTokens(prompt);
+      return totalTokens;
+    }
+  };
+}
+
+export default createGeminiProvider;
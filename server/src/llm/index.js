@@ -0,0 +1,85 @@
+// src/llm/index.js
+import logger from '../logger.js';
+import { createGeminiProvider } from './geminiProvider.js';
+import { createOpenAICompatibleProvider } from './openaiCompatibleProvider.js';
+import { createFakeProvider } from './fakeProvider.js';
+
+/**
+ * LLM providers all implement:
+ *   name, model
+ *   generate(prompt) => Promise<string>
+ *   stream(prompt) => AsyncGenerator<string>
+ *   countTokens(prompt) => Promise<number>
+ */
+const providerFactories = {
+  gemini: createGeminiProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  fake: createFakeProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Name of the configured provider: LLM_PROVIDER, or gemini when GOOGLE_API_KEY is set
+ * @returns {string} - Provider name
+ * @throws {Error} - With status 503 if neither is set. There is deliberately no
+ *   fallback to the fake provider, which would publish echoed prompts as posts.
+ */
+const configuredProviderName = () => {
+  if (process.env.LLM_PROVIDER) return process.env.LLM_PROVIDER;
+  if (process.env.GOOGLE_API_KEY) return 'gemini';
+  const error = new Error(`No LLM provider is configured. Set GOOGLE_API_KEY, or LLM_PROVIDER to one of: ${getProviderNames().join(', ')}.`);
+  error.status = 503;
+  throw error;
+};
+
+/**
+ * Create an LLM provider by name
+ * @param {string} [name] - 'gemini', 'openai-compatible' or 'fake' (defaults to LLM_PROVIDER, else gemini if GOOGLE_API_KEY is set)
+ * @param {Object} [options] - Options passed to the provider factory
+ * @returns {Object} - LLM provider
+ * @throws {Error} - For an unknown provider, or if none is configured
+ */
+export function createLlmProvider(name, options = {}) {
+  const providerName = name || configuredProviderName();
+  const factory = providerFactories[providerName];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${providerName}". Use one of: ${getProviderNames().join(', ')}.`);
+  }
+  return factory(options);
+}
+
+/**
+ * Get the provider used for generation, creating it from config on first use
+ * @returns {Object} - LLM provider
+ */
+export function getLlmProvider() {
+  if (!activeProvider) {
+    activeProvider = createLlmProvider();
+    logger.info(`Using LLM provider ${activeProvider.name} (${activeProvider.model})`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the provider used for generation (e.g. with a fake in tests)
+ * @param {Object|null} provider - Provider to use, or null to go back to the configured one
+ */
+export function setLlmProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Get the names of the available providers
+ * @returns {Array<string>} - Provider names
+ */
+export function getProviderNames() {
+  return Object.keys(providerFactories);
+}
+
+export default {
+  createLlmProvider,
+  getLlmProvider,
+  setLlmProvider,
+  getProviderNames
+};
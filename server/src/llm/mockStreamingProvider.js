@@ -0,0 +1,38 @@
+// src/llm/mockStreamingProvider.js
+// Replays finished text as a token stream, pausing between tokens like a model
+// would. Used by the fake LLM provider.
+
+const DEFAULT_DELAY_MS = 20;
+
+const readDelay = () => {
+  const parsed = parseInt(process.env.MOCK_STREAM_DELAY_MS, 10);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : DEFAULT_DELAY_MS;
+};
+
+/**
+ * Split text into word-sized tokens, keeping the whitespace that follows each word
+ * @param {string} text - Text to split
+ * @returns {Array<string>} - Tokens that join back into the original text
+ */
+export function tokenize(text = '') {
+  return text.match(/\s+|\S+\s*/g) || [];
+}
+
+/**
+ * Stream text token by token, pausing between tokens like a model would
+ * @param {string} text - Full text to stream
+ * @param {Object} [options] - Streaming options
+ * @param {number} [options.delayMs] - Pause between tokens (defaults to MOCK_STREAM_DELAY_MS or 20)
+ * @returns {AsyncGenerator<string>} - Text chunks
+ */
+export async function* streamText(text, options = {}) {
+  const delayMs = options.delayMs ?? readDelay();
+  for (const token of tokenize(text)) {
+    if (delayMs > 0) {
+      await new Promise(resolve => setTimeout(resolve, delayMs));
+    }
+    yield token;
+  }
+}
+
+export default { tokenize, streamText };
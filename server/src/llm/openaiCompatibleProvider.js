@@ -0,0 +1,78 @@
+// src/llm/openaiCompatibleProvider.js
+import axios from 'axios';
+
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+const DEFAULT_TIMEOUT_MS = 120000;
+
+/**
+ * Create an LLM provider for servers exposing the OpenAI chat completions API
+ * (e.g. Ollama, llama.cpp, vLLM or LM Studio)
+ * @param {Object} [options] - Provider options
+ * @param {string} [options.baseUrl] - API base URL including /v1 (defaults to LLM_BASE_URL or Ollama's local URL)
+ * @param {string} [options.model] - Model name (defaults to LLM_MODEL)
+ * @param {string} [options.apiKey] - Bearer token, if the server needs one (defaults to LLM_API_KEY)
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to LLM_REQUEST_TIMEOUT_MS or 120000)
+ * @returns {Object} - LLM provider
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const {
+    baseUrl = process.env.LLM_BASE_URL || DEFAULT_BASE_URL,
+    model = process.env.LLM_MODEL,
+    apiKey = process.env.LLM_API_KEY,
+    timeoutMs = parseInt(process.env.LLM_REQUEST_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  } = options;
+
+  if (!model) {
+    throw new Error('LLM_MODEL is required for the openai-compatible LLM provider.');
+  }
+
+  const client = axios.create({
+    baseURL: baseUrl.replace(/\/$/, ''),
+    timeout: timeoutMs,
+    headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {}
+  });
+
+  const completionRequest = (prompt, stream) => ({
+    model,
+    stream,
+    messages: [{ role: 'user', content: prompt }]
+  });
+
+  return {
+    name: 'openai-compatible',
+    model,
+
+    async generate(prompt) {
+      const response = await client.post('/chat/completions', completionRequest(prompt, false));
+      return response.data.choices?.[0]?.message?.content || '';
+    },
+
+    async* stream(prompt) {
+      const response = await client.post('/chat/completions', completionRequest(prompt, true), {
+        responseType: 'stream'
+      });
+
+      // The body is Server-Sent Events: "data: {json}" lines ending with "data: [DONE]"
+      let buffer = '';
+      for await (const chunk of response.data) {
+        buffer += chunk.toString();
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        for (const line of lines) {
+          const data = line.replace(/^data:\s*/, '').trim();
+          if (!line.startsWith('data:') || !data) continue;
+          if (data === '[DONE]') return;
+          const text = JSON.parse(data).choices?.[0]?.delta?.content;
+          if (text) yield text;
+        }
+      }
+    },
+
+    async countTokens(prompt) {
+      // The API has no token counting endpoint; roughly four characters per token
+      return Math.ceil(prompt.length / 4);
+    }
+  };
+}
+
+export default createOpenAICompatibleProvider;
@@ -0,0 +1,193 @@
+// src/loadBalancer.js
+import logger from './logger.js';
+
+const DEFAULT_STRATEGY = 'round-robin';
+
+// Per-capability rotation counters (round-robin) and running weights (weighted)
+const rotationCounters = new Map();
+const currentWeights = new Map();
+
+// Strategies configured at runtime through setCapabilityStrategy
+const strategyOverrides = new Map();
+
+/**
+ * Rotate a list so that it starts at the given offset
+ * @param {Array} items - Items to rotate
+ * @param {number} offset - Index of the new first element
+ * @returns {Array} - Rotated copy
+ */
+function rotate(items, offset) {
+  if (items.length === 0) return items;
+  const start = offset % items.length;
+  return [...items.slice(start), ...items.slice(0, start)];
+}
+
+/**
+ * Advance and return the rotation counter for a capability
+ * @param {string} capability - Capability name
+ * @returns {number} - Counter value before advancing
+ */
+function nextRotation(capability) {
+  const counter = rotationCounters.get(capability) || 0;
+  rotationCounters.set(capability, counter + 1);
+  return counter;
+}
+
+/**
+ * Read an agent's weight, defaulting to 1 for missing or invalid values
+ * @param {Object} agent - Registered agent
+ * @returns {number} - Positive weight
+ */
+function getWeight(agent) {
+  const weight = Number(agent.weight);
+  return Number.isFinite(weight) && weight > 0 ? weight : 1;
+}
+
+const strategies = {
+  /**
+   * Cycle through the agents in turn
+   */
+  'round-robin': (capability, agents) => rotate(agents, nextRotation(capability)),
+
+  /**
+   * Prefer the agent with the fewest requests currently in flight,
+   * breaking ties in round-robin order
+   */
+  'least-in-flight': (capability, agents, getStats) => {
+    const rotated = rotate(agents, nextRotation(capability));
+    return rotated
+      .map((agent, index) => ({ agent, index, inFlight: getStats(agent.agentId).inFlight }))
+      .sort((a, b) => a.inFlight - b.inFlight || a.index - b.index)
+      .map(entry => entry.agent);
+  },
+
+  /**
+   * Smooth weighted round-robin: agents are picked in proportion to their
+   * registered `weight` without sending bursts to the heaviest one
+   */
+  weighted: (capability, agents) => {
+    const weights = currentWeights.get(capability) || new Map();
+    currentWeights.set(capability, weights);
+
+    let total = 0;
+    let selected = null;
+    for (const agent of agents) {
+      const weight = getWeight(agent);
+      total += weight;
+      const current = (weights.get(agent.agentId) || 0) + weight;
+      weights.set(agent.agentId, current);
+      if (!selected || current > weights.get(selected.agentId)) {
+        selected = agent;
+      }
+    }
+    weights.set(selected.agentId, weights.get(selected.agentId) - total);
+
+    const rest = agents
+      .filter(agent => agent !== selected)
+      .sort((a, b) => getWeight(b) - getWeight(a));
+    return [selected, ...rest];
+  },
+
+  /**
+   * Prefer the agent with the lowest average response time. Agents without
+   * any measurements yet are tried first so that they get measured.
+   */
+  'latency-aware': (capability, agents, getStats) => {
+    const rotated = rotate(agents, nextRotation(capability));
+    const latencyOf = agent => getStats(agent.agentId).avgLatencyMs ?? -1;
+    return rotated
+      .map((agent, index) => ({ agent, index, latency: latencyOf(agent) }))
+      .sort((a, b) => a.latency - b.latency || a.index - b.index)
+      .map(entry => entry.agent);
+  }
+};
+
+/**
+ * Parse LOAD_BALANCING_STRATEGIES ("capability=strategy,capability=strategy")
+ * @returns {Map} - Strategy names keyed by capability
+ */
+function getConfiguredStrategies() {
+  const configured = new Map();
+  (process.env.LOAD_BALANCING_STRATEGIES || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [capability, strategy] = entry.split('=').map(part => part.trim());
+      if (capability && strategy) {
+        configured.set(capability, strategy);
+      }
+    });
+  return configured;
+}
+
+/**
+ * List the available strategy names
+ * @returns {Array<string>} - Strategy names
+ */
+export function getStrategyNames() {
+  return Object.keys(strategies);
+}
+
+/**
+ * Get the strategy used for a capability. Runtime overrides win over
+ * LOAD_BALANCING_STRATEGIES, which wins over LOAD_BALANCING_STRATEGY.
+ * @param {string} capability - Capability name
+ * @returns {string} - Strategy name
+ */
+export function getCapabilityStrategy(capability) {
+  const strategy = strategyOverrides.get(capability) ||
+    getConfiguredStrategies().get(capability) ||
+    process.env.LOAD_BALANCING_STRATEGY ||
+    DEFAULT_STRATEGY;
+
+  if (!strategies[strategy]) {
+    logger.warn(`Unknown load-balancing strategy "${strategy}" for ${capability}, using ${DEFAULT_STRATEGY}`);
+    return DEFAULT_STRATEGY;
+  }
+  return strategy;
+}
+
+/**
+ * Select the strategy for a capability at runtime
+ * @param {string} capability - Capability name
+ * @param {string|null} strategy - Strategy name, or null to fall back to configuration
+ */
+export function setCapabilityStrategy(capability, strategy) {
+  if (strategy === null) {
+    strategyOverrides.delete(capability);
+    return;
+  }
+  if (!strategies[strategy]) {
+    throw new Error(`Unknown load-balancing strategy "${strategy}". Expected one of: ${getStrategyNames().join(', ')}`);
+  }
+  strategyOverrides.set(capability, strategy);
+  logger.info(`Load-balancing strategy for ${capability} set to ${strategy}`);
+}
+
+/**
+ * Order candidate agents for a capability, best first. The remaining agents
+ * are the failover order.
+ * @param {string} capability - Capability name
+ * @param {Array<Object>} agents - Healthy agents providing the capability
+ * @param {Function} getStats - Returns { inFlight, avgLatencyMs } for an agentId
+ * @returns {Array<Object>} - Agents in preference order
+ */
+export function orderAgents(capability, agents, getStats) {
+  if (agents.length <= 1) {
+    return agents;
+  }
+  // Sort by id first so every strategy sees a stable order
+  const sorted = [...agents].sort((a, b) => a.agentId.localeCompare(b.agentId));
+  const strategy = getCapabilityStrategy(capability);
+  const ordered = strategies[strategy](capability, sorted, getStats);
+  logger.debug(`Agent order for ${capability} (${strategy}): ${ordered.map(a => a.agentId).join(', ')}`);
+  return ordered;
+}
+
+export default {
+  orderAgents,
+  getCapabilityStrategy,
+  setCapabilityStrategy,
+  getStrategyNames
+};
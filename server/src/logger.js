@@ -6,6 +6,45 @@ dotenv.config();
 
 const { combine, timestamp, printf, colorize, align } = winston.format;
 
+const REDACTED = '[REDACTED]';
+// Secret values to blank out wherever they appear (see addRedactedValues)
+const redactedValues = new Set();
+// Values shorter than this would blank out ordinary words
+const MIN_REDACTED_LENGTH = 6;
+// Secrets recognisable by their context, e.g. "Bearer <token>" or "access_token=<token>"
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[\w.~+/-]+=*/gi, `$1${REDACTED}`],
+  [/((?:access_token|refresh_token|id_token|client_secret|api_?key|appid|password)["']?\s*[:=]\s*["']?)[^"'&\s,}]+/gi, `$1${REDACTED}`]
+];
+
+/**
+ * Keep secret values out of the logs from now on
+ * @param {Array<string>} values - Secret values (API keys, tokens, passwords)
+ */
+export function addRedactedValues(values) {
+  for (const value of values) {
+    if (typeof value === 'string' && value.length >= MIN_REDACTED_LENGTH) {
+      redactedValues.add(value);
+    }
+  }
+}
+
+/**
+ * Blank out secrets in a string
+ * @param {string} text - Text to log
+ * @returns {string} - Text without secrets
+ */
+export function redact(text) {
+  let result = text;
+  for (const value of redactedValues) {
+    if (result.includes(value)) result = result.split(value).join(REDACTED);
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
 const customFormat = printf(({ level, message, timestamp: ts, ...metadata }) => {
   let msg = `${ts} [${level}]: ${message} `;
   if (Object.keys(metadata).length > 0) {
@@ -20,7 +59,8 @@ const customFormat = printf(({ level, message, timestamp: ts, ...metadata }) =>
         }
     }
   }
-  return msg;
+  // Secrets are blanked out of the whole line, including error details
+  return redact(msg);
 });
 
 const logger = winston.createLogger({
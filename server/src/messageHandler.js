@@ -0,0 +1,264 @@
+// src/messageHandler.js
+import logger from './logger.js';
+import services from './services/index.js';
+import { createProgressReporter } from './progressEvents.js';
+import { getPromptTemplate } from './promptTemplates.js';
+import { resolveStyle } from './stylePresets.js';
+import { resolveLocale } from './i18n.js';
+import { sanitizeHtml } from './htmlSanitizer.js';
+import { postFromHtml, renderPost, getPostFormats } from './post/index.js';
+import { saveDraft, generationInputs, hasSavedPost } from './post/postStore.js';
+
+// Capabilities whose output can be streamed through streamMessage
+export const STREAMING_CAPABILITIES = ['blog-writing', 'enhanced-blog-writing'];
+
+/**
+ * Process a message envelope and work out the HTTP response for it. Built-in
+ * capabilities are handled directly; everything else is routed to registered
+ * agents. Used by /api/message both synchronously and from background jobs.
+ * Progress is published under the messageId (see progressEvents.js).
+ * @param {Object} message - Validated message envelope (messageId, capability, payload, metadata)
+ * @returns {Promise<Object>} - { status, body } to send back to the client
+ */
+export async function handleMessage(message) {
+  const { messageId, capability } = message;
+  const reportProgress = createProgressReporter(messageId);
+  reportProgress('started', `Processing ${capability}`, { capability });
+
+  try {
+    const response = await processMessage(message, reportProgress);
+    if (response.status < 400) {
+      reportProgress('completed', `Finished ${capability}`, { status: response.status });
+    } else {
+      reportProgress('failed', response.body.error, { status: response.status });
+    }
+    return response;
+  } catch (error) {
+    reportProgress('failed', error.message, { status: error.status || 500 });
+    throw error;
+  }
+}
+
+/**
+ * Check the generation options of a blog payload (prompt template, style, locale and output format).
+ * Only for the built-in blog capabilities: payloads routed to agents are theirs to interpret.
+ * @param {Object} [payload] - Message payload
+ * @returns {string|null} - Error message, or null when the options are usable
+ */
+function findPayloadError(payload) {
+  if (payload?.promptTemplate && !getPromptTemplate(payload.promptTemplate)) {
+    return `Unknown prompt template "${payload.promptTemplate}".`;
+  }
+  if (payload?.format && !getPostFormats().includes(payload.format)) {
+    return `Unknown post format "${payload.format}". Use one of: ${getPostFormats().join(', ')}.`;
+  }
+  if (payload?.postId && !hasSavedPost(payload.postId)) {
+    return `Post ${payload.postId} not found.`;
+  }
+  try {
+    resolveStyle(payload?.style);
+    resolveLocale(payload?.locale);
+  } catch (error) {
+    return error.message;
+  }
+  return null;
+}
+
+/**
+ * Build the response body for a generated post
+ * @param {Object} post - Blog post (see post/postModel.js)
+ * @param {string} [format='html'] - Format of blog_post: 'html', 'markdown' or 'text'
+ * @param {string} [html] - Sanitized HTML as generated, used instead of rendering the post for 'html'
+ * @returns {Object} - { blog_post, post }
+ */
+function postResponse(post, format = 'html', html) {
+  return {
+    blog_post: format === 'html' && html !== undefined ? html : renderPost(post, format),
+    post
+  };
+}
+
+/**
+ * Save a generated enhanced post so it shows up in the post history: as a new
+ * draft, or as a new revision when the payload names the post (postId) being
+ * regenerated. The inputs of the generation are kept with it.
+ * @param {Object} post - Generated post
+ * @param {Object} payload - Message payload
+ * @param {Object} source - { capability, messageId }
+ * @returns {Object} - { postId, revision } to add to the response, or {} if the post was not saved
+ */
+function saveGeneratedPost(post, payload, source) {
+  if (post.metadata?.error) return {};
+  const inputs = generationInputs({
+    notes: payload.text,
+    photos: payload.todaysPhotos ?? payload.selectedPhotos,
+    weather: payload.weatherData,
+    location: payload.locationData,
+    news: payload.newsTopics,
+    promptTemplate: post.metadata?.promptTemplate,
+    style: payload.style,
+    locale: post.locale
+  });
+  const saved = saveDraft(post, source, { inputs, postId: payload.postId });
+  return saved ? { postId: saved.id, revision: saved.revision } : {};
+}
+
+/**
+ * Work out the response for a message
+ * @param {Object} message - Validated message envelope
+ * @param {Function} reportProgress - Progress callback for the message
+ * @returns {Promise<Object>} - { status, body }
+ */
+async function processMessage(message, reportProgress) {
+  const { capability, payload, messageId } = message;
+
+  // Handle blog-writing capability directly with Gemini
+  if (capability === 'blog-writing') {
+    if (!payload || !payload.text) {
+      return { status: 400, body: { error: 'Missing text for blog writing.' } };
+    }
+    const payloadError = findPayloadError(payload);
+    if (payloadError) {
+      return { status: 400, body: { error: payloadError } };
+    }
+    const html = await services.geminiService.generateBlogPost(payload.text, {
+      promptTemplate: payload.promptTemplate,
+      locale: payload.locale
+    });
+    const post = postFromHtml(html, { locale: payload.locale, metadata: { generator: capability } });
+    return { status: 200, body: postResponse(post, payload.format, html) };
+  }
+
+  // Handle enhanced-blog-writing capability
+  if (capability === 'enhanced-blog-writing') {
+    if (!payload || !payload.text) {
+      return { status: 400, body: { error: 'Missing text for enhanced blog writing.' } };
+    }
+    const payloadError = findPayloadError(payload);
+    if (payloadError) {
+      return { status: 400, body: { error: payloadError } };
+    }
+    const post = await services.geminiService.generateEnhancedBlogPost(payload, { onProgress: reportProgress });
+    return { status: 200, body: { ...postResponse(post, payload.format), ...saveGeneratedPost(post, payload, { capability, messageId }) } };
+  }
+
+  // Re-render an existing post into another language
+  if (capability === 'translate-post') {
+    if (!payload || !payload.text) {
+      return { status: 400, body: { error: 'Missing text of the post to translate.' } };
+    }
+    if (!payload.locale) {
+      return { status: 400, body: { error: 'Missing locale to translate the post into.' } };
+    }
+    const payloadError = findPayloadError(payload);
+    if (payloadError) {
+      return { status: 400, body: { error: payloadError } };
+    }
+    const locale = resolveLocale(payload.locale);
+    reportProgress('routing', `Translating post into ${locale}`, { locale });
+    const html = await services.geminiService.translateBlogPost(payload.text, {
+      locale,
+      promptTemplate: payload.promptTemplate
+    });
+    const post = postFromHtml(html, { locale, metadata: { generator: capability } });
+    return { status: 200, body: { ...postResponse(post, payload.format, html), locale } };
+  }
+
+  // For other capabilities, route to the registered agents (with failover)
+  try {
+    reportProgress('routing', `Routing ${capability} to a registered agent`);
+    const { agentId, result, attempts } = await services.agentDispatchService.dispatchWithFailover(message);
+    return {
+      status: 200,
+      body: {
+        messageId,
+        capability,
+        agentId,
+        attempts: attempts.length,
+        result
+      }
+    };
+  } catch (dispatchError) {
+    logger.warn(`Message ${messageId} for ${capability} failed: ${dispatchError.message}`);
+    return {
+      status: dispatchError.status || 502,
+      body: {
+        error: dispatchError.message,
+        messageId,
+        capability,
+        agentId: dispatchError.agentId,
+        ...(dispatchError.details ? { details: dispatchError.details } : {}),
+        ...(dispatchError.attempts ? { attempts: dispatchError.attempts } : {}),
+        ...(dispatchError.agentStatus ? { agentStatus: dispatchError.agentStatus } : {}),
+        ...(dispatchError.agentResponse ? { agentResponse: dispatchError.agentResponse } : {})
+      }
+    };
+  }
+}
+
+/**
+ * Stream the response to a message chunk by chunk. Only the built-in blog
+ * capabilities can be streamed (see STREAMING_CAPABILITIES). Chunks are passed
+ * on as generated HTML; the finished post is returned at the end.
+ * @param {Object} message - Validated message envelope (messageId, capability, payload, metadata)
+ * @param {Function} onChunk - Called with each chunk of generated text
+ * @param {Object} [options] - Streaming options
+ * @param {AbortSignal} [options.signal] - Stops generation when aborted (e.g. the client disconnected)
+ * @returns {Promise<Object>} - { blog_post, post, postId, revision } as for handleMessage (payload.format applies to blog_post)
+ */
+export async function streamMessage(message, onChunk, options = {}) {
+  const { messageId, capability, payload } = message;
+  const { signal } = options;
+
+  if (!STREAMING_CAPABILITIES.includes(capability)) {
+    const error = new Error(`Capability ${capability} does not support streaming.`);
+    error.status = 400;
+    throw error;
+  }
+  if (!payload || !payload.text) {
+    const error = new Error(`Missing text for ${capability}.`);
+    error.status = 400;
+    throw error;
+  }
+  const payloadError = findPayloadError(payload);
+  if (payloadError) {
+    const error = new Error(payloadError);
+    error.status = 400;
+    throw error;
+  }
+
+  const reportProgress = createProgressReporter(messageId);
+  reportProgress('started', `Streaming ${capability}`, { capability });
+
+  const stream = capability === 'blog-writing'
+    ? services.geminiService.streamBlogPost(payload.text, { promptTemplate: payload.promptTemplate, locale: payload.locale })
+    : services.geminiService.streamEnhancedBlogPost(payload, { onProgress: reportProgress });
+
+  let text = '';
+  let step;
+  try {
+    // Iterate by hand to receive the generator's return value (the enhanced post)
+    while (!(step = await stream.next()).done) {
+      if (signal?.aborted) {
+        await stream.return();
+        reportProgress('failed', 'Client disconnected before generation finished');
+        const html = sanitizeHtml(text);
+        return postResponse(postFromHtml(html, { locale: payload.locale }), 'html', html);
+      }
+      text += step.value;
+      onChunk(step.value);
+    }
+  } catch (error) {
+    reportProgress('failed', error.message, { status: error.status || 500 });
+    throw error;
+  }
+
+  reportProgress('completed', `Finished ${capability}`, { length: text.length });
+  if (step.value) {
+    return { ...postResponse(step.value, payload.format), ...saveGeneratedPost(step.value, payload, { capability, messageId }) };
+  }
+  const html = sanitizeHtml(text);
+  return postResponse(postFromHtml(html, { locale: payload.locale, metadata: { generator: capability } }), payload.format, html);
+}
+
+export default { handleMessage, streamMessage, STREAMING_CAPABILITIES };
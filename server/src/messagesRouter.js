@@ -0,0 +1,86 @@
+// src/messagesRouter.js
+import express from 'express';
+import logger from './logger.js';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
+import { subscribeToProgress, isTerminalEvent } from './progressEvents.js';
+import { streamMessage } from './messageHandler.js';
+
+const router = express.Router();
+
+// Interval between keep-alive comments so proxies don't close idle streams
+const KEEP_ALIVE_MS = 15000;
+
+const SSE_HEADERS = {
+  'Content-Type': 'text/event-stream',
+  'Cache-Control': 'no-cache',
+  Connection: 'keep-alive',
+  'X-Accel-Buffering': 'no'
+};
+
+// Streams belong to messages sent by orchestrator clients, so they share the /api/message API keys
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
+
+/**
+ * Stream the progress events of a message as Server-Sent Events. Events that
+ * happened before the client connected are replayed; the stream ends after
+ * the 'completed' or 'failed' event. The client may connect before sending the
+ * message, using the messageId it is about to send.
+ */
+router.get('/:messageId/events', (req, res) => {
+  res.set(SSE_HEADERS);
+  res.flushHeaders();
+
+  let unsubscribe = () => {};
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  const close = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+
+  unsubscribe = subscribeToProgress(req.params.messageId, (event) => {
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+    if (isTerminalEvent(event)) {
+      close();
+      res.end();
+    }
+  });
+
+  req.on('close', close);
+});
+
+/**
+ * Send a message and stream the generated text back as Server-Sent Events:
+ * 'chunk' events ({ text }) followed by 'done' ({ messageId, blog_post, post, postId }), or
+ * 'error' ({ error, status }) if generation fails part-way. Errors before the
+ * first chunk (e.g. an unsupported capability) are plain JSON responses.
+ */
+router.post('/stream', validateSchema(getSchema('message')), async (req, res) => {
+  const { async: runAsync, ...message } = req.body;
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+
+  const send = (event, data) => {
+    if (!res.headersSent) {
+      res.set(SSE_HEADERS);
+      res.flushHeaders();
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const result = await streamMessage(message, text => send('chunk', { text }), { signal: controller.signal });
+    send('done', { messageId: message.messageId, ...result });
+    res.end();
+  } catch (error) {
+    logger.error(`Streaming message ${message.messageId} failed:`, error.message);
+    if (!res.headersSent) {
+      return res.status(error.status || 500).json({ error: error.message });
+    }
+    send('error', { error: error.message, status: error.status || 500 });
+    res.end();
+  }
+});
+
+export default router;
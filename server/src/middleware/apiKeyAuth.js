@@ -1,10 +1,21 @@
 // src/middleware/apiKeyAuth.js
 import logger from '../logger.js';
+import { getCredentialValues } from '../credentialVault.js';
 
-export const apiKeyAuth = (validApiKeysEnvVar) => {
+/**
+ * Require an X-API-Key from a list of allowed keys. The list is read from the
+ * credential vault (or the environment) on every request, so rotated keys
+ * apply at once; after a rotation the old keys stay valid for a while.
+ * @param {string} credentialName - Credential holding the comma-separated keys, e.g. 'ADMIN_API_KEYS'
+ * @returns {Function} - Express middleware
+ */
+export const apiKeyAuth = (credentialName) => {
   return (req, res, next) => {
     const apiKey = req.header('X-API-Key');
-    const allowedKeys = (validApiKeysEnvVar || '').split(',').map(key => key.trim()).filter(key => key.length > 0);
+    const allowedKeys = getCredentialValues(credentialName)
+      .flatMap(value => value.split(','))
+      .map(key => key.trim())
+      .filter(key => key.length > 0);
 
     if (!apiKey) {
       logger.warn('API key missing from request');
@@ -12,12 +23,12 @@ export const apiKeyAuth = (validApiKeysEnvVar) => {
     }
 
     if (allowedKeys.length === 0) {
-        logger.error('No API keys configured on the server. Denying all requests.');
+        logger.error(`No API keys configured on the server (${credentialName}). Denying all requests.`);
         return res.status(500).json({ error: 'Server configuration error: No API keys set.' });
     }
 
     if (!allowedKeys.includes(apiKey)) {
-      logger.warn(`Invalid API key received: ${apiKey}`);
+      logger.warn(`Invalid API key received for ${req.method} ${req.originalUrl}`);
       return res.status(403).json({ error: 'Forbidden: Invalid API key.' });
     }
 
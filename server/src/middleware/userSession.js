@@ -0,0 +1,59 @@
+// src/middleware/userSession.js
+import logger from '../logger.js';
+import { getSessionAccount } from '../accounts/accountStore.js';
+
+export const SESSION_COOKIE = 'daily_blog_session';
+
+/**
+ * Read a cookie from a request
+ * @param {Object} req - Express request
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value, or null if it is missing or not validly encoded
+ */
+const readCookie = (req, name) => {
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key !== name) continue;
+    try {
+      return decodeURIComponent(value.join('='));
+    } catch {
+      // A malformed value (e.g. "%E0") is no session rather than an error on every page
+      return null;
+    }
+  }
+  return null;
+};
+
+/**
+ * The session token of a request: the X-User-Token header (for API clients)
+ * or the session cookie set when signing in
+ * @param {Object} req - Express request
+ * @returns {string|null} - Session token
+ */
+export const sessionToken = (req) => req.header('X-User-Token') || readCookie(req, SESSION_COOKIE);
+
+/**
+ * Identify the signed-in user, if any, as req.user. Requests without a
+ * session go on anonymously; an unknown X-User-Token is refused.
+ */
+export const userSession = (req, res, next) => {
+  const token = sessionToken(req);
+  req.user = getSessionAccount(token);
+  if (!req.user && req.header('X-User-Token')) {
+    logger.warn('Unknown or expired user token received');
+    return res.status(401).json({ error: 'Unauthorized: Unknown or expired user token.' });
+  }
+  next();
+};
+
+/**
+ * Only let signed-in users through
+ */
+export const requireUser = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Unauthorized: Sign in with Google first.' });
+  }
+  next();
+};
+
+export default userSession;
@@ -4,9 +4,71 @@ import addFormats from 'ajv-formats';
 import logger from '../logger.js';
 
 const ajv = new Ajv({ allErrors: true });
-addFormats(ajv); 
+addFormats(ajv);
 
-export const validateSchema = (schema) => {
+// Validators for the schemas agents declare for their capabilities. Each agent
+// gets its own Ajv instance, so its schemas never clash with the server's or
+// another agent's $id, are not held to the server's strict mode, and are
+// dropped with the agent.
+const agentValidators = new Map();
+
+/**
+ * Convert Ajv errors into the shape returned to API clients
+ * @param {Array} errors - Ajv validation errors
+ * @returns {Array<Object>} - Errors with path, message and params
+ */
+export const formatValidationErrors = (errors = []) => errors.map(err => ({
+  path: err.instancePath || 'body',
+  message: err.message,
+  params: err.params
+}));
+
+/**
+ * Validate data against a schema an agent declared
+ * @param {string} agentId - ID of the agent that declared the schema
+ * @param {Object} schema - JSON schema
+ * @param {*} data - Data to validate
+ * @returns {Object} - { valid, errors } where errors are formatted for API responses
+ * @throws {Error} - If the schema cannot be compiled
+ */
+export const validateAgentData = (agentId, schema, data) => {
+  if (!agentValidators.has(agentId)) {
+    const agentAjv = new Ajv({ allErrors: true, strict: false });
+    addFormats(agentAjv);
+    agentValidators.set(agentId, { ajv: agentAjv, compiled: new Map() });
+  }
+  const { ajv: agentAjv, compiled } = agentValidators.get(agentId);
+  const key = JSON.stringify(schema);
+  if (!compiled.has(key)) {
+    // Another of the agent's schemas may use the same $id; the newest one wins
+    if (schema?.$id) {
+      agentAjv.removeSchema(schema.$id);
+    }
+    compiled.set(key, agentAjv.compile(schema));
+  }
+  const validate = compiled.get(key);
+  const valid = validate(data);
+  return {
+    valid,
+    errors: valid ? [] : formatValidationErrors(validate.errors)
+  };
+};
+
+/**
+ * Drop the validators compiled for an agent's schemas
+ * @param {string} agentId - ID of the agent
+ */
+export const forgetAgentSchemas = (agentId) => {
+  agentValidators.delete(agentId);
+};
+
+/**
+ * Middleware validating the request against a JSON schema
+ * @param {Object|Function} schema - JSON schema, or a validator already compiled by Ajv
+ * @param {Function} [selectData] - Picks the data to validate from the request (defaults to req.body)
+ * @returns {Function} Express middleware function
+ */
+export const validateSchema = (schema, selectData = req => req.body) => {
   if (!schema) {
     logger.error('Schema not provided to validateSchema middleware. This is a server-side configuration error.');
     return (req, res, next) => {
@@ -15,18 +77,14 @@ export const validateSchema = (schema) => {
     };
   }
 
-  const validate = ajv.compile(schema);
+  const validate = typeof schema === 'function' ? schema : ajv.compile(schema);
 
   return (req, res, next) => {
-    if (!validate(req.body)) {
+    if (!validate(selectData(req))) {
       logger.warn('Schema validation failed:', { path: req.path, errors: validate.errors });
       return res.status(400).json({
         error: 'Bad Request: Schema validation failed.',
-        details: validate.errors.map(err => ({
-          path: err.instancePath || 'body',
-          message: err.message,
-          params: err.params
-        }))
+        details: formatValidationErrors(validate.errors)
       });
     }
     logger.debug(`Schema validation successful for path: ${req.path}`);
@@ -34,4 +92,6 @@ export const validateSchema = (schema) => {
   };
 };
 
+export { ajv };
+
 export default validateSchema;
@@ -0,0 +1,229 @@
+// src/post/exporter.js
+import axios from 'axios';
+import logger from '../logger.js';
+import { escapeHtml, isSafeUrl } from '../htmlSanitizer.js';
+import { renderHtml } from './htmlRenderer.js';
+import { renderMarkdown } from './markdownRenderer.js';
+import { renderPdf, checkPdfText } from './pdfRenderer.js';
+import { photoImageUrl } from './postModel.js';
+
+// Limits for images fetched to embed in exports
+const IMAGE_TIMEOUT_MS = 10000;
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Styles inlined into standalone HTML exports, matching the app's preview
+const EXPORT_CSS = `
+body { margin: 0; background: #f5f5f5; color: #222; font: 17px/1.6 Georgia, 'Times New Roman', serif; }
+article { max-width: 760px; margin: 40px auto; padding: 40px 48px; background: #fff; border-radius: 8px; box-shadow: 0 1px 4px rgba(0, 0, 0, 0.1); }
+h1, h2, h3, h4 { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.25; }
+h1 { font-size: 2.1em; margin: 0 0 0.3em; }
+h2 { margin-top: 1.6em; }
+a { color: #1a4db3; }
+blockquote { margin: 1em 0; padding-left: 1em; border-left: 3px solid #ccc; color: #555; font-style: italic; }
+.blog-date { color: #666; font-style: italic; }
+.blog-location { color: #444; }
+.weather-section { margin: 1.5em 0; padding: 12px 18px; background: #eef5fb; border-radius: 6px; }
+.weather-section h3 { margin-top: 0; }
+.photo-gallery { display: flex; flex-wrap: wrap; gap: 12px; margin: 2em 0; }
+.photo-gallery p { flex-basis: 100%; }
+.photo-card { margin: 0; max-width: 48%; }
+.photo-card img { display: block; max-width: 100%; border-radius: 4px; }
+.photo-card figcaption { color: #666; font-size: 0.85em; }
+ul.news li { margin-bottom: 0.6em; }
+@media print { body { background: #fff; } article { margin: 0; box-shadow: none; } }
+`.trim();
+
+// Hosts images are never fetched from: the server itself and private networks
+const PRIVATE_HOST_PATTERN = /^(localhost|.*\.localhost|.*\.local|.*\.internal|0\.0\.0\.0|127\.\d+\.\d+\.\d+|10\.\d+\.\d+\.\d+|192\.168\.\d+\.\d+|172\.(1[6-9]|2\d|3[01])\.\d+\.\d+|169\.254\.\d+\.\d+|\[?(::1?|f[cd][0-9a-f]*:.*|fe80:.*)\]?)$/i;
+
+/**
+ * Check that a host is on the public internet, so exports cannot be used
+ * to read from the server's own network
+ * @param {string} hostname - Host name or IP address
+ * @returns {boolean} - Whether the host may be fetched from
+ */
+const isPublicHost = (hostname) => Boolean(hostname) && !PRIVATE_HOST_PATTERN.test(hostname);
+
+/**
+ * Fetch the full-size images of a post's photos, for embedding and uploads
+ * @param {Object} post - Blog post
+ * @returns {Promise<Map<string, Object>>} - { data, contentType } by photoImageUrl; images that fail to load are left out
+ */
+export async function fetchPostImages(post) {
+  const urls = [...new Set((post.photos?.items || [])
+    .map(photoImageUrl)
+    .filter(url => isSafeUrl(url) && /^https?:/i.test(url) && isPublicHost(new URL(url).hostname)))];
+  const images = new Map();
+
+  await Promise.all(urls.map(async (url) => {
+    try {
+      const response = await axios.get(url, {
+        responseType: 'arraybuffer',
+        timeout: IMAGE_TIMEOUT_MS,
+        maxContentLength: MAX_IMAGE_BYTES,
+        maxRedirects: 3,
+        beforeRedirect: (options) => {
+          if (!isPublicHost(options.hostname)) throw new Error(`redirected to ${options.hostname}`);
+        }
+      });
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
+      if (!contentType.startsWith('image/') || contentType === 'image/svg+xml') {
+        logger.warn(`Not embedding ${url}: unsupported content type "${contentType}"`);
+        return;
+      }
+      images.set(url, { data: Buffer.from(response.data), contentType });
+    } catch (error) {
+      logger.warn(`Not embedding ${url}: ${error.message}`);
+    }
+  }));
+
+  return images;
+}
+
+/**
+ * Turn text into a URL and file name friendly slug
+ * @param {string} text - Text, e.g. a title
+ * @returns {string} - Lowercase ASCII words joined by dashes (may be empty)
+ */
+export function slugify(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Make a file name from a post's title and creation date
+ * @param {Object} post - Blog post
+ * @returns {string} - File name without extension, e.g. "my-day-2024-05-01"
+ */
+export function postFileName(post) {
+  const day = String(post.createdAt || new Date().toISOString()).slice(0, 10);
+  return [slugify(post.title) || 'post', day].join('-');
+}
+
+/**
+ * Quote a value for YAML front matter. JSON strings are valid YAML scalars.
+ * @param {*} value - Value
+ * @returns {string} - YAML scalar
+ */
+export const yamlValue = (value) => JSON.stringify(String(value));
+
+/**
+ * Export a post as Markdown with YAML front matter
+ * @param {Object} post - Blog post
+ * @returns {string} - Markdown document
+ */
+export function exportMarkdown(post) {
+  const { generator, provider, style } = post.metadata || {};
+  const frontMatter = [
+    ['title', post.title],
+    ['date', post.createdAt],
+    ['displayDate', post.date],
+    ['location', post.location],
+    ['locale', post.locale],
+    ['generator', generator],
+    ['provider', provider],
+    ['style', style]
+  ]
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${yamlValue(value)}`);
+
+  return `---\n${frontMatter.join('\n')}\n---\n\n${renderMarkdown(post)}`;
+}
+
+/**
+ * Export a post as a standalone HTML page with inlined styles and images
+ * @param {Object} post - Blog post
+ * @param {Object} [options] - Export options
+ * @param {Map<string, Object>} [options.images] - Images to embed as data URLs, from fetchPostImages
+ * @returns {string} - HTML document
+ */
+export function exportHtml(post, { images = new Map() } = {}) {
+  let body = renderHtml(post);
+  for (const photo of post.photos?.items || []) {
+    const image = images.get(photoImageUrl(photo));
+    if (!image) continue;
+    // The page shows the thumbnail URL; the full-size image replaces it
+    body = body.split(`src="${escapeHtml(photo.thumbnail || photo.url)}"`)
+      .join(`src="data:${image.contentType};base64,${image.data.toString('base64')}"`);
+  }
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeHtml(post.locale)}">`,
+    '<head>',
+    '<meta charset="utf-8">',
+    '<meta name="viewport" content="width=device-width, initial-scale=1">',
+    `<title>${escapeHtml(post.title)}</title>`,
+    `<style>\n${EXPORT_CSS}\n</style>`,
+    '</head>',
+    '<body>',
+    `<article>\n${body}\n</article>`,
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Export a post as PDF. JPEG photos are embedded.
+ * @param {Object} post - Blog post
+ * @param {Object} [options] - Export options
+ * @param {Map<string, Object>} [options.images] - Images from fetchPostImages
+ * @returns {Buffer} - PDF document
+ */
+export function exportPdf(post, { images = new Map() } = {}) {
+  const data = new Map([...images].map(([url, image]) => [url, image.data]));
+  return renderPdf(post, { images: data });
+}
+
+/**
+ * Export formats. Each turns a post into a downloadable file; check, if
+ * present, refuses posts the format cannot show before photos are fetched.
+ */
+const exportFormats = {
+  markdown: { export: exportMarkdown, contentType: 'text/markdown; charset=utf-8', extension: 'md', images: false },
+  html: { export: exportHtml, contentType: 'text/html; charset=utf-8', extension: 'html', images: true },
+  pdf: { export: exportPdf, check: checkPdfText, contentType: 'application/pdf', extension: 'pdf', images: true }
+};
+
+/**
+ * Export a post as a file
+ * @param {Object} post - Blog post
+ * @param {string} format - 'markdown', 'html' or 'pdf'
+ * @param {Object} [options] - Export options
+ * @param {boolean} [options.embedImages=true] - Fetch photos and embed them in HTML and PDF exports
+ * @returns {Promise<Object>} - { filename, contentType, body } where body is a string or Buffer
+ * @throws {Error} - With status 400 for an unknown format, or 422 for a post the format cannot show
+ */
+export async function exportPost(post, format, { embedImages = true } = {}) {
+  const exportFormat = exportFormats[format];
+  if (!exportFormat) {
+    const error = new Error(`Unknown export format "${format}". Use one of: ${getExportFormats().join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+  exportFormat.check?.(post);
+
+  const images = exportFormat.images && embedImages ? await fetchPostImages(post) : new Map();
+  return {
+    filename: `${postFileName(post)}.${exportFormat.extension}`,
+    contentType: exportFormat.contentType,
+    body: exportFormat.export(post, { images })
+  };
+}
+
+/**
+ * Names of the formats exportPost supports
+ * @returns {Array<string>} - Format names
+ */
+export function getExportFormats() {
+  return Object.keys(exportFormats);
+}
+
+export default { exportPost, getExportFormats, postFileName, slugify, fetchPostImages };
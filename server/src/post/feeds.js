@@ -0,0 +1,303 @@
+// src/post/feeds.js
+// RSS 2.0, Atom and JSON Feed documents of the published posts, paginated
+// and optionally limited to one tag (a key topic of the post).
+import { escapeHtml, isSafeUrl } from '../htmlSanitizer.js';
+import { generateSmartTitle, extractKeyTopics } from '../services/titleService.js';
+import { renderHtml } from './htmlRenderer.js';
+import { postText } from './staticSite.js';
+import { slugify } from './exporter.js';
+import { listPublishedPosts, excerptOf } from './postStore.js';
+import { httpError } from '../httpError.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_FEED_TITLE = 'Daily blog';
+
+// Photo types by file extension, for enclosures whose type is not recorded
+const IMAGE_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  avif: 'image/avif'
+};
+
+// Tags of the published posts by post ID: { updatedAt, tags }, so filtering a
+// feed by tag does not go through the text of every post on each request
+const tagCache = new Map();
+
+/**
+ * Photos of a post that can be linked from a feed, with their media type
+ * @param {Object} post - Blog post
+ * @returns {Array<Object>} - [{ url, type, caption }]
+ */
+const enclosuresOf = (post) => (post.photos?.items || [])
+  .map(photo => ({ url: photo.url || photo.thumbnail, type: photo.mimeType, caption: photo.caption }))
+  .filter(({ url }) => url && /^https?:/i.test(url) && isSafeUrl(url))
+  .map(photo => ({
+    ...photo,
+    type: photo.type || IMAGE_TYPES[new URL(photo.url).pathname.split('.').pop().toLowerCase()] || 'image/jpeg'
+  }));
+
+/**
+ * Tags of a saved post: the key topics of its text
+ * @param {Object} record - Saved post
+ * @returns {Array<string>} - Tags
+ */
+const tagsOf = (record) => {
+  const cached = tagCache.get(record.id);
+  if (cached?.updatedAt === record.updatedAt) return cached.tags;
+  const tags = extractKeyTopics(postText(record.post));
+  tagCache.set(record.id, { updatedAt: record.updatedAt, tags });
+  return tags;
+};
+
+/**
+ * Forget the tags of posts that are no longer published
+ * @param {Array<Object>} records - The published posts
+ */
+const pruneTagCache = (records) => {
+  if (tagCache.size <= records.length) return;
+  const ids = new Set(records.map(record => record.id));
+  for (const id of tagCache.keys()) {
+    if (!ids.has(id)) tagCache.delete(id);
+  }
+};
+
+/**
+ * Feed entry for a saved post
+ * @param {Object} record - Saved post
+ * @param {string} baseUrl - Public URL of the server
+ * @returns {Promise<Object>} - { id, url, title, date, updated, summary, html, tags, enclosures }
+ */
+const toEntry = async (record, baseUrl) => {
+  const { post } = record;
+  const text = postText(post);
+  const title = await generateSmartTitle(text, {
+    location: post.location ? { locationName: post.location } : null,
+    people: [...new Set((post.photos?.items || []).flatMap(photo => photo.people || []))]
+  }, { locale: post.locale, date: post.createdAt });
+  // Link to where the post was published, if it was
+  const published = [...(record.publications || [])].reverse().find(publication => publication.url && publication.status === 'published');
+  return {
+    id: `urn:uuid:${record.id}`,
+    url: published?.url || `${baseUrl}/feeds/posts/${record.id}`,
+    title,
+    date: post.createdAt,
+    updated: record.updatedAt,
+    summary: excerptOf(post),
+    html: renderHtml(post),
+    tags: tagsOf(record),
+    enclosures: enclosuresOf(post)
+  };
+};
+
+/**
+ * Entries of one page of a feed. The posts are filtered and paginated first,
+ * so only the entries of the page are built.
+ * @param {Object} options - { page, tag, baseUrl }
+ * @returns {Promise<Object>} - { entries, page, pages, tagName } where tagName is the tag as the posts spell it
+ */
+const feedPage = async ({ page, tag, baseUrl }) => {
+  const pageSize = parseInt(process.env.FEED_PAGE_SIZE, 10) || DEFAULT_PAGE_SIZE;
+  const records = listPublishedPosts();
+  pruneTagCache(records);
+  const tagName = tag && records.flatMap(tagsOf).find(candidate => slugify(candidate) === slugify(tag));
+  const matching = tag ? records.filter(record => tagsOf(record).includes(tagName)) : records;
+  const pages = Math.max(1, Math.ceil(matching.length / pageSize));
+  if (page > pages) {
+    throw httpError(`Feed page ${page} does not exist; there ${pages === 1 ? 'is 1 page' : `are ${pages} pages`}.`, 404);
+  }
+  const entries = await Promise.all(matching.slice((page - 1) * pageSize, page * pageSize).map(record => toEntry(record, baseUrl)));
+  return { entries, page, pages, tagName: tagName || tag };
+};
+
+/**
+ * URL of a page of a feed
+ * @param {string} baseUrl - Public URL of the server
+ * @param {string} format - Feed format
+ * @param {string} [tag] - Tag the feed is limited to
+ * @param {number} [page=1] - Page number
+ * @returns {string} - URL
+ */
+export function feedUrl(baseUrl, format, tag, page = 1) {
+  const path = tag ? `/feeds/tags/${encodeURIComponent(slugify(tag))}/${format}` : `/feeds/${format}`;
+  return `${baseUrl}${path}${page > 1 ? `?page=${page}` : ''}`;
+}
+
+/**
+ * Links between the pages of a feed (RFC 5005 paging)
+ * @param {Object} context - { baseUrl, format, tag, page, pages }
+ * @returns {Object} - { self, first, last, next, previous } (next/previous null at the ends)
+ */
+const pageLinks = ({ baseUrl, format, tag, page, pages }) => ({
+  self: feedUrl(baseUrl, format, tag, page),
+  first: feedUrl(baseUrl, format, tag, 1),
+  last: feedUrl(baseUrl, format, tag, pages),
+  next: page < pages ? feedUrl(baseUrl, format, tag, page + 1) : null,
+  previous: page > 1 ? feedUrl(baseUrl, format, tag, page - 1) : null
+});
+
+/**
+ * When any entry of a feed last changed
+ * @param {Array<Object>} entries - Feed entries
+ * @returns {Date} - Latest update (now for an empty feed)
+ */
+const lastUpdated = (entries) => new Date(entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), '') || Date.now());
+
+/**
+ * Title of a feed
+ * @param {string} [tag] - Tag the feed is limited to
+ * @returns {string} - Title
+ */
+const feedTitle = (tag) => {
+  const title = process.env.FEED_TITLE || DEFAULT_FEED_TITLE;
+  return tag ? `${title}: ${tag}` : title;
+};
+
+/**
+ * Render a feed as RSS 2.0
+ * @param {Object} feed - { entries, links, tag, baseUrl }
+ * @returns {string} - XML
+ */
+const renderRss = ({ entries, links, tag, baseUrl }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/">',
+  '<channel>',
+  `<title>${escapeHtml(feedTitle(tag))}</title>`,
+  `<link>${escapeHtml(baseUrl)}</link>`,
+  `<description>${escapeHtml(feedTitle(tag))}</description>`,
+  ...['self', 'first', 'last', 'next', 'previous']
+    .filter(rel => links[rel])
+    .map(rel => `<atom:link rel="${rel}" type="application/rss+xml" href="${escapeHtml(links[rel])}"/>`),
+  `<lastBuildDate>${lastUpdated(entries).toUTCString()}</lastBuildDate>`,
+  ...entries.map(entry => [
+    '<item>',
+    `<title>${escapeHtml(entry.title)}</title>`,
+    `<link>${escapeHtml(entry.url)}</link>`,
+    `<guid isPermaLink="false">${escapeHtml(entry.id)}</guid>`,
+    `<pubDate>${new Date(entry.date).toUTCString()}</pubDate>`,
+    `<description>${escapeHtml(entry.summary)}</description>`,
+    `<content:encoded>${escapeHtml(entry.html)}</content:encoded>`,
+    ...entry.tags.map(name => `<category>${escapeHtml(name)}</category>`),
+    // RSS allows a single enclosure per item; the size of remote photos is not known
+    ...entry.enclosures.slice(0, 1).map(photo => `<enclosure url="${escapeHtml(photo.url)}" type="${escapeHtml(photo.type)}" length="0"/>`),
+    '</item>'
+  ].join('\n')),
+  '</channel>',
+  '</rss>'
+].join('\n');
+
+/**
+ * Render a feed as Atom
+ * @param {Object} feed - { entries, links, tag, baseUrl }
+ * @returns {string} - XML
+ */
+const renderAtom = ({ entries, links, tag, baseUrl }) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<feed xmlns="http://www.w3.org/2005/Atom">',
+  `<title>${escapeHtml(feedTitle(tag))}</title>`,
+  `<id>${escapeHtml(links.first)}</id>`,
+  `<updated>${lastUpdated(entries).toISOString()}</updated>`,
+  `<link rel="alternate" href="${escapeHtml(baseUrl)}"/>`,
+  ...['self', 'first', 'last', 'next', 'previous']
+    .filter(rel => links[rel])
+    .map(rel => `<link rel="${rel}" type="application/atom+xml" href="${escapeHtml(links[rel])}"/>`),
+  `<author><name>${escapeHtml(process.env.FEED_AUTHOR || feedTitle())}</name></author>`,
+  ...entries.map(entry => [
+    '<entry>',
+    `<title>${escapeHtml(entry.title)}</title>`,
+    `<id>${escapeHtml(entry.id)}</id>`,
+    `<link rel="alternate" type="text/html" href="${escapeHtml(entry.url)}"/>`,
+    `<published>${new Date(entry.date).toISOString()}</published>`,
+    `<updated>${new Date(entry.updated).toISOString()}</updated>`,
+    `<summary>${escapeHtml(entry.summary)}</summary>`,
+    `<content type="html">${escapeHtml(entry.html)}</content>`,
+    ...entry.tags.map(name => `<category term="${escapeHtml(slugify(name))}" label="${escapeHtml(name)}"/>`),
+    ...entry.enclosures.map(photo => `<link rel="enclosure" type="${escapeHtml(photo.type)}" href="${escapeHtml(photo.url)}"${photo.caption ? ` title="${escapeHtml(photo.caption)}"` : ''}/>`),
+    '</entry>'
+  ].join('\n')),
+  '</feed>'
+].join('\n');
+
+/**
+ * Render a feed as JSON Feed 1.1
+ * @param {Object} feed - { entries, links, tag, baseUrl }
+ * @returns {string} - JSON
+ */
+const renderJsonFeed = ({ entries, links, tag, baseUrl }) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feedTitle(tag),
+  home_page_url: baseUrl,
+  feed_url: links.self,
+  ...(links.next ? { next_url: links.next } : {}),
+  ...(process.env.FEED_AUTHOR ? { authors: [{ name: process.env.FEED_AUTHOR }] } : {}),
+  items: entries.map(entry => ({
+    id: entry.id,
+    url: entry.url,
+    title: entry.title,
+    summary: entry.summary,
+    content_html: entry.html,
+    date_published: new Date(entry.date).toISOString(),
+    date_modified: new Date(entry.updated).toISOString(),
+    tags: entry.tags,
+    ...(entry.enclosures[0] ? { image: entry.enclosures[0].url } : {}),
+    attachments: entry.enclosures.map(photo => ({
+      url: photo.url,
+      mime_type: photo.type,
+      ...(photo.caption ? { title: photo.caption } : {})
+    }))
+  }))
+}, null, 2);
+
+const feedFormats = {
+  rss: { render: renderRss, contentType: 'application/rss+xml; charset=utf-8' },
+  atom: { render: renderAtom, contentType: 'application/atom+xml; charset=utf-8' },
+  json: { render: renderJsonFeed, contentType: 'application/feed+json; charset=utf-8' }
+};
+
+/**
+ * Build a feed of the published posts
+ * @param {string} format - 'rss', 'atom' or 'json'
+ * @param {Object} options - Feed options
+ * @param {string} options.baseUrl - Public URL of the server, for links
+ * @param {number} [options.page=1] - Page number (FEED_PAGE_SIZE posts per page, default 20)
+ * @param {string} [options.tag] - Only include posts with this tag
+ * @returns {Promise<Object>} - { contentType, body }
+ * @throws {Error} - With status 400 for an unknown format, 404 for a page past the end
+ */
+export async function buildFeed(format, { baseUrl, page = 1, tag } = {}) {
+  const feedFormat = feedFormats[format];
+  if (!feedFormat) {
+    throw httpError(`Unknown feed format "${format}". Use one of: ${getFeedFormats().join(', ')}.`, 400);
+  }
+  const { entries, pages, tagName } = await feedPage({ page, tag, baseUrl });
+  const links = pageLinks({ baseUrl, format, tag, page, pages });
+  return { contentType: feedFormat.contentType, body: feedFormat.render({ entries, links, tag: tagName, baseUrl }) };
+}
+
+/**
+ * Tags of the published posts, with how many posts have each
+ * @returns {Array<Object>} - [{ tag, slug, count }], most used first
+ */
+export function listFeedTags() {
+  const counts = new Map();
+  for (const record of listPublishedPosts()) {
+    for (const tag of tagsOf(record)) {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    }
+  }
+  return [...counts]
+    .map(([tag, count]) => ({ tag, slug: slugify(tag), count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Names of the formats buildFeed supports
+ * @returns {Array<string>} - Format names
+ */
+export function getFeedFormats() {
+  return Object.keys(feedFormats);
+}
+
+export default { buildFeed, listFeedTags, getFeedFormats, feedUrl };
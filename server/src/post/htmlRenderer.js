@@ -0,0 +1,145 @@
+// src/post/htmlRenderer.js
+import { escapeHtml, safeUrl } from '../htmlSanitizer.js';
+import { translate, formatDate, formatList } from '../i18n.js';
+
+/**
+ * Render a block of a section
+ * @param {Object} block - Paragraph, quote or list block
+ * @returns {string} - HTML
+ */
+const renderBlock = (block) => {
+  if (block.type === 'list') {
+    return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+  }
+  const text = escapeHtml(block.text).replace(/\n/g, '<br>');
+  return block.type === 'quote' ? `<blockquote>${text}</blockquote>` : `<p>${text}</p>`;
+};
+
+/**
+ * Render the weather block
+ * @param {Object} weather - Post weather
+ * @param {Function} t - Translates a message key
+ * @returns {string} - HTML
+ */
+const renderWeather = ({ current, forecast }, t) => {
+  const parts = ['<div class="weather-section">', `<h3>${t('weather')}</h3>`];
+  if (current) {
+    const conditions = [current.temperature, current.conditions].filter(Boolean).map(escapeHtml).join(', ');
+    parts.push(`<p>${t('currently')} ${conditions}</p>`);
+  }
+  if (forecast?.length > 0) {
+    parts.push(`<div class="forecast"><h4>${t('forecast')}</h4><ul>`);
+    forecast.forEach(day => {
+      parts.push(`<li>${escapeHtml(day.day)}: ${t('high')} ${escapeHtml(day.high)}, ${t('low')} ${escapeHtml(day.low)}, ${escapeHtml(day.conditions)}</li>`);
+    });
+    parts.push('</ul></div>');
+  }
+  parts.push('</div>');
+  return parts.join('');
+};
+
+/**
+ * Render the photo gallery block
+ * @param {Object} photos - Post photos
+ * @param {string} locale - Post locale
+ * @returns {string} - HTML
+ */
+const renderPhotos = ({ items, note }, locale) => {
+  const captions = items.map(photo => photo.caption).filter(Boolean);
+  const intro = captions.length > 0
+    ? translate(captions.length === 1 ? 'photoFromToday' : 'photosFromToday', locale, { photos: formatList(captions, locale) })
+    : '';
+  const figures = items
+    .filter(photo => photo.thumbnail || photo.url)
+    .map(photo => {
+      const image = `<img src="${safeUrl(photo.thumbnail || photo.url)}" alt="${escapeHtml(photo.caption)}">`;
+      const details = [photo.time, photo.location, photo.people?.join(', ')].filter(Boolean).map(escapeHtml).join(' · ');
+      return [
+        '<figure class="photo-card">',
+        photo.url ? `<a href="${safeUrl(photo.url)}" target="_blank" rel="noopener noreferrer">${image}</a>` : image,
+        details ? `<figcaption>${details}</figcaption>` : '',
+        '</figure>'
+      ].join('');
+    });
+
+  return [
+    '<div class="photo-gallery">',
+    [intro, note].filter(Boolean).length > 0 ? `<p>${escapeHtml([intro, note].filter(Boolean).join(' '))}</p>` : '',
+    ...figures,
+    '</div>'
+  ].join('');
+};
+
+/**
+ * Render the news block
+ * @param {Object} news - Post news
+ * @param {string} locale - Post locale
+ * @param {Function} t - Translates a message key
+ * @returns {string} - HTML
+ */
+const renderNews = ({ items }, locale, t) => [
+  '<ul class="news">',
+  ...items.map(article => {
+    const published = article.publishedAt ? ` (${escapeHtml(formatDate(article.publishedAt, locale))})` : '';
+    const source = article.source ? ` <em>${escapeHtml(article.source)}</em>` : '';
+    const link = article.url ? ` <a href="${safeUrl(article.url)}" target="_blank" rel="noopener noreferrer">${t('readMore')}</a>` : '';
+    const description = article.description ? `<br>${escapeHtml(article.description)}` : '';
+    return `<li><strong>${escapeHtml(article.title)}</strong>${published}${source}${description}${link}</li>`;
+  }),
+  '</ul>'
+].join('');
+
+/**
+ * HTML shown before the sections: title, date, location and weather
+ * @param {Object} post - Blog post
+ * @returns {Array<string>} - HTML parts
+ */
+export function renderHtmlHeader(post) {
+  const t = key => escapeHtml(translate(key, post.locale));
+  return [
+    `<h1>${escapeHtml(post.title)}</h1>`,
+    ...(post.date ? [`<div class="blog-date">${escapeHtml(post.date)}</div>`] : []),
+    ...(post.location ? [`<p class="blog-location"><strong>${t('location')}:</strong> ${escapeHtml(post.location)}</p>`] : []),
+    ...(post.weather ? [renderWeather(post.weather, t)] : [])
+  ];
+}
+
+/**
+ * HTML for the sections of a post
+ * @param {Object} post - Blog post
+ * @returns {Array<string>} - HTML parts
+ */
+export function renderHtmlSections(post) {
+  return post.sections.map(section => [
+    ...(section.heading ? [`<h2>${escapeHtml(section.heading)}</h2>`] : []),
+    ...section.blocks.map(renderBlock)
+  ].join('\n'));
+}
+
+/**
+ * HTML shown after the sections: photo gallery and news
+ * @param {Object} post - Blog post
+ * @returns {Array<string>} - HTML parts
+ */
+export function renderHtmlFooter(post) {
+  const t = key => escapeHtml(translate(key, post.locale));
+  return [
+    ...(post.photos ? [renderPhotos(post.photos, post.locale)] : []),
+    ...(post.news ? [`<h2>${t('latestDevelopments')}</h2>`, renderNews(post.news, post.locale, t)] : [])
+  ];
+}
+
+/**
+ * Render a post as an HTML fragment. All text is escaped.
+ * @param {Object} post - Blog post
+ * @returns {string} - HTML
+ */
+export function renderHtml(post) {
+  return [
+    ...renderHtmlHeader(post),
+    ...renderHtmlSections(post),
+    ...renderHtmlFooter(post)
+  ].join('\n\n');
+}
+
+export default { renderHtml, renderHtmlHeader, renderHtmlSections, renderHtmlFooter };
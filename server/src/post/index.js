@@ -0,0 +1,72 @@
+// src/post/index.js
+import { createPost, postFromHtml, sectionsFromHtml, sectionsFromText, POST_VERSION } from './postModel.js';
+import { renderHtml, renderHtmlHeader, renderHtmlSections, renderHtmlFooter } from './htmlRenderer.js';
+import { renderMarkdown } from './markdownRenderer.js';
+import { renderText } from './textRenderer.js';
+import { exportPost, getExportFormats, postFileName } from './exporter.js';
+import { exportToStaticSite, buildArchive, getStaticSiteGenerators } from './staticSite.js';
+
+export {
+  createPost, postFromHtml, sectionsFromHtml, sectionsFromText, POST_VERSION,
+  renderHtmlHeader, renderHtmlSections, renderHtmlFooter,
+  exportPost, getExportFormats, postFileName,
+  exportToStaticSite, buildArchive, getStaticSiteGenerators
+};
+
+/**
+ * Output formats. Renderers all take a post (see postModel.js) and return a string.
+ */
+const formats = {
+  html: { render: renderHtml, contentType: 'text/html', extension: 'html' },
+  markdown: { render: renderMarkdown, contentType: 'text/markdown', extension: 'md' },
+  text: { render: renderText, contentType: 'text/plain', extension: 'txt' }
+};
+
+/**
+ * Render a post in one of the supported formats
+ * @param {Object} post - Blog post
+ * @param {string} [format='html'] - 'html', 'markdown' or 'text'
+ * @returns {string} - Rendered post
+ * @throws {Error} - With status 400 for an unknown format
+ */
+export function renderPost(post, format = 'html') {
+  return getPostFormat(format).render(post);
+}
+
+/**
+ * Get the details of an output format
+ * @param {string} format - 'html', 'markdown' or 'text'
+ * @returns {Object} - { render, contentType, extension }
+ * @throws {Error} - With status 400 for an unknown format
+ */
+export function getPostFormat(format) {
+  if (!formats[format]) {
+    const error = new Error(`Unknown post format "${format}". Use one of: ${getPostFormats().join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+  return formats[format];
+}
+
+/**
+ * Names of the formats renderPost supports
+ * @returns {Array<string>} - Format names
+ */
+export function getPostFormats() {
+  return Object.keys(formats);
+}
+
+export default {
+  createPost,
+  postFromHtml,
+  sectionsFromHtml,
+  sectionsFromText,
+  renderPost,
+  getPostFormat,
+  getPostFormats,
+  exportPost,
+  getExportFormats,
+  exportToStaticSite,
+  buildArchive,
+  getStaticSiteGenerators
+};
@@ -0,0 +1,94 @@
+// src/post/markdownRenderer.js
+import { translate, formatDate, formatList } from '../i18n.js';
+import { isSafeUrl } from '../htmlSanitizer.js';
+
+/**
+ * Escape characters that Markdown would treat as formatting
+ * @param {*} value - Text
+ * @returns {string} - Escaped text
+ */
+export const escapeMarkdown = (value) => String(value ?? '')
+  .replace(/([\\`*_[\]<>|])/g, '\\$1')
+  .replace(/^(\s*)([#+-]|\d+\.)(\s)/gm, '$1\\$2$3');
+
+/**
+ * Make a URL usable as a Markdown link target
+ * @param {string} url - URL
+ * @returns {string} - URL with spaces and parentheses encoded
+ */
+const markdownUrl = (url) => String(url).replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+
+/**
+ * Render a block of a section
+ * @param {Object} block - Paragraph, quote or list block
+ * @returns {string} - Markdown
+ */
+const renderBlock = (block) => {
+  if (block.type === 'list') {
+    return block.items.map(item => `- ${escapeMarkdown(item)}`).join('\n');
+  }
+  const text = escapeMarkdown(block.text).replace(/\n/g, '  \n');
+  return block.type === 'quote' ? text.split('\n').map(line => `> ${line}`).join('\n') : text;
+};
+
+/**
+ * Render a post as Markdown
+ * @param {Object} post - Blog post
+ * @param {Object} [options] - Rendering options
+ * @param {boolean} [options.header=true] - Include the title, date and location (leave them out when they go in front matter)
+ * @returns {string} - Markdown document
+ */
+export function renderMarkdown(post, { header = true } = {}) {
+  const t = key => translate(key, post.locale);
+  const parts = [];
+
+  if (header) {
+    parts.push(`# ${escapeMarkdown(post.title)}`);
+    if (post.date) parts.push(`_${escapeMarkdown(post.date)}_`);
+    if (post.location) parts.push(`**${t('location')}:** ${escapeMarkdown(post.location)}`);
+  }
+
+  if (post.weather) {
+    const { current, forecast } = post.weather;
+    parts.push(`### ${t('weather')}`);
+    if (current) {
+      parts.push(`${t('currently')} ${[current.temperature, current.conditions].filter(Boolean).map(escapeMarkdown).join(', ')}`);
+    }
+    if (forecast?.length > 0) {
+      parts.push(forecast.map(day => `- ${escapeMarkdown(day.day)}: ${t('high')} ${escapeMarkdown(day.high)}, ${t('low')} ${escapeMarkdown(day.low)}, ${escapeMarkdown(day.conditions)}`).join('\n'));
+    }
+  }
+
+  post.sections.forEach(section => {
+    if (section.heading) parts.push(`## ${escapeMarkdown(section.heading)}`);
+    parts.push(...section.blocks.map(renderBlock));
+  });
+
+  if (post.photos) {
+    const { items, note } = post.photos;
+    const captions = items.map(photo => photo.caption).filter(Boolean);
+    if (captions.length > 0) {
+      const intro = translate(captions.length === 1 ? 'photoFromToday' : 'photosFromToday', post.locale, { photos: formatList(captions, post.locale) });
+      parts.push(escapeMarkdown([intro, note].filter(Boolean).join(' ')));
+    }
+    items.filter(photo => isSafeUrl(photo.thumbnail || photo.url)).forEach(photo => {
+      const image = `![${escapeMarkdown(photo.caption)}](${markdownUrl(photo.thumbnail || photo.url)})`;
+      parts.push(isSafeUrl(photo.url) ? `[${image}](${markdownUrl(photo.url)})` : image);
+    });
+  }
+
+  if (post.news) {
+    parts.push(`## ${t('latestDevelopments')}`);
+    parts.push(post.news.items.map(article => {
+      const title = isSafeUrl(article.url) ? `[${escapeMarkdown(article.title)}](${markdownUrl(article.url)})` : `**${escapeMarkdown(article.title)}**`;
+      const published = article.publishedAt ? ` (${formatDate(article.publishedAt, post.locale)})` : '';
+      const source = article.source ? ` — _${escapeMarkdown(article.source)}_` : '';
+      const description = article.description ? `  \n  ${escapeMarkdown(article.description)}` : '';
+      return `- ${title}${published}${source}${description}`;
+    }).join('\n'));
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+export default { renderMarkdown, escapeMarkdown };
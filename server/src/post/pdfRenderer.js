@@ -0,0 +1,418 @@
+// src/post/pdfRenderer.js
+// Writes posts as PDF without a browser or native dependencies. Text is set
+// in the standard Helvetica fonts (WinAnsi encoding, so posts in other than
+// Western European languages, or with characters outside Latin-1 and a few
+// typographic marks, are refused rather than printed as "?"), JPEG photos are embedded as-is and links become clickable annotations.
+import { deflateSync } from 'zlib';
+import { translate, formatDate, formatList, resolveLocale, getLanguageName } from '../i18n.js';
+import { isSafeUrl } from '../htmlSanitizer.js';
+import { photoImageUrl } from './postModel.js';
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const MAX_IMAGE_HEIGHT = 260;
+
+const FONTS = {
+  regular: { name: 'F1', baseFont: 'Helvetica' },
+  bold: { name: 'F2', baseFont: 'Helvetica-Bold' },
+  italic: { name: 'F3', baseFont: 'Helvetica-Oblique' }
+};
+
+// Glyph widths (1/1000 em) of the printable ASCII characters, from the Adobe
+// font metrics. Helvetica-Oblique uses the Helvetica widths.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// Characters that WinAnsiEncoding places in 0x80-0x9F
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87,
+  'ˆ': 0x88, '‰': 0x89, 'Š': 0x8a, '‹': 0x8b, 'Œ': 0x8c, 'Ž': 0x8e, '‘': 0x91,
+  '’': 0x92, '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98,
+  '™': 0x99, 'š': 0x9a, '›': 0x9b, 'œ': 0x9c, 'ž': 0x9e, 'Ÿ': 0x9f
+};
+
+// Languages whose alphabets WinAnsi covers. Posts in any other language are
+// refused up front, as they would be on their first letter anyway.
+const PDF_LANGUAGES = new Set([
+  'af', 'ca', 'da', 'de', 'en', 'es', 'et', 'eu', 'fi', 'fo', 'fr', 'ga', 'gl',
+  'id', 'is', 'it', 'lb', 'ms', 'nb', 'nl', 'nn', 'no', 'pt', 'sq', 'sv', 'sw'
+]);
+
+/**
+ * WinAnsi code of a character
+ * @param {string} character - Character
+ * @returns {number|null} - Byte, or null if the fonts have no glyph for it
+ */
+const winAnsiCode = (character) => {
+  if (WIN_ANSI_EXTRAS[character]) return WIN_ANSI_EXTRAS[character];
+  const code = character.codePointAt(0);
+  return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? code : null;
+};
+
+/**
+ * Encode text as a WinAnsi PDF hex string
+ * @param {string} text - Text
+ * @returns {string} - Hex string, e.g. <48656C6C6F>
+ */
+const encodeText = (text) => {
+  const bytes = Array.from(text, character => winAnsiCode(character) ?? 0x3f);
+  return `<${Buffer.from(bytes).toString('hex').toUpperCase()}>`;
+};
+
+/**
+ * Encode a document information string (title, author) as UTF-16
+ * @param {string} text - Text
+ * @returns {string} - Hex string with a byte order mark
+ */
+const encodeInfoText = (text) => {
+  const bytes = Buffer.from(String(text), 'utf16le').swap16();
+  return `<FEFF${bytes.toString('hex').toUpperCase()}>`;
+};
+
+/**
+ * Width of a character. Accented letters are measured as their base letter
+ * and anything else outside ASCII as an average glyph.
+ * @param {string} character - Character
+ * @param {string} font - 'regular', 'bold' or 'italic'
+ * @returns {number} - Width in 1/1000 em
+ */
+const charWidth = (character, font) => {
+  const widths = font === 'bold' ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  const code = character.normalize('NFD').charCodeAt(0);
+  return code >= 0x20 && code < 0x7f ? widths[code - 0x20] : 556;
+};
+
+/**
+ * Width of a line of text
+ * @param {string} text - Text
+ * @param {string} font - 'regular', 'bold' or 'italic'
+ * @param {number} size - Font size in points
+ * @returns {number} - Width in points
+ */
+const textWidth = (text, font, size) => Array.from(text).reduce((total, character) => total + charWidth(character, font), 0) * size / 1000;
+
+/**
+ * Break text into lines that fit a width. Words longer than a line are split.
+ * @param {string} text - Text; newlines force a break
+ * @param {string} font - 'regular', 'bold' or 'italic'
+ * @param {number} size - Font size in points
+ * @param {number} width - Available width in points
+ * @returns {Array<string>} - Lines
+ */
+const wrapText = (text, font, size, width) => {
+  const lines = [];
+  String(text).split('\n').forEach((paragraph) => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (textWidth(candidate, font, size) <= width) {
+        line = candidate;
+        return;
+      }
+      if (line) lines.push(line);
+      line = '';
+      let rest = word;
+      while (textWidth(rest, font, size) > width) {
+        let cut = rest.length - 1;
+        while (cut > 1 && textWidth(rest.slice(0, cut), font, size) > width) cut--;
+        lines.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+      }
+      line = rest;
+    });
+    lines.push(line);
+  });
+  return lines;
+};
+
+/**
+ * Read the size and colour space of a JPEG from its frame header
+ * @param {Buffer} data - JPEG data
+ * @returns {Object|null} - { width, height, components }, or null if the data is not a JPEG
+ */
+export function readJpegInfo(data) {
+  if (!Buffer.isBuffer(data) || data.length < 4 || data[0] !== 0xff || data[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    const length = data.readUInt16BE(offset + 2);
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        height: data.readUInt16BE(offset + 5),
+        width: data.readUInt16BE(offset + 7),
+        components: data[offset + 9]
+      };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+/**
+ * Turn a post into a flat list of layout items
+ * @param {Object} post - Blog post
+ * @param {Map<string, Buffer>} images - Image data by URL
+ * @returns {Array<Object>} - Text items ({ text, font, size, space, indent, bullet, link }) and image items ({ image, link })
+ */
+const layoutPost = (post, images) => {
+  const t = key => translate(key, post.locale);
+  const items = [];
+  const text = (value, options = {}) => items.push({ font: 'regular', size: 11, space: 8, indent: 0, ...options, text: String(value ?? '') });
+  const heading = (value, size = 15) => text(value, { font: 'bold', size, space: 18 });
+
+  text(post.title, { font: 'bold', size: 22, space: 0 });
+  if (post.date) text(post.date, { font: 'italic', size: 11, space: 10 });
+  if (post.location) text(`${t('location')}: ${post.location}`, { space: 4 });
+
+  if (post.weather) {
+    const { current, forecast } = post.weather;
+    heading(t('weather'), 13);
+    if (current) text(`${t('currently')} ${[current.temperature, current.conditions].filter(Boolean).join(', ')}`);
+    (forecast || []).forEach((day) => {
+      text(`${day.day}: ${t('high')} ${day.high}, ${t('low')} ${day.low}, ${day.conditions}`, { bullet: true, space: 3 });
+    });
+  }
+
+  post.sections.forEach((section) => {
+    if (section.heading) heading(section.heading);
+    section.blocks.forEach((block) => {
+      if (block.type === 'list') {
+        block.items.forEach((item, index) => text(item, { bullet: true, space: index === 0 ? 8 : 3 }));
+      } else if (block.type === 'quote') {
+        text(block.text, { font: 'italic', indent: 18 });
+      } else {
+        text(block.text);
+      }
+    });
+  });
+
+  if (post.photos) {
+    const { items: photos, note } = post.photos;
+    const captions = photos.map(photo => photo.caption).filter(Boolean);
+    if (captions.length > 0 || note) {
+      const intro = captions.length > 0
+        ? translate(captions.length === 1 ? 'photoFromToday' : 'photosFromToday', post.locale, { photos: formatList(captions, post.locale) })
+        : '';
+      text([intro, note].filter(Boolean).join(' '), { space: 14 });
+    }
+    photos.forEach((photo) => {
+      const link = isSafeUrl(photo.url) ? photo.url : null;
+      const image = images.get(photoImageUrl(photo));
+      if (image) items.push({ image, link, space: 10 });
+      const details = [photo.caption, photo.time, photo.location, photo.people?.join(', ')].filter(Boolean).join(' · ');
+      if (details) text(details, { font: 'italic', size: 9, space: image ? 4 : 6, link });
+    });
+  }
+
+  if (post.news) {
+    heading(t('latestDevelopments'));
+    post.news.items.forEach((article) => {
+      const published = article.publishedAt ? ` (${formatDate(article.publishedAt, post.locale)})` : '';
+      const source = article.source ? ` — ${article.source}` : '';
+      text(`${article.title}${published}${source}`, { font: 'bold', bullet: true, space: 8, link: isSafeUrl(article.url) ? article.url : null });
+      if (article.description) text(article.description, { indent: 14, space: 2 });
+    });
+  }
+
+  return items;
+};
+
+/**
+ * Check that the fonts can show all the text of a post
+ * @param {Object} post - Blog post
+ * @throws {Error} - With status 422 naming the post's language, or the
+ *   characters the fonts cannot show
+ */
+export function checkPdfText(post) {
+  const locale = resolveLocale(post.locale);
+  if (!PDF_LANGUAGES.has(new Intl.Locale(locale).language)) {
+    const error = new Error(`Posts in ${getLanguageName(locale)} (${locale}) cannot be exported as PDF: its fonts only cover Western European languages. Export them as HTML or Markdown instead.`);
+    error.status = 422;
+    throw error;
+  }
+
+  const unsupported = new Set();
+  layoutPost(post, new Map()).forEach((item) => {
+    Array.from(item.text || '').forEach((character) => {
+      if (!/\s/.test(character) && winAnsiCode(character) === null) unsupported.add(character);
+    });
+  });
+  if (unsupported.size > 0) {
+    const characters = [...unsupported].slice(0, 10).join('');
+    const error = new Error(`This post cannot be exported as PDF: its fonts have no glyphs for "${characters}"${unsupported.size > 10 ? ' and more' : ''}. Export it as HTML or Markdown instead.`);
+    error.status = 422;
+    throw error;
+  }
+}
+
+/**
+ * Lay items out on pages
+ * @param {Array<Object>} items - Layout items from layoutPost
+ * @returns {Array<Object>} - Pages of { operations, links, images }
+ */
+const paginate = (items) => {
+  const pages = [];
+  let page;
+  let y;
+  const newPage = () => {
+    page = { operations: [], links: [], images: [] };
+    pages.push(page);
+    y = PAGE_HEIGHT - MARGIN;
+  };
+  const ensureSpace = (height) => {
+    if (y - height < MARGIN) newPage();
+  };
+  newPage();
+
+  items.forEach((item) => {
+    if (item.image) {
+      const { width, height } = item.image.info;
+      const scale = Math.min(1, CONTENT_WIDTH / width, MAX_IMAGE_HEIGHT / height);
+      const drawWidth = width * scale;
+      const drawHeight = height * scale;
+      if (y < PAGE_HEIGHT - MARGIN) y -= item.space;
+      ensureSpace(drawHeight);
+      y -= drawHeight;
+      page.images.push(item.image);
+      page.operations.push(`q ${drawWidth.toFixed(2)} 0 0 ${drawHeight.toFixed(2)} ${MARGIN} ${y.toFixed(2)} cm /${item.image.name} Do Q`);
+      if (item.link) page.links.push({ rect: [MARGIN, y, MARGIN + drawWidth, y + drawHeight], url: item.link });
+      return;
+    }
+
+    const bulletIndent = item.bullet ? 14 : 0;
+    const x = MARGIN + item.indent + bulletIndent;
+    const lineHeight = item.size * 1.35;
+    const lines = wrapText(item.text, item.font, item.size, CONTENT_WIDTH - item.indent - bulletIndent);
+    if (y < PAGE_HEIGHT - MARGIN) y -= item.space;
+
+    lines.forEach((line, index) => {
+      ensureSpace(lineHeight);
+      y -= lineHeight;
+      const baseline = y + (lineHeight - item.size) / 2 + item.size * 0.22;
+      const font = FONTS[item.font].name;
+      if (item.bullet && index === 0) {
+        page.operations.push(`BT /${FONTS.regular.name} ${item.size} Tf ${(x - bulletIndent).toFixed(2)} ${baseline.toFixed(2)} Td ${encodeText('•')} Tj ET`);
+      }
+      if (line) {
+        const operation = `BT /${font} ${item.size} Tf ${x.toFixed(2)} ${baseline.toFixed(2)} Td ${encodeText(line)} Tj ET`;
+        page.operations.push(item.link ? `q 0.1 0.3 0.7 rg ${operation} Q` : operation);
+        if (item.link) page.links.push({ rect: [x, y, x + textWidth(line, item.font, item.size), y + lineHeight], url: item.link });
+      }
+    });
+  });
+
+  return pages;
+};
+
+/**
+ * Render a post as a PDF document
+ * @param {Object} post - Blog post
+ * @param {Object} [options] - Rendering options
+ * @param {Map<string, Buffer>} [options.images] - Image data by URL; JPEGs are embedded, other images are skipped
+ * @returns {Buffer} - PDF document
+ * @throws {Error} - With status 422 if the post has text the fonts cannot show
+ */
+export function renderPdf(post, { images = new Map() } = {}) {
+  checkPdfText(post);
+
+  // Only JPEGs can be embedded without decoding them
+  const jpegs = new Map();
+  images.forEach((data, url) => {
+    const info = readJpegInfo(data);
+    if (info && [1, 3, 4].includes(info.components)) {
+      jpegs.set(url, { name: `Im${jpegs.size + 1}`, data, info });
+    }
+  });
+
+  const pages = paginate(layoutPost(post, jpegs));
+  const objects = [];
+  const addObject = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const fontIds = Object.values(FONTS).map(font => [
+    font.name,
+    addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${font.baseFont} /Encoding /WinAnsiEncoding >>`)
+  ]);
+  const imageIds = new Map();
+  jpegs.forEach((image) => {
+    const colorSpace = { 1: '/DeviceGray', 3: '/DeviceRGB', 4: '/DeviceCMYK' }[image.info.components];
+    const decode = image.info.components === 4 ? ' /Decode [1 0 1 0 1 0 1 0]' : '';
+    imageIds.set(image.name, addObject([
+      `<< /Type /XObject /Subtype /Image /Width ${image.info.width} /Height ${image.info.height} /ColorSpace ${colorSpace} /BitsPerComponent 8${decode} /Filter /DCTDecode /Length ${image.data.length} >>\nstream\n`,
+      image.data,
+      '\nendstream'
+    ]));
+  });
+
+  const pageIds = pages.map((page) => {
+    const content = deflateSync(Buffer.from(page.operations.join('\n'), 'latin1'));
+    const contentId = addObject([`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, content, '\nendstream']);
+    const annotations = page.links.map(link => addObject(
+      `<< /Type /Annot /Subtype /Link /Rect [${link.rect.map(value => value.toFixed(2)).join(' ')}] /Border [0 0 0] /A << /S /URI /URI ${encodeText(link.url)} >> >>`
+    ));
+    const fonts = fontIds.map(([name, id]) => `/${name} ${id} 0 R`).join(' ');
+    const xObjects = [...new Set(page.images.map(image => image.name))].map(name => `/${name} ${imageIds.get(name)} 0 R`).join(' ');
+    return addObject([
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}]`,
+      ` /Resources << /Font << ${fonts} >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >>`,
+      ` /Contents ${contentId} 0 R${annotations.length > 0 ? ` /Annots [${annotations.map(id => `${id} 0 R`).join(' ')}]` : ''} >>`
+    ].join(''));
+  });
+
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+  const created = new Date(post.createdAt || Date.now()).toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const infoId = addObject(`<< /Title ${encodeInfoText(post.title)} /Producer (MCP Orchestrator) /CreationDate (D:${created}Z) >>`);
+
+  // Assemble the file, recording where each object starts for the xref table
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = objects.map((body, index) => {
+    const offset = length;
+    [`${index + 1} 0 obj\n`, ...[body].flat(), '\nendobj\n'].forEach((part) => {
+      const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+      chunks.push(chunk);
+      length += chunk.length;
+    });
+    return offset;
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF\n'
+  ].join('\n');
+  chunks.push(Buffer.from(xref, 'latin1'));
+
+  return Buffer.concat(chunks);
+}
+
+export default { renderPdf, checkPdfText, readJpegInfo };
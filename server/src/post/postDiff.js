@@ -0,0 +1,85 @@
+// src/post/postDiff.js
+import { renderText } from './textRenderer.js';
+
+// Posts longer than this (in lines) are compared as a single replaced block
+const MAX_DIFF_LINES = 2000;
+
+/**
+ * Line diff of two texts, from their longest common subsequence
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<Object>} - [{ type: 'equal' | 'removed' | 'added', text }] in document order
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+
+  if (a.length > MAX_DIFF_LINES || b.length > MAX_DIFF_LINES) {
+    return [
+      ...a.map(text => ({ type: 'removed', text })),
+      ...b.map(text => ({ type: 'added', text }))
+    ];
+  }
+
+  // lengths[i][j] = length of the common subsequence of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const changes = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      changes.push({ type: 'equal', text: a[i] });
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      changes.push({ type: 'removed', text: a[i] });
+      i++;
+    } else {
+      changes.push({ type: 'added', text: b[j] });
+      j++;
+    }
+  }
+  return changes;
+}
+
+/**
+ * Fields of two input objects whose values differ
+ * @param {Object} before - Old inputs
+ * @param {Object} after - New inputs
+ * @returns {Array<Object>} - [{ field, from, to }]
+ */
+export function diffInputs(before = {}, after = {}) {
+  const fields = [...new Set([...Object.keys(before || {}), ...Object.keys(after || {})])];
+  return fields
+    .filter(field => JSON.stringify(before?.[field] ?? null) !== JSON.stringify(after?.[field] ?? null))
+    .map(field => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+}
+
+/**
+ * Compare two revisions of a post: the text of the posts line by line, and
+ * the inputs that produced them field by field
+ * @param {Object} from - Older revision ({ number, post, inputs })
+ * @param {Object} to - Newer revision
+ * @returns {Object} - { from, to, lines, inputs, stats: { added, removed } }
+ */
+export function diffRevisions(from, to) {
+  const lines = diffLines(renderText(from.post), renderText(to.post));
+  return {
+    from: from.number,
+    to: to.number,
+    lines,
+    inputs: diffInputs(from.inputs, to.inputs),
+    stats: {
+      added: lines.filter(line => line.type === 'added').length,
+      removed: lines.filter(line => line.type === 'removed').length
+    }
+  };
+}
+
+export default { diffLines, diffInputs, diffRevisions };
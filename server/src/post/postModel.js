@@ -0,0 +1,151 @@
+// src/post/postModel.js
+import { sanitizeHtml, htmlToText } from '../htmlSanitizer.js';
+import { resolveLocale } from '../i18n.js';
+
+/**
+ * A blog post is plain data that the renderers (see index.js) turn into
+ * HTML, Markdown or plain text. Text fields hold plain text, never HTML.
+ *
+ *   title, date, location      - Header text (date and location may be null)
+ *   locale                     - Locale used for the fixed headings
+ *   sections                   - [{ heading, blocks }] where each block is
+ *                                { type: 'paragraph' | 'quote', text } or { type: 'list', items }
+ *   weather                    - { current: { temperature, conditions, feelsLike, humidity, windSpeed },
+ *                                  forecast: [{ day, high, low, conditions }] } or null
+ *   photos                     - { items: [{ caption, url, thumbnail, time, location, people }], note } or null
+ *   news                       - { items: [{ title, url, source, publishedAt, description }] } or null
+ *   metadata                   - Free-form details (generator, provider, style...)
+ */
+export const POST_VERSION = 1;
+
+// Block-level elements read by sectionsFromHtml, in document order
+const BLOCK_PATTERN = /<(h[1-6])\b[^>]*>([\s\S]*?)<\/\1>|<(ul|ol)\b[^>]*>([\s\S]*?)<\/\3>|<(p|blockquote|pre)\b[^>]*>([\s\S]*?)<\/\5>/gi;
+const LIST_ITEM_PATTERN = /<li\b[^>]*>([\s\S]*?)<\/li>/gi;
+
+/**
+ * Create a post, filling in defaults for missing fields
+ * @param {Object} fields - Post fields (see the model description above)
+ * @returns {Object} - Blog post
+ */
+export function createPost(fields = {}) {
+  const {
+    title = '',
+    date = null,
+    location = null,
+    locale,
+    sections = [],
+    weather = null,
+    photos = null,
+    news = null,
+    metadata = {}
+  } = fields;
+
+  return {
+    version: POST_VERSION,
+    title,
+    date,
+    location,
+    locale: resolveLocale(locale),
+    sections: sections.filter(section => section.heading || section.blocks?.length > 0),
+    weather,
+    photos: photos?.items?.length > 0 ? photos : null,
+    news: news?.items?.length > 0 ? news : null,
+    metadata,
+    createdAt: fields.createdAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Split HTML (e.g. LLM output) into sections at its headings
+ * @param {string} html - Untrusted HTML
+ * @returns {Object} - { title, sections } where title is the text of a leading <h1>, if any
+ */
+export function sectionsFromHtml(html) {
+  const source = sanitizeHtml(html);
+  const sections = [];
+  let title = null;
+  let current = { heading: null, blocks: [] };
+
+  for (const [, heading, headingHtml, list, listHtml, block, blockHtml] of source.matchAll(BLOCK_PATTERN)) {
+    if (heading) {
+      const text = htmlToText(headingHtml);
+      if (heading.toLowerCase() === 'h1' && title === null && sections.length === 0 && current.blocks.length === 0) {
+        title = text;
+        continue;
+      }
+      sections.push(current);
+      current = { heading: text, blocks: [] };
+    } else if (list) {
+      const items = [...listHtml.matchAll(LIST_ITEM_PATTERN)].map(([, item]) => htmlToText(item)).filter(Boolean);
+      if (items.length > 0) current.blocks.push({ type: 'list', items });
+    } else {
+      const text = htmlToText(blockHtml);
+      if (text) current.blocks.push({ type: block.toLowerCase() === 'blockquote' ? 'quote' : 'paragraph', text });
+    }
+  }
+  sections.push(current);
+
+  // HTML without block elements is treated as plain text
+  const found = sections.filter(section => section.heading || section.blocks.length > 0);
+  if (found.length === 0 && title === null) {
+    return { title, sections: sectionsFromText(htmlToText(source)) };
+  }
+  return { title, sections: found };
+}
+
+/**
+ * Split plain text into sections. Paragraphs are separated by blank lines;
+ * paragraphs starting with "#" or "##" start a new section.
+ * @param {string} text - Plain text (e.g. LLM output)
+ * @returns {Array<Object>} - Sections
+ */
+export function sectionsFromText(text) {
+  const sections = [];
+  let current = { heading: null, blocks: [] };
+
+  String(text || '').split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean).forEach(paragraph => {
+    const heading = paragraph.match(/^#{1,3}\s+(.+)$/);
+    if (heading) {
+      sections.push(current);
+      current = { heading: heading[1].trim(), blocks: [] };
+      return;
+    }
+    const lines = paragraph.split('\n');
+    if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+      current.blocks.push({ type: 'list', items: lines.map(line => line.replace(/^\s*[-*]\s+/, '')) });
+    } else {
+      current.blocks.push({ type: 'paragraph', text: paragraph });
+    }
+  });
+  sections.push(current);
+
+  return sections.filter(section => section.heading || section.blocks.length > 0);
+}
+
+/**
+ * The full-size image of a photo, for downloads and uploads. Renderers show
+ * the thumbnail instead where there is one.
+ * @param {Object} photo - Photo item
+ * @returns {string|null} - Image URL
+ */
+export const photoImageUrl = (photo) => photo.url || photo.thumbnail || null;
+
+/**
+ * Create a post from an HTML document such as a simple blog post or a translation
+ * @param {string} html - Untrusted HTML
+ * @param {Object} [fields] - Other post fields (title defaults to the document's <h1>)
+ * @returns {Object} - Blog post
+ */
+export function postFromHtml(html, fields = {}) {
+  const { title, sections } = sectionsFromHtml(html);
+  return createPost({ ...fields, title: fields.title || title || '', sections });
+}
+
+export default {
+  POST_VERSION,
+  createPost,
+  sectionsFromHtml,
+  sectionsFromText,
+  postFromHtml,
+  photoImageUrl
+};
@@ -0,0 +1,377 @@
+// src/post/postStore.js
+import { randomUUID } from 'crypto';
+import logger from '../logger.js';
+import { createStore } from '../storage/index.js';
+import { diffRevisions } from './postDiff.js';
+import { httpError } from '../httpError.js';
+
+export const POST_STATUSES = ['draft', 'published'];
+
+const DEFAULT_PAGE_SIZE = 50;
+const EXCERPT_LENGTH = 160;
+const DEFAULT_REVISION_LIMIT = 50;
+
+// Saved posts outlive the server, so they are kept on disk unless POST_STORAGE says otherwise
+const postStore = createStore('posts', { backend: process.env.POST_STORAGE || 'file' });
+
+// Posts saved before revisions existed get their current content as revision 1
+for (const record of postStore.values()) {
+  if (!record.revisions) {
+    postStore.set(record.id, {
+      ...record,
+      inputs: null,
+      revision: 1,
+      revisions: [{ number: 1, reason: 'created', post: record.post, inputs: null, source: record.source, createdAt: record.createdAt }]
+    });
+  }
+}
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Check a post status
+ * @param {string} status - 'draft' or 'published'
+ * @throws {Error} - With status 400 for anything else
+ */
+const checkStatus = (status) => {
+  if (!POST_STATUSES.includes(status)) {
+    throw httpError(`Unknown post status "${status}". Use one of: ${POST_STATUSES.join(', ')}.`, 400);
+  }
+};
+
+/**
+ * First paragraph of a post, shortened for lists and feeds
+ * @param {Object} post - Blog post
+ * @returns {string} - Excerpt
+ */
+export const excerptOf = (post) => {
+  const block = post.sections?.flatMap(section => section.blocks).find(candidate => candidate.text);
+  const text = (block?.text || '').replace(/\s+/g, ' ').trim();
+  return text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH - 1).trimEnd()}…` : text;
+};
+
+/**
+ * Summary of a saved post, without its content
+ * @param {Object} record - Saved post
+ * @returns {Object} - { id, title, status, locale, excerpt, revision, createdAt, updatedAt, publishedAt }
+ */
+const summarize = ({ id, post, status, revision, createdAt, updatedAt, publishedAt }) => ({
+  id,
+  title: post.title,
+  status,
+  locale: post.locale,
+  excerpt: excerptOf(post),
+  revision,
+  createdAt,
+  updatedAt,
+  publishedAt
+});
+
+/**
+ * Summary of a revision, without its content
+ * @param {Object} revision - Revision
+ * @returns {Object} - { number, reason, title, source, restoredFrom, createdAt }
+ */
+const summarizeRevision = ({ number, reason, post, source, restoredFrom, createdAt }) => ({
+  number,
+  reason,
+  title: post.title,
+  source,
+  restoredFrom: restoredFrom ?? null,
+  createdAt
+});
+
+/**
+ * Collect the inputs a generation used, so a revision records what produced it
+ * @param {Object} fields - { notes, photos, weather, location, news, promptTemplate, style, locale }
+ * @returns {Object} - The fields that were given
+ */
+export function generationInputs(fields) {
+  return Object.fromEntries(Object.entries(fields).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Save a new post as revision 1
+ * @param {Object} post - Blog post (see postModel.js)
+ * @param {Object} [options] - Save options
+ * @param {string} [options.status='draft'] - 'draft' or 'published'
+ * @param {Object} [options.source] - Where the post came from, e.g. { capability, messageId }
+ * @param {Object} [options.inputs] - Inputs that produced the post (see generationInputs)
+ * @param {string} [options.reason='created'] - Why the revision was made
+ * @returns {Object} - Saved post { id, post, inputs, status, revision, revisions, publications, source, createdAt, updatedAt, publishedAt }
+ */
+export function savePost(post, { status = 'draft', source = null, inputs = null, reason = 'created' } = {}) {
+  checkStatus(status);
+  const now = new Date().toISOString();
+  const record = {
+    id: randomUUID(),
+    post,
+    inputs,
+    status,
+    revision: 1,
+    revisions: [{ number: 1, reason, post, inputs, source, createdAt: now }],
+    publications: [],
+    source,
+    createdAt: now,
+    updatedAt: now,
+    publishedAt: status === 'published' ? now : null
+  };
+  postStore.set(record.id, record);
+  logger.info(`Saved ${status} post ${record.id}: "${post.title}"`);
+  return record;
+}
+
+/**
+ * Add a revision to a saved post and make it the current content. The oldest
+ * revisions are dropped beyond POST_REVISION_LIMIT.
+ * @param {string} id - Post ID
+ * @param {Object} post - New content
+ * @param {Object} [options] - Revision details
+ * @param {string} [options.reason='edited'] - 'generated', 'regenerated', 'edited' or 'restored'
+ * @param {Object} [options.inputs] - Inputs that produced the post (default: those of the current revision)
+ * @param {Object} [options.source] - Where the revision came from
+ * @param {number} [options.restoredFrom] - Revision number the content was restored from
+ * @returns {Object} - Updated post
+ * @throws {Error} - With status 404 if there is no such post
+ */
+export function addRevision(id, post, { reason = 'edited', inputs, source = null, restoredFrom } = {}) {
+  const record = getSavedPost(id);
+  const now = new Date().toISOString();
+  const revision = {
+    number: record.revision + 1,
+    reason,
+    post,
+    inputs: inputs === undefined ? record.inputs : inputs,
+    source,
+    ...(restoredFrom ? { restoredFrom } : {}),
+    createdAt: now
+  };
+  const limit = readNumber(process.env.POST_REVISION_LIMIT, DEFAULT_REVISION_LIMIT);
+  const updated = {
+    ...record,
+    post,
+    inputs: revision.inputs,
+    revision: revision.number,
+    revisions: [...record.revisions, revision].slice(-limit),
+    updatedAt: now
+  };
+  postStore.set(id, updated);
+  logger.info(`Added revision ${revision.number} (${reason}) to post ${id}`);
+  return updated;
+}
+
+/**
+ * Save a generated post: as a new revision of `postId` when regenerating an
+ * existing post, otherwise as a new draft. Failures are logged rather than
+ * thrown so that a storage problem never loses the generated post itself.
+ * @param {Object} post - Blog post
+ * @param {Object} source - Where the post came from, e.g. { capability, messageId }
+ * @param {Object} [options] - Save options
+ * @param {Object} [options.inputs] - Inputs that produced the post
+ * @param {string} [options.postId] - Saved post being regenerated
+ * @returns {Object|null} - Saved post, or null if it could not be saved
+ */
+export function saveDraft(post, source, { inputs = null, postId } = {}) {
+  try {
+    return postId
+      ? addRevision(postId, post, { reason: 'regenerated', inputs, source })
+      : savePost(post, { status: 'draft', source, inputs, reason: 'generated' });
+  } catch (error) {
+    logger.error(`Could not save generated post: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List saved posts, most recently updated first
+ * @param {Object} [options] - List options
+ * @param {string} [options.status] - Only list posts with this status
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Posts to skip
+ * @returns {Object} - { posts, total } where posts are summaries
+ */
+export function listSavedPosts({ status, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  if (status) checkStatus(status);
+  const records = postStore.values()
+    .filter(record => !status || record.status === status)
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  return {
+    posts: records.slice(offset, offset + limit).map(summarize),
+    total: records.length
+  };
+}
+
+/**
+ * Published posts with their content, newest first by the day they are about
+ * @returns {Array<Object>} - Saved posts
+ */
+export function listPublishedPosts() {
+  return postStore.values()
+    .filter(record => record.status === 'published')
+    .sort((a, b) => String(b.post.createdAt).localeCompare(String(a.post.createdAt)));
+}
+
+/**
+ * Check whether a post has been saved
+ * @param {string} id - Post ID
+ * @returns {boolean} - Whether the post exists
+ */
+export function hasSavedPost(id) {
+  return postStore.has(id);
+}
+
+/**
+ * Get a saved post
+ * @param {string} id - Post ID
+ * @returns {Object} - Saved post, including all its revisions
+ * @throws {Error} - With status 404 if there is no such post
+ */
+export function getSavedPost(id) {
+  const record = postStore.get(id);
+  if (!record) {
+    throw httpError(`Post ${id} not found.`, 404);
+  }
+  return record;
+}
+
+/**
+ * Update a saved post's content or status. New content becomes a revision.
+ * @param {string} id - Post ID
+ * @param {Object} changes - { post, status }; publishing records publishedAt
+ * @returns {Object} - Updated post
+ * @throws {Error} - With status 404 if there is no such post, 400 for an unknown status
+ */
+export function updateSavedPost(id, { post, status } = {}) {
+  getSavedPost(id);
+  if (status) checkStatus(status);
+  const record = post ? addRevision(id, post, { reason: 'edited', source: { capability: 'manual' } }) : getSavedPost(id);
+  if (!status) {
+    return record;
+  }
+
+  const now = new Date().toISOString();
+  const updated = {
+    ...record,
+    status,
+    updatedAt: now,
+    publishedAt: status === 'published' && record.status !== 'published' ? now
+      : status === 'draft' ? null
+        : record.publishedAt
+  };
+  postStore.set(id, updated);
+  logger.info(`Updated post ${id} (${updated.status})`);
+  return updated;
+}
+
+/**
+ * Delete a saved post and its revisions
+ * @param {string} id - Post ID
+ * @throws {Error} - With status 404 if there is no such post
+ */
+export function deleteSavedPost(id) {
+  if (!postStore.delete(id)) {
+    throw httpError(`Post ${id} not found.`, 404);
+  }
+  logger.info(`Deleted post ${id}`);
+}
+
+/**
+ * Record an attempt to publish a saved post to a publishing target. A post
+ * published on a target is marked as published here too.
+ * @param {string} id - Post ID
+ * @param {Object} publication - { target, remoteId, url, status, revision } or { target, status: 'failed', error, revision }
+ * @returns {Object} - The recorded publication, with recordedAt
+ * @throws {Error} - With status 404 if there is no such post
+ */
+export function recordPublication(id, publication) {
+  const record = getSavedPost(id);
+  const now = new Date().toISOString();
+  const published = publication.status === 'published';
+  const recorded = { ...publication, recordedAt: now };
+  const updated = {
+    ...record,
+    publications: [...(record.publications || []), recorded],
+    ...(published && record.status !== 'published' ? { status: 'published', publishedAt: now } : {}),
+    updatedAt: now
+  };
+  postStore.set(id, updated);
+  logger.info(`Recorded ${publication.status} publication of post ${id} to ${publication.target}`);
+  return recorded;
+}
+
+/**
+ * List the revisions of a saved post, newest first
+ * @param {string} id - Post ID
+ * @returns {Array<Object>} - Revision summaries
+ * @throws {Error} - With status 404 if there is no such post
+ */
+export function listRevisions(id) {
+  return getSavedPost(id).revisions.map(summarizeRevision).reverse();
+}
+
+/**
+ * Get one revision of a saved post
+ * @param {string} id - Post ID
+ * @param {number} number - Revision number
+ * @returns {Object} - Revision { number, reason, post, inputs, source, createdAt }
+ * @throws {Error} - With status 404 if there is no such post or revision
+ */
+export function getRevision(id, number) {
+  const revision = getSavedPost(id).revisions.find(candidate => candidate.number === Number(number));
+  if (!revision) {
+    throw httpError(`Post ${id} has no revision ${number}.`, 404);
+  }
+  return revision;
+}
+
+/**
+ * Compare two revisions of a saved post (see postDiff.js)
+ * @param {string} id - Post ID
+ * @param {number} from - Older revision number
+ * @param {number} to - Newer revision number
+ * @returns {Object} - { from, to, lines, inputs, stats }
+ * @throws {Error} - With status 404 if there is no such post or revision
+ */
+export function compareRevisions(id, from, to) {
+  return diffRevisions(getRevision(id, from), getRevision(id, to));
+}
+
+/**
+ * Make an earlier revision current again. The restored content is added as
+ * a new revision, so nothing in the history is lost.
+ * @param {string} id - Post ID
+ * @param {number} number - Revision to restore
+ * @returns {Object} - Updated post
+ * @throws {Error} - With status 404 if there is no such post or revision
+ */
+export function restoreRevision(id, number) {
+  const revision = getRevision(id, number);
+  return addRevision(id, revision.post, {
+    reason: 'restored',
+    inputs: revision.inputs,
+    source: { capability: 'manual' },
+    restoredFrom: revision.number
+  });
+}
+
+export default {
+  savePost,
+  saveDraft,
+  addRevision,
+  generationInputs,
+  listSavedPosts,
+  listPublishedPosts,
+  hasSavedPost,
+  getSavedPost,
+  updateSavedPost,
+  deleteSavedPost,
+  listRevisions,
+  getRevision,
+  compareRevisions,
+  restoreRevision,
+  recordPublication,
+  POST_STATUSES
+};
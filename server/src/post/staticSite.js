@@ -0,0 +1,288 @@
+// src/post/staticSite.js
+// Writes posts into the source tree of a static site (Hugo, Jekyll or
+// Eleventy) as Markdown with YAML front matter, downloads their photos next
+// to them and keeps an archive page listing every post.
+import fs from 'fs/promises';
+import path from 'path';
+import logger from '../logger.js';
+import { formatDate, resolveLocale, translate } from '../i18n.js';
+import { generateSmartTitle, extractKeyTopics } from '../services/titleService.js';
+import { renderMarkdown, escapeMarkdown } from './markdownRenderer.js';
+import { fetchPostImages, slugify } from './exporter.js';
+import { photoImageUrl } from './postModel.js';
+
+// File extensions for downloaded images
+export const IMAGE_EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif'
+};
+
+/**
+ * Directory layouts. `name` is the post's title slug with its date; `day` is
+ * the date alone (YYYY-MM-DD). Paths are relative to the site root.
+ */
+const GENERATORS = {
+  // Page bundles: the images sit next to index.md
+  hugo: {
+    postFile: ({ name }) => `content/posts/${name}/index.md`,
+    imageDir: ({ name }) => `content/posts/${name}`,
+    imageUrl: (post, file) => file,
+    postsDir: 'content/posts',
+    postLink: (base) => `/posts/${base}/`,
+    archiveFile: 'content/archive.md',
+    frontMatter: {},
+    archiveFrontMatter: {}
+  },
+  jekyll: {
+    postFile: ({ slug, day }) => `_posts/${day}-${slug}.md`,
+    imageDir: ({ slug, day }) => `assets/images/${day}-${slug}`,
+    imageUrl: ({ slug, day }, file) => `/assets/images/${day}-${slug}/${file}`,
+    postsDir: '_posts',
+    postLink: (base) => `{% post_url ${base} %}`,
+    archiveFile: 'archive.md',
+    frontMatter: { layout: 'post' },
+    archiveFrontMatter: { layout: 'page', permalink: '/archive/' }
+  },
+  // Needs addPassthroughCopy('images') in the Eleventy config
+  eleventy: {
+    postFile: ({ name }) => `posts/${name}.md`,
+    imageDir: ({ name }) => `images/${name}`,
+    imageUrl: ({ name }, file) => `/images/${name}/${file}`,
+    postsDir: 'posts',
+    postLink: (base) => `/posts/${base}/`,
+    archiveFile: 'archive.md',
+    frontMatter: { tags: ['posts'] },
+    archiveFrontMatter: { permalink: '/archive/' }
+  }
+};
+
+/**
+ * Get the directory the static site source lives in
+ * @returns {string} - STATIC_SITE_DIR, or "site" in DATA_DIR
+ */
+export function getStaticSiteDir() {
+  return path.resolve(process.env.STATIC_SITE_DIR || path.join(process.env.DATA_DIR || './data', 'site'));
+}
+
+/**
+ * Resolve a static site generator name
+ * @param {string} [generator] - 'hugo', 'jekyll' or 'eleventy' (defaults to STATIC_SITE_GENERATOR, then hugo)
+ * @returns {string} - Generator name
+ * @throws {Error} - With status 400 for an unknown generator
+ */
+export function resolveGenerator(generator) {
+  const name = generator || process.env.STATIC_SITE_GENERATOR || 'hugo';
+  if (!GENERATORS[name]) {
+    const error = new Error(`Unknown static site generator "${name}". Use one of: ${Object.keys(GENERATORS).join(', ')}.`);
+    error.status = 400;
+    throw error;
+  }
+  return name;
+}
+
+/**
+ * Serialize front matter as YAML. Strings are written as JSON strings, which
+ * are valid YAML, so no value needs further escaping.
+ * @param {Object} values - Front matter; null, undefined, '' and [] are left out
+ * @param {string} [indent=''] - Indent for nested maps
+ * @returns {string} - YAML lines
+ */
+const toYaml = (values, indent = '') => Object.entries(values)
+  .filter(([, value]) => value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0))
+  .map(([key, value]) => {
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+      return `${indent}${key}: [${value.map(item => JSON.stringify(item)).join(', ')}]`;
+    }
+    if (Array.isArray(value)) {
+      const items = value.map(item => toYaml(item, `${indent}    `).replace(`${indent}    `, `${indent}  - `));
+      return `${indent}${key}:\n${items.join('\n')}`;
+    }
+    if (typeof value === 'object') {
+      return `${indent}${key}:\n${toYaml(value, `${indent}  `)}`;
+    }
+    return `${indent}${key}: ${typeof value === 'string' ? JSON.stringify(value) : value}`;
+  })
+  .join('\n');
+
+/**
+ * Read the top-level scalar fields of a Markdown file's front matter
+ * @param {string} contents - File contents
+ * @returns {Object} - Field values (quoted values are unquoted)
+ */
+const readFrontMatter = (contents) => {
+  const match = contents.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+  const fields = {};
+  (match?.[1] || '').split(/\r?\n/).forEach((line) => {
+    const field = line.match(/^([A-Za-z_][\w-]*):\s*(.+)$/);
+    if (!field) return;
+    const value = field[2].trim();
+    try {
+      fields[field[1]] = value.startsWith('"') ? JSON.parse(value) : value.replace(/^'(.*)'$/, '$1');
+    } catch (error) {
+      fields[field[1]] = value;
+    }
+  });
+  return fields;
+};
+
+/**
+ * All the text of a post, for title and tag extraction
+ * @param {Object} post - Blog post
+ * @returns {string} - Plain text
+ */
+export const postText = (post) => [
+  post.title,
+  ...post.sections.flatMap(section => [
+    section.heading,
+    ...section.blocks.map(block => (block.type === 'list' ? block.items.join('\n') : block.text))
+  ])
+].filter(Boolean).join('\n');
+
+/**
+ * Write a file, creating its directory
+ * @param {string} root - Site root
+ * @param {string} file - Path relative to the root
+ * @param {string|Buffer} contents - File contents
+ * @returns {Promise<void>}
+ */
+const writeSiteFile = async (root, file, contents) => {
+  const target = path.join(root, file);
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, contents);
+};
+
+/**
+ * Write a post into the static site: a Markdown file with front matter (title
+ * from titleService, date, location, weather, tags, photos) and its photos
+ * @param {Object} post - Blog post
+ * @param {Object} [options] - Export options
+ * @param {string} [options.generator] - 'hugo', 'jekyll' or 'eleventy'
+ * @param {string} [options.root] - Site root (defaults to getStaticSiteDir())
+ * @param {boolean} [options.downloadImages=true] - Download the photos into the site
+ * @param {boolean} [options.updateArchive=true] - Rebuild the archive page afterwards
+ * @returns {Promise<Object>} - { generator, root, post, images, archive, link } with paths relative to root
+ */
+export async function exportToStaticSite(post, options = {}) {
+  const generatorName = resolveGenerator(options.generator);
+  const generator = GENERATORS[generatorName];
+  const { root = getStaticSiteDir(), downloadImages = true, updateArchive = true } = options;
+
+  const text = postText(post);
+  const title = await generateSmartTitle(text, {
+    location: post.location ? { locationName: post.location } : null,
+    people: [...new Set((post.photos?.items || []).flatMap(photo => photo.people || []))]
+  }, { locale: post.locale, date: post.createdAt });
+  const day = String(post.createdAt).slice(0, 10);
+  const slug = slugify(post.title) || slugify(title) || 'post';
+  const names = { slug, day, name: `${slug}-${day}` };
+
+  // Download photos and point the post at the local copies
+  const images = downloadImages ? await fetchPostImages(post) : new Map();
+  const imageFiles = [];
+  const photos = (post.photos?.items || []).map((photo, index) => {
+    const image = images.get(photoImageUrl(photo));
+    if (!image) return photo;
+    const file = `photo-${index + 1}.${IMAGE_EXTENSIONS[image.contentType] || 'img'}`;
+    imageFiles.push({ file: `${generator.imageDir(names)}/${file}`, data: image.data });
+    const url = generator.imageUrl(names, file);
+    return { ...photo, url, thumbnail: url };
+  });
+  const sitePost = post.photos ? { ...post, photos: { ...post.photos, items: photos } } : post;
+
+  const frontMatter = toYaml({
+    title,
+    date: post.createdAt,
+    location: post.location,
+    locale: post.locale,
+    weather: post.weather?.current
+      ? { temperature: post.weather.current.temperature, conditions: post.weather.current.conditions }
+      : null,
+    ...generator.frontMatter,
+    tags: [...(generator.frontMatter.tags || []), ...extractKeyTopics(text)],
+    photos: photos.map(photo => ({ src: photo.thumbnail || photo.url, caption: photo.caption, time: photo.time, location: photo.location }))
+  });
+  const postFile = generator.postFile(names);
+
+  await Promise.all(imageFiles.map(({ file, data }) => writeSiteFile(root, file, data)));
+  await writeSiteFile(root, postFile, `---\n${frontMatter}\n---\n\n${renderMarkdown(sitePost, { header: false })}`);
+  logger.info(`Wrote ${generatorName} post ${postFile} with ${imageFiles.length} image(s) to ${root}`);
+
+  const archive = updateArchive ? await buildArchive({ generator: generatorName, root, locale: post.locale }) : null;
+  const base = path.basename(postFile) === 'index.md' ? path.basename(path.dirname(postFile)) : path.basename(postFile, '.md');
+
+  return {
+    generator: generatorName,
+    root,
+    post: postFile,
+    images: imageFiles.map(({ file }) => file),
+    archive: archive?.file || null,
+    link: generator.postLink(base)
+  };
+}
+
+/**
+ * Rebuild the archive page from the posts in the site, newest first and
+ * grouped by month. Posts written by hand are included if their front matter
+ * has a title and date.
+ * @param {Object} [options] - Archive options
+ * @param {string} [options.generator] - 'hugo', 'jekyll' or 'eleventy'
+ * @param {string} [options.root] - Site root (defaults to getStaticSiteDir())
+ * @param {string} [options.locale] - Locale for the headings and dates
+ * @returns {Promise<Object>} - { file, posts } with the archive path and number of posts listed
+ */
+export async function buildArchive(options = {}) {
+  const generatorName = resolveGenerator(options.generator);
+  const generator = GENERATORS[generatorName];
+  const { root = getStaticSiteDir() } = options;
+  const locale = resolveLocale(options.locale);
+
+  // Posts are <postsDir>/<name>.md or <postsDir>/<name>/index.md
+  const postsDir = path.join(root, generator.postsDir);
+  const dirEntries = await fs.readdir(postsDir, { withFileTypes: true }).catch(() => []);
+  const candidates = dirEntries
+    .map(entry => {
+      if (entry.isDirectory()) return { base: entry.name, file: path.join(postsDir, entry.name, 'index.md') };
+      if (entry.name.endsWith('.md') && !entry.name.startsWith('_')) return { base: entry.name.slice(0, -3), file: path.join(postsDir, entry.name) };
+      return null;
+    })
+    .filter(Boolean);
+
+  const posts = [];
+  await Promise.all(candidates.map(async ({ base, file }) => {
+    const contents = await fs.readFile(file, 'utf8').catch(() => null);
+    if (!contents) return;
+    const { title, date } = readFrontMatter(contents);
+    if (!title || !date || Number.isNaN(new Date(date).getTime())) {
+      logger.warn(`Leaving ${file} out of the archive: its front matter has no title or date`);
+      return;
+    }
+    posts.push({ title, date: new Date(date), link: generator.postLink(base) });
+  }));
+  posts.sort((a, b) => b.date - a.date);
+
+  const months = new Map();
+  posts.forEach((post) => {
+    const month = formatDate(post.date, locale, 'monthYear');
+    if (!months.has(month)) months.set(month, []);
+    months.get(month).push(`- [${escapeMarkdown(post.title)}](${post.link}) — ${formatDate(post.date, locale, 'day')}`);
+  });
+  const body = [...months].map(([month, lines]) => `## ${month}\n\n${lines.join('\n')}`).join('\n\n');
+  const frontMatter = toYaml({ title: translate('archive', locale), ...generator.archiveFrontMatter });
+
+  await writeSiteFile(root, generator.archiveFile, `---\n${frontMatter}\n---\n\n${body}\n`);
+  logger.info(`Rebuilt ${generatorName} archive ${generator.archiveFile} with ${posts.length} post(s)`);
+  return { file: generator.archiveFile, posts: posts.length };
+}
+
+/**
+ * Names of the supported static site generators
+ * @returns {Array<string>} - Generator names
+ */
+export function getStaticSiteGenerators() {
+  return Object.keys(GENERATORS);
+}
+
+export default { exportToStaticSite, buildArchive, getStaticSiteGenerators, getStaticSiteDir };
@@ -0,0 +1,72 @@
+// src/post/textRenderer.js
+import { translate, formatDate, formatList } from '../i18n.js';
+
+/**
+ * Underline a heading ("Title" -> "Title\n=====")
+ * @param {string} text - Heading text
+ * @param {string} character - Underline character
+ * @returns {string} - Underlined heading
+ */
+const underline = (text, character) => `${text}\n${character.repeat(Math.max(text.length, 3))}`;
+
+/**
+ * Render a block of a section
+ * @param {Object} block - Paragraph, quote or list block
+ * @returns {string} - Plain text
+ */
+const renderBlock = (block) => {
+  if (block.type === 'list') {
+    return block.items.map(item => `- ${item}`).join('\n');
+  }
+  return block.type === 'quote' ? block.text.split('\n').map(line => `  ${line}`).join('\n') : block.text;
+};
+
+/**
+ * Render a post as plain text
+ * @param {Object} post - Blog post
+ * @returns {string} - Plain text document
+ */
+export function renderText(post) {
+  const t = key => translate(key, post.locale);
+  const parts = [underline(post.title, '=')];
+
+  const header = [post.date, post.location ? `${t('location')}: ${post.location}` : null].filter(Boolean);
+  if (header.length > 0) parts.push(header.join('\n'));
+
+  if (post.weather) {
+    const { current, forecast } = post.weather;
+    const lines = [];
+    if (current) lines.push(`${t('currently')} ${[current.temperature, current.conditions].filter(Boolean).join(', ')}`);
+    (forecast || []).forEach(day => lines.push(`- ${day.day}: ${t('high')} ${day.high}, ${t('low')} ${day.low}, ${day.conditions}`));
+    parts.push(`${underline(t('weather'), '-')}\n${lines.join('\n')}`);
+  }
+
+  post.sections.forEach(section => {
+    if (section.heading) parts.push(underline(section.heading, '-'));
+    parts.push(...section.blocks.map(renderBlock));
+  });
+
+  if (post.photos) {
+    const { items, note } = post.photos;
+    const captions = items.map(photo => photo.caption).filter(Boolean);
+    if (captions.length > 0) {
+      const intro = translate(captions.length === 1 ? 'photoFromToday' : 'photosFromToday', post.locale, { photos: formatList(captions, post.locale) });
+      parts.push([intro, note].filter(Boolean).join(' '));
+    }
+    const links = items.filter(photo => photo.url).map(photo => `- ${photo.caption || photo.url}: ${photo.url}`);
+    if (links.length > 0) parts.push(links.join('\n'));
+  }
+
+  if (post.news) {
+    parts.push(underline(t('latestDevelopments'), '-'));
+    parts.push(post.news.items.map(article => [
+      `- ${article.title}${article.publishedAt ? ` (${formatDate(article.publishedAt, post.locale)})` : ''}${article.source ? `, ${article.source}` : ''}`,
+      ...(article.description ? [`  ${article.description}`] : []),
+      ...(article.url ? [`  ${article.url}`] : [])
+    ].join('\n')).join('\n'));
+  }
+
+  return `${parts.join('\n\n')}\n`;
+}
+
+export default { renderText };
@@ -0,0 +1,267 @@
+// src/postsRouter.js
+import express from 'express';
+import logger from './logger.js';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
+import {
+  createPost, renderPost, getPostFormat, getPostFormats, exportPost, getExportFormats,
+  exportToStaticSite, buildArchive, getStaticSiteGenerators
+} from './post/index.js';
+import {
+  savePost, listSavedPosts, getSavedPost, updateSavedPost, deleteSavedPost,
+  listRevisions, getRevision, compareRevisions, restoreRevision, recordPublication
+} from './post/postStore.js';
+import { publishPost, createPublishingTarget, getPublishingTargets } from './publishing/index.js';
+
+const router = express.Router();
+
+/**
+ * A saved post as returned by the API: the revisions themselves are listed
+ * through /:postId/revisions, so only their count is included
+ * @param {Object} record - Saved post
+ * @returns {Object} - Saved post without its revisions
+ */
+const withoutRevisions = ({ revisions, ...record }) => ({ ...record, revisionCount: revisions.length });
+
+// Posts come back from /api/message, so they share its API keys
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
+
+/**
+ * List the formats a post can be rendered in
+ */
+router.get('/formats', (req, res) => {
+  res.json(getPostFormats());
+});
+
+/**
+ * List the file formats a post can be exported as
+ */
+router.get('/export/formats', (req, res) => {
+  res.json(getExportFormats());
+});
+
+/**
+ * Render a structured post (as returned in `post` by the blog capabilities)
+ * as HTML, Markdown or plain text. Answers with the rendered document in the
+ * format's content type.
+ */
+router.post('/render', validateSchema(getSchema('post-render')), (req, res) => {
+  const { post, format = 'html' } = req.body;
+  try {
+    const rendered = renderPost(createPost(post), format);
+    res.type(`${getPostFormat(format).contentType}; charset=utf-8`).send(rendered);
+  } catch (error) {
+    logger.warn(`Could not render post as ${format}: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Export a structured post as a downloadable file: Markdown with front
+ * matter, a standalone HTML page or a PDF. Photos are embedded in HTML and
+ * PDF files unless `embedImages` is false.
+ */
+router.post('/export', validateSchema(getSchema('post-export')), async (req, res) => {
+  const { post, format, embedImages = true } = req.body;
+  try {
+    const file = await exportPost(createPost(post), format, { embedImages });
+    logger.info(`Exported post as ${file.filename}`);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+  } catch (error) {
+    logger.error(`Could not export post as ${format}: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the static site generators whose layout posts can be written in
+ */
+router.get('/static-site/generators', (req, res) => {
+  res.json(getStaticSiteGenerators());
+});
+
+/**
+ * Write a structured post into the static site (STATIC_SITE_DIR) as
+ * Markdown with front matter, download its photos and rebuild the archive.
+ * Answers with the paths written, relative to the site root.
+ */
+router.post('/static-site', validateSchema(getSchema('static-site-export')), async (req, res) => {
+  const { post, generator, downloadImages, updateArchive } = req.body;
+  try {
+    const result = await exportToStaticSite(createPost(post), { generator, downloadImages, updateArchive });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`Could not write post to the static site: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Rebuild the static site's archive page from the posts it contains
+ */
+router.post('/static-site/archive', validateSchema(getSchema('static-site-archive')), async (req, res) => {
+  const { generator, locale } = req.body;
+  try {
+    res.json(await buildArchive({ generator, locale }));
+  } catch (error) {
+    logger.error(`Could not rebuild the static site archive: ${error.message}`);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the publishing targets and whether each is configured
+ */
+router.get('/publishing/targets', (req, res) => {
+  res.json(getPublishingTargets());
+});
+
+/**
+ * Publish a saved post (`postId`) or a new one (`post`, which is saved
+ * first) to WordPress, Ghost or a webhook. The attempt, with the remote URL
+ * and status, is recorded on the saved post; failures answer 502.
+ */
+router.post('/publish', validateSchema(getSchema('post-publish')), async (req, res) => {
+  const { postId, post, target, status = 'published' } = req.body;
+  let record;
+  try {
+    // Check the target is configured before saving a new post for it
+    createPublishingTarget(target);
+    record = postId
+      ? getSavedPost(postId)
+      : savePost(createPost(post), { status: 'draft', source: { capability: 'manual' } });
+  } catch (error) {
+    return res.status(error.status || 500).json({ error: error.message });
+  }
+
+  try {
+    const publication = await publishPost(record.post, { target, status });
+    res.status(201).json({ postId: record.id, ...recordPublication(record.id, { ...publication, revision: record.revision }) });
+  } catch (error) {
+    logger.error(`Could not publish post ${record.id} to ${target}: ${error.message}`);
+    if (error.status === 502) {
+      recordPublication(record.id, { target, status: 'failed', error: error.message, revision: record.revision });
+    }
+    res.status(error.status || 500).json({ postId: record.id, error: error.message });
+  }
+});
+
+/**
+ * List saved posts (summaries, most recently updated first).
+ * Query: status ('draft' or 'published'), limit, offset
+ */
+router.get('/', (req, res) => {
+  const limit = parseInt(req.query.limit, 10);
+  const offset = parseInt(req.query.offset, 10);
+  try {
+    res.json(listSavedPosts({
+      status: req.query.status,
+      ...(limit > 0 ? { limit } : {}),
+      ...(offset > 0 ? { offset } : {})
+    }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Save a post
+ */
+router.post('/', validateSchema(getSchema('saved-post')), (req, res) => {
+  const { post, status } = req.body;
+  try {
+    res.status(201).json(withoutRevisions(savePost(createPost(post), { status, source: { capability: 'manual' } })));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a saved post, with the post rendered as `blog_post` (query: format, default html)
+ */
+router.get('/:postId', (req, res) => {
+  try {
+    const record = getSavedPost(req.params.postId);
+    res.json({ ...withoutRevisions(record), blog_post: renderPost(record.post, req.query.format || 'html') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change a saved post's content and/or status. New content is added as a revision.
+ */
+router.patch('/:postId', validateSchema(getSchema('saved-post-update')), (req, res) => {
+  const { post, status } = req.body;
+  try {
+    res.json(withoutRevisions(updateSavedPost(req.params.postId, { post: post ? createPost(post) : undefined, status })));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a saved post
+ */
+router.delete('/:postId', (req, res) => {
+  try {
+    deleteSavedPost(req.params.postId);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the revisions of a saved post, newest first
+ */
+router.get('/:postId/revisions', (req, res) => {
+  try {
+    res.json(listRevisions(req.params.postId));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get one revision of a saved post with the inputs that produced it, and the
+ * post rendered as `blog_post` (query: format, default html)
+ */
+router.get('/:postId/revisions/:revision', (req, res) => {
+  try {
+    const revision = getRevision(req.params.postId, req.params.revision);
+    res.json({ ...revision, blog_post: renderPost(revision.post, req.query.format || 'html') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Compare two revisions of a saved post. Query: from and to (revision
+ * numbers); `to` defaults to the current revision and `from` to the one before it.
+ */
+router.get('/:postId/diff', (req, res) => {
+  try {
+    const record = getSavedPost(req.params.postId);
+    const to = parseInt(req.query.to, 10) || record.revision;
+    const from = parseInt(req.query.from, 10) || to - 1;
+    res.json(compareRevisions(req.params.postId, from, to));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Make an earlier revision current again, as a new revision
+ */
+router.post('/:postId/revisions/:revision/restore', (req, res) => {
+  try {
+    const record = restoreRevision(req.params.postId, req.params.revision);
+    res.json({ ...withoutRevisions(record), blog_post: renderPost(record.post, 'html') });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,87 @@
+// src/progressEvents.js
+import { EventEmitter } from 'events';
+import logger from './logger.js';
+
+// How long the events of a finished message stay available to late subscribers
+const HISTORY_RETENTION_MS = 5 * 60 * 1000;
+
+// Event types after which no more events are sent for a message
+const TERMINAL_EVENTS = new Set(['completed', 'failed']);
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Events already emitted, keyed by messageId, so subscribers can catch up
+const eventHistory = new Map();
+
+/**
+ * Publish a progress event for a message
+ * @param {string} messageId - ID of the message being processed
+ * @param {string} type - Event type (e.g. 'location-resolved', 'section-generated', 'completed')
+ * @param {string} message - Human-readable description of the step
+ * @param {Object} [data] - Extra structured details
+ * @returns {Object|null} - The event, or null when there is no messageId to publish under
+ */
+export function emitProgress(messageId, type, message, data = {}) {
+  if (!messageId) {
+    return null;
+  }
+
+  const history = eventHistory.get(messageId) || [];
+  const event = {
+    id: history.length + 1,
+    messageId,
+    type,
+    message,
+    data,
+    timestamp: new Date().toISOString()
+  };
+  history.push(event);
+  eventHistory.set(messageId, history);
+
+  logger.debug(`Progress [${messageId}] ${type}: ${message}`);
+  emitter.emit(messageId, event);
+
+  if (TERMINAL_EVENTS.has(type)) {
+    setTimeout(() => eventHistory.delete(messageId), HISTORY_RETENTION_MS).unref();
+  }
+  return event;
+}
+
+/**
+ * Create a progress callback bound to one message, for passing into services
+ * @param {string} messageId - ID of the message being processed
+ * @returns {Function} - (type, message, data) => void
+ */
+export function createProgressReporter(messageId) {
+  return (type, message, data) => emitProgress(messageId, type, message, data);
+}
+
+/**
+ * Subscribe to the progress events of a message. Events emitted before the
+ * subscription are replayed first.
+ * @param {string} messageId - ID of the message
+ * @param {Function} listener - Called with each event
+ * @returns {Function} - Unsubscribe function
+ */
+export function subscribeToProgress(messageId, listener) {
+  (eventHistory.get(messageId) || []).forEach(listener);
+  emitter.on(messageId, listener);
+  return () => emitter.off(messageId, listener);
+}
+
+/**
+ * Whether an event ends the stream for its message
+ * @param {Object} event - Progress event
+ * @returns {boolean} - True for 'completed' and 'failed'
+ */
+export function isTerminalEvent(event) {
+  return TERMINAL_EVENTS.has(event.type);
+}
+
+export default {
+  emitProgress,
+  createProgressReporter,
+  subscribeToProgress,
+  isTerminalEvent
+};
@@ -0,0 +1,140 @@
+// src/promptTemplates.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+const PROMPTS_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../prompts');
+
+// Template versions keyed by name, sorted by ascending version number
+const templates = new Map();
+
+const FRONT_MATTER = /^---\n([\s\S]*?)\n---\n/;
+// {{#name}}...{{/name}} is kept only when the variable has a value; a section
+// on its own line takes its line break with it when it is dropped
+const SECTION = /\{\{#(\w+)\}\}([\s\S]*?)\{\{\/\1\}\}(\n?)/g;
+const VARIABLE = /\{\{(\w+)\}\}/g;
+
+/**
+ * Parse a template file: optional "key: value" front matter followed by the template text
+ * @param {string} source - File contents
+ * @returns {Object} - { description, template, variables }
+ */
+function parseTemplate(source) {
+  const normalized = source.replace(/\r\n/g, '\n');
+  const match = normalized.match(FRONT_MATTER);
+  const metadata = {};
+  if (match) {
+    match[1].split('\n').forEach(line => {
+      const separator = line.indexOf(':');
+      if (separator > 0) {
+        metadata[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+      }
+    });
+  }
+  const template = match ? normalized.slice(match[0].length) : normalized;
+  const variables = Array.from(new Set(Array.from(template.matchAll(/\{\{[#/]?(\w+)\}\}/g), m => m[1])));
+  return { description: metadata.description || '', template, variables };
+}
+
+/**
+ * Load every prompt template under server/prompts. Templates are stored as
+ * prompts/<name>/v<version>.md, so a wording change is added as a new version
+ * instead of replacing the old one.
+ * @returns {Array<string>} - Names of the loaded templates
+ */
+export function loadPromptTemplates() {
+  if (templates.size > 0) {
+    return Array.from(templates.keys());
+  }
+
+  const names = fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name);
+
+  for (const name of names) {
+    const versions = fs.readdirSync(path.join(PROMPTS_DIR, name))
+      .map(file => ({ file, match: file.match(/^v(\d+)\.md$/) }))
+      .filter(({ match }) => match)
+      .map(({ file, match }) => ({
+        name,
+        version: parseInt(match[1], 10),
+        ...parseTemplate(fs.readFileSync(path.join(PROMPTS_DIR, name, file), 'utf8'))
+      }))
+      .sort((a, b) => a.version - b.version);
+
+    if (versions.length > 0) {
+      templates.set(name, versions);
+    }
+  }
+
+  logger.info(`Loaded ${templates.size} prompt templates: ${Array.from(templates.keys()).join(', ')}`);
+  return Array.from(templates.keys());
+}
+
+/**
+ * Find a template by id
+ * @param {string} id - "name" for the latest version or "name@version" for a specific one
+ * @returns {Object|undefined} - { name, version, description, template, variables }
+ */
+export function getPromptTemplate(id) {
+  loadPromptTemplates();
+  const [name, version] = String(id).split('@');
+  const versions = templates.get(name);
+  if (!versions) {
+    return undefined;
+  }
+  if (version === undefined) {
+    return versions[versions.length - 1];
+  }
+  return versions.find(template => String(template.version) === version.replace(/^v/, ''));
+}
+
+/**
+ * Render a template with the given variables. Missing variables render as
+ * empty strings and sections for them are dropped.
+ * @param {string} id - Template id ("name" or "name@version")
+ * @param {Object} variables - Values for the template variables
+ * @returns {string} - The rendered prompt
+ */
+export function renderPromptTemplate(id, variables = {}) {
+  const promptTemplate = getPromptTemplate(id);
+  if (!promptTemplate) {
+    const error = new Error(`Unknown prompt template "${id}".`);
+    error.status = 400;
+    throw error;
+  }
+
+  const valueOf = name => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value).trim();
+  };
+
+  return promptTemplate.template
+    .replace(SECTION, (section, name, content, lineBreak) => (valueOf(name) ? content + lineBreak : ''))
+    .replace(VARIABLE, (variable, name) => valueOf(name))
+    .trim();
+}
+
+/**
+ * List the available templates and their versions
+ * @returns {Array<Object>} - { id, name, version, latest, description, variables } for each version
+ */
+export function listPromptTemplates() {
+  loadPromptTemplates();
+  return Array.from(templates.values()).flatMap(versions => versions.map((template, index) => ({
+    id: `${template.name}@${template.version}`,
+    name: template.name,
+    version: template.version,
+    latest: index === versions.length - 1,
+    description: template.description,
+    variables: template.variables
+  })));
+}
+
+export default {
+  loadPromptTemplates,
+  getPromptTemplate,
+  renderPromptTemplate,
+  listPromptTemplates
+};
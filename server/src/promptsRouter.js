@@ -0,0 +1,38 @@
+// src/promptsRouter.js
+import express from 'express';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { getPromptTemplate, listPromptTemplates } from './promptTemplates.js';
+import { listStylePresets } from './stylePresets.js';
+
+const router = express.Router();
+
+// Templates are chosen by clients sending messages, so they share the /api/message API keys
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
+
+/**
+ * List every prompt template version
+ */
+router.get('/', (req, res) => {
+  res.json(listPromptTemplates());
+});
+
+/**
+ * List the writing style presets that can be passed as `style` in blog payloads
+ */
+router.get('/styles', (req, res) => {
+  res.json(listStylePresets());
+});
+
+/**
+ * Get a prompt template, including its text. Use "name" for the latest
+ * version or "name@version" for a specific one.
+ */
+router.get('/:templateId', (req, res) => {
+  const template = getPromptTemplate(req.params.templateId);
+  if (!template) {
+    return res.status(404).json({ error: `Prompt template ${req.params.templateId} not found.` });
+  }
+  res.json({ id: `${template.name}@${template.version}`, ...template });
+});
+
+export default router;
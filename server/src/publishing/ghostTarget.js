@@ -0,0 +1,85 @@
+// src/publishing/ghostTarget.js
+import axios from 'axios';
+import { createHmac } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+const TOKEN_LIFETIME_SECONDS = 5 * 60;
+
+const base64Url = (value) => Buffer.from(value).toString('base64url');
+
+/**
+ * Short-lived token for the Ghost Admin API, signed with the secret half of
+ * an Admin API key ("<id>:<hex secret>")
+ * @param {string} adminKey - Admin API key
+ * @returns {string} - JWT
+ */
+const adminToken = (adminKey) => {
+  const [id, secret] = adminKey.split(':');
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64Url(JSON.stringify({ alg: 'HS256', typ: 'JWT', kid: id }));
+  const payload = base64Url(JSON.stringify({ iat: now, exp: now + TOKEN_LIFETIME_SECONDS, aud: '/admin/' }));
+  const signature = createHmac('sha256', Buffer.from(secret, 'hex')).update(`${header}.${payload}`).digest('base64url');
+  return `${header}.${payload}.${signature}`;
+};
+
+/**
+ * Create a publishing target for the Ghost Admin API
+ * @param {Object} [options] - Target options
+ * @param {string} [options.baseUrl] - Site URL (defaults to GHOST_URL)
+ * @param {string} [options.adminKey] - Admin API key "<id>:<secret>" (defaults to GHOST_ADMIN_API_KEY)
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to PUBLISH_TIMEOUT_MS or 30000)
+ * @returns {Object} - Publishing target
+ */
+export function createGhostTarget(options = {}) {
+  const {
+    baseUrl = process.env.GHOST_URL,
+    adminKey = process.env.GHOST_ADMIN_API_KEY,
+    timeoutMs = parseInt(process.env.PUBLISH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  } = options;
+
+  if (!baseUrl || !adminKey) {
+    throw new Error('GHOST_URL and GHOST_ADMIN_API_KEY are required for the ghost publishing target.');
+  }
+  if (!/^[^:]+:[0-9a-f]+$/i.test(adminKey)) {
+    throw new Error('GHOST_ADMIN_API_KEY must look like "<id>:<hex secret>".');
+  }
+
+  const client = axios.create({
+    baseURL: `${baseUrl.replace(/\/$/, '')}/ghost/api/admin`,
+    timeout: timeoutMs,
+    headers: { 'Accept-Version': 'v5.0' }
+  });
+  client.interceptors.request.use((config) => {
+    config.headers.Authorization = `Ghost ${adminToken(adminKey)}`;
+    return config;
+  });
+
+  return {
+    name: 'ghost',
+
+    async uploadImage({ filename, contentType, data }) {
+      const form = new FormData();
+      form.append('file', new Blob([data], { type: contentType }), filename);
+      form.append('purpose', 'image');
+      const { data: uploaded } = await client.post('/images/upload/', form, { maxBodyLength: Infinity });
+      return { url: uploaded.images[0].url };
+    },
+
+    async publish({ title, html, tags, date, status, images }) {
+      const { data } = await client.post('/posts/', {
+        posts: [{
+          title,
+          html,
+          status,
+          ...(status === 'published' ? { published_at: new Date(date).toISOString() } : {}),
+          tags: tags.map(name => ({ name })),
+          ...(images[0] ? { feature_image: images[0].url } : {})
+        }]
+      }, { params: { source: 'html' } });
+      const [created] = data.posts;
+      return { remoteId: created.id, url: created.url, status: created.status };
+    }
+  };
+}
+
+export default { createGhostTarget };
@@ -0,0 +1,151 @@
+// src/publishing/index.js
+// Sends saved posts to blogs and other services: photos are uploaded first,
+// then the post is created with its title, tags and date.
+import logger from '../logger.js';
+import { extractKeyTopics } from '../services/titleService.js';
+import { renderHtmlHeader, renderHtmlSections, renderHtmlFooter } from '../post/htmlRenderer.js';
+import { renderMarkdown } from '../post/markdownRenderer.js';
+import { fetchPostImages, postFileName } from '../post/exporter.js';
+import { photoImageUrl } from '../post/postModel.js';
+import { IMAGE_EXTENSIONS, postText } from '../post/staticSite.js';
+import { createWordPressTarget } from './wordpressTarget.js';
+import { createGhostTarget } from './ghostTarget.js';
+import { createWebhookTarget } from './webhookTarget.js';
+import { httpError } from '../httpError.js';
+
+/**
+ * Publishing targets all implement:
+ *   name
+ *   uploadImage({ filename, contentType, data }) => Promise<{ id?, url }>   (optional)
+ *   publish({ title, html, markdown, tags, date, status, post, images, attachments })
+ *     => Promise<{ remoteId, url, status }>
+ * Targets without uploadImage get the photos as `attachments` instead.
+ */
+const targetFactories = {
+  wordpress: createWordPressTarget,
+  ghost: createGhostTarget,
+  webhook: createWebhookTarget
+};
+
+/**
+ * Create a publishing target by name
+ * @param {string} name - 'wordpress', 'ghost' or 'webhook'
+ * @param {Object} [options] - Options passed to the target factory (default: from the environment)
+ * @returns {Object} - Publishing target
+ * @throws {Error} - With status 400 for an unknown target, 503 if it is not configured
+ */
+export function createPublishingTarget(name, options = {}) {
+  const factory = targetFactories[name];
+  if (!factory) {
+    throw httpError(`Unknown publishing target "${name}". Use one of: ${Object.keys(targetFactories).join(', ')}.`, 400);
+  }
+  try {
+    return factory(options);
+  } catch (error) {
+    throw httpError(error.message, 503);
+  }
+}
+
+/**
+ * List the publishing targets and whether each is configured
+ * @returns {Array<Object>} - [{ name, configured }]
+ */
+export function getPublishingTargets() {
+  return Object.entries(targetFactories).map(([name, factory]) => {
+    try {
+      factory();
+      return { name, configured: true };
+    } catch {
+      return { name, configured: false };
+    }
+  });
+}
+
+/**
+ * Describe a failed request to a target, including what the service answered
+ * @param {string} target - Target name
+ * @param {Error} error - Axios or other error
+ * @returns {Error} - Error with status 502
+ */
+const remoteError = (target, error) => {
+  const answer = error.response
+    ? ` (${error.response.status}: ${error.response.data?.message || error.response.data?.errors?.[0]?.message || error.response.statusText || 'no details'})`
+    : '';
+  return httpError(`Publishing to ${target} failed: ${error.message}${answer}`, 502);
+};
+
+/**
+ * Publish a post to a target. Its photos are downloaded and uploaded to the
+ * target (or attached, for targets without uploads) and the post's HTML is
+ * pointed at the uploaded copies.
+ * @param {Object} post - Blog post (see postModel.js)
+ * @param {Object} options - Publish options
+ * @param {string} options.target - 'wordpress', 'ghost' or 'webhook'
+ * @param {string} [options.status='published'] - 'draft' or 'published' on the target
+ * @param {Object} [options.targetOptions] - Target configuration (default: from the environment)
+ * @returns {Promise<Object>} - { target, remoteId, url, status, images } where images is the number of photos sent
+ * @throws {Error} - With status 400/503 for a bad target, 502 if the target rejects the post
+ */
+export async function publishPost(post, { target: targetName, status = 'published', targetOptions } = {}) {
+  const target = createPublishingTarget(targetName, targetOptions);
+  const baseName = postFileName(post);
+
+  try {
+    const fetched = await fetchPostImages(post);
+    const images = [];
+    const attachments = [];
+    const photos = [];
+    for (const [index, photo] of (post.photos?.items || []).entries()) {
+      const source = photoImageUrl(photo);
+      const image = fetched.get(source);
+      if (!image) {
+        photos.push(photo);
+        continue;
+      }
+      const file = {
+        filename: `${baseName}-photo-${index + 1}.${IMAGE_EXTENSIONS[image.contentType] || 'img'}`,
+        contentType: image.contentType,
+        data: image.data,
+        source
+      };
+      if (!target.uploadImage) {
+        attachments.push(file);
+        photos.push(photo);
+        continue;
+      }
+      const uploaded = await target.uploadImage(file);
+      images.push(uploaded);
+      photos.push({ ...photo, url: uploaded.url, thumbnail: uploaded.url });
+    }
+    const remotePost = post.photos ? { ...post, photos: { ...post.photos, items: photos } } : post;
+
+    // The title is sent separately, so it is left out of the body
+    const html = [
+      ...renderHtmlHeader(remotePost).slice(1),
+      ...renderHtmlSections(remotePost),
+      ...renderHtmlFooter(remotePost)
+    ].join('\n\n');
+
+    const result = await target.publish({
+      title: post.title,
+      html,
+      markdown: renderMarkdown(remotePost, { header: false }),
+      tags: extractKeyTopics(postText(post)),
+      date: post.createdAt,
+      status,
+      post: remotePost,
+      images,
+      attachments
+    });
+    logger.info(`Published "${post.title}" to ${target.name} (${result.status}) at ${result.url || 'an unknown URL'}`);
+    return {
+      target: target.name,
+      ...result,
+      images: images.length + attachments.length
+    };
+  } catch (error) {
+    throw remoteError(target.name, error);
+  }
+}
+
+export default { createPublishingTarget, getPublishingTargets, publishPost };
@@ -0,0 +1,66 @@
+// src/publishing/webhookTarget.js
+import axios from 'axios';
+import { createHmac } from 'crypto';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/**
+ * Create a publishing target that POSTs the post as JSON to any URL, for
+ * services without a dedicated target. Photos are sent inline as base64
+ * `attachments`. When a secret is set, the body is signed with HMAC-SHA256
+ * in the X-Publish-Signature header ("sha256=<hex>"). The receiver can answer
+ * with { id, url, status } to have them recorded.
+ * @param {Object} [options] - Target options
+ * @param {string} [options.url] - Webhook URL (defaults to PUBLISH_WEBHOOK_URL)
+ * @param {string} [options.secret] - Signing secret (defaults to PUBLISH_WEBHOOK_SECRET)
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to PUBLISH_TIMEOUT_MS or 30000)
+ * @returns {Object} - Publishing target
+ */
+export function createWebhookTarget(options = {}) {
+  const {
+    url = process.env.PUBLISH_WEBHOOK_URL,
+    secret = process.env.PUBLISH_WEBHOOK_SECRET,
+    timeoutMs = parseInt(process.env.PUBLISH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  } = options;
+
+  if (!url) {
+    throw new Error('PUBLISH_WEBHOOK_URL is required for the webhook publishing target.');
+  }
+
+  return {
+    name: 'webhook',
+
+    async publish({ title, html, markdown, tags, date, status, post, attachments }) {
+      const body = JSON.stringify({
+        title,
+        html,
+        markdown,
+        tags,
+        date,
+        status,
+        post,
+        attachments: attachments.map(({ filename, contentType, data, source }) => ({
+          filename,
+          contentType,
+          source,
+          data: data.toString('base64')
+        }))
+      });
+      const { data } = await axios.post(url, body, {
+        timeout: timeoutMs,
+        maxBodyLength: Infinity,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(secret ? { 'X-Publish-Signature': `sha256=${createHmac('sha256', secret).update(body).digest('hex')}` } : {})
+        }
+      });
+      return {
+        remoteId: data?.id ? String(data.id) : null,
+        url: data?.url || null,
+        status: data?.status || status
+      };
+    }
+  };
+}
+
+export default { createWebhookTarget };
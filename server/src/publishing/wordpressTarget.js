@@ -0,0 +1,86 @@
+// src/publishing/wordpressTarget.js
+import axios from 'axios';
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+// Our post statuses and WordPress's
+const WORDPRESS_STATUSES = { draft: 'draft', published: 'publish' };
+
+/**
+ * Create a publishing target for the WordPress REST API, authenticating with
+ * an application password
+ * @param {Object} [options] - Target options
+ * @param {string} [options.baseUrl] - Site URL (defaults to WORDPRESS_URL)
+ * @param {string} [options.username] - User name (defaults to WORDPRESS_USERNAME)
+ * @param {string} [options.appPassword] - Application password (defaults to WORDPRESS_APP_PASSWORD)
+ * @param {number} [options.timeoutMs] - Request timeout (defaults to PUBLISH_TIMEOUT_MS or 30000)
+ * @returns {Object} - Publishing target
+ */
+export function createWordPressTarget(options = {}) {
+  const {
+    baseUrl = process.env.WORDPRESS_URL,
+    username = process.env.WORDPRESS_USERNAME,
+    appPassword = process.env.WORDPRESS_APP_PASSWORD,
+    timeoutMs = parseInt(process.env.PUBLISH_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  } = options;
+
+  if (!baseUrl || !username || !appPassword) {
+    throw new Error('WORDPRESS_URL, WORDPRESS_USERNAME and WORDPRESS_APP_PASSWORD are required for the wordpress publishing target.');
+  }
+
+  const client = axios.create({
+    baseURL: `${baseUrl.replace(/\/$/, '')}/wp-json/wp/v2`,
+    timeout: timeoutMs,
+    auth: { username, password: appPassword }
+  });
+
+  /**
+   * Find a tag by name, creating it if the site does not have it yet
+   * @param {string} name - Tag name
+   * @returns {Promise<number>} - Tag ID
+   */
+  const tagId = async (name) => {
+    const { data: matches } = await client.get('/tags', { params: { search: name, per_page: 100 } });
+    const existing = matches.find(tag => tag.name.toLowerCase() === name.toLowerCase());
+    if (existing) return existing.id;
+    const { data: created } = await client.post('/tags', { name });
+    return created.id;
+  };
+
+  return {
+    name: 'wordpress',
+
+    async uploadImage({ filename, contentType, data }) {
+      const { data: media } = await client.post('/media', data, {
+        headers: {
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="${filename}"`
+        },
+        maxBodyLength: Infinity
+      });
+      return { id: media.id, url: media.source_url };
+    },
+
+    async publish({ title, html, tags, date, status, images }) {
+      const tagIds = [];
+      for (const tag of tags) {
+        tagIds.push(await tagId(tag));
+      }
+      const { data: created } = await client.post('/posts', {
+        title,
+        content: html,
+        status: WORDPRESS_STATUSES[status],
+        date_gmt: new Date(date).toISOString().slice(0, 19),
+        tags: tagIds,
+        ...(images[0]?.id ? { featured_media: images[0].id } : {})
+      });
+      return {
+        remoteId: String(created.id),
+        url: created.link,
+        status: created.status === 'publish' ? 'published' : created.status
+      };
+    }
+  };
+}
+
+export default { createWordPressTarget };
@@ -1,7 +1,45 @@
 // src/registry.js
 import logger from './logger.js';
+import { createStore } from './storage/index.js';
+import { orderAgents } from './loadBalancer.js';
+import { forgetAgentSchemas } from './middleware/validateSchema.js';
 
-const agentRegistry = new Map(); // In-memory store for registered agents
+// Registered agents, kept in memory or in a JSON file depending on REGISTRY_STORAGE
+const agentRegistry = createStore('registry', {
+  backend: process.env.REGISTRY_STORAGE,
+  filePath: process.env.REGISTRY_FILE
+});
+
+// Runtime request statistics per agent, used by the load balancer (not persisted)
+const agentStats = new Map();
+
+// Weight of the newest sample in the moving latency average
+const LATENCY_SMOOTHING = 0.3;
+
+// Defaults for heartbeat expiry; overridable through the environment
+const DEFAULT_HEARTBEAT_TTL_MS = 60000;
+const DEFAULT_EVICTION_MS = 300000;
+
+const readDuration = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Time after the last heartbeat at which an agent is considered stale
+ * @returns {number} TTL in milliseconds
+ */
+export function getHeartbeatTtl() {
+  return readDuration(process.env.AGENT_HEARTBEAT_TTL_MS, DEFAULT_HEARTBEAT_TTL_MS);
+}
+
+/**
+ * Time after the last heartbeat at which an agent is removed from the registry
+ * @returns {number} Eviction age in milliseconds
+ */
+export function getEvictionAge() {
+  return readDuration(process.env.AGENT_EVICTION_MS, DEFAULT_EVICTION_MS);
+}
 
 export function registerAgent(agentDetails) {
   if (!agentDetails || !agentDetails.agentId || !agentDetails.capabilities || !agentDetails.endpoint) {
@@ -11,7 +49,15 @@ export function registerAgent(agentDetails) {
   if (agentRegistry.has(agentDetails.agentId)) {
     logger.warn(`Agent ${agentDetails.agentId} is already registered. Updating details.`);
   }
-  agentRegistry.set(agentDetails.agentId, agentDetails);
+  // The agent may declare different schemas this time
+  forgetAgentSchemas(agentDetails.agentId);
+  const now = new Date().toISOString();
+  agentRegistry.set(agentDetails.agentId, {
+    ...agentDetails,
+    registeredAt: now,
+    lastSeen: now,
+    health: { status: 'healthy', lastProbeAt: null, lastProbeError: null, consecutiveFailures: 0 }
+  });
   logger.info(`Agent ${agentDetails.agentId} registered/updated with endpoint ${agentDetails.endpoint} and capabilities: ${agentDetails.capabilities.map(c => c.name).join(', ')}`);
 }
 
@@ -19,33 +65,231 @@ export function getAgentById(agentId) {
   return agentRegistry.get(agentId);
 }
 
-export function findAgentsByCapability(capabilityName) {
-  const matchingAgents = [];
+/**
+ * Work out an agent's current health from its last heartbeat and last probe
+ * @param {Object} agent - Registered agent
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {string} - 'healthy', 'stale' (heartbeat expired) or 'unhealthy' (probe failing)
+ */
+export function getAgentStatus(agent, now = Date.now()) {
+  const lastSeen = agent.lastSeen ? new Date(agent.lastSeen).getTime() : 0;
+  if (now - lastSeen > getHeartbeatTtl()) {
+    return 'stale';
+  }
+  if (agent.health?.status === 'unhealthy') {
+    return 'unhealthy';
+  }
+  return 'healthy';
+}
+
+/**
+ * Record a heartbeat from an agent, refreshing its last-seen time
+ * @param {string} agentId - ID of the agent
+ * @returns {Object|null} - The updated agent or null if it is not registered
+ */
+export function recordHeartbeat(agentId) {
+  const agent = agentRegistry.get(agentId);
+  if (!agent) {
+    logger.warn(`Heartbeat received for unknown agent: ${agentId}`);
+    return null;
+  }
+  const updated = agentRegistry.set(agentId, {
+    ...agent,
+    lastSeen: new Date().toISOString()
+  });
+  logger.debug(`Heartbeat recorded for agent ${agentId}`);
+  return updated;
+}
+
+/**
+ * Store the result of an active health probe against an agent's endpoint.
+ * Probes never refresh the last-seen time: only heartbeats keep an agent
+ * from expiring.
+ * @param {string} agentId - ID of the agent
+ * @param {boolean} healthy - Whether the probe succeeded
+ * @param {string} [errorMessage] - Reason the probe failed
+ * @returns {Object|null} - The updated agent or null if it is not registered
+ */
+export function recordProbeResult(agentId, healthy, errorMessage = null) {
+  const agent = agentRegistry.get(agentId);
+  if (!agent) {
+    return null;
+  }
+  const now = new Date().toISOString();
+  const previousFailures = agent.health?.consecutiveFailures || 0;
+  if (!healthy && agent.health?.status !== 'unhealthy') {
+    logger.warn(`Agent ${agentId} failed its health probe: ${errorMessage}`);
+  } else if (healthy && agent.health?.status === 'unhealthy') {
+    logger.info(`Agent ${agentId} is healthy again`);
+  }
+  return agentRegistry.set(agentId, {
+    ...agent,
+    health: {
+      status: healthy ? 'healthy' : 'unhealthy',
+      lastProbeAt: now,
+      lastProbeError: healthy ? null : errorMessage,
+      consecutiveFailures: healthy ? 0 : previousFailures + 1
+    }
+  });
+}
+
+/**
+ * Remove agents that have not been heard from within the eviction age
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {Array<string>} - IDs of the evicted agents
+ */
+export function evictExpiredAgents(now = Date.now()) {
+  const evicted = [];
   for (const agent of agentRegistry.values()) {
-    if (agent.capabilities && agent.capabilities.some(cap => cap.name === capabilityName)) {
-      matchingAgents.push(agent);
+    const lastSeen = agent.lastSeen ? new Date(agent.lastSeen).getTime() : 0;
+    if (now - lastSeen > getEvictionAge()) {
+      agentRegistry.delete(agent.agentId);
+      forgetAgentSchemas(agent.agentId);
+      evicted.push(agent.agentId);
     }
   }
-  logger.debug(`Found ${matchingAgents.length} agents for capability "${capabilityName}"`);
+  if (evicted.length > 0) {
+    logger.warn(`Evicted ${evicted.length} expired agent(s): ${evicted.join(', ')}`);
+  }
+  return evicted;
+}
+
+/**
+ * List every registered agent together with its computed status
+ * @returns {Array<Object>} - Agents with a `status` field
+ */
+export function listAgents() {
+  const now = Date.now();
+  return agentRegistry.values().map(agent => ({ ...agent, status: getAgentStatus(agent, now) }));
+}
+
+/**
+ * Find agents that provide a capability
+ * @param {string} capabilityName - Name of the capability to look for
+ * @param {Object} [options] - Lookup options
+ * @param {boolean} [options.includeUnhealthy=false] - Also return stale and unhealthy agents
+ * @returns {Array<Object>} - Matching agents with their `status` and `lastSeen` time
+ */
+export function findAgentsByCapability(capabilityName, options = {}) {
+  const { includeUnhealthy = false } = options;
+  const matchingAgents = listAgents().filter(agent =>
+    agent.capabilities &&
+    agent.capabilities.some(cap => cap.name === capabilityName) &&
+    (includeUnhealthy || agent.status === 'healthy')
+  );
+  logger.debug(`Found ${matchingAgents.length} ${includeUnhealthy ? '' : 'healthy '}agents for capability "${capabilityName}"`);
   return matchingAgents;
 }
 
+/**
+ * Remove an agent from the registry
+ * @param {string} agentId - ID of the agent
+ * @returns {boolean} - True if the agent was registered
+ */
+export function deregisterAgent(agentId) {
+  const removed = agentRegistry.delete(agentId);
+  agentStats.delete(agentId);
+  forgetAgentSchemas(agentId);
+  if (removed) {
+    logger.info(`Agent ${agentId} deregistered.`);
+  } else {
+    logger.warn(`Attempted to deregister unknown agent: ${agentId}`);
+  }
+  return removed;
+}
+
+/**
+ * List every capability offered by registered agents, with its providers
+ * @returns {Array<Object>} - Capabilities with their provider agents and statuses
+ */
+export function listCapabilities() {
+  const capabilities = new Map();
+  for (const agent of listAgents()) {
+    for (const capability of agent.capabilities || []) {
+      if (!capabilities.has(capability.name)) {
+        capabilities.set(capability.name, {
+          name: capability.name,
+          description: capability.description,
+          providers: []
+        });
+      }
+      capabilities.get(capability.name).providers.push({
+        agentId: agent.agentId,
+        endpoint: agent.endpoint,
+        status: agent.status,
+        lastSeen: agent.lastSeen
+      });
+    }
+  }
+  return Array.from(capabilities.values());
+}
+
 export function clearRegistry() {
+  agentRegistry.values().forEach(agent => forgetAgentSchemas(agent.agentId));
   agentRegistry.clear();
+  agentStats.clear();
   logger.info('Agent registry cleared.');
 }
 
+/**
+ * Get the request statistics the load balancer uses for an agent
+ * @param {string} agentId - ID of the agent
+ * @returns {Object} - { inFlight, requests, failures, avgLatencyMs }
+ */
+export function getAgentStats(agentId) {
+  if (!agentStats.has(agentId)) {
+    agentStats.set(agentId, { inFlight: 0, requests: 0, failures: 0, avgLatencyMs: null });
+  }
+  return agentStats.get(agentId);
+}
+
+/**
+ * Mark the start of a request routed to an agent
+ * @param {string} agentId - ID of the agent
+ */
+export function recordRequestStart(agentId) {
+  getAgentStats(agentId).inFlight += 1;
+}
+
+/**
+ * Mark the end of a request routed to an agent and update its latency average
+ * @param {string} agentId - ID of the agent
+ * @param {Object} outcome - Request outcome
+ * @param {number} outcome.latencyMs - Time the agent took to answer
+ * @param {boolean} outcome.success - Whether the agent answered successfully
+ */
+export function recordRequestEnd(agentId, { latencyMs, success }) {
+  const stats = getAgentStats(agentId);
+  stats.inFlight = Math.max(0, stats.inFlight - 1);
+  stats.requests += 1;
+  if (!success) {
+    stats.failures += 1;
+    return;
+  }
+  stats.avgLatencyMs = stats.avgLatencyMs === null
+    ? latencyMs
+    : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * stats.avgLatencyMs);
+}
+
+/**
+ * Get every healthy agent for a capability, ordered by the capability's
+ * load-balancing strategy. The first agent is the preferred one and the
+ * rest are the failover order.
+ * @param {string} capabilityName - Name of the capability to look for
+ * @returns {Array<Object>} - Agents in preference order
+ */
+export function getAgentsForCapability(capabilityName) {
+  return orderAgents(capabilityName, findAgentsByCapability(capabilityName), getAgentStats);
+}
+
 /**
  * Get a single agent that can handle the specified capability
  * @param {string} capabilityName - Name of the capability to look for
- * @returns {Object|null} - The first matching agent or null if none found
+ * @returns {Object|null} - The agent chosen by the load balancer or null if none found
  */
 export function getAgentByCapability(capabilityName) {
-  const agents = findAgentsByCapability(capabilityName);
-  if (agents && agents.length > 0) {
-    // Return the first matching agent
-    // In a production system, you might want to implement more sophisticated
-    // selection logic (load balancing, agent preferences, etc.)
+  const agents = getAgentsForCapability(capabilityName);
+  if (agents.length > 0) {
     return agents[0];
   }
   logger.warn(`No agent found for capability: ${capabilityName}`);
@@ -71,7 +315,20 @@ export default {
   getAgentById,
   findAgentsByCapability,
   getAgentByCapability,
+  getAgentsForCapability,
   getAgentEndpoint,
+  getAgentStats,
+  recordRequestStart,
+  recordRequestEnd,
+  getAgentStatus,
+  recordHeartbeat,
+  recordProbeResult,
+  evictExpiredAgents,
+  listAgents,
+  listCapabilities,
+  deregisterAgent,
+  getHeartbeatTtl,
+  getEvictionAge,
   clearRegistry,
   _getRegistry: () => agentRegistry 
 };
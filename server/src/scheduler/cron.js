@@ -0,0 +1,200 @@
+// src/scheduler/cron.js
+// Five-field cron expressions ("minute hour day-of-month month day-of-week"),
+// evaluated in an IANA time zone.
+import { httpError } from '../httpError.js';
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+const SHORTCUTS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const MINUTE_MS = 60 * 1000;
+// A schedule that matches nothing in this many days (e.g. "0 0 31 2 *") never runs
+const MAX_SEARCH_DAYS = 366 * 5;
+
+/**
+ * Read a number or a month/weekday name in a cron field
+ * @param {string} value - Token
+ * @param {Object} field - Field definition
+ * @returns {number} - Value
+ */
+const readValue = (value, field) => {
+  const named = field.names?.indexOf(value.toLowerCase());
+  if (named !== undefined && named >= 0) {
+    return named + (field.min === 1 ? 1 : 0);
+  }
+  if (!/^\d+$/.test(value)) {
+    throw httpError(`Invalid ${field.name} "${value}" in cron expression.`, 400);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw httpError(`The ${field.name} must be between ${field.min} and ${field.max}, not ${number}.`, 400);
+  }
+  return number;
+};
+
+/**
+ * Values allowed by one cron field
+ * @param {string} text - Field text, e.g. "*", "1-5", "0,30" or "*\/15"
+ * @param {Object} field - Field definition
+ * @returns {Set<number>} - Allowed values
+ */
+const parseField = (text, field) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0) || (stepText !== undefined && !/^\d+$/.test(stepText))) {
+      throw httpError(`Invalid step "${stepText}" in the ${field.name} field.`, 400);
+    }
+    let [from, to] = [field.min, field.max];
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = readValue(start, field);
+      to = end === undefined ? (stepText === undefined ? from : field.max) : readValue(end, field);
+    }
+    if (from > to) {
+      throw httpError(`Invalid range "${range}" in the ${field.name} field.`, 400);
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {string} expression - Five fields, or a shortcut such as @daily
+ * @returns {Object} - { minutes, hours, days, months, weekdays, anyDay, anyWeekday } with Sets of allowed values
+ * @throws {Error} - With status 400 if the expression is invalid
+ */
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const fields = (SHORTCUTS[text.toLowerCase()] || text).split(/\s+/);
+  if (fields.length !== 5) {
+    throw httpError(`A cron expression needs 5 fields (minute hour day-of-month month day-of-week), got "${text}".`, 400);
+  }
+  const [minutes, hours, days, months, weekdays] = fields.map((part, index) => parseField(part, FIELDS[index]));
+  // Sunday may be written as 0 or 7
+  if (weekdays.has(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: fields[2] === '*', anyWeekday: fields[4] === '*' };
+}
+
+/**
+ * Check a time zone name
+ * @param {string} timeZone - IANA time zone, e.g. "Europe/Berlin"
+ * @throws {Error} - With status 400 if it is unknown
+ */
+export function checkTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw httpError(`Unknown time zone "${timeZone}".`, 400);
+  }
+}
+
+// Formatters by time zone; creating them is slow
+const formatters = new Map();
+
+/**
+ * Wall-clock fields of an instant in a time zone
+ * @param {number} time - Milliseconds since the epoch
+ * @param {string} timeZone - IANA time zone
+ * @returns {Object} - { minute, hour, day, month, weekday }
+ */
+const zonedParts = (time, timeZone) => {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      minute: 'numeric',
+      hour: 'numeric',
+      day: 'numeric',
+      month: 'numeric',
+      weekday: 'short'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(time)).map(({ type, value }) => [type, value]));
+  return {
+    minute: parseInt(parts.minute, 10),
+    hour: parseInt(parts.hour, 10),
+    day: parseInt(parts.day, 10),
+    month: parseInt(parts.month, 10),
+    weekday: FIELDS[4].names.indexOf(parts.weekday.toLowerCase())
+  };
+};
+
+/**
+ * Whether a day matches. As in cron, when both day fields are restricted a
+ * day matching either of them is enough.
+ * @param {Object} cron - Parsed expression
+ * @param {Object} parts - Wall-clock fields
+ * @returns {boolean} - Whether the schedule can run on that day
+ */
+const dayMatches = (cron, { day, weekday }) => {
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+};
+
+/**
+ * Whether the wall-clock time already came up shortly before, as it does for
+ * an hour when the clocks go back. Such times run once, at their first
+ * occurrence.
+ * @param {number} time - Milliseconds since the epoch
+ * @param {Object} parts - Wall-clock fields of time
+ * @param {string} timeZone - IANA time zone
+ * @returns {boolean} - Whether this is a repeat of an earlier wall-clock time
+ */
+const repeatsWallClock = (time, parts, timeZone) => [30, 60].some((minutes) => {
+  const earlier = zonedParts(time - minutes * MINUTE_MS, timeZone);
+  return earlier.day === parts.day && earlier.hour === parts.hour && earlier.minute === parts.minute;
+});
+
+/**
+ * Next time a cron expression matches, strictly after a given time
+ * @param {string|Object} expression - Cron expression, or the result of parseCron
+ * @param {Object} [options] - Options
+ * @param {Date|number} [options.after=now] - Start searching after this time
+ * @param {string} [options.timeZone='UTC'] - Time zone the expression is written in
+ * @returns {Date|null} - Next run, or null if the expression never matches
+ */
+export function nextCronTime(expression, { after = Date.now(), timeZone = 'UTC' } = {}) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  const limit = new Date(after).getTime() + MAX_SEARCH_DAYS * 24 * 60 * MINUTE_MS;
+  // Start at the next whole minute
+  let time = Math.floor(new Date(after).getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+
+  while (time <= limit) {
+    const parts = zonedParts(time, timeZone);
+    if (!cron.months.has(parts.month) || !dayMatches(cron, parts)) {
+      // Skip to an hour before the next local midnight, then by the hour: a
+      // day that loses an hour to daylight saving time is only 23 hours long
+      const minutesLeft = (23 - parts.hour) * 60 + (60 - parts.minute);
+      time += (minutesLeft > 60 ? minutesLeft - 60 : minutesLeft) * MINUTE_MS;
+    } else if (!cron.hours.has(parts.hour)) {
+      time += (60 - parts.minute) * MINUTE_MS;
+    } else if (!cron.minutes.has(parts.minute) || repeatsWallClock(time, parts, timeZone)) {
+      time += MINUTE_MS;
+    } else {
+      return new Date(time);
+    }
+  }
+  return null;
+}
+
+export default { parseCron, nextCronTime, checkTimeZone };
@@ -0,0 +1,254 @@
+// src/scheduler/index.js
+// Generates the daily "My Day" post on each user's schedule: today's photos,
+// location, weather and news are collected, enhanced-blog-writing runs, and
+// the post is kept as a draft or published.
+import { randomUUID } from 'crypto';
+import logger from '../logger.js';
+import services from '../services/index.js';
+import { handleMessage } from '../messageHandler.js';
+import { translate, resolveLocale } from '../i18n.js';
+import { getSavedPost, updateSavedPost, recordPublication } from '../post/postStore.js';
+import { publishPost, createPublishingTarget } from '../publishing/index.js';
+import {
+  getSchedule, listDueSchedules, setScheduleTimes, nextRunOf, saveRun, DEFAULT_USER_ID
+} from './scheduleStore.js';
+
+const DEFAULT_CHECK_INTERVAL_MS = 30000;
+
+let schedulerTimer = null;
+let checking = false;
+// Schedules with a run in progress, so a slow run is not started twice
+const runningSchedules = new Set();
+
+/**
+ * Collect the data a schedule asks for, with the photos of the schedule's
+ * user. Each source is optional: one that fails is left out and noted,
+ * rather than failing the run.
+ * @param {Object} schedule - Schedule
+ * @param {string} locale - Resolved locale
+ * @returns {Promise<Object>} - { payload, collected } with the generation payload and a summary of what was found
+ */
+async function collectDailyInputs(schedule, locale) {
+  const {
+    useTodaysPhotos = true,
+    useSmartLocation = true,
+    useWeatherData = true,
+    useNewsData = false,
+    coordinates,
+    newsTopics = []
+  } = schedule;
+  const collected = { photos: 0, location: null, weather: false, news: 0, warnings: [] };
+  const payload = {};
+
+  if (useTodaysPhotos) {
+    try {
+      const userId = schedule.userId === DEFAULT_USER_ID ? undefined : schedule.userId;
+      const { photos, source } = await services.photoService.getTodaysPhotos({ locale, userId });
+      // Sample photos stand in when Google Photos is not connected or fails; they do not belong in a journal
+      if (source === 'google_photos' && photos.length > 0) {
+        payload.todaysPhotos = photos;
+        collected.photos = photos.length;
+      }
+    } catch (error) {
+      collected.warnings.push(`Photos: ${error.message}`);
+    }
+  }
+
+  if (useSmartLocation && coordinates) {
+    try {
+      const name = await services.locationService.getLocationNameFromCoordinates(coordinates.latitude, coordinates.longitude);
+      payload.locationData = { name, coordinates, source: 'schedule' };
+      collected.location = name;
+    } catch (error) {
+      collected.warnings.push(`Location: ${error.message}`);
+    }
+  }
+
+  if (useWeatherData && coordinates) {
+    try {
+      payload.weatherData = await services.weatherService.getWeatherData(coordinates, { locale });
+      collected.weather = true;
+    } catch (error) {
+      collected.warnings.push(`Weather: ${error.message}`);
+    }
+  }
+
+  if (useNewsData) {
+    try {
+      const results = await Promise.all((newsTopics.length > 0 ? newsTopics : ['AI']).map(topic => services.newsService.getLatestNews(topic)));
+      const articles = results.flatMap(result => result.articles || []);
+      payload.newsData = { articles };
+      collected.news = articles.length;
+    } catch (error) {
+      collected.warnings.push(`News: ${error.message}`);
+    }
+  }
+
+  return {
+    payload: {
+      ...payload,
+      useTodaysPhotos: Boolean(payload.todaysPhotos),
+      useSmartLocation,
+      useWeatherData: Boolean(payload.weatherData),
+      useNewsData: Boolean(payload.newsData)
+    },
+    collected
+  };
+}
+
+/**
+ * Publish the post of a run, to the schedule's publishing target or just by
+ * marking it as published
+ * @param {Object} schedule - Schedule
+ * @param {string} postId - Saved post
+ * @returns {Promise<Object>} - The recorded publication, or { status: 'published' } without a target
+ */
+async function publishScheduledPost(schedule, postId) {
+  if (!schedule.publishTarget) {
+    updateSavedPost(postId, { status: 'published' });
+    return { status: 'published' };
+  }
+  const record = getSavedPost(postId);
+  try {
+    const publication = await publishPost(record.post, { target: schedule.publishTarget, status: 'published' });
+    return recordPublication(postId, { ...publication, revision: record.revision });
+  } catch (error) {
+    recordPublication(postId, { target: schedule.publishTarget, status: 'failed', error: error.message, revision: record.revision });
+    throw error;
+  }
+}
+
+/**
+ * Run a schedule now: collect today's data, generate the post and save or
+ * publish it. The run is recorded in the run history whatever happens.
+ * @param {string} id - Schedule ID
+ * @param {Object} [options] - Run options
+ * @param {string} [options.trigger='schedule'] - 'schedule' or 'manual'
+ * @returns {Promise<Object>} - The finished run { id, scheduleId, userId, trigger, status, postId, publication, collected, error, startedAt, finishedAt }
+ * @throws {Error} - With status 404 if there is no such schedule, 409 if it is already running
+ */
+export async function runSchedule(id, { trigger = 'schedule' } = {}) {
+  const schedule = getSchedule(id);
+  if (runningSchedules.has(id)) {
+    const error = new Error(`Schedule ${id} is already running.`);
+    error.status = 409;
+    throw error;
+  }
+  runningSchedules.add(id);
+
+  const run = saveRun({
+    id: randomUUID(),
+    scheduleId: id,
+    userId: schedule.userId,
+    trigger,
+    status: 'running',
+    postId: null,
+    publication: null,
+    collected: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  });
+  logger.info(`Running schedule ${id} (${trigger}) as run ${run.id}`);
+
+  try {
+    if (schedule.action === 'publish' && schedule.publishTarget) {
+      // Fail before generating rather than leave a draft behind
+      createPublishingTarget(schedule.publishTarget);
+    }
+    const locale = resolveLocale(schedule.locale);
+    const { payload, collected } = await collectDailyInputs(schedule, locale);
+    run.collected = collected;
+
+    const { status, body } = await handleMessage({
+      messageId: run.id,
+      capability: 'enhanced-blog-writing',
+      payload: {
+        ...payload,
+        text: schedule.notes || translate('myDay', locale),
+        locale,
+        ...(schedule.style ? { style: schedule.style } : {}),
+        ...(schedule.promptTemplate ? { promptTemplate: schedule.promptTemplate } : {})
+      },
+      metadata: { scheduleId: id, trigger }
+    });
+    if (status >= 400 || !body.postId) {
+      throw new Error(body.error || body.post?.metadata?.error || 'The post could not be generated and saved.');
+    }
+    run.postId = body.postId;
+
+    if (schedule.action === 'publish') {
+      run.publication = await publishScheduledPost(schedule, body.postId);
+    }
+    run.status = 'succeeded';
+    logger.info(`Schedule ${id} run ${run.id} saved post ${run.postId}`);
+  } catch (error) {
+    run.status = 'failed';
+    run.error = error.message;
+    logger.error(`Schedule ${id} run ${run.id} failed: ${error.message}`);
+  } finally {
+    run.finishedAt = new Date().toISOString();
+    saveRun(run);
+    setScheduleTimes(id, { lastRun: { id: run.id, status: run.status, finishedAt: run.finishedAt } });
+    runningSchedules.delete(id);
+  }
+  return run;
+}
+
+/**
+ * Run every schedule that is due, one after the other. Each schedule's next
+ * run is worked out before it starts, so a schedule missed while the server
+ * was down runs once, not once per missed time.
+ * @param {Date|number} [now=now] - Current time
+ * @returns {Promise<Array<Object>>} - The runs
+ */
+export async function runDueSchedules(now = Date.now()) {
+  if (checking) return [];
+  checking = true;
+  const runs = [];
+  try {
+    for (const schedule of listDueSchedules(now)) {
+      setScheduleTimes(schedule.id, { nextRunAt: nextRunOf(schedule, now) });
+      if (runningSchedules.has(schedule.id)) continue;
+      runs.push(await runSchedule(schedule.id));
+    }
+  } finally {
+    checking = false;
+  }
+  return runs;
+}
+
+/**
+ * Start checking for due schedules on an interval (SCHEDULER_INTERVAL_MS, 0 disables)
+ * @returns {Object|null} - The interval handle or null when disabled
+ */
+export function startScheduler() {
+  const configured = parseInt(process.env.SCHEDULER_INTERVAL_MS, 10);
+  const interval = Number.isFinite(configured) ? configured : DEFAULT_CHECK_INTERVAL_MS;
+  if (interval <= 0) {
+    logger.info('Post scheduler disabled');
+    return null;
+  }
+  if (schedulerTimer) {
+    return schedulerTimer;
+  }
+
+  schedulerTimer = setInterval(() => {
+    runDueSchedules().catch(error => logger.error('Scheduled post check failed:', error.message));
+  }, interval);
+  schedulerTimer.unref();
+  logger.info(`Post scheduler checking every ${interval}ms`);
+  return schedulerTimer;
+}
+
+/**
+ * Stop checking for due schedules
+ */
+export function stopScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+export default { runSchedule, runDueSchedules, startScheduler, stopScheduler };
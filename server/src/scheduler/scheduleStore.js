@@ -0,0 +1,258 @@
+// src/scheduler/scheduleStore.js
+import { randomUUID } from 'crypto';
+import logger from '../logger.js';
+import { createStore } from '../storage/index.js';
+import { parseCron, nextCronTime, checkTimeZone } from './cron.js';
+import { resolveStyle } from '../stylePresets.js';
+import { resolveLocale } from '../i18n.js';
+import { getPromptTemplate } from '../promptTemplates.js';
+import { httpError } from '../httpError.js';
+
+export const SCHEDULE_ACTIONS = ['draft', 'publish'];
+// Owner of schedules not tied to an account; they use the Google tokens in the environment
+export const DEFAULT_USER_ID = 'default';
+
+const DEFAULT_CRON = '0 21 * * *';
+const DEFAULT_RUN_HISTORY = 100;
+const DEFAULT_PAGE_SIZE = 50;
+
+// Schedules and their runs, in the SCHEDULE_STORAGE backend
+const backend = process.env.SCHEDULE_STORAGE || 'file';
+const scheduleStore = createStore('schedules', { backend });
+const runStore = createStore('schedule-runs', { backend });
+
+// Runs cut short by a restart can never finish
+for (const run of runStore.values()) {
+  if (run.status === 'running') {
+    runStore.set(run.id, { ...run, status: 'failed', error: 'Interrupted by a server restart.', finishedAt: new Date().toISOString() });
+  }
+}
+
+const readNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+/**
+ * Next run of a schedule after a given time
+ * @param {Object} schedule - Schedule
+ * @param {Date|number} [after=now] - Time to search from
+ * @returns {string|null} - ISO time, or null when disabled or never due
+ */
+export function nextRunOf(schedule, after = Date.now()) {
+  if (!schedule.enabled) return null;
+  return nextCronTime(schedule.cron, { after, timeZone: schedule.timeZone })?.toISOString() || null;
+}
+
+/**
+ * Check the timing and generation fields of a schedule, so that a typo is
+ * refused when the schedule is saved rather than failing every run
+ * @param {Object} schedule - Schedule
+ * @throws {Error} - With status 400 for a bad cron expression, time zone, action, style, locale or prompt template
+ */
+const checkSchedule = ({ cron, timeZone, action, publishTarget, style, locale, promptTemplate }) => {
+  parseCron(cron);
+  checkTimeZone(timeZone);
+  if (!SCHEDULE_ACTIONS.includes(action)) {
+    throw httpError(`Unknown schedule action "${action}". Use one of: ${SCHEDULE_ACTIONS.join(', ')}.`, 400);
+  }
+  if (publishTarget && action !== 'publish') {
+    throw httpError('A publishTarget only applies to schedules whose action is "publish".', 400);
+  }
+  resolveStyle(style);
+  resolveLocale(locale);
+  if (promptTemplate && !getPromptTemplate(promptTemplate)) {
+    throw httpError(`Unknown prompt template "${promptTemplate}".`, 400);
+  }
+};
+
+/**
+ * Create a schedule for generating a post automatically
+ * @param {Object} fields - Schedule fields (see schemas/schedule.schema.json)
+ * @param {string} [fields.userId='default'] - Account the schedule belongs to
+ * @param {string} [fields.cron='0 21 * * *'] - When to run, in timeZone
+ * @param {string} [fields.timeZone] - IANA time zone (defaults to SCHEDULE_TIME_ZONE or UTC)
+ * @param {string} [fields.action='draft'] - 'draft' keeps the post as a draft, 'publish' publishes it
+ * @returns {Object} - The schedule, with nextRunAt
+ * @throws {Error} - With status 400 for invalid fields
+ */
+export function createSchedule(fields) {
+  const now = new Date().toISOString();
+  const schedule = {
+    userId: DEFAULT_USER_ID,
+    name: 'My Day',
+    cron: DEFAULT_CRON,
+    timeZone: process.env.SCHEDULE_TIME_ZONE || 'UTC',
+    enabled: true,
+    action: 'draft',
+    ...fields,
+    id: randomUUID(),
+    lastRun: null,
+    createdAt: now,
+    updatedAt: now
+  };
+  checkSchedule(schedule);
+  schedule.nextRunAt = nextRunOf(schedule);
+  scheduleStore.set(schedule.id, schedule);
+  logger.info(`Created schedule ${schedule.id} for ${schedule.userId} (${schedule.cron} ${schedule.timeZone})`);
+  return schedule;
+}
+
+/**
+ * List schedules
+ * @param {Object} [options] - Filters
+ * @param {string} [options.userId] - Only list this user's schedules
+ * @returns {Array<Object>} - Schedules, oldest first
+ */
+export function listSchedules({ userId } = {}) {
+  return scheduleStore.values()
+    .filter(schedule => !userId || schedule.userId === userId)
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Get a schedule
+ * @param {string} id - Schedule ID
+ * @returns {Object} - Schedule
+ * @throws {Error} - With status 404 if there is no such schedule
+ */
+export function getSchedule(id) {
+  const schedule = scheduleStore.get(id);
+  if (!schedule) {
+    throw httpError(`Schedule ${id} not found.`, 404);
+  }
+  return schedule;
+}
+
+/**
+ * Change a schedule. Its next run is worked out again; its user cannot change.
+ * @param {string} id - Schedule ID
+ * @param {Object} changes - Fields to change
+ * @returns {Object} - Updated schedule
+ * @throws {Error} - With status 404 if there is no such schedule, 400 for invalid fields
+ */
+export function updateSchedule(id, changes) {
+  const schedule = getSchedule(id);
+  const updated = {
+    ...schedule,
+    ...changes,
+    // A schedule stays with its user, and its history is kept
+    id,
+    userId: schedule.userId,
+    lastRun: schedule.lastRun,
+    createdAt: schedule.createdAt,
+    updatedAt: new Date().toISOString()
+  };
+  // Switching a schedule to drafts drops its publishTarget; setting one on a draft schedule is refused
+  if ('action' in changes && updated.action !== 'publish' && !('publishTarget' in changes)) delete updated.publishTarget;
+  checkSchedule(updated);
+  updated.nextRunAt = nextRunOf(updated);
+  scheduleStore.set(id, updated);
+  logger.info(`Updated schedule ${id}`);
+  return updated;
+}
+
+/**
+ * Delete a schedule. Its run history is kept.
+ * @param {string} id - Schedule ID
+ * @throws {Error} - With status 404 if there is no such schedule
+ */
+export function deleteSchedule(id) {
+  if (!scheduleStore.delete(id)) {
+    throw httpError(`Schedule ${id} not found.`, 404);
+  }
+  logger.info(`Deleted schedule ${id}`);
+}
+
+/**
+ * Schedules that are enabled and due
+ * @param {Date|number} [now=now] - Current time
+ * @returns {Array<Object>} - Due schedules, most overdue first
+ */
+export function listDueSchedules(now = Date.now()) {
+  const time = new Date(now).toISOString();
+  return scheduleStore.values()
+    .filter(schedule => schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= time)
+    .sort((a, b) => a.nextRunAt.localeCompare(b.nextRunAt));
+}
+
+/**
+ * Record when a schedule last ran and when it runs next
+ * @param {string} id - Schedule ID
+ * @param {Object} fields - { lastRun, nextRunAt }
+ * @returns {Object|null} - Updated schedule, or null if it was deleted meanwhile
+ */
+export function setScheduleTimes(id, fields) {
+  const schedule = scheduleStore.get(id);
+  if (!schedule) return null;
+  const updated = { ...schedule, ...fields };
+  scheduleStore.set(id, updated);
+  return updated;
+}
+
+/**
+ * Save a run of a schedule. The oldest runs of the schedule are dropped
+ * beyond SCHEDULE_RUN_HISTORY (default 100).
+ * @param {Object} run - Run { id, scheduleId, userId, trigger, status, ... }
+ * @returns {Object} - The run
+ */
+export function saveRun(run) {
+  runStore.set(run.id, run);
+  const limit = readNumber(process.env.SCHEDULE_RUN_HISTORY, DEFAULT_RUN_HISTORY);
+  const runs = runStore.values()
+    .filter(candidate => candidate.scheduleId === run.scheduleId)
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  for (const old of runs.slice(limit)) {
+    runStore.delete(old.id);
+  }
+  return run;
+}
+
+/**
+ * List runs, newest first
+ * @param {Object} [options] - Filters
+ * @param {string} [options.scheduleId] - Only runs of this schedule
+ * @param {string} [options.userId] - Only runs of this user's schedules
+ * @param {string} [options.status] - 'running', 'succeeded' or 'failed'
+ * @param {number} [options.limit=50] - Page size
+ * @param {number} [options.offset=0] - Runs to skip
+ * @returns {Object} - { runs, total }
+ */
+export function listRuns({ scheduleId, userId, status, limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+  const runs = runStore.values()
+    .filter(run => (!scheduleId || run.scheduleId === scheduleId)
+      && (!userId || run.userId === userId)
+      && (!status || run.status === status))
+    .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+  return { runs: runs.slice(offset, offset + limit), total: runs.length };
+}
+
+/**
+ * Get a run
+ * @param {string} id - Run ID
+ * @returns {Object} - Run
+ * @throws {Error} - With status 404 if there is no such run
+ */
+export function getRun(id) {
+  const run = runStore.get(id);
+  if (!run) {
+    throw httpError(`Run ${id} not found.`, 404);
+  }
+  return run;
+}
+
+export default {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  deleteSchedule,
+  listDueSchedules,
+  setScheduleTimes,
+  nextRunOf,
+  saveRun,
+  listRuns,
+  getRun,
+  SCHEDULE_ACTIONS,
+  DEFAULT_USER_ID
+};
@@ -0,0 +1,189 @@
+// src/schedulesRouter.js
+import express from 'express';
+import { apiKeyAuth } from './middleware/apiKeyAuth.js';
+import { validateSchema } from './middleware/validateSchema.js';
+import { getSchema } from './schemaLoader.js';
+import {
+  createSchedule, listSchedules, getSchedule, updateSchedule, deleteSchedule, listRuns, getRun, DEFAULT_USER_ID
+} from './scheduler/scheduleStore.js';
+import { runSchedule } from './scheduler/index.js';
+import { hasAccount } from './accounts/accountStore.js';
+
+const router = express.Router();
+
+// Schedules generate posts like /api/message does, so they share its API keys
+router.use(apiKeyAuth('ORCHESTRATOR_OUTBOUND_API_KEYS'));
+
+/**
+ * Whether a request may see a schedule or run: signed-in users only see
+ * their own; callers with just an API key see all of them
+ * @param {Object} req - Express request
+ * @param {Object} item - Schedule or run
+ * @returns {boolean} - True if the request may see it
+ */
+const isVisible = (req, item) => !req.user || item.userId === req.user.id;
+
+/**
+ * Whether a request asks for another user's schedules while signed in
+ * @param {Object} req - Express request
+ * @param {string} [userId] - User asked for
+ * @returns {boolean} - True if it must be refused
+ */
+const isForeignUser = (req, userId) => Boolean(req.user && userId && userId !== req.user.id);
+
+// Answer for requests about other users' schedules
+const FORBIDDEN_USER = { error: 'Forbidden: Signed-in users can only use their own schedules.' };
+
+/**
+ * Get a schedule the request may see
+ * @param {Object} req - Express request
+ * @param {string} id - Schedule ID
+ * @returns {Object} - Schedule
+ * @throws {Error} - With status 404 if there is no such schedule or it belongs to another user
+ */
+const getVisibleSchedule = (req, id) => {
+  const schedule = getSchedule(id);
+  if (!isVisible(req, schedule)) {
+    const error = new Error(`Schedule ${id} not found.`);
+    error.status = 404;
+    throw error;
+  }
+  return schedule;
+};
+
+/**
+ * Read the run history filters of a request
+ * @param {Object} query - Request query
+ * @returns {Object} - Options for listRuns
+ */
+const runFilters = (query) => {
+  const limit = parseInt(query.limit, 10);
+  const offset = parseInt(query.offset, 10);
+  return {
+    userId: query.userId,
+    status: query.status,
+    ...(limit > 0 ? { limit } : {}),
+    ...(offset > 0 ? { offset } : {})
+  };
+};
+
+/**
+ * List schedules (oldest first). Signed-in users get their own; other
+ * callers can filter by the query's userId.
+ */
+router.get('/', (req, res) => {
+  if (isForeignUser(req, req.query.userId)) {
+    return res.status(403).json(FORBIDDEN_USER);
+  }
+  res.json(listSchedules({ userId: req.user?.id || req.query.userId }));
+});
+
+/**
+ * Create a schedule. It belongs to the signed-in user. Callers without a
+ * session name the account in userId ("default" is for schedules without an
+ * account).
+ */
+router.post('/', validateSchema(getSchema('schedule')), (req, res) => {
+  if (isForeignUser(req, req.body.userId)) {
+    return res.status(403).json(FORBIDDEN_USER);
+  }
+  const userId = req.body.userId || req.user?.id || DEFAULT_USER_ID;
+  if (userId !== DEFAULT_USER_ID && !hasAccount(userId)) {
+    return res.status(400).json({ error: `Account ${userId} not found.` });
+  }
+  try {
+    res.status(201).json(createSchedule({ ...req.body, userId }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List runs of all schedules (newest first). Signed-in users get the runs of their own schedules.
+ * Query: userId (callers without a session), scheduleId, status ('running', 'succeeded' or 'failed'), limit, offset
+ */
+router.get('/runs', (req, res) => {
+  if (isForeignUser(req, req.query.userId)) {
+    return res.status(403).json(FORBIDDEN_USER);
+  }
+  res.json(listRuns({ ...runFilters(req.query), userId: req.user?.id || req.query.userId, scheduleId: req.query.scheduleId }));
+});
+
+/**
+ * Get a run
+ */
+router.get('/runs/:runId', (req, res) => {
+  try {
+    const run = getRun(req.params.runId);
+    if (!isVisible(req, run)) {
+      return res.status(404).json({ error: `Run ${req.params.runId} not found.` });
+    }
+    res.json(run);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get a schedule
+ */
+router.get('/:id', (req, res) => {
+  try {
+    res.json(getVisibleSchedule(req, req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Change a schedule
+ */
+router.patch('/:id', validateSchema(getSchema('schedule-update')), (req, res) => {
+  try {
+    getVisibleSchedule(req, req.params.id);
+    res.json(updateSchedule(req.params.id, req.body));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Delete a schedule (its run history is kept)
+ */
+router.delete('/:id', (req, res) => {
+  try {
+    getVisibleSchedule(req, req.params.id);
+    deleteSchedule(req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * Run a schedule now, whatever its time. Answers with the finished run once
+ * the post has been generated and saved (or published).
+ */
+router.post('/:id/run', async (req, res) => {
+  try {
+    getVisibleSchedule(req, req.params.id);
+    const run = await runSchedule(req.params.id, { trigger: 'manual' });
+    res.status(run.status === 'failed' ? 502 : 201).json(run);
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * List the runs of a schedule (newest first). Query: status, limit, offset
+ */
+router.get('/:id/runs', (req, res) => {
+  try {
+    getVisibleSchedule(req, req.params.id);
+    res.json(listRuns({ ...runFilters(req.query), scheduleId: req.params.id }));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+export default router;
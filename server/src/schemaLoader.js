@@ -0,0 +1,54 @@
+// src/schemaLoader.js
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+import { ajv } from './middleware/validateSchema.js';
+
+const SCHEMA_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../schemas');
+const SCHEMA_SUFFIX = '.schema.json';
+
+// Schema ids keyed by short name (e.g. 'message' -> 'message.schema.json')
+const schemaIds = new Map();
+
+/**
+ * Load every *.schema.json file in server/schemas into the shared Ajv instance.
+ * Each schema gets its file name as `$id`, so relative `$ref`s such as
+ * "./capability.schema.json" resolve to the sibling file. Schemas are compiled
+ * once all files are added, so a broken schema or dangling `$ref` fails at startup.
+ * @returns {Array<string>} - Names of the loaded schemas
+ */
+export function loadSchemas() {
+  if (schemaIds.size > 0) {
+    return Array.from(schemaIds.keys());
+  }
+
+  const files = fs.readdirSync(SCHEMA_DIR).filter(file => file.endsWith(SCHEMA_SUFFIX));
+  for (const file of files) {
+    const schema = JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, file), 'utf8'));
+    ajv.addSchema({ ...schema, $id: file });
+    schemaIds.set(file.slice(0, -SCHEMA_SUFFIX.length), file);
+  }
+
+  for (const [name, id] of schemaIds) {
+    if (!ajv.getSchema(id)) {
+      throw new Error(`Schema ${name} could not be compiled`);
+    }
+  }
+
+  logger.info(`Loaded ${schemaIds.size} JSON schemas: ${Array.from(schemaIds.keys()).join(', ')}`);
+  return Array.from(schemaIds.keys());
+}
+
+/**
+ * Get the compiled validator for a schema by short name
+ * @param {string} name - Schema name, e.g. 'message' or 'agent-registration'
+ * @returns {Function|undefined} - Compiled Ajv validator
+ */
+export function getSchema(name) {
+  loadSchemas();
+  const id = schemaIds.get(name);
+  return id ? ajv.getSchema(id) : undefined;
+}
+
+export default { loadSchemas, getSchema };
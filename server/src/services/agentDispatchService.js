@@ -0,0 +1,203 @@
+// src/services/agentDispatchService.js
+import axios from 'axios';
+import logger from '../logger.js';
+import { getAgentsForCapability, recordRequestStart, recordRequestEnd } from '../registry.js';
+import { validateAgentData } from '../middleware/validateSchema.js';
+
+// Default time to wait for an agent to answer a routed message
+const DEFAULT_AGENT_TIMEOUT_MS = 30000;
+
+// Default number of agents tried before giving up on a message
+const DEFAULT_FAILOVER_ATTEMPTS = 3;
+
+/**
+ * Resolve the timeout used when calling agents
+ * @returns {number} Timeout in milliseconds
+ */
+function getAgentTimeout() {
+  const configured = parseInt(process.env.AGENT_REQUEST_TIMEOUT_MS, 10);
+  return Number.isFinite(configured) && configured > 0 ? configured : DEFAULT_AGENT_TIMEOUT_MS;
+}
+
+/**
+ * Build an error carrying the HTTP status the orchestrator should answer with
+ * @param {string} message - Error message
+ * @param {number} status - HTTP status code for the client response
+ * @param {Object} details - Extra fields (agentId, agentStatus, agentResponse)
+ * @returns {Error} - Error with status and details attached
+ */
+function createDispatchError(message, status, details = {}) {
+  const error = new Error(message);
+  error.status = status;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Validate data against one of the schemas a capability declares. A schema that
+ * cannot be compiled is logged and skipped rather than blocking the capability.
+ * @param {Object} agent - Agent providing the capability
+ * @param {Object} capabilityInfo - The agent's capability descriptor
+ * @param {string} schemaKey - 'inputSchema' or 'outputSchema'
+ * @param {*} data - Data to validate
+ * @returns {Array<Object>|null} - Validation errors, or null when the data is valid
+ */
+function checkCapabilitySchema(agent, capabilityInfo, schemaKey, data) {
+  const schema = capabilityInfo?.[schemaKey];
+  if (!schema) {
+    return null;
+  }
+  try {
+    const { valid, errors } = validateAgentData(agent.agentId, schema, data);
+    return valid ? null : errors;
+  } catch (error) {
+    logger.error(`Agent ${agent.agentId} declared an invalid ${schemaKey} for ${capabilityInfo.name}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Send a message envelope to a registered agent and wait for its reply
+ * @param {Object} agent - Registered agent (must have agentId and endpoint)
+ * @param {Object} message - The message to route
+ * @param {string} message.messageId - Unique identifier for the message
+ * @param {string} message.capability - The capability being invoked
+ * @param {Object} message.payload - Capability input
+ * @param {Object} [message.metadata] - Optional message metadata
+ * @param {Object} [options] - Dispatch options
+ * @param {number} [options.timeout] - Override the agent timeout in milliseconds
+ * @returns {Promise<Object>} - The responding agentId and the agent's result
+ */
+export async function dispatchToAgent(agent, message, options = {}) {
+  if (!agent || !agent.endpoint) {
+    throw createDispatchError('Agent has no registered endpoint', 502, { agentId: agent?.agentId });
+  }
+
+  const { messageId, capability, payload, metadata } = message;
+  const timeout = options.timeout || getAgentTimeout();
+  const outboundKey = process.env.AGENT_OUTBOUND_API_KEY;
+  const capabilityInfo = (agent.capabilities || []).find(cap => cap.name === capability);
+
+  const inputErrors = checkCapabilitySchema(agent, capabilityInfo, 'inputSchema', payload);
+  if (inputErrors) {
+    logger.warn(`Payload for ${capability} rejected by inputSchema of agent ${agent.agentId}`, { errors: inputErrors });
+    throw createDispatchError(`Bad Request: payload does not match the inputSchema of capability ${capability}.`, 400, {
+      agentId: agent.agentId,
+      details: inputErrors,
+      retryable: false
+    });
+  }
+
+  logger.info(`Routing message ${messageId || '(no id)'} for capability "${capability}" to agent ${agent.agentId} at ${agent.endpoint}`);
+
+  const startedAt = Date.now();
+  recordRequestStart(agent.agentId);
+  let response;
+  try {
+    response = await axios.post(agent.endpoint, {
+      messageId,
+      capability,
+      payload,
+      metadata: metadata || {}
+    }, {
+      timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(outboundKey ? { 'X-API-Key': outboundKey } : {})
+      }
+    });
+  } catch (error) {
+    recordRequestEnd(agent.agentId, { latencyMs: Date.now() - startedAt, success: false });
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+      logger.error(`Agent ${agent.agentId} timed out after ${timeout}ms`);
+      throw createDispatchError(`Agent ${agent.agentId} did not respond within ${timeout}ms`, 504, {
+        agentId: agent.agentId
+      });
+    }
+
+    if (error.response) {
+      logger.error(`Agent ${agent.agentId} returned status ${error.response.status}`);
+      throw createDispatchError(`Agent ${agent.agentId} returned an error (status ${error.response.status})`, 502, {
+        agentId: agent.agentId,
+        agentStatus: error.response.status,
+        agentResponse: error.response.data
+      });
+    }
+
+    logger.error(`Could not reach agent ${agent.agentId}:`, error.message);
+    throw createDispatchError(`Could not reach agent ${agent.agentId}: ${error.message}`, 502, {
+      agentId: agent.agentId
+    });
+  }
+
+  const outputErrors = checkCapabilitySchema(agent, capabilityInfo, 'outputSchema', response.data);
+  if (outputErrors) {
+    recordRequestEnd(agent.agentId, { latencyMs: Date.now() - startedAt, success: false });
+    logger.error(`Agent ${agent.agentId} returned output that does not match its outputSchema for ${capability}`, { errors: outputErrors });
+    throw createDispatchError(`Agent ${agent.agentId} returned output that does not match the outputSchema of capability ${capability}.`, 502, {
+      agentId: agent.agentId,
+      details: outputErrors
+    });
+  }
+
+  recordRequestEnd(agent.agentId, { latencyMs: Date.now() - startedAt, success: true });
+  logger.info(`Agent ${agent.agentId} answered message ${messageId || '(no id)'} with status ${response.status}`);
+  return {
+    agentId: agent.agentId,
+    result: response.data
+  };
+}
+
+/**
+ * Whether a dispatch error should be retried on another agent. Timeouts,
+ * unreachable agents, agent-side 5xx errors and invalid agent output fail
+ * over; a 4xx from the agent or a payload rejected by the inputSchema means
+ * the message itself is wrong, so it is returned as is.
+ * @param {Error} error - Error thrown by dispatchToAgent
+ * @returns {boolean} - True if another agent should be tried
+ */
+function isRetryable(error) {
+  if (error.retryable === false) {
+    return false;
+  }
+  return !error.agentStatus || error.agentStatus >= 500;
+}
+
+/**
+ * Route a message to the agents providing its capability, in the order chosen
+ * by the capability's load-balancing strategy, failing over to the next agent
+ * when one errors
+ * @param {Object} message - The message to route (messageId, capability, payload, metadata)
+ * @param {Object} [options] - Dispatch options passed on to dispatchToAgent
+ * @param {number} [options.maxAttempts] - Maximum number of agents to try
+ * @returns {Promise<Object>} - The responding agentId, the agent's result and the attempts made
+ */
+export async function dispatchWithFailover(message, options = {}) {
+  const agents = getAgentsForCapability(message.capability);
+  if (agents.length === 0) {
+    throw createDispatchError(`No agents found with capability: ${message.capability}`, 404);
+  }
+
+  const configuredAttempts = parseInt(process.env.AGENT_FAILOVER_ATTEMPTS, 10);
+  const maxAttempts = options.maxAttempts ||
+    (Number.isFinite(configuredAttempts) && configuredAttempts > 0 ? configuredAttempts : DEFAULT_FAILOVER_ATTEMPTS);
+  const candidates = agents.slice(0, maxAttempts);
+  const attempts = [];
+
+  for (const agent of candidates) {
+    try {
+      const response = await dispatchToAgent(agent, message, options);
+      return { ...response, attempts: [...attempts, { agentId: agent.agentId, success: true }] };
+    } catch (error) {
+      attempts.push({ agentId: agent.agentId, success: false, error: error.message });
+      if (!isRetryable(error) || attempts.length === candidates.length) {
+        error.attempts = attempts;
+        throw error;
+      }
+      logger.warn(`Failing over message ${message.messageId || '(no id)'} from agent ${agent.agentId}: ${error.message}`);
+    }
+  }
+}
+
+export default { dispatchToAgent, dispatchWithFailover };
@@ -1,6 +1,21 @@
 // src/services/geminiService.js
 import dotenv from 'dotenv';
 import logger from '../logger.js';
+import { getLlmProvider } from '../llm/index.js';
+import { renderPromptTemplate } from '../promptTemplates.js';
+import { resolveStyle, styleToPromptVariables } from '../stylePresets.js';
+import {
+  resolveLocale, getLanguageName, translate, formatDate, formatList, formatTemperature
+} from '../i18n.js';
+import { sanitizeHtml } from '../htmlSanitizer.js';
+import {
+  createPost, sectionsFromHtml, renderHtmlHeader, renderHtmlFooter
+} from '../post/index.js';
+
+// Prompt templates used when a request does not choose one (see server/prompts)
+const DEFAULT_BLOG_TEMPLATE = 'blog-post';
+const DEFAULT_ENHANCED_TEMPLATE = 'enhanced-blog';
+const DEFAULT_TRANSLATE_TEMPLATE = 'translate-post';
 
 // Helper function to safely stringify objects with circular references
 const safeStringify = (obj, indent = 2) => {
@@ -28,474 +43,506 @@ const safeGet = (obj, path, defaultValue = '') => {
   return result;
 };
 
+/**
+ * Build the prompt for a simple blog post
+ * @param {string} text - User's notes
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.promptTemplate] - Prompt template to render (defaults to blog-post)
+ * @param {string} [options.locale] - Locale the post is written in
+ * @returns {string} - Prompt for the LLM provider
+ */
+const buildBlogPrompt = (text, { promptTemplate = DEFAULT_BLOG_TEMPLATE, locale } = {}) => renderPromptTemplate(promptTemplate, {
+  topic: text,
+  language: getLanguageName(locale)
+});
+
+/**
+ * Log the size of a prompt when debug logging is enabled
+ * @param {Object} provider - LLM provider
+ * @param {string} prompt - Prompt about to be sent
+ */
+const logPromptSize = async (provider, prompt) => {
+  if (!logger.isDebugEnabled()) return;
+  try {
+    const tokens = await provider.countTokens(prompt);
+    logger.debug(`Prompt for ${provider.name} (${provider.model}) uses ${tokens} tokens`);
+  } catch (error) {
+    logger.debug(`Could not count prompt tokens: ${error.message}`);
+  }
+};
+
 /**
  * Generate a simple blog post from user notes
  * @param {string} text - User's notes to transform into a blog post
+ * @param {Object} [options] - Generation options
+ * @param {string} [options.promptTemplate] - Prompt template id ("name" or "name@version")
+ * @param {string} [options.locale] - Locale to write the post in (defaults to DEFAULT_LOCALE)
  * @returns {Promise<string>} - Generated blog post with HTML formatting
  */
-export async function generateBlogPost(text) {
+export async function generateBlogPost(text, options = {}) {
   try {
-    // For demo purposes, we'll return a formatted version of the text
-    // This eliminates the need for a valid Gemini API key
-    logger.info('Generating sample blog post from text:', text);
+    const provider = getLlmProvider();
+    logger.info(`Generating blog post with ${provider.name} from text:`, text);
     
-    const blogPost = `
-    <h1>Blog Post: ${text}</h1>
+    const prompt = buildBlogPrompt(text, options);
+    await logPromptSize(provider, prompt);
+    const blogPost = sanitizeHtml(await provider.generate(prompt));
     
-    <h2>Introduction</h2>
-    <p>Welcome to this blog post about "${text}". This is a demonstration of the MCP orchestrator
-    with direct handling of blog generation capabilities.</p>
-    
-    <h2>Main Content</h2>
-    <p>The MCP (Multi-Agent Control Plane) architecture allows for seamless communication between
-    different components in an AI system. This orchestrator demonstrates how client requests can be
-    routed to appropriate capabilities.</p>
-    
-    <h2>Conclusion</h2>
-    <p>With this demonstration, we've shown how the MCP architecture can handle message routing based on
-    capabilities, with the blog writing agent being one example.</p>
-    `;
-    
-    logger.info('Sample blog post generated successfully');
+    logger.info('Blog post generated successfully');
     return blogPost;
   } catch (error) {
-    logger.error('Error generating sample blog post:', error);
+    logger.error('Error generating blog post:', error);
     throw new Error(`Failed to generate blog post: ${error.message}`);
   }
 }
 
 /**
- * Generate an enhanced blog post incorporating smart location, date-based title, today's photos, weather, and news
- * @param {Object} params - Parameters for blog generation
- * @param {string} params.text - User's notes to transform into a blog post
- * @param {Object} [params.photoMetadata] - Metadata from a photo including location
- * @param {Object} [params.weatherData] - Weather and environmental data
- * @param {Object} [params.newsData] - Recent news articles
- * @param {Object} [params.location] - Smart location detection data
- * @param {Object} [params.titleInfo] - Generated title with date information
- * @param {Array} [params.todaysPhotos] - Today's photos from Google Photos
- * @returns {Promise<string>} - Generated enhanced blog post with HTML formatting
+ * Collect the location, weather, news and photo context for an enhanced blog post
+ * @param {Object} payload - Parameters for blog generation (see generateEnhancedBlogPost)
+ * @param {Function} onProgress - Progress callback (type, message, data)
+ * @returns {Object} - Prompt text (location, weather, photo gallery contexts and news headlines) and the
+ *   structured data for the post (locale, dateTitle, locationName, weather, photoItems, photoNote, newsItems)
  */
-export async function generateEnhancedBlogPost(payload) {
-  try {
-    // Extract all parameters from the payload
-    const {
-      text = '',
-      useDateTitle = true,
-      useTodaysPhotos = true,
-      usePhotoData = true,
-      useSmartLocation = true,
-      useWeatherData = true,
-      useNewsData = true,
-      selectedPhotos = [],
-      newsTopics = [],
-      locationData = {},
-      weatherData = {},
-      // These might be in the root or in a nested structure
-      photoMetadata,
-      newsData,
-      titleInfo,
-      todaysPhotos = selectedPhotos, // Fallback to selectedPhotos if todaysPhotos is not provided
-    } = payload;
+function buildEnhancedContext(payload, onProgress) {
+  // Extract all parameters from the payload
+  const {
+    text = '',
+    useDateTitle = true,
+    useTodaysPhotos = true,
+    usePhotoData = true,
+    useSmartLocation = true,
+    useWeatherData = true,
+    useNewsData = true,
+    selectedPhotos = [],
+    newsTopics = [],
+    locationData = {},
+    weatherData = {},
+    // These might be in the root or in a nested structure
+    photoMetadata,
+    newsData,
+    titleInfo,
+    todaysPhotos = selectedPhotos, // Fallback to selectedPhotos if todaysPhotos is not provided
+  } = payload;
+  const locale = resolveLocale(payload.locale);
 
-    // Log all incoming data for debugging
-    logger.info('Generating enhanced blog post with data:', {
-      text: text ? `${text.substring(0, 50)}...` : 'No text',
-      useDateTitle,
-      useTodaysPhotos,
-      usePhotoData,
-      useSmartLocation,
-      useWeatherData,
-      useNewsData,
-      hasSelectedPhotos: selectedPhotos?.length > 0,
-      hasNewsTopics: newsTopics?.length > 0,
-      hasLocationData: Object.keys(locationData || {}).length > 0,
-      hasWeatherData: Object.keys(weatherData || {}).length > 0,
-      hasPhotoMetadata: !!photoMetadata,
-      hasNewsData: !!newsData,
-      hasTitleInfo: !!titleInfo,
-      hasTodaysPhotos: Array.isArray(todaysPhotos) && todaysPhotos.length > 0
-    });
+  // Log all incoming data for debugging
+  logger.info('Generating enhanced blog post with data:', {
+    text: text ? `${text.substring(0, 50)}...` : 'No text',
+    locale,
+    useDateTitle,
+    useTodaysPhotos,
+    usePhotoData,
+    useSmartLocation,
+    useWeatherData,
+    useNewsData,
+    hasSelectedPhotos: selectedPhotos?.length > 0,
+    hasNewsTopics: newsTopics?.length > 0,
+    hasLocationData: Object.keys(locationData || {}).length > 0,
+    hasWeatherData: Object.keys(weatherData || {}).length > 0,
+    hasPhotoMetadata: !!photoMetadata,
+    hasNewsData: !!newsData,
+    hasTitleInfo: !!titleInfo,
+    hasTodaysPhotos: Array.isArray(todaysPhotos) && todaysPhotos.length > 0
+  });
 
-    // Log detailed weather data if available
-    if (weatherData && useWeatherData) {
-      logger.debug('Weather data details:', {
-        temperature: weatherData.temperature,
-        conditions: weatherData.conditions,
-        unit: weatherData.unit,
-        isFallback: weatherData.isFallback,
-        hasForecast: !!weatherData.forecast,
-        forecastLength: weatherData.forecast?.length || 0
-      });
-    }
-    
-    // Log location data if available
-    if (locationData && useSmartLocation) {
-      logger.debug('Location data details:', {
-        name: locationData.name,
-        source: locationData.source,
-        coordinates: locationData.coordinates
-      });
-    }
-    
-    logger.info('Generating enhanced blog post with external data', { 
-      hasPhotoMetadata: !!photoMetadata,
-      hasWeatherData: !!weatherData,
-      hasNewsData: !!newsData,
-      hasLocation: !!locationData,
-      hasTitleInfo: !!titleInfo,
-      hasTodaysPhotos: Array.isArray(todaysPhotos) && todaysPhotos.length > 0
+  // Log detailed weather data if available
+  if (weatherData && useWeatherData) {
+    logger.debug('Weather data details:', {
+      temperature: weatherData.temperature,
+      conditions: weatherData.conditions,
+      unit: weatherData.unit,
+      isFallback: weatherData.isFallback,
+      hasForecast: !!weatherData.forecast,
+      forecastLength: weatherData.forecast?.length || 0
     });
-    
-    // Use title info or generate a default title
-    const title = safeGet(titleInfo, 'title', `Blog Post: ${text || 'Untitled'}`);
-    const formattedDate = safeGet(
-      titleInfo, 
-      'formattedDate', 
-      new Date().toLocaleDateString('en-US', { 
-        weekday: 'long', 
-        day: 'numeric', 
-        month: 'long', 
-        year: 'numeric' 
-      })
-    );
-    
-    // Location context with enhanced handling
-    let locationContext = '';
-    if (useSmartLocation) {
-      try {
-        // Use locationData as the source for location information
-        const locationSource = locationData || {};
-        logger.debug('Processing location data:', safeStringify(locationSource));
-        
-        if (locationSource.name) {
-          locationContext = `You're writing from ${locationSource.name}. `;
-        } else if (locationSource.coordinates) {
-          // If we have coordinates but no name, we can still use them
-          const { latitude, longitude } = locationSource.coordinates || {};
-          if (latitude !== undefined && longitude !== undefined) {
-            locationContext = `You're writing from coordinates (${latitude.toFixed(4)}, ${longitude.toFixed(4)}). `;
-          }
-        } else if (photoMetadata?.location) {
-          const photoLocation = safeGet(photoMetadata, 'location.locationName');
-          if (photoLocation) {
-            locationContext = `You're writing from ${photoLocation}. `;
-          }
+  }
+  
+  // Log location data if available
+  if (locationData && useSmartLocation) {
+    logger.debug('Location data details:', {
+      name: locationData.name,
+      source: locationData.source,
+      coordinates: locationData.coordinates
+    });
+  }
+  
+  logger.info('Generating enhanced blog post with external data', { 
+    hasPhotoMetadata: !!photoMetadata,
+    hasWeatherData: !!weatherData,
+    hasNewsData: !!newsData,
+    hasLocation: !!locationData,
+    hasTitleInfo: !!titleInfo,
+    hasTodaysPhotos: Array.isArray(todaysPhotos) && todaysPhotos.length > 0
+  });
+  
+  // Use title info or generate a default title
+  const title = safeGet(titleInfo, 'title', `${translate('blogPost', locale)}: ${text || 'Untitled'}`);
+  const formattedDate = safeGet(titleInfo, 'formattedDate', formatDate(new Date(), locale));
+  
+  // Location context with enhanced handling
+  let locationContext = '';
+  let locationName = null;
+  if (useSmartLocation) {
+    try {
+      // Use locationData as the source for location information
+      const locationSource = locationData || {};
+      logger.debug('Processing location data:', safeStringify(locationSource));
+      
+      if (locationSource.name) {
+        locationName = locationSource.name;
+        locationContext = `You're writing from ${locationSource.name}. `;
+      } else if (locationSource.coordinates) {
+        // If we have coordinates but no name, we can still use them
+        const { latitude, longitude } = locationSource.coordinates || {};
+        if (latitude !== undefined && longitude !== undefined) {
+          locationContext = `You're writing from coordinates (${latitude.toFixed(4)}, ${longitude.toFixed(4)}). `;
         }
-        
-        if (!locationContext) {
-          logger.debug('No valid location data found in any source');
-        } else {
-          logger.debug('Generated location context:', locationContext.trim());
+      } else if (photoMetadata?.location) {
+        const photoLocation = safeGet(photoMetadata, 'location.locationName');
+        if (photoLocation) {
+          locationName = photoLocation;
+          locationContext = `You're writing from ${photoLocation}. `;
         }
-      } catch (locationError) {
-        logger.error('Error processing location data:', {
-          error: locationError.message,
-          stack: locationError.stack
-        });
-        locationContext = '';
       }
-    } else {
-      logger.debug('Location context not included as per user preference');
+      
+      if (!locationContext) {
+        logger.debug('No valid location data found in any source');
+      } else {
+        logger.debug('Generated location context:', locationContext.trim());
+        onProgress('location-resolved', `Location resolved: ${locationContext.replace("You're writing from ", '').trim().replace(/\.$/, '')}`);
+      }
+    } catch (locationError) {
+      logger.error('Error processing location data:', {
+        error: locationError.message,
+        stack: locationError.stack
+      });
+      locationContext = '';
     }
-    
-    // Weather context with enhanced error handling and logging
-    let weatherContext = '';
-    if (useWeatherData && weatherData) {
-      try {
-        logger.debug('Processing weather data:', safeStringify(weatherData));
-        
-        // Safely extract weather data with fallbacks and validation
-        // Fix encoding for degree symbol
-        const temp = weatherData.temperature !== undefined ? weatherData.temperature : 
-                    (weatherData.current?.temperature !== undefined ? weatherData.current.temperature : null);
-                    
-        const conditions = weatherData.conditions || 
-                         (weatherData.current?.conditions || '');
-                         
-        // Ensure proper degree symbol encoding
-        const unit = weatherData.unit === 'Â°C' ? '°C' : (weatherData.unit || '°C');
-        
-        logger.debug('Extracted weather values:', { temp, conditions, unit });
-        
-        // Build weather description parts
-        const weatherParts = [];
-        if (temp !== null && temp !== undefined) {
-          weatherParts.push(`${temp}${unit}`);
-        }
-        if (conditions) {
-          weatherParts.push(conditions.toLowerCase());
-        }
-        
-        // Build the weather context
-        if (weatherParts.length > 0) {
-          weatherContext = `The weather is currently ${weatherParts.join(' and ')}. `;
-        }
+  } else {
+    logger.debug('Location context not included as per user preference');
+  }
+  
+  // Weather context with enhanced error handling and logging
+  let weatherContext = '';
+  let weather = null;
+  if (useWeatherData && weatherData) {
+    try {
+      logger.debug('Processing weather data:', safeStringify(weatherData));
+      
+      // Safely extract weather data with fallbacks and validation
+      // Fix encoding for degree symbol
+      const temp = weatherData.temperature !== undefined ? weatherData.temperature : 
+                  (weatherData.current?.temperature !== undefined ? weatherData.current.temperature : null);
+                  
+      const conditions = weatherData.conditions || 
+                       (weatherData.current?.conditions || '');
+                       
+      // Ensure proper degree symbol encoding
+      const unit = weatherData.unit === 'Â°C' ? '°C' : (weatherData.unit || '°C');
+      const temperature = value => formatTemperature(value, unit, locale);
+      
+      logger.debug('Extracted weather values:', { temp, conditions, unit });
+      
+      // Build weather description parts
+      const weatherParts = [];
+      if (temp !== null && temp !== undefined) {
+        weatherParts.push(temperature(temp));
+      }
+      if (conditions) {
+        weatherParts.push(conditions.toLowerCase());
+      }
+      
+      // Build the weather context
+      if (weatherParts.length > 0) {
+        weatherContext = `The weather is currently ${weatherParts.join(' and ')}. `;
+      }
+      
+      const forecast = Array.isArray(weatherData.forecast) ? weatherData.forecast : [];
+      if (weatherParts.length > 0 || forecast.length > 0) {
+        weather = {
+          current: weatherParts.length > 0 ? {
+            temperature: temp !== null && temp !== undefined ? temperature(temp) : null,
+            conditions: conditions || null
+          } : null,
+          forecast: forecast.map(day => ({
+            day: day.day,
+            high: temperature(day.high),
+            low: temperature(day.low),
+            conditions: day.conditions
+          }))
+        };
+      }
+      
+      // Add forecast if available
+      if (weatherData.forecast && Array.isArray(weatherData.forecast) && weatherData.forecast.length > 0) {
+        const forecastText = weatherData.forecast.map(day => 
+          `${day.day}: ${day.conditions} (High: ${temperature(day.high)}, Low: ${temperature(day.low)})`
+        ).join('; ');
         
-        // Add forecast if available
-        if (weatherData.forecast && Array.isArray(weatherData.forecast) && weatherData.forecast.length > 0) {
-          const forecastText = weatherData.forecast.map(day => 
-            `${day.day}: ${day.conditions} (High: ${day.high}${unit}, Low: ${day.low}${unit})`
-          ).join('; ');
-          
-          if (forecastText) {
-            weatherContext += `Forecast: ${forecastText}.`;
-          }
+        if (forecastText) {
+          weatherContext += `Forecast: ${forecastText}.`;
         }
-        
-        logger.debug('Generated weather context:', weatherContext);
-      } catch (weatherError) {
-        logger.error('Error processing weather data:', {
-          error: weatherError.message,
-          stack: weatherError.stack,
-          weatherData: safeStringify(weatherData)
-        });
-        weatherContext = 'Weather information is currently unavailable.';
       }
-    } else {
-      logger.debug('Weather data not included as per user preference');
+      
+      logger.debug('Generated weather context:', weatherContext);
+      if (weatherContext) {
+        onProgress('weather-fetched', `Weather fetched: ${weatherParts.join(', ') || 'forecast only'}`);
+      }
+    } catch (weatherError) {
+      logger.error('Error processing weather data:', {
+        error: weatherError.message,
+        stack: weatherError.stack,
+        weatherData: safeStringify(weatherData)
+      });
+      weatherContext = 'Weather information is currently unavailable.';
+      weather = null;
     }
-    
-    // News context with enhanced handling
-    let newsContext = '';
-    if (useNewsData && newsData) {
-      try {
-        logger.debug('Processing news data:', safeStringify(newsData));
-        
-        // Handle both array format and object with articles property
-        const articles = Array.isArray(newsData) 
-          ? newsData 
-          : (newsData.articles || []);
-        
-        if (Array.isArray(articles) && articles.length > 0) {
-          const validArticles = articles
-            .filter(article => article && article.title)
-            .slice(0, 3); // Limit to top 3 articles
-          
-          if (validArticles.length > 0) {
-            newsContext = '<h3>Latest Headlines</h3><ul>';
-            validArticles.forEach(article => {
-              const source = article.source?.name || article.source || 'Unknown source';
-              const publishedAt = article.publishedAt 
-                ? new Date(article.publishedAt).toLocaleDateString() 
-                : '';
-              const dateStr = publishedAt ? ` (${publishedAt})` : '';
-              
-              newsContext += `
-                <li>
-                  <strong>${article.title}</strong>${dateStr}<br/>
-                  ${article.description || ''}
-                  ${article.url ? `<a href="${article.url}" target="_blank">Read more</a>` : ''}
-                </li>`;
-            });
-            newsContext += '</ul>';
-          }
-        }
+  } else {
+    logger.debug('Weather data not included as per user preference');
+  }
+  
+  // News items with enhanced handling
+  let newsItems = [];
+  let newsHeadlines = '';
+  if (useNewsData && newsData) {
+    try {
+      logger.debug('Processing news data:', safeStringify(newsData));
+      
+      // Handle both array format and object with articles property
+      const articles = Array.isArray(newsData) 
+        ? newsData 
+        : (newsData.articles || []);
+      
+      if (Array.isArray(articles) && articles.length > 0) {
+        const validArticles = articles
+          .filter(article => article && article.title)
+          .slice(0, 3); // Limit to top 3 articles
         
-        if (!newsContext) {
-          logger.debug('No valid news articles found');
-        } else {
-          logger.debug('Generated news context with', validArticles.length, 'articles');
+        if (validArticles.length > 0) {
+          newsItems = validArticles.map(article => ({
+            title: article.title,
+            url: article.url || null,
+            source: article.source?.name || (typeof article.source === 'string' ? article.source : null),
+            publishedAt: article.publishedAt || null,
+            description: article.description || null
+          }));
+          newsHeadlines = validArticles.map(article => article.title).join('; ');
+          onProgress('news-fetched', `Added ${validArticles.length} headline(s)`, { count: validArticles.length });
         }
-      } catch (newsError) {
-        logger.error('Error processing news data:', {
-          error: newsError.message,
-          stack: newsError.stack
-        });
-        newsContext = '';
       }
-    } else {
-      logger.debug('News context not included as per user preference or no data');
+      
+      if (newsItems.length === 0) {
+        logger.debug('No valid news articles found');
+      } else {
+        logger.debug(`Collected ${newsItems.length} news item(s)`);
+      }
+    } catch (newsError) {
+      logger.error('Error processing news data:', {
+        error: newsError.message,
+        stack: newsError.stack
+      });
+      newsItems = [];
     }
-    
-    // Photo gallery context with enhanced handling
-    let photoGalleryContext = '';
-    if ((useTodaysPhotos || usePhotoData) && todaysPhotos && todaysPhotos.length > 0) {
-      try {
-        logger.debug('Processing photos:', safeStringify(todaysPhotos));
-        
-        // Filter out any invalid photos and get their descriptions
-        const photoDescriptions = todaysPhotos
-          .filter(photo => photo && (photo.caption || photo.description || photo.filename))
-          .map(photo => {
-            // Try to get the most descriptive text available
-            if (photo.caption) return photo.caption;
-            if (photo.description) return photo.description;
-            if (photo.filename) return `Photo: ${photo.filename}`;
-            return 'Photo';
-          });
+  } else {
+    logger.debug('News context not included as per user preference or no data');
+  }
+  
+  // Photo gallery context with enhanced handling
+  let photoGalleryContext = '';
+  let photoItems = [];
+  let photoNote = null;
+  if ((useTodaysPhotos || usePhotoData) && todaysPhotos && todaysPhotos.length > 0) {
+    try {
+      logger.debug('Processing photos:', safeStringify(todaysPhotos));
+      
+      // Filter out any invalid photos and get their descriptions
+      photoItems = todaysPhotos
+        .filter(photo => photo && (photo.caption || photo.description || photo.filename))
+        .map(photo => ({
+          // Try to get the most descriptive text available
+          caption: photo.caption || photo.description || `Photo: ${photo.filename}`,
+          url: safeGet(photo, 'fullSizeUrl', null) || safeGet(photo, 'url', null),
+          thumbnail: safeGet(photo, 'thumbnail', null),
+          time: safeGet(photo, 'formattedTime', null),
+          location: safeGet(photo, 'location.locationName', null),
+          people: safeGet(photo, 'people', [])
+        }));
+      const photoDescriptions = photoItems.map(photo => photo.caption);
+      
+      if (photoDescriptions.length > 0) {
+        const messageKey = photoDescriptions.length === 1 ? 'photoFromToday' : 'photosFromToday';
+        photoGalleryContext = `${translate(messageKey, locale, { photos: formatList(photoDescriptions, locale) })} `;
         
-        if (photoDescriptions.length > 0) {
-          if (photoDescriptions.length === 1) {
-            photoGalleryContext = `Here's a photo from today: ${photoDescriptions[0]}. `;
-          } else {
-            const allButLast = photoDescriptions.slice(0, -1).join(', ');
-            const last = photoDescriptions[photoDescriptions.length - 1];
-            photoGalleryContext = `Here are some photos from today: ${allButLast}, and ${last}. `;
+        // If we have photo metadata, add it to the context
+        if (usePhotoData && photoMetadata) {
+          const { location, date, camera } = photoMetadata;
+          const metadataParts = [];
+          
+          if (location?.name) {
+            metadataParts.push(`taken in ${location.name}`);
           }
           
-          // If we have photo metadata, add it to the context
-          if (usePhotoData && photoMetadata) {
-            const { location, date, camera } = photoMetadata;
-            const metadataParts = [];
-            
-            if (location?.name) {
-              metadataParts.push(`taken in ${location.name}`);
-            }
-            
-            if (date) {
-              try {
-                const photoDate = new Date(date).toLocaleDateString();
-                metadataParts.push(`on ${photoDate}`);
-              } catch (e) {
-                logger.debug('Could not parse photo date:', date);
-              }
-            }
-            
-            if (camera?.model) {
-              metadataParts.push(`using a ${camera.model}`);
-            }
-            
-            if (metadataParts.length > 0) {
-              photoGalleryContext += `These photos were ${metadataParts.join(' ')}. `;
+          if (date) {
+            try {
+              const photoDate = formatDate(date, locale);
+              metadataParts.push(`on ${photoDate}`);
+            } catch (e) {
+              logger.debug('Could not parse photo date:', date);
             }
           }
+          
+          if (camera?.model) {
+            metadataParts.push(`using a ${camera.model}`);
+          }
+          
+          if (metadataParts.length > 0) {
+            photoNote = `These photos were ${metadataParts.join(' ')}.`;
+            photoGalleryContext += `${photoNote} `;
+          }
         }
-        
-        logger.debug('Generated photo gallery context:', photoGalleryContext.trim());
-      } catch (photoError) {
-        logger.error('Error processing photos:', {
-          error: photoError.message,
-          stack: photoError.stack
-        });
-        photoGalleryContext = '';
       }
-    } else {
-      logger.debug('Photo gallery not included as per user preference or no photos');
-    }
-    
-    // Today's photos gallery
-    let photosGallery = '';
-    if (todaysPhotos?.length > 0) {
-      photosGallery = `
-      <h2>Today's Photos</h2>
-      <div class="photo-gallery" style="display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 20px;">
-        ${todaysPhotos.map(photo => {
-          const thumbnail = safeGet(photo, 'thumbnail');
-          const formattedTime = safeGet(photo, 'formattedTime', '');
-          const locationName = safeGet(photo, 'location.locationName', 'Unknown location');
-          const people = safeGet(photo, 'people', []);
-          const cameraMake = safeGet(photo, 'cameraMake', '');
-          const cameraModel = safeGet(photo, 'cameraModel', '');
-          const exposureSettings = safeGet(photo, 'exposureSettings', '');
-          const fullSizeUrl = safeGet(photo, 'fullSizeUrl', '#');
-          
-          return `
-            <div class="photo-card" style="border: 1px solid #ddd; border-radius: 4px; padding: 10px; width: 300px;">
-              ${thumbnail ? `<img src="${thumbnail}" alt="Photo from ${formattedTime}" style="width: 100%; border-radius: 4px;">` : ''}
-              <div class="photo-details" style="margin-top: 8px; font-size: 14px;">
-                ${formattedTime ? `<p style="margin: 2px 0;"><strong>Time:</strong> ${formattedTime}</p>` : ''}
-                <p style="margin: 2px 0;"><strong>Location:</strong> ${locationName}</p>
-                ${people.length > 0 ? `<p style="margin: 2px 0;"><strong>People:</strong> ${people.join(', ')}</p>` : ''}
-                ${cameraMake || cameraModel ? `<p style="margin: 2px 0;"><strong>Camera:</strong> ${cameraMake} ${cameraModel}</p>` : ''}
-                ${exposureSettings ? `<p style="margin: 2px 0;"><strong>Settings:</strong> ${exposureSettings}</p>` : ''}
-                <a href="${fullSizeUrl}" target="_blank" style="display: inline-block; margin-top: 5px; color: #0066cc;">View Full Size</a>
-              </div>
-            </div>
-          `;
-        }).join('')}
-      </div>`;
-    }
-    
-    // Single photo context if no gallery
-    let photoContext = '';
-    if (!photosGallery && photoMetadata) {
-      const thumbnail = safeGet(photoMetadata, 'thumbnail');
-      const cameraMake = safeGet(photoMetadata, 'cameraMake');
-      const cameraModel = safeGet(photoMetadata, 'cameraModel');
-      const exposureSettings = safeGet(photoMetadata, 'exposureSettings');
-      const people = safeGet(photoMetadata, 'people', []);
-      const locationName = safeGet(photoMetadata, 'location.locationName');
       
-      photoContext = `
-      <div class="photo-card" style="border: 1px solid #ddd; border-radius: 4px; padding: 10px; max-width: 320px; margin: 20px 0;">
-        ${thumbnail ? `<img src="${thumbnail}" alt="Photo" style="width: 100%; border-radius: 4px;">` : ''}
-        <div class="photo-details" style="margin-top: 8px; font-size: 14px;">
-          ${cameraMake || cameraModel ? `<p style="margin: 2px 0;"><strong>Camera:</strong> ${cameraMake} ${cameraModel}</p>` : ''}
-          ${exposureSettings ? `<p style="margin: 2px 0;"><strong>Settings:</strong> ${exposureSettings}</p>` : ''}
-          ${people.length > 0 ? `<p style="margin: 2px 0;"><strong>People:</strong> ${people.join(', ')}</p>` : ''}
-          ${locationName ? `<p style="margin: 2px 0;"><strong>Location:</strong> ${locationName}</p>` : ''}
-        </div>
-      </div>`;
-    }
-    
-    // Generate the blog post with all available contexts
-    const dateTitle = useDateTitle ? new Date().toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      year: 'numeric', 
-      month: 'long', 
-      day: 'numeric' 
-    }) : '';
-    
-    // Build the blog post sections
-    const sections = [];
-    
-    // Title section
-    sections.push(`<h1>Blog Post: ${text || 'My Day'}</h1>`);
-    
-    // Add date if enabled
-    if (dateTitle) {
-      sections.push(`<div class="blog-date">${dateTitle}</div>`);
-    }
-    
-    // Introduction section
-    let intro = `<h2>Introduction</h2><p>As I sit down to write this blog${text ? ` about "${text}"` : ''}`;
-    
-    // Add location and weather to introduction if available
-    if (locationContext || weatherContext) {
-      intro += `, I'm inspired by the world around me. ${locationContext}${weatherContext}`;
-    } else {
-      intro += '.';
-    }
-    
-    intro += '</p>';
-    sections.push(intro);
-    
-    // Add photo gallery if available
-    if (photoGalleryContext) {
-      sections.push(`<div class="photo-gallery">${photoGalleryContext}</div>`);
-    }
-    
-    // Add news section if available
-    if (newsContext) {
-      sections.push('<h2>Latest Developments</h2>');
-      sections.push(`<p>${newsContext}</p>`);
+      logger.debug('Generated photo gallery context:', photoGalleryContext.trim());
+      onProgress('photos-analyzed', `Analyzed ${photoDescriptions.length} photo(s)`, { count: photoDescriptions.length });
+    } catch (photoError) {
+      logger.error('Error processing photos:', {
+        error: photoError.message,
+        stack: photoError.stack
+      });
+      photoGalleryContext = '';
+      photoItems = [];
+      photoNote = null;
     }
+  } else {
+    logger.debug('Photo gallery not included as per user preference or no photos');
+  }
+  
+  // Date shown under the title
+  const dateTitle = useDateTitle ? formatDate(new Date(), locale) : '';
+  
+  return {
+    text,
+    locale,
+    dateTitle,
+    locationName,
+    locationContext,
+    weather,
+    weatherContext,
+    newsItems,
+    newsHeadlines,
+    photoItems,
+    photoNote,
+    photoGalleryContext
+  };
+}
+
+/**
+ * Build the prompt asking the LLM for the body of an enhanced blog post
+ * @param {Object} context - Result of buildEnhancedContext
+ * @param {Object} payload - Request payload (promptTemplate and style are read from it)
+ * @returns {string} - Prompt for the LLM provider
+ */
+const buildEnhancedPrompt = (context, payload) => renderPromptTemplate(payload.promptTemplate || DEFAULT_ENHANCED_TEMPLATE, {
+  ...styleToPromptVariables(resolveStyle(payload.style)),
+  language: getLanguageName(context.locale),
+  topic: context.text || 'Today has been an interesting day.',
+  date: context.dateTitle,
+  location: context.locationContext,
+  weather: context.weatherContext,
+  photos: context.photoGalleryContext,
+  news: context.newsHeadlines
+});
+
+/**
+ * Create the post for an enhanced blog from its context and generated sections
+ * @param {Object} context - Result of buildEnhancedContext
+ * @param {Array<Object>} sections - Sections of the generated body
+ * @param {Object} [metadata] - Post metadata
+ * @returns {Object} - Blog post (see post/postModel.js)
+ */
+const buildEnhancedPost = (context, sections, metadata = {}) => createPost({
+  title: `${translate('blogPost', context.locale)}: ${context.text || translate('myDay', context.locale)}`,
+  date: context.dateTitle || null,
+  location: context.locationName,
+  locale: context.locale,
+  sections,
+  weather: context.weather,
+  photos: { items: context.photoItems, note: context.photoNote },
+  news: { items: context.newsItems },
+  metadata
+});
+
+/**
+ * Report the sections added after the generated body
+ * @param {Object} post - Blog post
+ * @param {Function} onProgress - Progress callback (type, message, data)
+ */
+const reportFooterSections = (post, onProgress) => {
+  if (post.photos) {
+    onProgress('section-generated', 'Generated section: Photo gallery', { section: 'Photo gallery' });
+  }
+  if (post.news) {
+    onProgress('section-generated', 'Generated section: Latest Developments', { section: 'Latest Developments' });
+  }
+};
+
+/**
+ * Metadata recorded on enhanced posts
+ * @param {Object} provider - LLM provider that wrote the body
+ * @param {Object} payload - Request payload
+ * @returns {Object} - Post metadata
+ */
+const enhancedPostMetadata = (provider, payload) => ({
+  generator: 'enhanced-blog-writing',
+  provider: provider.name,
+  model: provider.model,
+  promptTemplate: payload.promptTemplate || DEFAULT_ENHANCED_TEMPLATE,
+  style: resolveStyle(payload.style).name
+});
+
+/**
+ * Generate an enhanced blog post incorporating smart location, date-based title, today's photos, weather, and news
+ * @param {Object} params - Parameters for blog generation
+ * @param {string} params.text - User's notes to transform into a blog post
+ * @param {Object} [params.photoMetadata] - Metadata from a photo including location
+ * @param {Object} [params.weatherData] - Weather and environmental data
+ * @param {Object} [params.newsData] - Recent news articles
+ * @param {Object} [params.location] - Smart location detection data
+ * @param {Object} [params.titleInfo] - Generated title with date information
+ * @param {Array} [params.todaysPhotos] - Today's photos from Google Photos
+ * @param {string} [params.promptTemplate] - Prompt template id ("name" or "name@version", defaults to enhanced-blog)
+ * @param {string|Object} [params.style] - Style preset name or { preset, tone, length, person } (see stylePresets.js)
+ * @param {string} [params.locale] - Locale for the dates, units, headings and prose (defaults to DEFAULT_LOCALE)
+ * @param {Object} [options] - Generation options
+ * @param {Function} [options.onProgress] - Called as (type, message, data) after each generation step
+ * @returns {Promise<Object>} - Generated blog post (see post/postModel.js); render it with renderPost
+ */
+export async function generateEnhancedBlogPost(payload, options = {}) {
+  const { onProgress = () => {} } = options;
+  try {
+    const context = buildEnhancedContext(payload, onProgress);
+    const provider = getLlmProvider();
     
-    // Add main content
-    sections.push(`
-      <h2>My Thoughts</h2>
-      <p>${text || 'Today has been an interesting day.'}</p>
-      
-      <h2>Conclusion</h2>
-      <p>As I reflect on ${text ? 'this topic' : 'the day'}, I'm reminded of how technology continues to shape our experiences and perspectives in meaningful ways.</p>
-    `);
+    // The LLM writes the prose; title, date, photos and news are added around it
+    const prompt = buildEnhancedPrompt(context, payload);
+    await logPromptSize(provider, prompt);
+    const body = await provider.generate(prompt);
+    onProgress('section-generated', `Generated post body with ${provider.name}`, { section: 'Body' });
     
-    // Combine all sections
-    const blogPost = sections.join('\n\n');
+    const post = buildEnhancedPost(context, sectionsFromHtml(body).sections, enhancedPostMetadata(provider, payload));
+    reportFooterSections(post, onProgress);
     
     // Log the generated blog post structure
     logger.debug('Generated blog post with sections:', {
-      hasTitle: true,
-      hasDate: !!dateTitle,
-      hasIntroduction: true,
-      hasPhotos: !!photoGalleryContext,
-      hasNews: !!newsContext,
-      totalLength: blogPost.length
+      sections: post.sections.length,
+      hasDate: !!post.date,
+      hasWeather: !!post.weather,
+      hasPhotos: !!post.photos,
+      hasNews: !!post.news
     });
     
     logger.info('Enhanced blog post generated successfully');
-    return blogPost;
+    return post;
     
   } catch (error) {
     logger.error('Failed to generate enhanced blog post:', {
@@ -505,12 +552,90 @@ export async function generateEnhancedBlogPost(payload) {
     });
     
     // Return a user-friendly error message
-    return `Error generating blog post: ${error.message}. Please try again later.`;
+    return createPost({
+      title: 'Error generating blog post',
+      sections: [{ heading: null, blocks: [{ type: 'paragraph', text: `${error.message}. Please try again later.` }] }],
+      metadata: { generator: 'enhanced-blog-writing', error: error.message }
+    });
+  }
+}
+
+/**
+ * Stream a simple blog post as it is generated
+ * @param {string} text - User's notes to transform into a blog post
+ * @param {Object} [options] - Generation options (see generateBlogPost)
+ * @returns {AsyncGenerator<string>} - Chunks of the blog post HTML
+ */
+export async function* streamBlogPost(text, options = {}) {
+  const provider = getLlmProvider();
+  logger.info(`Streaming blog post with ${provider.name} from text:`, text);
+  yield* provider.stream(buildBlogPrompt(text, options));
+}
+
+/**
+ * Stream an enhanced blog post as it is generated. The title and date are
+ * sent first, then the LLM output as it arrives, then photos and news. The
+ * LLM output is not sanitized chunk by chunk; the finished post is returned
+ * as the generator's value once streaming ends.
+ * @param {Object} payload - Same parameters as generateEnhancedBlogPost
+ * @param {Object} [options] - Generation options (see generateEnhancedBlogPost)
+ * @returns {AsyncGenerator<string, Object>} - Chunks of the blog post HTML, then the post
+ */
+export async function* streamEnhancedBlogPost(payload, options = {}) {
+  const { onProgress = () => {} } = options;
+  const context = buildEnhancedContext(payload, onProgress);
+  const provider = getLlmProvider();
+  const skeleton = buildEnhancedPost(context, []);
+  
+  yield `${renderHtmlHeader(skeleton).join('\n\n')}\n\n`;
+  let body = '';
+  for await (const chunk of provider.stream(buildEnhancedPrompt(context, payload))) {
+    body += chunk;
+    yield chunk;
+  }
+  onProgress('section-generated', `Generated post body with ${provider.name}`, { section: 'Body' });
+  
+  const post = buildEnhancedPost(context, sectionsFromHtml(body).sections, enhancedPostMetadata(provider, payload));
+  reportFooterSections(post, onProgress);
+  const footer = renderHtmlFooter(post);
+  if (footer.length > 0) {
+    yield `\n\n${footer.join('\n\n')}`;
+  }
+  return post;
+}
+
+/**
+ * Translate an existing blog post into another language, keeping its HTML
+ * @param {string} content - Blog post HTML
+ * @param {Object} options - Translation options
+ * @param {string} options.locale - Locale to translate into
+ * @param {string} [options.promptTemplate] - Prompt template id (defaults to translate-post)
+ * @returns {Promise<string>} - Translated blog post HTML
+ */
+export async function translateBlogPost(content, options = {}) {
+  const { locale, promptTemplate = DEFAULT_TRANSLATE_TEMPLATE } = options;
+  try {
+    const provider = getLlmProvider();
+    const language = getLanguageName(locale);
+    logger.info(`Translating blog post into ${language} with ${provider.name}`);
+    
+    const prompt = renderPromptTemplate(promptTemplate, { language, content });
+    await logPromptSize(provider, prompt);
+    const translated = sanitizeHtml(await provider.generate(prompt));
+    
+    logger.info('Blog post translated successfully');
+    return translated;
+  } catch (error) {
+    logger.error('Error translating blog post:', error);
+    throw new Error(`Failed to translate blog post: ${error.message}`);
   }
 }
 
 export default {
   generateBlogPost,
   generateEnhancedBlogPost,
+  streamBlogPost,
+  streamEnhancedBlogPost,
+  translateBlogPost,
   safeGet // Export for testing
 };
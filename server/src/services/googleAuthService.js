@@ -2,11 +2,11 @@
 import axios from 'axios';
 import { google } from 'googleapis';
 import logger from '../logger.js';
+import { getCredential } from '../credentialVault.js';
 
-// Google OAuth configuration
+// Google OAuth configuration (the client secret is read from the credential vault when needed)
 const GOOGLE_OAUTH_CONFIG = {
   clientId: process.env.GOOGLE_CLIENT_ID,
-  clientSecret: process.env.GOOGLE_CLIENT_SECRET,
   redirectUri: process.env.GOOGLE_REDIRECT_URI || 'http://localhost:4000/api/auth/google/callback'
 };
 
@@ -25,7 +25,8 @@ const SCOPES = [
  * @returns {OAuth2Client} Google OAuth2 client
  */
 function createOAuth2Client() {
-  const { clientId, clientSecret, redirectUri } = GOOGLE_OAUTH_CONFIG;
+  const { clientId, redirectUri } = GOOGLE_OAUTH_CONFIG;
+  const clientSecret = getCredential('GOOGLE_CLIENT_SECRET');
   
   if (!clientId || !clientSecret) {
     logger.error('Google OAuth credentials not configured');
@@ -37,16 +38,19 @@ function createOAuth2Client() {
 
 /**
  * Generate a Google OAuth authorization URL
+ * @param {Object} [options] - Options
+ * @param {string} [options.state] - Value Google passes back to the callback, to check the sign-in was started here
  * @returns {string} Authorization URL to redirect the user to
  */
-export function getAuthUrl() {
+export function getAuthUrl({ state } = {}) {
   try {
     const oauth2Client = createOAuth2Client();
     
     return oauth2Client.generateAuthUrl({
       access_type: 'offline', // Get a refresh token for server-side use
       scope: SCOPES,
-      prompt: 'consent' // Force the consent screen to ensure getting refresh token
+      prompt: 'consent', // Force the consent screen to ensure getting refresh token
+      ...(state ? { state } : {})
     });
   } catch (error) {
     logger.error('Error generating auth URL:', error);
@@ -83,18 +87,26 @@ export async function getTokensFromCode(code) {
 /**
  * Refresh an expired access token using a refresh token
  * @param {string} refreshToken - The refresh token
- * @returns {Promise<Object>} New access token info
+ * @returns {Promise<Object>} New access token info { access_token, refresh_token, expires_at, token_type };
+ *   refresh_token is only set when Google rotated it, expires_at is in milliseconds since the epoch
  */
 export async function refreshAccessToken(refreshToken) {
   try {
     const oauth2Client = createOAuth2Client();
     oauth2Client.setCredentials({ refresh_token: refreshToken });
     
+    // refreshAccessToken() puts the old refresh token back in its credentials;
+    // a rotated one only shows in the 'tokens' event Google's answer raises
+    let issuedRefreshToken;
+    oauth2Client.on('tokens', (tokens) => {
+      issuedRefreshToken = tokens.refresh_token;
+    });
     const { credentials } = await oauth2Client.refreshAccessToken();
     
     return {
       access_token: credentials.access_token,
-      expires_at: Date.now() + credentials.expiry_date,
+      refresh_token: issuedRefreshToken && issuedRefreshToken !== refreshToken ? issuedRefreshToken : undefined,
+      expires_at: credentials.expiry_date,
       token_type: credentials.token_type
     };
   } catch (error) {
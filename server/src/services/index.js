@@ -6,6 +6,7 @@ import newsService from './newsService.js';
 import geminiService from './geminiService.js';
 import locationService from './locationService.js';
 import titleService from './titleService.js';
+import agentDispatchService from './agentDispatchService.js';
 
 export default {
   photoService,
@@ -13,5 +14,6 @@ export default {
   newsService,
   geminiService,
   locationService,
-  titleService
+  titleService,
+  agentDispatchService
 };
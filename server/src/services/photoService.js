@@ -1,6 +1,9 @@
 // src/services/photoService.js
 import axios from 'axios';
 import logger from '../logger.js';
+import { formatDate, translate } from '../i18n.js';
+import { getGoogleAccessToken } from '../accounts/googleTokens.js';
+import { getCredential } from '../credentialVault.js';
 
 // Google Photos API configuration
 const GOOGLE_PHOTOS_API_BASE = 'https://photoslibrary.googleapis.com/v1';
@@ -8,9 +11,13 @@ const GOOGLE_PHOTOS_API_BASE = 'https://photoslibrary.googleapis.com/v1';
 /**
  * Get metadata for a photo using Google Photos API with AI analysis
  * @param {string} photoUrl - URL or resource ID of the photo
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale] - Locale for the formatted date and time (defaults to DEFAULT_LOCALE)
+ * @param {string} [options.userId] - Account whose Google Photos to use (defaults to the tokens in the environment)
  * @returns {Object} Comprehensive photo metadata including AI analysis
  */
-export async function getPhotoMetadata(photoUrl) {
+export async function getPhotoMetadata(photoUrl, options = {}) {
+  const { locale, userId } = options;
   try {
     logger.info(`Getting metadata for photo: ${photoUrl}`);
     
@@ -20,36 +27,15 @@ export async function getPhotoMetadata(photoUrl) {
       throw new Error('Invalid photo URL or ID');
     }
     
-    // Get the user's access token - in production, this would come from your auth system
-    // We're using environment variables for demo, but real apps would use a database
-    const accessToken = process.env.GOOGLE_PHOTOS_ACCESS_TOKEN;
+    // Get the user's access token (refreshed if it has expired)
+    const accessToken = await getGoogleAccessToken(userId);
     if (!accessToken) {
-      logger.warn('No Google Photos access token available - checking for refresh token');
-      
-      // If we have a refresh token, try to get a new access token
-      const refreshToken = process.env.GOOGLE_PHOTOS_REFRESH_TOKEN;
-      if (refreshToken) {
-        try {
-          // Import dynamically to avoid circular dependencies
-          const googleAuthService = await import('./googleAuthService.js');
-          const { access_token } = await googleAuthService.refreshAccessToken(refreshToken);
-          
-          if (access_token) {
-            logger.info('Successfully refreshed Google Photos access token');
-            // Continue with the new access token
-            return await getPhotoMetadataWithToken(photoId, access_token);
-          }
-        } catch (refreshError) {
-          logger.error('Failed to refresh access token:', refreshError);
-        }
-      }
-      
-      // If we still don't have a valid token, use fallback
+      logger.warn('No Google Photos access token available, using fallback metadata');
       return getFallbackPhotoMetadata(photoUrl);
     }
     
     // We have a valid access token, proceed to get photo metadata
-    return await getPhotoMetadataWithToken(photoId, accessToken);
+    return await getPhotoMetadataWithToken(photoId, accessToken, locale);
   } catch (error) {
     logger.error('Error getting photo metadata:', error);
     logger.info('Falling back to local metadata extraction');
@@ -62,9 +48,10 @@ export async function getPhotoMetadata(photoUrl) {
  * Get photo metadata using a valid access token
  * @param {string} photoId - The Google Photos media item ID
  * @param {string} accessToken - Valid Google Photos access token
+ * @param {string} [locale] - Locale for the formatted date and time
  * @returns {Object} - Photo metadata
  */
-async function getPhotoMetadataWithToken(photoId, accessToken) {
+async function getPhotoMetadataWithToken(photoId, accessToken, locale) {
   try {
     // Make API request to Google Photos
     const response = await axios({
@@ -95,18 +82,8 @@ async function getPhotoMetadataWithToken(photoId, accessToken) {
     
     // Format the time for display
     const creationTime = new Date(photoData.mediaMetadata.creationTime);
-    metadata.formattedTime = creationTime.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
-    
-    metadata.formattedDate = creationTime.toLocaleDateString('en-US', {
-      weekday: 'long',
-      month: 'long',
-      day: 'numeric',
-      year: 'numeric'
-    });
+    metadata.formattedTime = formatDate(creationTime, locale, 'time');
+    metadata.formattedDate = formatDate(creationTime, locale);
     
     // Add location data if available
     if (photoData.mediaMetadata.photo?.location) {
@@ -128,7 +105,7 @@ async function getPhotoMetadataWithToken(photoId, accessToken) {
         metadata.weather = await weatherService.getWeatherData({
           latitude: lat,
           longitude: lng
-        });
+        }, { locale });
       } catch (weatherError) {
         logger.warn('Could not get weather data for photo:', weatherError.message);
       }
@@ -341,7 +318,7 @@ async function analyzePhotoWithAI(photoUrl) {
     logger.info('Analyzing photo with AI:', photoUrl);
     
     // Check if Google Vision API key is available
-    const visionApiKey = process.env.GOOGLE_VISION_API_KEY;
+    const visionApiKey = getCredential('GOOGLE_VISION_API_KEY');
     if (!visionApiKey) {
       logger.warn('No Vision API key available - skipping AI analysis');
       return {
@@ -470,38 +447,29 @@ function getFallbackPhotoMetadata(photoUrl) {
 
 /**
  * Get all photos taken today with metadata using Google Photos API
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale] - Locale for photo times (defaults to DEFAULT_LOCALE)
+ * @param {string} [options.userId] - Account whose Google Photos to use (defaults to the tokens in the environment)
  * @returns {Promise<Object>} Object containing photos array and metadata
  * @property {Array} photos - Array of photo objects with metadata and AI analysis
  * @property {string} source - Source of the photo data ('google_photos' | 'fallback')
  * @property {string} date - Date the photos were taken (YYYY-MM-DD)
  */
-export async function getTodaysPhotos() {
+export async function getTodaysPhotos(options = {}) {
+  const { locale, userId } = options;
   try {
-    const accessToken = process.env.GOOGLE_PHOTOS_ACCESS_TOKEN;
-    const refreshToken = process.env.GOOGLE_PHOTOS_REFRESH_TOKEN;
-    
-    // If no access token but we have a refresh token, try to get a new access token
-    if (!accessToken && refreshToken) {
-      try {
-        const googleAuthService = await import('./googleAuthService.js');
-        const tokens = await googleAuthService.refreshAccessToken(refreshToken);
-        process.env.GOOGLE_PHOTOS_ACCESS_TOKEN = tokens.access_token;
-        
-        // Update the expiration time
-        if (tokens.expires_in) {
-          setTimeout(() => {
-            process.env.GOOGLE_PHOTOS_ACCESS_TOKEN = null;
-          }, (tokens.expires_in - 60) * 1000); // Invalidate 1 minute before expiration
-        }
-      } catch (error) {
-        logger.error('Error refreshing access token:', error);
-      }
+    // Get the user's access token (refreshed if it has expired)
+    let accessToken = null;
+    try {
+      accessToken = await getGoogleAccessToken(userId);
+    } catch (error) {
+      logger.error('Error getting Google Photos access token:', error.message);
     }
     
     // If still no access token, use fallback data
-    if (!process.env.GOOGLE_PHOTOS_ACCESS_TOKEN) {
+    if (!accessToken) {
       logger.warn('No valid Google Photos access token available, using fallback data');
-      return { photos: getFallbackTodaysPhotos(), source: 'fallback', date: new Date().toISOString().split('T')[0] };
+      return { photos: getFallbackTodaysPhotos(locale), source: 'fallback', date: new Date().toISOString().split('T')[0] };
     }
     
     // Get today's date in the required format (YYYY-MM-DD)
@@ -518,7 +486,7 @@ export async function getTodaysPhotos() {
       method: 'POST',
       url: 'https://photoslibrary.googleapis.com/v1/mediaItems:search',
       headers: {
-        'Authorization': `Bearer ${process.env.GOOGLE_PHOTOS_ACCESS_TOKEN}`,
+        'Authorization': `Bearer ${accessToken}`,
         'Content-Type': 'application/json'
       },
       data: {
@@ -544,7 +512,7 @@ export async function getTodaysPhotos() {
     
     if (mediaItems.length === 0) {
       logger.info('No photos found, using fallback data');
-      return { photos: getFallbackTodaysPhotos(), source: 'fallback', date: new Date().toISOString().split('T')[0] };
+      return { photos: getFallbackTodaysPhotos(locale), source: 'fallback', date: new Date().toISOString().split('T')[0] };
     }
     
     // Process each photo to get detailed metadata (limit to 10 to avoid rate limiting)
@@ -622,6 +590,7 @@ export async function getTodaysPhotos() {
           width: parseInt(width) || 0,
           height: parseInt(height) || 0,
           createdAt: creationTime || new Date().toISOString(),
+          formattedTime: formatDate(creationTime || Date.now(), locale, 'time'),
           location,
           coordinates: location?.coordinates // For backward compatibility
         };
@@ -678,12 +647,12 @@ export async function getTodaysPhotos() {
       .slice(0, 5)
       .map(([label, count]) => ({ label, count }));
     
-    return { photos };
+    return { photos, source: 'google_photos', date: todayStr };
     
   } catch (error) {
     logger.error('Error fetching today\'s photos:', error);
     // Return fallback data in case of error
-    return { photos: getFallbackTodaysPhotos() };
+    return { photos: getFallbackTodaysPhotos(locale), source: 'fallback', date: new Date().toISOString().split('T')[0] };
   }
 }
 
@@ -720,14 +689,13 @@ function deg2rad(deg) {
 
 /**
  * Generate fallback sample data for today's photos when API is unavailable
+ * @param {string} [locale] - Locale for photo times and titles
  * @returns {Array} Array of mock photo objects
  */
-function getFallbackTodaysPhotos() {
+function getFallbackTodaysPhotos(locale) {
   // Generate fallback data for demonstration purposes
   const now = new Date();
-  const formattedDate = now.toLocaleDateString('en-US', { 
-    weekday: 'long', month: 'long', day: 'numeric' 
-  });
+  const formattedDate = formatDate(now, locale, 'day');
   
   // Create a few sample photos with different times and locations
   const photosCount = 3 + Math.floor(Math.random() * 3); // 3-5 photos
@@ -760,11 +728,7 @@ function getFallbackTodaysPhotos() {
     const photoTime = new Date(now);
     photoTime.setHours(hour, minute);
     
-    const formattedTime = photoTime.toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    });
+    const formattedTime = formatDate(photoTime, locale, 'time');
     
     // Select random location and camera
     const location = locations[Math.floor(Math.random() * locations.length)];
@@ -795,7 +759,7 @@ function getFallbackTodaysPhotos() {
       thumbnail: `https://picsum.photos/id/${photoId}/300/200`,
       fullSizeUrl: `https://picsum.photos/id/${photoId}/800/600`,
       people: photoPeople,
-      title: `Photo from ${formattedTime} on ${formattedDate}`
+      title: translate('photoFrom', locale, { time: formattedTime, date: formattedDate })
     });
   }
   
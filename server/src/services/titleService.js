@@ -1,37 +1,39 @@
 // src/services/titleService.js
 import logger from '../logger.js';
+import { formatDate, formatList, translate } from '../i18n.js';
 
 /**
  * Generate an intelligent blog title using the current date and content summary
  * @param {string} blogContent - The main content or theme of the blog
  * @param {Object} metadata - Additional metadata (photos, location, activities)
+ * @param {Object} [options] - Title options
+ * @param {string} [options.locale] - Locale for the date and title text (defaults to DEFAULT_LOCALE)
+ * @param {Date|string} [options.date] - Date the post is about (defaults to now)
  * @returns {Object} Title information including formatted date and suggested title
  */
-export async function generateTitleWithDate(blogContent, metadata = {}) {
+export async function generateTitleWithDate(blogContent, metadata = {}, options = {}) {
+  const { locale } = options;
   try {
     logger.info('Generating title with date for blog content');
     
-    // Get current date in the required format
-    const now = new Date();
-    const options = { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' };
-    const formattedDate = now.toLocaleDateString('en-US', options);
+    // Get the post date in the required format
+    const now = options.date ? new Date(options.date) : new Date();
+    const formattedDate = formatDate(now, locale);
     
     // Extract activity type from the content
-    let activityType = extractActivityType(blogContent);
+    let activityType = translate(extractActivityType(blogContent), locale);
     
     // Add people if available in metadata
     let peopleString = '';
     if (metadata.people && metadata.people.length > 0) {
-      peopleString = metadata.people.length === 1 
-        ? `with ${metadata.people[0]}`
-        : `with ${metadata.people.slice(0, -1).join(', ')} and ${metadata.people[metadata.people.length - 1]}`;
+      peopleString = ` ${translate('titleWith', locale, { people: formatList(metadata.people, locale) })}`;
     }
     
     // Add location if available
     let locationString = '';
     if (metadata.location && metadata.location.locationName) {
       const locationParts = metadata.location.locationName.split(',');
-      locationString = ` in ${locationParts[0].trim()}`;
+      locationString = ` ${translate('titleIn', locale, { location: locationParts[0].trim() })}`;
     }
     
     // Generate the title
@@ -41,29 +43,24 @@ export async function generateTitleWithDate(blogContent, metadata = {}) {
       formattedDate,
       title,
       day: now.getDate(),
-      month: now.toLocaleDateString('en-US', { month: 'long' }),
+      month: formatDate(now, locale, 'month'),
       year: now.getFullYear(),
-      weekday: now.toLocaleDateString('en-US', { weekday: 'long' })
+      weekday: formatDate(now, locale, 'weekday')
     };
   } catch (error) {
     logger.error('Error generating title:', error.message);
     
-    // Fallback to a simple date title
-    const now = new Date();
-    const formattedDate = now.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      day: 'numeric', 
-      month: 'long', 
-      year: 'numeric' 
-    });
+    // Fallback to a simple date title (in the default locale, in case the requested one caused the error)
+    const now = options.date && !Number.isNaN(new Date(options.date).getTime()) ? new Date(options.date) : new Date();
+    const formattedDate = formatDate(now);
     
     return {
       formattedDate,
       title: `${formattedDate} - ${blogContent.substring(0, 30)}...`,
       day: now.getDate(),
-      month: now.toLocaleDateString('en-US', { month: 'long' }),
+      month: formatDate(now, undefined, 'month'),
       year: now.getFullYear(),
-      weekday: now.toLocaleDateString('en-US', { weekday: 'long' })
+      weekday: formatDate(now, undefined, 'weekday')
     };
   }
 }
@@ -71,19 +68,19 @@ export async function generateTitleWithDate(blogContent, metadata = {}) {
 /**
  * Extract activity type from blog content
  * @param {string} content - The blog content to analyze
- * @returns {string} Detected activity type
+ * @returns {string} Message key of the detected activity type (see i18n.js)
  */
 function extractActivityType(content) {
   // List of common activities to detect
   const activities = [
-    { keywords: ['lunch', 'dinner', 'breakfast', 'meal', 'restaurant'], activity: 'Wonderful meal' },
-    { keywords: ['hike', 'hiking', 'walk', 'walking', 'trek', 'trekking', 'mountain'], activity: 'Amazing hike' },
-    { keywords: ['beach', 'sun', 'sand', 'ocean', 'sea', 'swim'], activity: 'Beautiful beach day' },
-    { keywords: ['work', 'meeting', 'project', 'office'], activity: 'Productive work day' },
-    { keywords: ['family', 'kids', 'children', 'parents'], activity: 'Special family time' },
-    { keywords: ['travel', 'trip', 'journey', 'vacation', 'holiday'], activity: 'Exciting travels' },
-    { keywords: ['code', 'coding', 'programming', 'developer', 'software'], activity: 'Coding adventures' },
-    { keywords: ['ai', 'artificial intelligence', 'machine learning', 'ml', 'data science'], activity: 'AI explorations' },
+    { keywords: ['lunch', 'dinner', 'breakfast', 'meal', 'restaurant'], activity: 'activityMeal' },
+    { keywords: ['hike', 'hiking', 'walk', 'walking', 'trek', 'trekking', 'mountain'], activity: 'activityHike' },
+    { keywords: ['beach', 'sun', 'sand', 'ocean', 'sea', 'swim'], activity: 'activityBeach' },
+    { keywords: ['work', 'meeting', 'project', 'office'], activity: 'activityWork' },
+    { keywords: ['family', 'kids', 'children', 'parents'], activity: 'activityFamily' },
+    { keywords: ['travel', 'trip', 'journey', 'vacation', 'holiday'], activity: 'activityTravel' },
+    { keywords: ['code', 'coding', 'programming', 'developer', 'software'], activity: 'activityCoding' },
+    { keywords: ['ai', 'artificial intelligence', 'machine learning', 'ml', 'data science'], activity: 'activityAi' },
   ];
   
   // Lowercase content for case-insensitive matching
@@ -97,16 +94,18 @@ function extractActivityType(content) {
   }
   
   // Default if no activity detected
-  return 'Wonderful day';
+  return 'activityDefault';
 }
 
 /**
  * Generate a smart title for a blog post based on its content and metadata
  * @param {string} blogContent - The content of the blog post
  * @param {Object} metadata - Optional metadata including photos, location, etc.
+ * @param {Object} [options] - Title options (see generateTitleWithDate)
  * @returns {Promise<string>} - The generated smart title
  */
-export async function generateSmartTitle(blogContent, metadata = {}) {
+export async function generateSmartTitle(blogContent, metadata = {}, options = {}) {
+  const { locale } = options;
   try {
     logger.info('Generating smart title for blog content');
     
@@ -114,7 +113,7 @@ export async function generateSmartTitle(blogContent, metadata = {}) {
     const topics = extractKeyTopics(blogContent);
     
     // Generate title information with date
-    const titleInfo = await generateTitleWithDate(blogContent, metadata);
+    const titleInfo = await generateTitleWithDate(blogContent, metadata, options);
     
     // Enhance the title with topics if available
     if (topics.length > 0) {
@@ -125,7 +124,7 @@ export async function generateSmartTitle(blogContent, metadata = {}) {
       let locationString = '';
       if (metadata.location && metadata.location.locationName) {
         const locationParts = metadata.location.locationName.split(',');
-        locationString = ` in ${locationParts[0].trim()}`;
+        locationString = ` ${translate('titleIn', locale, { location: locationParts[0].trim() })}`;
       }
       
       // Create a more compelling title
@@ -138,13 +137,7 @@ export async function generateSmartTitle(blogContent, metadata = {}) {
     logger.error('Error generating smart title:', error.message);
     
     // Fallback to a simple date and excerpt
-    const now = new Date();
-    const formattedDate = now.toLocaleDateString('en-US', { 
-      weekday: 'long', 
-      day: 'numeric', 
-      month: 'long', 
-      year: 'numeric' 
-    });
+    const formattedDate = formatDate(options.date && !Number.isNaN(new Date(options.date).getTime()) ? options.date : new Date());
     
     // Extract first 20 characters for the title
     const excerpt = blogContent.substring(0, 20).trim();
@@ -156,9 +149,9 @@ export async function generateSmartTitle(blogContent, metadata = {}) {
 /**
  * Extract key topics from blog content
  * @param {string} content - The blog content to analyze
- * @returns {Array<string>} - Array of key topics
+ * @returns {Array<string>} - Array of key topics, most relevant first
  */
-function extractKeyTopics(content) {
+export function extractKeyTopics(content) {
   // This would ideally use NLP processing to extract key topics
   // For this example, we'll use a simplified keyword extraction approach
   
@@ -204,5 +197,6 @@ function extractKeyTopics(content) {
 
 export default {
   generateTitleWithDate,
-  generateSmartTitle
+  generateSmartTitle,
+  extractKeyTopics
 };
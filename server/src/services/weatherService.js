@@ -1,10 +1,8 @@
 // src/services/weatherService.js
 import axios from 'axios';
 import logger from '../logger.js';
-
-// API configurations for weather services
-const OPENWEATHER_API_KEY = process.env.OPENWEATHER_API_KEY;
-const WEATHERAPI_KEY = process.env.WEATHERAPI_KEY;
+import { formatDate, formatDayLabel } from '../i18n.js';
+import { getCredential } from '../credentialVault.js';
 
 /**
  * Get weather and environmental data based on coordinates
@@ -12,9 +10,12 @@ const WEATHERAPI_KEY = process.env.WEATHERAPI_KEY;
  * @param {number} coordinates.latitude - Latitude
  * @param {number} coordinates.longitude - Longitude
  * @param {Date} [coordinates.timestamp] - Optional timestamp for historical weather
+ * @param {Object} [options] - Formatting options
+ * @param {string} [options.locale] - Locale for day names and sunrise/sunset/tide times (defaults to DEFAULT_LOCALE)
  * @returns {Promise<Object>} Weather and environmental data
  */
-export async function getWeatherData(coordinates) {
+export async function getWeatherData(coordinates, options = {}) {
+  const { locale } = options;
   try {
     logger.info(`Getting weather data for coordinates: ${coordinates.latitude}, ${coordinates.longitude}`);
     
@@ -22,12 +23,12 @@ export async function getWeatherData(coordinates) {
     const isHistorical = coordinates.timestamp && 
                          new Date(coordinates.timestamp).getTime() < Date.now() - (24 * 60 * 60 * 1000);
     
-    // Try to get real weather data first
-    if (OPENWEATHER_API_KEY) {
+    // Try to get real weather data first (keys come from the credential vault)
+    if (getCredential('OPENWEATHER_API_KEY')) {
       try {
         // For current weather
         if (!isHistorical) {
-          return await getOpenWeatherData(coordinates);
+          return await getOpenWeatherData(coordinates, locale);
         } 
         // For historical weather, we'd need a paid service
         // like OpenWeather One Call API 3.0 with history
@@ -37,9 +38,9 @@ export async function getWeatherData(coordinates) {
     }
     
     // Try alternate weather provider
-    if (WEATHERAPI_KEY) {
+    if (getCredential('WEATHERAPI_KEY')) {
       try {
-        return await getWeatherAPIData(coordinates);
+        return await getWeatherAPIData(coordinates, locale);
       } catch (weatherApiError) {
         logger.error('WeatherAPI error:', weatherApiError.message);
       }
@@ -47,34 +48,36 @@ export async function getWeatherData(coordinates) {
     
     // If all real APIs fail, fall back to generated data
     logger.warn('No weather API keys available or API errors, using generated data');
-    return generateWeatherData(coordinates);
+    return generateWeatherData(coordinates, locale);
   } catch (error) {
     logger.error('Error in weather service:', error.message);
-    return generateWeatherData(coordinates);
+    return generateWeatherData(coordinates, locale);
   }
 }
 
 /**
  * Get weather data from OpenWeather API
  * @param {Object} coordinates - Location coordinates
+ * @param {string} [locale] - Locale for day names and times
  * @returns {Promise<Object>} - Formatted weather data
  */
-async function getOpenWeatherData(coordinates) {
+async function getOpenWeatherData(coordinates, locale) {
   const { latitude, longitude } = coordinates;
+  const apiKey = getCredential('OPENWEATHER_API_KEY');
   
   // Get current weather data in metric units (Celsius)
   const weatherResponse = await axios.get(
-    `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&units=metric&appid=${OPENWEATHER_API_KEY}`
+    `https://api.openweathermap.org/data/2.5/weather?lat=${latitude}&lon=${longitude}&units=metric&appid=${apiKey}`
   );
   
   // Get 5-day forecast in metric units (Celsius)
   const forecastResponse = await axios.get(
-    `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&units=metric&appid=${OPENWEATHER_API_KEY}`
+    `https://api.openweathermap.org/data/2.5/forecast?lat=${latitude}&lon=${longitude}&units=metric&appid=${apiKey}`
   );
   
   // Get air pollution data
   const pollutionResponse = await axios.get(
-    `https://api.openweathermap.org/data/2.5/air_pollution?lat=${latitude}&lon=${longitude}&appid=${OPENWEATHER_API_KEY}`
+    `https://api.openweathermap.org/data/2.5/air_pollution?lat=${latitude}&lon=${longitude}&appid=${apiKey}`
   );
   
   // Format current weather
@@ -94,16 +97,8 @@ async function getOpenWeatherData(coordinates) {
   // Get sunrise/sunset data
   const sunriseTimestamp = weatherResponse.data.sys.sunrise * 1000;
   const sunsetTimestamp = weatherResponse.data.sys.sunset * 1000;
-  const sunrise = new Date(sunriseTimestamp).toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
-  const sunset = new Date(sunsetTimestamp).toLocaleTimeString('en-US', {
-    hour: 'numeric',
-    minute: '2-digit',
-    hour12: true
-  });
+  const sunrise = formatDate(sunriseTimestamp, locale, 'time');
+  const sunset = formatDate(sunsetTimestamp, locale, 'time');
   
   // Format air quality
   const aqiMap = ['Good', 'Fair', 'Moderate', 'Poor', 'Very Poor'];
@@ -148,9 +143,7 @@ async function getOpenWeatherData(coordinates) {
       const iconIndex = data.conditions.findIndex(c => c === mainCondition);
       const icon = data.icons[iconIndex] || '01d';
       
-      const dayName = index === 0 ? 'Today' : 
-                    index === 1 ? 'Tomorrow' : 
-                    new Date(date).toLocaleDateString('en-US', { weekday: 'long' });
+      const dayName = formatDayLabel(new Date(date), index, locale);
       
       forecast.push({
         day: dayName,
@@ -165,7 +158,7 @@ async function getOpenWeatherData(coordinates) {
   });
   
   // Add tide data if coordinates are near coast
-  const tides = await getTideData(coordinates);
+  const tides = await getTideData(coordinates, locale);
   
   return {
     source: 'OpenWeather API',
@@ -183,14 +176,16 @@ async function getOpenWeatherData(coordinates) {
 /**
  * Get weather data from WeatherAPI.com
  * @param {Object} coordinates - Location coordinates
+ * @param {string} [locale] - Locale for day names and times
  * @returns {Promise<Object>} - Formatted weather data
  */
-async function getWeatherAPIData(coordinates) {
+async function getWeatherAPIData(coordinates, locale) {
   const { latitude, longitude } = coordinates;
+  const apiKey = getCredential('WEATHERAPI_KEY');
   
   // Get weather data from WeatherAPI.com with metric units
   const response = await axios.get(
-    `https://api.weatherapi.com/v1/forecast.json?key=${WEATHERAPI_KEY}&q=${latitude},${longitude}&days=5&aqi=yes&alerts=no`
+    `https://api.weatherapi.com/v1/forecast.json?key=${apiKey}&q=${latitude},${longitude}&days=5&aqi=yes&alerts=no`
   );
   
   // Ensure we have valid data
@@ -228,9 +223,7 @@ async function getWeatherAPIData(coordinates) {
   const forecast = data.forecast.forecastday.map((day, index) => {
     const date = new Date(day.date);
     return {
-      day: index === 0 ? 'Today' : 
-           index === 1 ? 'Tomorrow' : 
-           date.toLocaleDateString('en-US', { weekday: 'long' }),
+      day: formatDayLabel(date, index, locale),
       date: day.date,
       high: Math.round(day.day.maxtemp_c),
       low: Math.round(day.day.mintemp_c),
@@ -253,12 +246,8 @@ async function getWeatherAPIData(coordinates) {
     const nextLow = tidesToday.find(t => t.type === 'Low' && new Date(t.time) > now);
     
     tides = {
-      nextHigh: nextHigh ? new Date(nextHigh.time).toLocaleTimeString('en-US', {
-        hour: 'numeric', minute: '2-digit', hour12: true
-      }) : null,
-      nextLow: nextLow ? new Date(nextLow.time).toLocaleTimeString('en-US', {
-        hour: 'numeric', minute: '2-digit', hour12: true
-      }) : null,
+      nextHigh: nextHigh ? formatDate(nextHigh.time, locale, 'time') : null,
+      nextLow: nextLow ? formatDate(nextLow.time, locale, 'time') : null,
       tideHeight: nextHigh ? `${nextHigh.height_ft} ft` : ''
     };
   } else {
@@ -282,9 +271,10 @@ async function getWeatherAPIData(coordinates) {
 /**
  * Get tide data for coastal locations
  * @param {Object} coordinates - Location coordinates
+ * @param {string} [locale] - Locale for tide times
  * @returns {Promise<Object|null>} - Tide data if available
  */
-async function getTideData(coordinates) {
+async function getTideData(coordinates, locale) {
   try {
     // Check if location is likely coastal
     // This would normally use a more sophisticated check
@@ -319,11 +309,7 @@ async function getTideData(coordinates) {
     const formatTideTime = (hour) => {
       const date = new Date(now);
       date.setHours(hour, Math.floor(Math.random() * 60));
-      return date.toLocaleTimeString('en-US', {
-        hour: 'numeric',
-        minute: '2-digit',
-        hour12: true
-      });
+      return formatDate(date, locale, 'time');
     };
     
     return {
@@ -398,9 +384,10 @@ function getMoonPhase(date) {
 /**
  * Generate synthetic weather data when APIs are unavailable
  * @param {Object} coordinates - Location coordinates
+ * @param {string} [locale] - Locale for day names and times
  * @returns {Promise<Object>} Generated weather data
  */
-async function generateWeatherData(coordinates) {
+async function generateWeatherData(coordinates, locale) {
   logger.info('Generating synthetic weather data');
   
   function getRandomWeatherCondition() {
@@ -427,17 +414,20 @@ async function generateWeatherData(coordinates) {
     const sunsetHour = 18 - dayLengthVariation/2;
     
     // Format times
-    const sunrise = `${Math.floor(sunriseHour)}:${String(Math.floor((sunriseHour % 1) * 60)).padStart(2, '0')} AM`;
-    const sunset = `${Math.floor(sunsetHour - 12)}:${String(Math.floor((sunsetHour % 1) * 60)).padStart(2, '0')} PM`;
+    const toTime = (hours) => {
+      const time = new Date(now);
+      time.setHours(Math.floor(hours), Math.floor((hours % 1) * 60), 0, 0);
+      return formatDate(time, locale, 'time');
+    };
     
-    return { sunrise, sunset };
+    return { sunrise: toTime(sunriseHour), sunset: toTime(sunsetHour) };
   }
   
   // Get tide data if needed
   let tideData = null;
   if (!coordinates.timestamp) {
     try {
-      tideData = await getTideData(coordinates);
+      tideData = await getTideData(coordinates, locale);
     } catch (error) {
       logger.error('Error getting tide data:', error.message);
     }
@@ -445,18 +435,18 @@ async function generateWeatherData(coordinates) {
   
   // Get current date and time for realistic forecasts
   const now = new Date();
-  const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  const today = days[now.getDay()];
-  const tomorrow = days[(now.getDay() + 1) % 7];
-  const dayAfterTomorrow = days[(now.getDay() + 2) % 7];
-  const dayAfterAfterTomorrow = days[(now.getDay() + 3) % 7];
+  const dayName = (offset) => formatDate(now.getTime() + offset * 24 * 60 * 60 * 1000, locale, 'weekday');
+  const today = dayName(0);
+  const tomorrow = dayName(1);
+  const dayAfterTomorrow = dayName(2);
+  const dayAfterAfterTomorrow = dayName(3);
   
   // Generate hourly forecasts (next 24 hours)
   const hourlyForecasts = [];
   for (let i = 0; i < 24; i++) {
     const forecastTime = new Date(now.getTime() + i * 60 * 60 * 1000);
     const hour = forecastTime.getHours();
-    const hourFormatted = hour === 0 ? '12 AM' : hour === 12 ? '12 PM' : hour < 12 ? `${hour} AM` : `${hour - 12} PM`;
+    const hourFormatted = formatDate(forecastTime, locale, 'hour');
     
     // Temperature variation throughout the day (cooler at night, warmer in afternoon)
     const timeOfDay = (hour - 14) / 24; // Peak at 2pm
@@ -0,0 +1,75 @@
+// src/storage/fileStore.js
+import fs from 'fs';
+import path from 'path';
+import logger from '../logger.js';
+
+/**
+ * Read a JSON collection file into a Map, tolerating a missing or corrupt file
+ * @param {string} filePath - Path of the JSON file
+ * @returns {Map} Records keyed by id
+ */
+function loadRecords(filePath) {
+  if (!fs.existsSync(filePath)) {
+    return new Map();
+  }
+  try {
+    const contents = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return new Map(Object.entries(contents || {}));
+  } catch (error) {
+    logger.error(`Could not read store file ${filePath}, starting empty:`, error.message);
+    return new Map();
+  }
+}
+
+/**
+ * Create a key/value store persisted to a JSON file. Every mutation rewrites the
+ * file (via a temp file + rename) so the contents survive restarts and can be
+ * inspected with any text editor while the server is stopped.
+ * @param {string} name - Name of the collection, used as the file name
+ * @param {Object} [options] - Store options
+ * @param {string} [options.dataDir] - Directory holding the JSON files
+ * @param {string} [options.filePath] - Explicit file path (overrides dataDir)
+ * @returns {Object} Store with get/set/has/delete/values/clear methods
+ */
+export function createFileStore(name, options = {}) {
+  const dataDir = options.dataDir || process.env.DATA_DIR || './data';
+  const filePath = path.resolve(options.filePath || path.join(dataDir, `${name}.json`));
+  const records = loadRecords(filePath);
+
+  logger.info(`Loaded ${records.size} ${name} record(s) from ${filePath}`);
+
+  const persist = () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tmpPath = `${filePath}.tmp`;
+    fs.writeFileSync(tmpPath, JSON.stringify(Object.fromEntries(records), null, 2));
+    fs.renameSync(tmpPath, filePath);
+  };
+
+  return {
+    name,
+    backend: 'file',
+    filePath,
+    get: (id) => records.get(id),
+    has: (id) => records.has(id),
+    set: (id, value) => {
+      records.set(id, value);
+      persist();
+      return value;
+    },
+    delete: (id) => {
+      const existed = records.delete(id);
+      if (existed) {
+        persist();
+      }
+      return existed;
+    },
+    values: () => Array.from(records.values()),
+    clear: () => {
+      records.clear();
+      persist();
+    },
+    size: () => records.size
+  };
+}
+
+export default createFileStore;
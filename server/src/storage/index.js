@@ -0,0 +1,33 @@
+// src/storage/index.js
+// Pluggable storage backends shared by the registry and other subsystems
+import logger from '../logger.js';
+import { createMemoryStore } from './memoryStore.js';
+import { createFileStore } from './fileStore.js';
+
+const backends = {
+  memory: createMemoryStore,
+  file: createFileStore
+};
+
+/**
+ * Create a named store using the requested backend
+ * @param {string} name - Name of the collection (e.g. 'registry')
+ * @param {Object} [options] - Store options
+ * @param {string} [options.backend] - 'memory' or 'file' (defaults to STORAGE_BACKEND or 'memory')
+ * @param {string} [options.dataDir] - Directory for file-backed stores
+ * @param {string} [options.filePath] - Explicit file path for file-backed stores
+ * @returns {Object} Store with get/set/has/delete/values/clear methods
+ */
+export function createStore(name, options = {}) {
+  const backend = (options.backend || process.env.STORAGE_BACKEND || 'memory').toLowerCase();
+  const factory = backends[backend];
+
+  if (!factory) {
+    throw new Error(`Unknown storage backend "${backend}" for ${name}. Expected one of: ${Object.keys(backends).join(', ')}`);
+  }
+
+  logger.info(`Using ${backend} storage for ${name}`);
+  return factory(name, options);
+}
+
+export default { createStore };
@@ -0,0 +1,27 @@
+// src/storage/memoryStore.js
+
+/**
+ * Create an in-memory key/value store. Contents are lost when the process exits.
+ * @param {string} name - Name of the collection (used for logging only)
+ * @returns {Object} Store with get/set/has/delete/values/clear methods
+ */
+export function createMemoryStore(name) {
+  const records = new Map();
+
+  return {
+    name,
+    backend: 'memory',
+    get: (id) => records.get(id),
+    has: (id) => records.has(id),
+    set: (id, value) => {
+      records.set(id, value);
+      return value;
+    },
+    delete: (id) => records.delete(id),
+    values: () => Array.from(records.values()),
+    clear: () => records.clear(),
+    size: () => records.size
+  };
+}
+
+export default createMemoryStore;
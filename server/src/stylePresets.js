@@ -0,0 +1,120 @@
+// src/stylePresets.js
+
+// Target lengths understood by the prompt templates
+const LENGTHS = {
+  short: 'about 150 words',
+  medium: 'about 400 words',
+  long: 'about 800 words'
+};
+const PERSONS = ['first', 'third'];
+
+// Used when a request does not pick a style
+const DEFAULT_STYLE = { tone: '', length: 'medium', person: 'first', instructions: '' };
+
+export const STYLE_PRESETS = {
+  'travel-journal': {
+    label: 'Travel journal',
+    description: 'Vivid, place-focused entries about where you went and what you saw',
+    tone: 'curious and descriptive, with a strong sense of place',
+    length: 'medium',
+    person: 'first',
+    instructions: 'Open with where you are. Use sensory detail about the places, weather and people.'
+  },
+  'technical-log': {
+    label: 'Technical log',
+    description: 'A concise engineering-style log of what was done and learned',
+    tone: 'precise and matter-of-fact',
+    length: 'short',
+    person: 'first',
+    instructions: 'Structure the day as a log of what was done, what went wrong and what was learned. Prefer <ul> lists to long paragraphs.'
+  },
+  'family-newsletter': {
+    label: 'Family newsletter',
+    description: 'A warm update for relatives catching up on family news',
+    tone: 'warm and chatty',
+    length: 'medium',
+    person: 'third',
+    instructions: 'Write for relatives catching up on the news. Mention people by name where they are known.'
+  },
+  'haiku-recap': {
+    label: 'Haiku recap',
+    description: 'The day recapped as a short sequence of haiku',
+    tone: 'calm and reflective',
+    length: 'short',
+    person: 'first',
+    instructions: 'Recap the day as a sequence of haiku (5-7-5 syllables), one haiku per <p>, under the same headings.'
+  }
+};
+
+/**
+ * Resolve the style requested for a post
+ * @param {string|Object} [style] - Preset name, or { preset, tone, length, person } where the
+ *   other fields override the preset (or the defaults when no preset is given)
+ * @returns {Object} - { name, tone, length, person, instructions }
+ * @throws {Error} - With status 400 for an unknown preset, length or person
+ */
+export function resolveStyle(style) {
+  const options = typeof style === 'string' ? { preset: style } : (style || {});
+  const invalid = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+  };
+
+  if (options.preset && !STYLE_PRESETS[options.preset]) {
+    throw invalid(`Unknown style preset "${options.preset}". Use one of: ${Object.keys(STYLE_PRESETS).join(', ')}.`);
+  }
+
+  const preset = options.preset ? STYLE_PRESETS[options.preset] : DEFAULT_STYLE;
+  const resolved = {
+    name: options.preset || 'default',
+    tone: options.tone ?? preset.tone,
+    length: options.length ?? preset.length,
+    person: options.person ?? preset.person,
+    instructions: preset.instructions
+  };
+
+  if (!LENGTHS[resolved.length]) {
+    throw invalid(`Unknown style length "${resolved.length}". Use one of: ${Object.keys(LENGTHS).join(', ')}.`);
+  }
+  if (!PERSONS.includes(resolved.person)) {
+    throw invalid(`Unknown style person "${resolved.person}". Use one of: ${PERSONS.join(', ')}.`);
+  }
+  return resolved;
+}
+
+/**
+ * Convert a resolved style into prompt template variables
+ * @param {Object} style - Result of resolveStyle
+ * @returns {Object} - { person, tone, length, style } for renderPromptTemplate
+ */
+export function styleToPromptVariables(style) {
+  return {
+    person: style.person,
+    tone: style.tone,
+    length: LENGTHS[style.length],
+    style: style.instructions
+  };
+}
+
+/**
+ * List the style presets
+ * @returns {Array<Object>} - { name, label, description, tone, length, person } for each preset
+ */
+export function listStylePresets() {
+  return Object.entries(STYLE_PRESETS).map(([name, { label, description, tone, length, person }]) => ({
+    name,
+    label,
+    description,
+    tone,
+    length,
+    person
+  }));
+}
+
+export default {
+  STYLE_PRESETS,
+  resolveStyle,
+  styleToPromptVariables,
+  listStylePresets
+};
@@ -0,0 +1,74 @@
+// test/agentHealthMonitor.test.js
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { probeAgent, runHealthChecks } from '../src/agentHealthMonitor.js';
+import { registerAgent, getAgentById, findAgentsByCapability, evictExpiredAgents, getEvictionAge, clearRegistry } from '../src/registry.js';
+
+let agentHost;
+
+before(async () => {
+  // Answers with the status named in the path, e.g. /status/404; the message
+  // endpoint only takes POSTs, like the agents' /callback routes
+  const server = http.createServer((req, res) => {
+    if (req.url === '/message') res.writeHead(req.method === 'POST' ? 200 : 405);
+    else res.writeHead(parseInt(req.url.split('/').pop(), 10) || 200);
+    res.end();
+  }).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  agentHost = { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(done => server.close(done)) };
+});
+
+after(() => agentHost.close());
+
+beforeEach(() => clearRegistry());
+
+/**
+ * Register an agent whose health endpoint answers with a status
+ * @param {number} status - HTTP status of its health endpoint
+ * @returns {Object} - The registered agent
+ */
+const agentAnswering = (status) => {
+  registerAgent({
+    agentId: `agent-${status}`,
+    endpoint: `${agentHost.url}/message`,
+    healthEndpoint: `${agentHost.url}/status/${status}`,
+    capabilities: [{ name: 'blog-writing' }]
+  });
+  return getAgentById(`agent-${status}`);
+};
+
+test('only a 2xx answer counts as healthy', async () => {
+  assert.equal(await probeAgent(agentAnswering(200)), true);
+  assert.equal(getAgentById('agent-200').health.status, 'healthy');
+
+  for (const status of [401, 404, 503]) {
+    assert.equal(await probeAgent(agentAnswering(status)), false);
+    const { health } = getAgentById(`agent-${status}`);
+    assert.equal(health.status, 'unhealthy');
+    assert.equal(health.lastProbeError, `status ${status}`);
+  }
+});
+
+test('a healthy probe does not refresh lastSeen, so agents without heartbeats are evicted', async () => {
+  const { lastSeen } = agentAnswering(200);
+  assert.equal(await probeAgent(getAgentById('agent-200')), true);
+  assert.equal(getAgentById('agent-200').lastSeen, lastSeen);
+
+  const evicted = evictExpiredAgents(new Date(lastSeen).getTime() + getEvictionAge() + 1);
+  assert.deepEqual(evicted, ['agent-200']);
+});
+
+test('agents without a health endpoint are not probed and stay routable', async () => {
+  registerAgent({
+    agentId: 'agent-without-health',
+    endpoint: `${agentHost.url}/message`,
+    capabilities: [{ name: 'blog-writing' }]
+  });
+  assert.equal(await probeAgent(getAgentById('agent-without-health')), null);
+
+  agentAnswering(503);
+  assert.deepEqual(await runHealthChecks(), { healthy: 0, failing: 1, evicted: [] });
+  assert.equal(getAgentById('agent-without-health').health.status, 'healthy');
+  assert.deepEqual(findAgentsByCapability('blog-writing').map(agent => agent.agentId), ['agent-without-health']);
+});
@@ -0,0 +1,154 @@
+// test/credentialVault.test.js
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'credential-vault-test-'));
+const VAULT_FILE = path.join(directory, 'vault.enc');
+Object.assign(process.env, {
+  DATA_DIR: directory,
+  VAULT_FILE,
+  VAULT_MASTER_KEY: 'vault-test-master-key',
+  ACCOUNT_STORAGE: 'memory',
+  TOKEN_ENCRYPTION_KEY: 'token-key-from-env',
+  ADMIN_API_KEYS: 'admin-key-from-env'
+});
+
+const vault = await import('../src/credentialVault.js');
+const { deriveKey, encryptJson, decryptJson } = await import('../src/accounts/tokenCipher.js');
+const { saveGoogleAccount, getGoogleTokens, getAccount } = await import('../src/accounts/accountStore.js');
+
+after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+let copies = 0;
+
+/**
+ * A second copy of the vault module, which reads the vault file afresh as the
+ * server does when it starts
+ * @returns {Promise<Object>} - The module
+ */
+const reopenVault = () => import(`../src/credentialVault.js?copy=${++copies}`);
+
+/**
+ * Run a function while the vault file cannot be written
+ * @param {Function} fn - Function to run
+ */
+const withUnwritableVault = (fn) => {
+  // The vault's directory is a file, so it can be neither created nor written to
+  const blocker = path.join(directory, 'not-a-directory');
+  fs.writeFileSync(blocker, '');
+  process.env.VAULT_FILE = path.join(blocker, 'vault.enc');
+  try {
+    fn();
+  } finally {
+    process.env.VAULT_FILE = VAULT_FILE;
+  }
+};
+
+test('encrypted values round-trip and refuse the wrong key or tampering', () => {
+  const key = deriveKey('one key');
+  const sealed = encryptJson({ token: 'secret', n: 1 }, key);
+  assert.match(sealed, /^v1:[\w-]+:[\w-]+:[\w-]+$/);
+  assert.doesNotMatch(sealed, /secret/);
+  assert.notEqual(encryptJson({ token: 'secret', n: 1 }, key), sealed);
+  assert.deepEqual(decryptJson(sealed, key), { token: 'secret', n: 1 });
+
+  assert.throws(() => decryptJson(sealed, deriveKey('another key')), { status: 500 });
+  const [version, iv, tag, ciphertext] = sealed.split(':');
+  const flipped = Buffer.from(ciphertext, 'base64url');
+  flipped[0] ^= 1;
+  assert.throws(() => decryptJson([version, iv, tag, flipped.toString('base64url')].join(':'), key), { status: 500 });
+  assert.throws(() => decryptJson('not encrypted', key), { status: 500, message: /Unreadable/ });
+  assert.throws(() => deriveKey(''), { status: 503 });
+});
+
+test('stored credentials are encrypted on disk and read back after a restart', async () => {
+  vault.setCredential('OPENWEATHER_API_KEY', 'weather-key-1');
+  assert.equal(vault.getCredential('OPENWEATHER_API_KEY'), 'weather-key-1');
+
+  const file = fs.readFileSync(VAULT_FILE, 'utf8');
+  assert.doesNotMatch(file, /weather-key-1/);
+  assert.equal(fs.statSync(VAULT_FILE).mode & 0o777, 0o600);
+
+  const restarted = await reopenVault();
+  assert.equal(restarted.getCredential('OPENWEATHER_API_KEY'), 'weather-key-1');
+  assert.equal(restarted.listCredentials().find(({ name }) => name === 'OPENWEATHER_API_KEY').source, 'vault');
+  assert.equal(restarted.getCredential('ADMIN_API_KEYS'), 'admin-key-from-env');
+});
+
+test('a wrong VAULT_MASTER_KEY cannot open the vault', async () => {
+  process.env.VAULT_MASTER_KEY = 'not-the-master-key';
+  try {
+    const restarted = await reopenVault();
+    assert.throws(() => restarted.loadVault(), { status: 500, message: /cannot be opened with VAULT_MASTER_KEY/ });
+  } finally {
+    process.env.VAULT_MASTER_KEY = 'vault-test-master-key';
+  }
+});
+
+test('a rotated credential keeps its previous value valid for the grace period', () => {
+  const { value } = vault.rotateCredential('ADMIN_API_KEYS', { graceMs: 60 * 1000 });
+  assert.notEqual(value, 'admin-key-from-env');
+  assert.deepEqual(vault.getCredentialValues('ADMIN_API_KEYS'), [value, 'admin-key-from-env']);
+
+  const rotated = vault.rotateCredential('ADMIN_API_KEYS', { value: 'admin-key-3', graceMs: 60 * 1000 });
+  assert.deepEqual(vault.getCredentialValues('ADMIN_API_KEYS'), ['admin-key-3', value]);
+  mock.timers.enable({ apis: ['Date'], now: new Date(rotated.previousExpiresAt).getTime() + 1 });
+  try {
+    assert.deepEqual(vault.getCredentialValues('ADMIN_API_KEYS'), ['admin-key-3']);
+  } finally {
+    mock.timers.reset();
+  }
+
+  vault.rotateCredential('ADMIN_API_KEYS', { value: 'admin-key-4', graceMs: 0 });
+  assert.deepEqual(vault.getCredentialValues('ADMIN_API_KEYS'), ['admin-key-4']);
+});
+
+test('a change that cannot be saved leaves the credential as it was', () => {
+  vault.setCredential('WEATHERAPI_KEY', 'weatherapi-1');
+  withUnwritableVault(() => {
+    assert.throws(() => vault.setCredential('WEATHERAPI_KEY', 'weatherapi-2'));
+    assert.throws(() => vault.setCredential('GOOGLE_VISION_API_KEY', 'vision-1'));
+    assert.throws(() => vault.deleteCredential('WEATHERAPI_KEY'));
+  });
+  assert.equal(vault.getCredential('WEATHERAPI_KEY'), 'weatherapi-1');
+  assert.equal(vault.getCredential('GOOGLE_VISION_API_KEY'), null);
+});
+
+test('changing TOKEN_ENCRYPTION_KEY re-encrypts stored Google tokens, and only once the vault is saved', () => {
+  const { id } = saveGoogleAccount({ id: 'g-vault', email: 'ann@example.com' }, { access_token: 'access-1', refresh_token: 'refresh-1' });
+  const tokens = { accessToken: 'access-1', refreshToken: 'refresh-1', expiresAt: null };
+  const sealed = () => getAccount(id).google.tokens;
+
+  vault.setCredential('TOKEN_ENCRYPTION_KEY', 'token-key-2');
+  assert.deepEqual(getGoogleTokens(id), tokens);
+  assert.deepEqual(decryptJson(sealed(), deriveKey('token-key-2')), { accessToken: 'access-1', refreshToken: 'refresh-1' });
+  assert.throws(() => decryptJson(sealed(), deriveKey('token-key-from-env')));
+
+  // The vault write fails: neither the key nor the tokens change
+  const before = sealed();
+  withUnwritableVault(() => {
+    assert.throws(() => vault.rotateCredential('TOKEN_ENCRYPTION_KEY', { value: 'token-key-3' }));
+  });
+  assert.equal(vault.getCredential('TOKEN_ENCRYPTION_KEY'), 'token-key-2');
+  assert.equal(sealed(), before);
+  assert.deepEqual(getGoogleTokens(id), tokens);
+
+  // Removing it from the vault goes back to the environment's key
+  vault.deleteCredential('TOKEN_ENCRYPTION_KEY');
+  assert.equal(vault.getCredential('TOKEN_ENCRYPTION_KEY'), 'token-key-from-env');
+  assert.deepEqual(getGoogleTokens(id), tokens);
+
+  // No key would be left to read the tokens with
+  vault.setCredential('TOKEN_ENCRYPTION_KEY', 'token-key-4');
+  delete process.env.TOKEN_ENCRYPTION_KEY;
+  try {
+    assert.throws(() => vault.deleteCredential('TOKEN_ENCRYPTION_KEY'), { status: 503 });
+    assert.equal(vault.getCredential('TOKEN_ENCRYPTION_KEY'), 'token-key-4');
+    assert.deepEqual(getGoogleTokens(id), tokens);
+  } finally {
+    process.env.TOKEN_ENCRYPTION_KEY = 'token-key-from-env';
+  }
+});
@@ -0,0 +1,134 @@
+// test/cron.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'cron-test-'));
+process.env.POST_STORAGE = 'memory';
+process.env.SCHEDULE_STORAGE = 'memory';
+
+const { parseCron, nextCronTime, checkTimeZone } = await import('../src/scheduler/cron.js');
+const { createSchedule, getSchedule, setScheduleTimes, listRuns } = await import('../src/scheduler/scheduleStore.js');
+const { runDueSchedules } = await import('../src/scheduler/index.js');
+const { setLlmProvider } = await import('../src/llm/index.js');
+const { createFakeProvider } = await import('../src/llm/fakeProvider.js');
+
+after(() => {
+  setLlmProvider(null);
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Next runs of a cron expression
+ * @param {string} expression - Cron expression
+ * @param {string} from - ISO time to search after
+ * @param {number} count - Number of runs
+ * @param {string} [timeZone='UTC'] - Time zone
+ * @returns {Array<string>} - ISO times
+ */
+const nextRuns = (expression, from, count, timeZone = 'UTC') => {
+  const runs = [];
+  let after = new Date(from);
+  while (runs.length < count) {
+    after = nextCronTime(expression, { after, timeZone });
+    runs.push(after.toISOString());
+  }
+  return runs;
+};
+
+test('parses lists, ranges, steps, names and shortcuts', () => {
+  const cron = parseCron('*/15 9-17/4 1,15 jan-mar MON-fri');
+  assert.deepEqual([...cron.minutes], [0, 15, 30, 45]);
+  assert.deepEqual([...cron.hours], [9, 13, 17]);
+  assert.deepEqual([...cron.days], [1, 15]);
+  assert.deepEqual([...cron.months], [1, 2, 3]);
+  assert.deepEqual([...cron.weekdays], [1, 2, 3, 4, 5]);
+  assert.deepEqual([cron.anyDay, cron.anyWeekday], [false, false]);
+
+  assert.deepEqual([...parseCron('0 0 * * 7').weekdays].sort(), [0, 7]);
+  assert.deepEqual([...parseCron('5/20 * * * *').minutes], [5, 25, 45]);
+  assert.deepEqual(parseCron('@daily'), parseCron('0 0 * * *'));
+  assert.deepEqual(parseCron(' @Weekly '), parseCron('0 0 * * 0'));
+});
+
+test('refuses invalid expressions and time zones with 400', () => {
+  for (const [expression, message] of [
+    ['0 21 * *', /needs 5 fields/],
+    ['60 * * * *', /minute must be between 0 and 59, not 60/],
+    ['0 24 * * *', /hour must be between 0 and 23/],
+    ['0 0 0 * *', /day of month must be between 1 and 31/],
+    ['*/0 * * * *', /Invalid step "0"/],
+    ['*/x * * * *', /Invalid step "x"/],
+    ['0 17-9 * * *', /Invalid range "17-9"/],
+    ['0 0 * foo *', /Invalid month "foo"/],
+    ['', /needs 5 fields/]
+  ]) {
+    assert.throws(() => parseCron(expression), { status: 400, message }, expression);
+  }
+  assert.throws(() => checkTimeZone('Mars/Olympus_Mons'), { status: 400, message: /Unknown time zone/ });
+  checkTimeZone('Europe/Berlin');
+});
+
+test('finds the next run strictly after the given time', () => {
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-01-05T10:00:00Z', 2), ['2026-01-05T21:00:00.000Z', '2026-01-06T21:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-01-05T21:00:00Z', 1), ['2026-01-06T21:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-01-05T20:59:30Z', 1), ['2026-01-05T21:00:00.000Z']);
+  assert.deepEqual(nextRuns('@monthly', '2026-12-15T00:00:00Z', 2), ['2027-01-01T00:00:00.000Z', '2027-02-01T00:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 12 29 2 *', '2026-01-01T00:00:00Z', 1), ['2028-02-29T12:00:00.000Z']);
+  assert.equal(nextCronTime('0 0 31 2 *', { after: new Date('2026-01-01T00:00:00Z') }), null);
+});
+
+test('evaluates the expression in the schedule time zone', () => {
+  // 21:00 in New York is 02:00 UTC the next day in winter and 01:00 in summer
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-01-05T00:00:00Z', 1, 'America/New_York'), ['2026-01-05T02:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-07-05T00:00:00Z', 1, 'America/New_York'), ['2026-07-05T01:00:00.000Z']);
+  // Kathmandu is UTC+05:45
+  assert.deepEqual(nextRuns('0 9 * * *', '2026-01-05T00:00:00Z', 1, 'Asia/Kathmandu'), ['2026-01-05T03:15:00.000Z']);
+});
+
+test('keeps the local time across daylight saving changes', () => {
+  // Berlin moves from UTC+1 to UTC+2 on 29 March 2026 and back on 25 October 2026
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-03-28T12:00:00Z', 3, 'Europe/Berlin'),
+    ['2026-03-28T20:00:00.000Z', '2026-03-29T19:00:00.000Z', '2026-03-30T19:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 21 * * *', '2026-10-24T12:00:00Z', 3, 'Europe/Berlin'),
+    ['2026-10-24T19:00:00.000Z', '2026-10-25T20:00:00.000Z', '2026-10-26T20:00:00.000Z']);
+  // Just after the day that loses an hour
+  assert.deepEqual(nextRuns('30 0 * * 1', '2026-03-28T12:00:00Z', 1, 'Europe/Berlin'), ['2026-03-29T22:30:00.000Z']);
+});
+
+test('a time the clocks skip does not run that day, and a time they repeat runs once', () => {
+  assert.deepEqual(nextRuns('30 2 * * *', '2026-03-28T12:00:00Z', 2, 'Europe/Berlin'),
+    ['2026-03-30T00:30:00.000Z', '2026-03-31T00:30:00.000Z']);
+  assert.deepEqual(nextRuns('30 2 * * *', '2026-10-24T12:00:00Z', 2, 'Europe/Berlin'),
+    ['2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+});
+
+test('with both day fields restricted, either one matching is enough', () => {
+  // The 15th, or any Friday: Friday 6, Friday 13, Sunday 15, Friday 20 February 2026
+  assert.deepEqual(nextRuns('0 9 15 * 5', '2026-02-01T00:00:00Z', 4),
+    ['2026-02-06T09:00:00.000Z', '2026-02-13T09:00:00.000Z', '2026-02-15T09:00:00.000Z', '2026-02-20T09:00:00.000Z']);
+  // With one of them left as *, only the other applies
+  assert.deepEqual(nextRuns('0 9 15 * *', '2026-02-01T00:00:00Z', 2), ['2026-02-15T09:00:00.000Z', '2026-03-15T09:00:00.000Z']);
+  assert.deepEqual(nextRuns('0 9 * * 5', '2026-02-01T00:00:00Z', 2), ['2026-02-06T09:00:00.000Z', '2026-02-13T09:00:00.000Z']);
+});
+
+test('a schedule missed while the server was down runs once, then waits for its next time', async () => {
+  setLlmProvider(createFakeProvider({ respond: () => '<p>A quiet day.</p>' }));
+  const schedule = createSchedule({ cron: '0 21 * * *', useTodaysPhotos: false, useWeatherData: false });
+  // Due since 1 January; the server comes back on the morning of 5 January
+  setScheduleTimes(schedule.id, { nextRunAt: '2026-01-01T21:00:00.000Z' });
+  const now = new Date('2026-01-05T10:00:00Z');
+
+  const runs = await runDueSchedules(now);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].status, 'succeeded', runs[0].error);
+  assert.ok(runs[0].postId);
+  assert.equal(getSchedule(schedule.id).nextRunAt, '2026-01-05T21:00:00.000Z');
+  assert.equal(getSchedule(schedule.id).lastRun.id, runs[0].id);
+
+  assert.deepEqual(await runDueSchedules(now), []);
+  assert.equal((await runDueSchedules(new Date('2026-01-05T21:00:00Z'))).length, 1);
+  assert.equal(listRuns({ scheduleId: schedule.id }).total, 2);
+});
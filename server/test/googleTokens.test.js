@@ -0,0 +1,102 @@
+// test/googleTokens.test.js
+// Refreshes Google tokens with googleAuthService stubbed out, so no request
+// leaves the machine.
+import { test, mock, afterEach, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'google-tokens-test-'));
+process.env.ACCOUNT_STORAGE = 'memory';
+process.env.TOKEN_ENCRYPTION_KEY = 'google-tokens-test-key';
+delete process.env.VAULT_MASTER_KEY;
+
+const { default: googleAuthService } = await import('../src/services/googleAuthService.js');
+const { getGoogleAccessToken } = await import('../src/accounts/googleTokens.js');
+const { saveGoogleAccount, getGoogleTokens, getAccount } = await import('../src/accounts/accountStore.js');
+
+afterEach(() => mock.restoreAll());
+
+after(() => fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true }));
+
+/**
+ * Connect a Google account whose access token has expired
+ * @param {string} googleId - Google user ID
+ * @returns {string} - Account ID
+ */
+const expiredAccount = (googleId) => saveGoogleAccount({ id: googleId, email: `${googleId}@example.com` }, {
+  access_token: 'old-access',
+  refresh_token: 'old-refresh',
+  expiry_date: Date.now() - 1000,
+  scope: 'https://www.googleapis.com/auth/photoslibrary.readonly'
+}).id;
+
+test('a fresh access token is used without refreshing', async () => {
+  const refresh = mock.method(googleAuthService, 'refreshAccessToken', async () => assert.fail('refreshed'));
+  const { id } = saveGoogleAccount({ id: 'g-fresh' }, { access_token: 'fresh-access', refresh_token: 'r', expiry_date: Date.now() + 3600 * 1000 });
+  assert.equal(await getGoogleAccessToken(id), 'fresh-access');
+  assert.equal(refresh.mock.callCount(), 0);
+});
+
+test('an expired token is refreshed once for concurrent callers and a rotated refresh token is stored', async () => {
+  const expiresAt = Date.now() + 3600 * 1000;
+  const refresh = mock.method(googleAuthService, 'refreshAccessToken', async () => ({
+    access_token: 'new-access',
+    refresh_token: 'rotated-refresh',
+    expires_at: expiresAt
+  }));
+  const id = expiredAccount('g-rotating');
+
+  assert.deepEqual(await Promise.all([getGoogleAccessToken(id), getGoogleAccessToken(id)]), ['new-access', 'new-access']);
+  assert.equal(refresh.mock.callCount(), 1);
+  assert.deepEqual(refresh.mock.calls[0].arguments, ['old-refresh']);
+  assert.deepEqual(getGoogleTokens(id), {
+    accessToken: 'new-access',
+    refreshToken: 'rotated-refresh',
+    expiresAt: new Date(expiresAt).toISOString()
+  });
+  assert.equal(await getGoogleAccessToken(id), 'new-access');
+  assert.equal(refresh.mock.callCount(), 1);
+});
+
+test('the stored refresh token is kept when Google does not rotate it', async () => {
+  mock.method(googleAuthService, 'refreshAccessToken', async () => ({ access_token: 'new-access', expires_at: Date.now() + 3600 * 1000 }));
+  const id = expiredAccount('g-keeping');
+  assert.equal(await getGoogleAccessToken(id), 'new-access');
+  assert.equal(getGoogleTokens(id).refreshToken, 'old-refresh');
+});
+
+test('invalid_grant disconnects Google from the account', async () => {
+  mock.method(googleAuthService, 'refreshAccessToken', async () => {
+    const error = new Error('invalid_grant');
+    error.response = { status: 400, data: { error: 'invalid_grant', error_description: 'Token has been expired or revoked.' } };
+    throw error;
+  });
+  const id = expiredAccount('g-revoked');
+  assert.equal(await getGoogleAccessToken(id), null);
+  assert.equal(getGoogleTokens(id), null);
+  assert.deepEqual(getAccount(id).google.scopes, []);
+});
+
+test('other refresh errors are passed on and leave the tokens in place', async () => {
+  mock.method(googleAuthService, 'refreshAccessToken', async () => {
+    throw new Error('socket hang up');
+  });
+  const id = expiredAccount('g-offline');
+  await assert.rejects(getGoogleAccessToken(id), /socket hang up/);
+  assert.equal(getGoogleTokens(id).refreshToken, 'old-refresh');
+});
+
+test('without an account, the refresh token in the environment is used', async () => {
+  process.env.GOOGLE_PHOTOS_REFRESH_TOKEN = 'env-refresh';
+  try {
+    const refresh = mock.method(googleAuthService, 'refreshAccessToken', async () => ({ access_token: 'env-access', expires_at: Date.now() + 3600 * 1000 }));
+    assert.equal(await getGoogleAccessToken(), 'env-access');
+    assert.equal(await getGoogleAccessToken(), 'env-access');
+    assert.equal(refresh.mock.callCount(), 1);
+    assert.deepEqual(refresh.mock.calls[0].arguments, ['env-refresh']);
+  } finally {
+    delete process.env.GOOGLE_PHOTOS_REFRESH_TOKEN;
+  }
+});
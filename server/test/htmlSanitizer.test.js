@@ -0,0 +1,76 @@
+// test/htmlSanitizer.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { sanitizeHtml } from '../src/htmlSanitizer.js';
+import { setLlmProvider } from '../src/llm/index.js';
+import { createFakeProvider } from '../src/llm/fakeProvider.js';
+import { generateBlogPost, generateEnhancedBlogPost } from '../src/services/geminiService.js';
+import { renderPost } from '../src/post/index.js';
+
+const SCRIPT = '<script>alert("notes")</script>';
+const ONERROR = '<img src="x" onerror="alert(\'caption\')">';
+const JAVASCRIPT_URL = 'javascript:alert(document.cookie)';
+
+// An LLM that copies the prompt into its answer unescaped, as a model
+// following injected instructions might
+const parrot = createFakeProvider({ respond: prompt => `<p>${prompt}</p>` });
+
+after(() => setLlmProvider(null));
+
+const TAG_PATTERN = /<([a-zA-Z][a-zA-Z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*\/?>/g;
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+
+/**
+ * Assert that HTML cannot run script: no script elements, no event handler
+ * attributes and no javascript: URLs in links or images. Escaped text such
+ * as "&lt;script&gt;" is harmless and allowed.
+ * @param {string} html - Rendered HTML
+ */
+const assertInert = (html) => {
+  for (const [, tag, attributes] of html.matchAll(TAG_PATTERN)) {
+    assert.notEqual(tag.toLowerCase(), 'script');
+    for (const [, name, ...values] of attributes.matchAll(ATTRIBUTE_PATTERN)) {
+      const value = values.find(candidate => candidate !== undefined) || '';
+      assert.doesNotMatch(name, /^on/i, `event handler ${name} on <${tag}>`);
+      assert.doesNotMatch(value, /^\s*javascript:/i, `javascript: URL in ${name} on <${tag}>`);
+    }
+  }
+};
+
+test('sanitizeHtml drops scripts, event handlers and javascript: URLs', () => {
+  const html = sanitizeHtml(`<p>Hi</p>${SCRIPT}${ONERROR}<a href="${JAVASCRIPT_URL}">news</a>`
+    + '<a href="jav&#x61;script:alert(1)">encoded</a><svg onload="alert(1)"></svg>');
+  assertInert(html);
+  assert.match(html, /<p>Hi<\/p>/);
+});
+
+test('generateBlogPost keeps script injected through notes out of the post', async () => {
+  setLlmProvider(parrot);
+  const html = await generateBlogPost(`My day ${SCRIPT} ${ONERROR} <a href="${JAVASCRIPT_URL}">link</a>`);
+  assertInert(html);
+  assert.match(html, /My day/);
+});
+
+test('generateEnhancedBlogPost renders notes, photo captions and news URLs inert', async () => {
+  setLlmProvider(parrot);
+  const post = await generateEnhancedBlogPost({
+    text: `Notes ${SCRIPT}`,
+    useDateTitle: false,
+    useWeatherData: false,
+    useSmartLocation: false,
+    todaysPhotos: [
+      { caption: `Sunset ${ONERROR}`, url: JAVASCRIPT_URL, thumbnail: 'https://example.com/t.jpg' },
+      { description: `Beach ${SCRIPT}`, url: 'https://example.com/beach.jpg', thumbnail: JAVASCRIPT_URL }
+    ],
+    newsData: [
+      { title: `Headline ${SCRIPT}`, url: JAVASCRIPT_URL, source: `<b onmouseover="alert(1)">Wire</b>` },
+      { title: 'Second', url: ' JaVaScRiPt:alert(1)' }
+    ]
+  });
+  assert.equal(post.metadata.error, undefined);
+
+  const html = renderPost(post, 'html');
+  assertInert(html);
+  assert.match(html, /Sunset/);
+  assert.match(html, /Headline/);
+});
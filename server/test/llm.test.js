@@ -0,0 +1,67 @@
+// test/llm.test.js
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLlmProvider, getProviderNames } from '../src/llm/index.js';
+import { createFakeProvider, echoPromptAsHtml } from '../src/llm/fakeProvider.js';
+
+const savedEnv = { LLM_PROVIDER: process.env.LLM_PROVIDER, GOOGLE_API_KEY: process.env.GOOGLE_API_KEY };
+
+afterEach(() => {
+  for (const [name, value] of Object.entries(savedEnv)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+});
+
+/**
+ * Collect a provider's stream
+ * @param {AsyncGenerator<string>} stream - Text chunks
+ * @returns {Promise<Array<string>>} - The chunks
+ */
+const collect = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return chunks;
+};
+
+test('the fake provider answers the same prompt the same way', async () => {
+  const provider = createFakeProvider();
+  const prompt = 'Write about the harbour.\n\nNotes: boats & gulls';
+  assert.equal(await provider.generate(prompt), await createFakeProvider().generate(prompt));
+  assert.equal(await provider.generate(prompt), '<p>Write about the harbour.</p>\n<p>Notes: boats &amp; gulls</p>');
+});
+
+test('the fake provider escapes the prompt it echoes', () => {
+  assert.equal(echoPromptAsHtml('<script>alert("x")</script>\nnext line'),
+    '<p>&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt;<br/>next line</p>');
+});
+
+test('the fake provider streams its answer token by token', async () => {
+  const provider = createFakeProvider({ respond: () => '<p>One two three</p>', delayMs: 0 });
+  const chunks = await collect(provider.stream('ignored'));
+  assert.deepEqual(chunks, ['<p>One ', 'two ', 'three</p>']);
+  assert.equal(chunks.join(''), await provider.generate('ignored'));
+  assert.equal(await provider.countTokens('four words in here'), 4);
+});
+
+test('LLM_PROVIDER selects the provider', () => {
+  process.env.LLM_PROVIDER = 'fake';
+  assert.equal(createLlmProvider().name, 'fake');
+  assert.equal(createLlmProvider('fake', { respond: () => 'x' }).name, 'fake');
+});
+
+test('without LLM_PROVIDER, gemini is used when GOOGLE_API_KEY is set', () => {
+  delete process.env.LLM_PROVIDER;
+  process.env.GOOGLE_API_KEY = 'test-google-key';
+  assert.equal(createLlmProvider().name, 'gemini');
+});
+
+test('without any LLM configuration, creating a provider fails instead of faking posts', () => {
+  delete process.env.LLM_PROVIDER;
+  delete process.env.GOOGLE_API_KEY;
+  assert.throws(() => createLlmProvider(), { status: 503, message: /No LLM provider is configured/ });
+});
+
+test('an unknown provider name is refused', () => {
+  assert.throws(() => createLlmProvider('nope'), new RegExp(`Use one of: ${getProviderNames().join(', ')}`));
+});
@@ -0,0 +1,58 @@
+// test/messageHandler.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'message-handler-test-'));
+process.env.POST_STORAGE = 'memory';
+
+const { handleMessage } = await import('../src/messageHandler.js');
+const { registerAgent, clearRegistry } = await import('../src/registry.js');
+
+let agent;
+
+before(async () => {
+  // An image agent that records the messages it gets and answers with an image
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      requests.push(JSON.parse(Buffer.concat(chunks)));
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ image: 'https://images.example.com/1.png' }));
+    });
+  }).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  agent = { url: `http://127.0.0.1:${server.address().port}`, requests, close: () => new Promise(done => server.close(done)) };
+  registerAgent({ agentId: 'image-agent', endpoint: `${agent.url}/callback`, capabilities: [{ name: 'image-generation' }] });
+});
+
+after(async () => {
+  clearRegistry();
+  await agent.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+test('payloads for agents are routed as they are, whatever fields they use', async () => {
+  const payload = { prompt: 'Harbour at dusk', format: 'png', locale: 'ja', style: 'watercolour', postId: 'not-a-post' };
+  const { status, body } = await handleMessage({ messageId: randomUUID(), capability: 'image-generation', payload });
+  assert.equal(status, 200);
+  assert.equal(body.agentId, 'image-agent');
+  assert.deepEqual(body.result, { image: 'https://images.example.com/1.png' });
+  assert.deepEqual(agent.requests.at(-1).payload, payload);
+});
+
+test('the blog capabilities still check their options', async () => {
+  const { status, body } = await handleMessage({
+    messageId: randomUUID(),
+    capability: 'blog-writing',
+    payload: { text: 'Harbour morning', format: 'png' }
+  });
+  assert.equal(status, 400);
+  assert.match(body.error, /Unknown post format "png"/);
+});
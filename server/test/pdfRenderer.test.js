@@ -0,0 +1,72 @@
+// test/pdfRenderer.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'zlib';
+import { renderPdf } from '../src/post/pdfRenderer.js';
+import { exportPost } from '../src/post/exporter.js';
+import { createPost } from '../src/post/index.js';
+
+/**
+ * A post with one paragraph
+ * @param {string} text - Paragraph text
+ * @param {string} [locale] - Locale
+ * @returns {Object} - Blog post
+ */
+const postWith = (text, locale) => createPost({
+  title: 'Evening walk',
+  locale,
+  sections: [{ heading: null, blocks: [{ type: 'paragraph', text }] }]
+});
+
+/**
+ * Text drawn on the pages of a PDF, decoded from its WinAnsi hex strings
+ * @param {Buffer} pdf - PDF document
+ * @returns {string} - The drawn text
+ */
+const drawnText = (pdf) => {
+  const source = pdf.toString('latin1');
+  const streams = [...source.matchAll(/\/FlateDecode >>\nstream\n([\s\S]*?)\nendstream/g)];
+  return streams.map(([, data]) => inflateSync(Buffer.from(data, 'latin1')).toString('latin1'))
+    .flatMap(content => [...content.matchAll(/<([0-9A-F]+)> Tj/g)])
+    .map(([, hex]) => Buffer.from(hex, 'hex').toString('latin1'))
+    .join(' ');
+};
+
+test('Western European text is set as written', () => {
+  const text = drawnText(renderPdf(postWith('Café crème à la plage – “très” naïve')));
+  assert.match(text, /Café crème à la plage/);
+  assert.match(text, /naïve/);
+  assert.doesNotMatch(text, /\?/);
+});
+
+test('text the fonts cannot show is refused with 422 instead of printed as "?"', () => {
+  assert.throws(() => renderPdf(postWith('Море 🌅')), {
+    status: 422,
+    message: /cannot be exported as PDF: its fonts have no glyphs for "Море🌅"\./
+  });
+});
+
+test('the PDF export refuses such posts before fetching photos', async () => {
+  const post = postWith('夕方の散歩');
+  post.photos = { items: [{ caption: 'Harbour', url: 'http://127.0.0.1:9/never-fetched.jpg' }], note: null };
+  await assert.rejects(exportPost(post, 'pdf'), { status: 422 });
+
+  const markdown = await exportPost(post, 'markdown');
+  assert.match(markdown.body, /夕方の散歩/);
+});
+
+test('posts in languages the fonts do not cover are refused up front', async () => {
+  for (const [locale, language] of [['ru', 'Russian'], ['el-GR', 'Greek'], ['ja', 'Japanese'], ['pl', 'Polish']]) {
+    assert.throws(() => renderPdf(postWith('Evening walk', locale)), {
+      status: 422,
+      message: new RegExp(`^Posts in ${language} \\(${locale}\\) cannot be exported as PDF`)
+    });
+  }
+
+  const post = postWith('Вечерняя прогулка', 'ru');
+  post.photos = { items: [{ caption: 'Harbour', url: 'http://127.0.0.1:9/never-fetched.jpg' }], note: null };
+  await assert.rejects(exportPost(post, 'pdf'), { status: 422, message: /Posts in Russian/ });
+
+  assert.match(drawnText(renderPdf(postWith('Spaziergang am Abend', 'de-AT'))), /Spaziergang am Abend/);
+  assert.match(drawnText(renderPdf(postWith('Passeio à noite', 'pt-BR'))), /Passeio à noite/);
+});
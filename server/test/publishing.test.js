@@ -0,0 +1,212 @@
+// test/publishing.test.js
+// Publishes saved posts through /api/posts/publish to local stub servers
+// standing in for WordPress, Ghost, a webhook receiver and a photo host.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { createHmac } from 'crypto';
+import express from 'express';
+
+const API_KEY = 'publishing-test-key';
+const FULL_IMAGE = Buffer.from('full-size image bytes');
+const THUMBNAIL = Buffer.from('thumbnail bytes');
+const PHOTO = {
+  caption: 'Harbour at dusk',
+  url: 'http://photos.example.com/full.jpg',
+  thumbnail: 'http://photos.example.com/thumb.jpg'
+};
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'publishing-test-'));
+process.env.POST_STORAGE = 'memory';
+process.env.ORCHESTRATOR_OUTBOUND_API_KEYS = API_KEY;
+
+const { default: postsRouter } = await import('../src/postsRouter.js');
+const { createPost } = await import('../src/post/index.js');
+const { savePost, getSavedPost } = await import('../src/post/postStore.js');
+
+/**
+ * Start an HTTP server that records the requests it gets
+ * @param {Function} respond - (request, body) => { status, headers, body }
+ * @returns {Promise<Object>} - { url, requests, close }
+ */
+const startStub = (respond) => new Promise((resolve) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const request = { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) };
+      requests.push(request);
+      const { status = 200, headers = {}, body = '' } = respond(request);
+      const data = Buffer.isBuffer(body) ? body : JSON.stringify(body);
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(data);
+    });
+  });
+  server.listen(0, '127.0.0.1', () => resolve({
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(done => server.close(done))
+  }));
+});
+
+let app;
+let photoHost;
+
+before(async () => {
+  // Photo downloads go through this proxy, so the photo URLs can stay public
+  photoHost = await startStub(({ url }) => ({
+    headers: { 'Content-Type': 'image/jpeg' },
+    body: url.endsWith('/full.jpg') ? FULL_IMAGE : THUMBNAIL
+  }));
+  process.env.HTTP_PROXY = photoHost.url;
+  process.env.NO_PROXY = '127.0.0.1,localhost';
+
+  const server = express().use(express.json()).use('/api/posts', postsRouter).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  app = { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(done => server.close(done)) };
+});
+
+after(async () => {
+  delete process.env.HTTP_PROXY;
+  delete process.env.NO_PROXY;
+  await Promise.all([app.close(), photoHost.close()]);
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Save a post with one photo and publish it
+ * @param {string} target - Publishing target
+ * @returns {Promise<Object>} - { status, body, postId }
+ */
+const publish = async (target) => {
+  const record = savePost(createPost({
+    title: 'Evening walk',
+    sections: [{ heading: null, blocks: [{ type: 'paragraph', text: 'A walk along the harbour.' }] }],
+    photos: { items: [PHOTO], note: null }
+  }));
+  const response = await fetch(`${app.url}/api/posts/publish`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify({ postId: record.id, target })
+  });
+  return { status: response.status, body: await response.json(), postId: record.id };
+};
+
+test('wordpress: uploads the full-size photo and creates the post with basic auth', async () => {
+  const wordpress = await startStub(({ method, url }) => {
+    if (method === 'GET' && url.startsWith('/wp-json/wp/v2/tags')) return { body: [] };
+    if (url === '/wp-json/wp/v2/tags') return { status: 201, body: { id: 3 } };
+    if (url === '/wp-json/wp/v2/media') return { status: 201, body: { id: 7, source_url: 'https://blog.example.com/harbour.jpg' } };
+    if (url === '/wp-json/wp/v2/posts') return { status: 201, body: { id: 42, link: 'https://blog.example.com/?p=42', status: 'publish' } };
+    return { status: 404, body: { message: 'not found' } };
+  });
+  Object.assign(process.env, { WORDPRESS_URL: wordpress.url, WORDPRESS_USERNAME: 'editor', WORDPRESS_APP_PASSWORD: 'abcd efgh ijkl' });
+  try {
+    const { status, body } = await publish('wordpress');
+    assert.equal(status, 201);
+    assert.deepEqual([body.target, body.remoteId, body.url, body.status, body.images],
+      ['wordpress', '42', 'https://blog.example.com/?p=42', 'published', 1]);
+
+    const basic = `Basic ${Buffer.from('editor:abcd efgh ijkl').toString('base64')}`;
+    for (const request of wordpress.requests) {
+      assert.equal(request.headers.authorization, basic);
+    }
+    const media = wordpress.requests.find(request => request.url === '/wp-json/wp/v2/media');
+    assert.deepEqual(media.body, FULL_IMAGE);
+    assert.equal(media.headers['content-type'], 'image/jpeg');
+    assert.match(media.headers['content-disposition'], /^attachment; filename="evening-walk-.*-photo-1\.jpg"$/);
+
+    const created = JSON.parse(wordpress.requests.find(request => request.url === '/wp-json/wp/v2/posts').body);
+    assert.equal(created.title, 'Evening walk');
+    assert.equal(created.status, 'publish');
+    assert.equal(created.featured_media, 7);
+    assert.match(created.content, /https:\/\/blog\.example\.com\/harbour\.jpg/);
+    assert.doesNotMatch(created.content, /<h1>/);
+    assert.deepEqual(photoHost.requests.map(request => request.url), [PHOTO.url]);
+  } finally {
+    await wordpress.close();
+  }
+});
+
+test('ghost: signs requests with an Admin API token and sends the post as HTML', async () => {
+  const ghost = await startStub(({ url }) => {
+    if (url === '/ghost/api/admin/images/upload/') return { status: 201, body: { images: [{ url: 'https://ghost.example.com/content/harbour.jpg' }] } };
+    if (url === '/ghost/api/admin/posts/?source=html') {
+      return { status: 201, body: { posts: [{ id: 'g-1', url: 'https://ghost.example.com/evening-walk/', status: 'published' }] } };
+    }
+    return { status: 404, body: { errors: [{ message: 'not found' }] } };
+  });
+  const secret = '0123456789abcdef0123456789abcdef';
+  Object.assign(process.env, { GHOST_URL: ghost.url, GHOST_ADMIN_API_KEY: `key-id:${secret}` });
+  try {
+    const { status, body } = await publish('ghost');
+    assert.equal(status, 201);
+    assert.deepEqual([body.target, body.remoteId, body.status], ['ghost', 'g-1', 'published']);
+
+    for (const request of ghost.requests) {
+      const [scheme, token] = request.headers.authorization.split(' ');
+      const [header, payload, signature] = token.split('.');
+      assert.equal(scheme, 'Ghost');
+      assert.equal(JSON.parse(Buffer.from(header, 'base64url')).kid, 'key-id');
+      assert.equal(JSON.parse(Buffer.from(payload, 'base64url')).aud, '/admin/');
+      assert.equal(signature, createHmac('sha256', Buffer.from(secret, 'hex')).update(`${header}.${payload}`).digest('base64url'));
+      assert.equal(request.headers['accept-version'], 'v5.0');
+    }
+    const upload = ghost.requests.find(request => request.url === '/ghost/api/admin/images/upload/');
+    assert.match(upload.headers['content-type'], /^multipart\/form-data/);
+    assert.ok(upload.body.includes(FULL_IMAGE));
+
+    const [created] = JSON.parse(ghost.requests.find(request => request.url.startsWith('/ghost/api/admin/posts/')).body).posts;
+    assert.equal(created.title, 'Evening walk');
+    assert.equal(created.status, 'published');
+    assert.equal(created.feature_image, 'https://ghost.example.com/content/harbour.jpg');
+    assert.match(created.html, /A walk along the harbour\./);
+  } finally {
+    await ghost.close();
+  }
+});
+
+test('webhook: posts signed JSON with the full-size photo attached', async () => {
+  const receiver = await startStub(() => ({ body: { id: 99, url: 'https://hooks.example.com/posts/99' } }));
+  Object.assign(process.env, { PUBLISH_WEBHOOK_URL: `${receiver.url}/hook`, PUBLISH_WEBHOOK_SECRET: 'webhook-secret' });
+  try {
+    const { status, body } = await publish('webhook');
+    assert.equal(status, 201);
+    assert.deepEqual([body.target, body.remoteId, body.url, body.status], ['webhook', '99', 'https://hooks.example.com/posts/99', 'published']);
+
+    const [request] = receiver.requests;
+    assert.equal(request.url, '/hook');
+    assert.equal(request.headers['x-publish-signature'], `sha256=${createHmac('sha256', 'webhook-secret').update(request.body).digest('hex')}`);
+    const sent = JSON.parse(request.body);
+    assert.equal(sent.title, 'Evening walk');
+    assert.equal(sent.status, 'published');
+    assert.equal(sent.attachments.length, 1);
+    assert.equal(sent.attachments[0].source, PHOTO.url);
+    assert.deepEqual(Buffer.from(sent.attachments[0].data, 'base64'), FULL_IMAGE);
+  } finally {
+    await receiver.close();
+  }
+});
+
+test('a target that fails is recorded as a failed publication and answered with 502', async () => {
+  const receiver = await startStub(() => ({ status: 500, body: { message: 'receiver is down' } }));
+  Object.assign(process.env, { PUBLISH_WEBHOOK_URL: `${receiver.url}/hook`, PUBLISH_WEBHOOK_SECRET: '' });
+  try {
+    const { status, body, postId } = await publish('webhook');
+    assert.equal(status, 502);
+    assert.match(body.error, /Publishing to webhook failed: .*500: receiver is down/);
+
+    const [publication] = getSavedPost(postId).publications;
+    assert.equal(publication.target, 'webhook');
+    assert.equal(publication.status, 'failed');
+    assert.match(publication.error, /receiver is down/);
+    assert.equal(getSavedPost(postId).status, 'draft');
+    assert.equal(receiver.requests[0].headers['x-publish-signature'], undefined);
+  } finally {
+    await receiver.close();
+  }
+});
@@ -0,0 +1,29 @@
+// test/scheduleStore.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+process.env.SCHEDULE_STORAGE = 'memory';
+
+const { createSchedule, updateSchedule } = await import('../src/scheduler/scheduleStore.js');
+
+test('generation options are checked when a schedule is saved', () => {
+  const schedule = createSchedule({ style: 'travel-journal', locale: 'de', promptTemplate: 'daily-journal' });
+  assert.equal(schedule.style, 'travel-journal');
+
+  assert.throws(() => createSchedule({ style: 'travel-jornal' }), { status: 400, message: /Unknown style preset "travel-jornal"/ });
+  assert.throws(() => createSchedule({ locale: 'not a locale' }), { status: 400, message: /Unsupported locale/ });
+  assert.throws(() => createSchedule({ promptTemplate: 'daily-jornal' }), { status: 400, message: /Unknown prompt template "daily-jornal"/ });
+  assert.throws(() => updateSchedule(schedule.id, { promptTemplate: 'daily-journal@v99' }), { status: 400 });
+});
+
+test('a publishTarget is refused on a draft schedule and dropped when switching to drafts', () => {
+  const draft = createSchedule({ action: 'draft' });
+  assert.throws(() => createSchedule({ action: 'draft', publishTarget: 'ghost' }), { status: 400, message: /publishTarget only applies/ });
+  assert.throws(() => updateSchedule(draft.id, { publishTarget: 'ghost' }), { status: 400, message: /publishTarget only applies/ });
+
+  const publishing = updateSchedule(draft.id, { action: 'publish', publishTarget: 'ghost' });
+  assert.equal(publishing.publishTarget, 'ghost');
+  const switched = updateSchedule(draft.id, { action: 'draft' });
+  assert.equal(switched.action, 'draft');
+  assert.equal('publishTarget' in switched, false);
+});
@@ -0,0 +1,116 @@
+// test/streaming.test.js
+// Streams posts through POST /api/messages/stream with the fake LLM provider,
+// whose answers are replayed token by token like a model's.
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import express from 'express';
+
+const API_KEY = 'streaming-test-key';
+const ANSWER = '<h2>Morning</h2><p>Coffee by the harbour, then a long walk.</p>';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'streaming-test-'));
+process.env.POST_STORAGE = 'memory';
+process.env.ORCHESTRATOR_OUTBOUND_API_KEYS = API_KEY;
+
+const { default: messagesRouter } = await import('../src/messagesRouter.js');
+const { setLlmProvider } = await import('../src/llm/index.js');
+const { createFakeProvider } = await import('../src/llm/fakeProvider.js');
+const { tokenize } = await import('../src/llm/mockStreamingProvider.js');
+
+let app;
+
+before(async () => {
+  setLlmProvider(createFakeProvider({ respond: () => ANSWER, delayMs: 5 }));
+  const server = express().use(express.json()).use('/api/messages', messagesRouter).listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  app = { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(done => server.close(done)) };
+});
+
+after(async () => {
+  setLlmProvider(null);
+  await app.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Send a message to the stream endpoint and read its events as they arrive
+ * @param {Object} message - Message envelope
+ * @returns {Promise<Object>} - { response, events: [{ event, data }] }
+ */
+const stream = async (message) => {
+  const response = await fetch(`${app.url}/api/messages/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify(message)
+  });
+  const events = [];
+  let buffered = '';
+  const decoder = new TextDecoder();
+  for await (const bytes of response.body) {
+    buffered += decoder.decode(bytes, { stream: true });
+    let end;
+    while ((end = buffered.indexOf('\n\n')) >= 0) {
+      const lines = buffered.slice(0, end).split('\n');
+      buffered = buffered.slice(end + 2);
+      const event = lines.find(line => line.startsWith('event: '))?.slice(7);
+      const data = lines.find(line => line.startsWith('data: '))?.slice(6);
+      if (event) events.push({ event, data: JSON.parse(data) });
+    }
+  }
+  return { response, events };
+};
+
+test('blog-writing streams the tokens in order, then the finished post', async () => {
+  const messageId = randomUUID();
+  const { response, events } = await stream({
+    messageId,
+    capability: 'blog-writing',
+    payload: { text: 'Harbour morning' }
+  });
+  assert.equal(response.status, 200);
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+  const chunks = events.slice(0, -1);
+  assert.ok(chunks.length > 1);
+  assert.ok(chunks.every(({ event }) => event === 'chunk'));
+  assert.deepEqual(chunks.map(({ data }) => data.text), tokenize(ANSWER));
+
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.equal(done.data.messageId, messageId);
+  assert.equal(done.data.blog_post, ANSWER);
+  assert.equal(done.data.post.sections[0].heading, 'Morning');
+  assert.equal(done.data.post.sections[0].blocks[0].text, 'Coffee by the harbour, then a long walk.');
+});
+
+test('enhanced-blog-writing ends with the saved post after the streamed body', async () => {
+  const { events } = await stream({
+    messageId: randomUUID(),
+    capability: 'enhanced-blog-writing',
+    payload: { text: 'Harbour morning', useDateTitle: false, useWeatherData: false, useSmartLocation: false }
+  });
+
+  // The post's header comes first, then the body as the model writes it
+  const [header, ...body] = events.slice(0, -1).map(({ data }) => data.text);
+  assert.match(header, /^<h1>Blog Post: Harbour morning<\/h1>/);
+  assert.deepEqual(body, tokenize(ANSWER));
+
+  const done = events.at(-1);
+  assert.equal(done.event, 'done');
+  assert.ok(done.data.postId);
+  assert.equal(done.data.post.sections.at(-1).blocks[0].text, 'Coffee by the harbour, then a long walk.');
+});
+
+test('a capability that cannot stream is refused before any event', async () => {
+  const response = await fetch(`${app.url}/api/messages/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-API-Key': API_KEY },
+    body: JSON.stringify({ messageId: randomUUID(), capability: 'environmental-data', payload: { text: 'x' } })
+  });
+  assert.equal(response.status, 400);
+  assert.match((await response.json()).error, /does not support streaming/);
+});
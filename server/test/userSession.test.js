@@ -0,0 +1,51 @@
+// test/userSession.test.js
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'user-session-test-'));
+process.env.ACCOUNT_STORAGE = 'memory';
+process.env.TOKEN_ENCRYPTION_KEY = 'user-session-test-key';
+
+const { userSession, SESSION_COOKIE } = await import('../src/middleware/userSession.js');
+const { saveGoogleAccount, createSession } = await import('../src/accounts/accountStore.js');
+
+let app;
+
+before(async () => {
+  const server = express()
+    .use(userSession)
+    .get('/whoami', (req, res) => res.json({ user: req.user?.email || null }))
+    .listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  app = { url: `http://127.0.0.1:${server.address().port}`, close: () => new Promise(done => server.close(done)) };
+});
+
+after(async () => {
+  await app.close();
+  fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Ask who the request is signed in as
+ * @param {string} cookie - Cookie header
+ * @returns {Promise<Object>} - { status, user }
+ */
+const whoami = async (cookie) => {
+  const response = await fetch(`${app.url}/whoami`, { headers: { Cookie: cookie } });
+  return { status: response.status, ...(await response.json()) };
+};
+
+test('the session cookie signs the user in', async () => {
+  const account = saveGoogleAccount({ id: 'g-1', email: 'ann@example.com' }, { access_token: 'access' });
+  const { token } = createSession(account.id);
+  assert.deepEqual(await whoami(`theme=dark; ${SESSION_COOKIE}=${encodeURIComponent(token)}`), { status: 200, user: 'ann@example.com' });
+});
+
+test('a malformed session cookie is no session, not an error', async () => {
+  assert.deepEqual(await whoami(`${SESSION_COOKIE}=%E0`), { status: 200, user: null });
+  assert.deepEqual(await whoami(`${SESSION_COOKIE}=%`), { status: 200, user: null });
+});
@@ -0,0 +1,60 @@
+// test/validateSchema.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ajv, validateAgentData, forgetAgentSchemas } from '../src/middleware/validateSchema.js';
+import { registerAgent, deregisterAgent } from '../src/registry.js';
+
+/**
+ * A schema requiring one string property, under a shared $id
+ * @param {string} property - Required property
+ * @returns {Object} - JSON schema
+ */
+const requiring = (property) => ({
+  $id: 'https://agents.example.com/input.json',
+  type: 'object',
+  required: [property],
+  properties: { [property]: { type: 'string' } }
+});
+
+test('agents may use the same $id for different schemas', () => {
+  assert.equal(validateAgentData('agent-a', requiring('prompt'), { prompt: 'sea' }).valid, true);
+  assert.equal(validateAgentData('agent-b', requiring('text'), { text: 'sea' }).valid, true);
+  assert.deepEqual(validateAgentData('agent-b', requiring('text'), { prompt: 'sea' }).errors.map(error => error.params), [{ missingProperty: 'text' }]);
+  assert.equal(validateAgentData('agent-a', requiring('prompt'), { text: 'sea' }).valid, false);
+
+  // And one agent may reuse an $id across its own capabilities
+  assert.equal(validateAgentData('agent-a', requiring('style'), { style: 'calm' }).valid, true);
+  assert.equal(validateAgentData('agent-a', requiring('prompt'), { prompt: 'sea' }).valid, true);
+
+  // None of them reach the server's own schemas
+  assert.equal(ajv.getSchema('https://agents.example.com/input.json'), undefined);
+});
+
+test('agent schemas are not held to the server strict mode', () => {
+  const schema = { type: 'object', properties: { size: { type: 'string', example: '512x512' } }, 'x-ui': 'slider' };
+  assert.throws(() => ajv.compile(schema));
+  assert.equal(validateAgentData('agent-c', schema, { size: 42 }).valid, false);
+});
+
+test('an agent\'s schemas are dropped when it registers again or leaves', () => {
+  const schema = { $id: 'https://agents.example.com/caption.json', type: 'string' };
+  const reference = { $ref: 'https://agents.example.com/caption.json' };
+  const useSchemas = () => {
+    validateAgentData('caption-agent', schema, 'text');
+    return validateAgentData('caption-agent', reference, 'text').valid;
+  };
+  const registration = { agentId: 'caption-agent', endpoint: 'http://127.0.0.1:9/message', capabilities: [{ name: 'caption', inputSchema: schema }] };
+
+  registerAgent(registration);
+  assert.equal(useSchemas(), true);
+  registerAgent(registration);
+  assert.throws(() => validateAgentData('caption-agent', reference, 'text'), /can't resolve reference/);
+
+  assert.equal(useSchemas(), true);
+  deregisterAgent('caption-agent');
+  assert.throws(() => validateAgentData('caption-agent', reference, 'text'), /can't resolve reference/);
+
+  assert.equal(useSchemas(), true);
+  forgetAgentSchemas('caption-agent');
+  assert.throws(() => validateAgentData('caption-agent', reference, 'text'), /can't resolve reference/);
+});